@@ -0,0 +1,240 @@
+/**
+ * Mock leaderboard server
+ *
+ * Keeps leaderboard tables in memory and serves the HTTP leaderboard
+ * protocol (see src/js/leaderboard/HttpLeaderboardAdapter.js), for trying
+ * out the shared leaderboard and for tests. Submissions are verified by
+ * rerunning their replay (in a worker thread, see verify-worker.mjs), so
+ * impossible scores are turned away.
+ *
+ * Reruns are cut off after a deadline, and only a few run at once; while
+ * they're all busy, further submissions are asked to try again later.
+ *
+ * Usage: npm run leaderboard-server -- [--port 8787] [--no-verify] [--verbose]
+ *   [--verify-timeout <seconds>] [--max-verifications <n>]
+ * Then open the game with ?leaderboard=http://localhost:8787
+ *
+ * Tests can import createLeaderboardServer() and listen on a free port.
+ */
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { Worker } from 'node:worker_threads';
+import { LeaderboardTables } from '../src/js/leaderboard/LeaderboardTables.js';
+import { validateSubmission, createEntry, LeaderboardError } from '../src/js/leaderboard/protocol.js';
+
+const MAX_BODY_SIZE = 8 * 1024 * 1024; // Long runs make long replays
+const MAX_LIMIT = 100;
+const VERIFY_TIMEOUT = 300; // Seconds a rerun gets, enough for the longest run (leaderboard.maxReplayLength)
+const MAX_VERIFICATIONS = 2; // Reruns at once
+
+/**
+ * Send a JSON reply
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Reply body
+ */
+function reply(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new LeaderboardError('Submission is too large', 413));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new LeaderboardError(`Submission is not valid JSON: ${error.message}`, 400));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Read a count from the query string
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @param {number} fallback - Value when it's missing
+ * @returns {number} Count between 0 and MAX_LIMIT
+ */
+function readCount(params, name, fallback) {
+  const value = Number.parseInt(params.get(name), 10);
+  return Number.isNaN(value) ? fallback : Math.min(Math.max(value, 0), MAX_LIMIT);
+}
+
+/**
+ * Read the table from a /boards/:mode/:arena/:difficulty/... path
+ * @param {Array<string>} parts - Decoded path segments
+ * @returns {Object} Board: { arena, difficulty, mode }
+ */
+function readBoard(parts) {
+  return { mode: parts[1], arena: parts[2], difficulty: parts[3] };
+}
+
+/**
+ * Rerun a submission's replay in a worker thread, stopping it if it runs past the deadline
+ * @param {Object} submission - Validated submission
+ * @param {boolean} verbose - Keep the rerun game's console.log output
+ * @param {number} timeout - Seconds before the rerun is stopped and the run turned away
+ * @returns {Promise<Object>} { valid, reason } (see verifySubmission)
+ */
+function verifyInWorker(submission, verbose, timeout) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./verify-worker.mjs', import.meta.url), {
+      workerData: { submission, verbose }
+    });
+
+    const timer = setTimeout(() => {
+      resolve({ valid: false, reason: `Replay took longer than ${timeout}s to verify` });
+      worker.terminate();
+    }, timeout * 1000);
+
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      clearTimeout(timer);
+      // Only matters if the worker stopped without an answer
+      reject(new Error(`Verification worker exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Create the server (not yet listening)
+ * @param {Object} options - Server options
+ * @param {boolean} options.verify - Rerun replays and turn away runs that don't match
+ * @param {LeaderboardTables} options.tables - Tables to serve (a fresh, empty set by default)
+ * @param {boolean} options.verbose - Show the console.log output of verification reruns
+ * @param {number} options.verifyTimeout - Seconds a rerun gets before the run is turned away
+ * @param {number} options.maxVerifications - Reruns at once; submissions past that get a 503
+ * @returns {http.Server} Server
+ */
+export function createLeaderboardServer(options = {}) {
+  const { verify, tables, verbose, verifyTimeout, maxVerifications } = Object.assign({
+    verify: true,
+    tables: new LeaderboardTables(),
+    verbose: false,
+    verifyTimeout: VERIFY_TIMEOUT,
+    maxVerifications: MAX_VERIFICATIONS
+  }, options);
+
+  let verifying = 0;
+
+  async function submit(request, response) {
+    const submission = await readBody(request);
+    validateSubmission(submission);
+
+    if (verify) {
+      if (verifying >= maxVerifications) {
+        throw new LeaderboardError('Server is busy verifying other runs, try again shortly', 503);
+      }
+
+      verifying++;
+      let check;
+      try {
+        check = await verifyInWorker(submission, verbose, verifyTimeout);
+      } finally {
+        verifying--;
+      }
+
+      if (!check.valid) {
+        console.info(`Rejected run from ${submission.name} (${submission.score}): ${check.reason}`);
+        reply(response, 422, { error: check.reason });
+        return;
+      }
+    }
+
+    const result = tables.add(createEntry(submission, verify));
+    console.info(`Accepted run from ${submission.name}: ${submission.score}, rank ${result.rank}`);
+    reply(response, 201, result);
+  }
+
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    try {
+      if (request.method === 'OPTIONS') {
+        reply(response, 204, {});
+      } else if (request.method === 'POST' && url.pathname === '/runs') {
+        await submit(request, response);
+      } else if (request.method === 'GET' && parts[0] === 'boards' && parts[4] === 'top' && parts.length === 5) {
+        const entries = tables.getTop(readBoard(parts), readCount(url.searchParams, 'limit', 10));
+        reply(response, 200, { entries });
+      } else if (request.method === 'GET' && parts[0] === 'boards' && parts[4] === 'around' && parts.length === 6) {
+        reply(response, 200, tables.getAround(readBoard(parts), parts[5], readCount(url.searchParams, 'range', 3)));
+      } else {
+        reply(response, 404, { error: `No route for ${request.method} ${url.pathname}` });
+      }
+    } catch (error) {
+      if (error instanceof LeaderboardError) {
+        reply(response, error.status || 400, { error: error.message });
+      } else {
+        console.error('Leaderboard request failed:', error);
+        reply(response, 500, { error: 'Internal server error' });
+      }
+    }
+  });
+}
+
+function parseArgs(argv) {
+  const args = { port: 8787, verify: true, verbose: false, verifyTimeout: VERIFY_TIMEOUT, maxVerifications: MAX_VERIFICATIONS };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port':
+        args.port = Number(argv[++i]);
+        break;
+      case '--no-verify':
+        args.verify = false;
+        break;
+      case '--verbose':
+        args.verbose = true;
+        break;
+      case '--verify-timeout':
+        args.verifyTimeout = Number(argv[++i]);
+        break;
+      case '--max-verifications':
+        args.maxVerifications = Number(argv[++i]);
+        break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return args;
+}
+
+// Run as a script (rather than imported by a test)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = parseArgs(process.argv.slice(2));
+
+  const { verify, verbose, verifyTimeout, maxVerifications } = args;
+  createLeaderboardServer({ verify, verbose, verifyTimeout, maxVerifications }).listen(args.port, () => {
+    console.info(`Leaderboard server on http://localhost:${args.port} (verification ${args.verify ? 'on' : 'off'})`);
+  });
+}
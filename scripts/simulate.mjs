@@ -0,0 +1,122 @@
+/**
+ * Headless wave simulation for balance testing
+ *
+ * Plays the waves with a scripted bot instead of a person, without a
+ * renderer or browser, and prints the combat stats.
+ *
+ * Usage: npm run simulate -- [--waves 3] [--seed 1234] [--runs 1] [--accuracy 0.7] [--endless] [--mission file.json] [--difficulty veteran] [--adaptive] [--invulnerable] [--verbose]
+ *
+ * --mission plays a wave script (see src/js/enemies/waveScript.js), and is a
+ * quick way to check one: problems are listed with their line.
+ */
+import { readFileSync } from 'node:fs';
+import { HeadlessGame } from '../src/js/headless/HeadlessGame.js';
+import { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from '../src/js/config/enemies.js';
+import { parseWaveScript, WaveScriptError } from '../src/js/enemies/waveScript.js';
+
+function parseArgs(argv) {
+  const args = { waves: undefined, seed: undefined, runs: 1, accuracy: undefined, endless: false, script: null, difficulty: DEFAULT_DIFFICULTY, adaptive: false, invulnerable: false, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--waves':
+        args.waves = Number(argv[++i]);
+        break;
+      case '--seed':
+        args.seed = argv[++i];
+        break;
+      case '--runs':
+        args.runs = Number(argv[++i]);
+        break;
+      case '--accuracy':
+        args.accuracy = Number(argv[++i]);
+        break;
+      case '--endless':
+        args.endless = true;
+        break;
+      case '--mission':
+        args.script = loadScript(argv[++i]);
+        break;
+      case '--difficulty':
+        args.difficulty = argv[++i];
+        if (!DIFFICULTY_PRESETS[args.difficulty]) {
+          console.error(`Unknown difficulty: ${args.difficulty} (pick from ${Object.keys(DIFFICULTY_PRESETS).join(', ')})`);
+          process.exit(1);
+        }
+        break;
+      case '--adaptive':
+        args.adaptive = true;
+        break;
+      case '--invulnerable':
+        args.invulnerable = true;
+        break;
+      case '--verbose':
+        args.verbose = true;
+        break;
+      default:
+        console.error(`Unknown argument: ${argv[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return args;
+}
+
+function loadScript(path) {
+  try {
+    return parseWaveScript(readFileSync(path, 'utf8'), path);
+  } catch (error) {
+    if (!(error instanceof WaveScriptError)) {
+      console.error(`Could not read ${path}: ${error.message}`);
+    } else {
+      console.error(error.message);
+    }
+    process.exit(1);
+  }
+}
+
+function printResults(results) {
+  const { stats } = results;
+
+  const mode = results.mission ? `${results.mode} ${results.mission}` : results.mode;
+  console.info(`Seed ${results.seed} (${mode}, ${results.difficulty}): ${results.outcome} after ${results.duration.toFixed(1)}s (${results.ticks} ticks)`);
+  console.info(`  Waves completed:   ${results.wavesCompleted} (reached wave ${results.currentWave})`);
+  console.info(`  Score:             ${results.score}`);
+  console.info(`  Player health:     ${Math.round(results.playerHealth)}`);
+  console.info(`  Enemies defeated:  ${stats.enemiesDefeated}`);
+  console.info(`  Damage dealt:      ${Math.round(stats.totalDamageDealt)}`);
+  console.info(`  Damage taken:      ${Math.round(stats.totalDamageTaken)}`);
+  console.info(`  Critical hits:     ${stats.criticalHits}`);
+  console.info(`  Max combo:         ${stats.maxCombo}`);
+  console.info(`  Accuracy:          ${stats.accuracy.hits}/${stats.accuracy.shots} (${stats.accuracy.percentage.toFixed(1)}%)`);
+
+  if (results.director) {
+    console.info(`  Director level:    ${results.director.level.toFixed(2)}`);
+    results.director.log.forEach((entry) => {
+      const settings = Object.entries(entry.settings).map(([setting, value]) => `${setting} x${value.toFixed(2)}`).join(', ');
+      console.info(`    ${entry.time.toFixed(1)}s wave ${entry.wave} ${entry.reason}: ${entry.from.toFixed(2)} -> ${entry.level.toFixed(2)} (${settings})`);
+    });
+  }
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+// Game systems log freely; keep the report readable unless asked
+if (!args.verbose) {
+  console.log = () => {};
+}
+
+for (let run = 0; run < args.runs; run++) {
+  // Later runs get their own seeds derived from the first
+  const seed = args.seed !== undefined && run > 0 ? `${args.seed}:${run}` : args.seed;
+
+  const mode = args.script ? 'mission' : args.endless ? 'endless' : 'campaign';
+  const options = { seed, mode, script: args.script, difficulty: args.difficulty, director: args.adaptive ? {} : null, invulnerable: args.invulnerable, bot: {} };
+  if (args.waves !== undefined) options.waves = args.waves;
+  if (args.accuracy !== undefined) options.bot.accuracy = args.accuracy;
+
+  const game = new HeadlessGame(options);
+
+  printResults(game.run());
+  game.dispose();
+}
@@ -0,0 +1,22 @@
+/**
+ * Leaderboard submission verifier, run in a worker thread
+ *
+ * Rerunning a replay takes as long as simulating the whole run, so the
+ * leaderboard server does it here, off its own thread, and keeps answering
+ * other requests meanwhile.
+ *
+ * workerData: { submission, verbose (keep the game's console.log output) }
+ * Posts back { valid, reason } (see verifySubmission).
+ */
+import { parentPort, workerData } from 'node:worker_threads';
+import { verifySubmission } from '../src/js/headless/verifySubmission.js';
+
+const { submission, verbose } = workerData;
+
+// Verification reruns whole games, which log freely
+if (!verbose) {
+  console.log = () => {};
+}
+
+const { valid, reason } = verifySubmission(submission);
+parentPort.postMessage({ valid, reason });
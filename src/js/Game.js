@@ -1,22 +1,98 @@
 import * as THREE from 'three';
-import * as CANNON from 'cannon-es';
 import { GameScene } from './scenes/GameScene.js';
-import { PhysicsHelper } from './physics/PhysicsHelper.js';
+import { GameManager } from './systems/GameManager.js';
+import { createPhysics } from './physics/createPhysics.js';
+import { AudioManager } from './audio/manager.js';
+import { GAME_CONFIG } from './config/game.js';
+import { DEFAULT_DIFFICULTY } from './config/enemies.js';
 import { Logger } from './utils/Logger.js';
+import { Random } from './utils/random.js';
+import { EventEmitter } from './utils/EventEmitter.js';
+import { InputRecorder } from './replay/InputRecorder.js';
+import { ReplayPlayer } from './replay/ReplayPlayer.js';
+import { ReplayControls } from './replay/ReplayControls.js';
+import { SpectatorCamera } from './replay/SpectatorCamera.js';
+import { createReplay, downloadReplay } from './replay/replayFile.js';
+import { createSave } from './save/saveFile.js';
+import { SaveStore } from './save/SaveStore.js';
+import { PersonalBestTracker } from './scores/PersonalBestTracker.js';
+import { Debug } from './utils/debug.js';
 
 export class Game {
-  constructor(container, loadingManager) {
+  /**
+   * Create the game
+   * The game is built stopped; start() runs it (GameStateMachine does this).
+   * Emits 'waveStarted' and 'waveCompleted' (waveNumber), and 'runOver'
+   * (results, see GameManager.getResults) when the player dies or wins.
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} loadingManager - Asset loading manager
+   * @param {Object} options - Game options
+   * @param {Object} options.replay - Replay to watch instead of playing (see replayFile.js)
+   * @param {Object} options.save - Saved run to carry on (see saveFile.js)
+   * @param {string} options.mode - Game mode for a new run (see GAME_MODES; replays and saves keep their own)
+   * @param {Object} options.script - Wave script for a new mission run (see loadWaveScript; likewise)
+   * @param {string} options.difficulty - Difficulty preset for a new run (see DIFFICULTY_PRESETS; likewise)
+   * @param {Object} options.director - Adaptive difficulty start state for a new run (see GameManager; likewise)
+   * @param {HighScoreStore} options.highScores - Personal bests to beat, announced with NEW BEST (optional)
+   */
+  constructor(container, loadingManager, options = {}) {
     this.container = container;
     this.loadingManager = loadingManager;
     
+    this.options = Object.assign({
+      replay: null,
+      save: null,
+      mode: 'campaign',
+      script: null,
+      difficulty: DEFAULT_DIFFICULTY,
+      director: null,
+      highScores: null
+    }, options);
+    
     // Game state
     this.isRunning = false;
     this.lastTime = 0;
     
+    // Fixed-step simulation
+    this.accumulator = 0; // Frame time not yet simulated (seconds)
+    this.tickCount = 0;
+    this.simulationTime = 0; // Simulated seconds since start
+    
+    // Replay playback
+    this.replay = this.options.replay;
+    this.paused = false;
+    this.playbackSpeed = 1;
+    this.seekTarget = null; // Tick being fast-forwarded to, while scrubbing
+    this.wasMuted = false; // Audio mute state to restore after scrubbing
+    
+    // Mid-run saves (live games only)
+    this.saveStore = this.replay ? null : new SaveStore();
+    this.resumed = !!this.options.save; // Carried on from a save, so the input record is incomplete
+    this.lastSaveTime = 0; // Simulated time of the last autosave
+    this.runOver = false; // Run has been won or lost, leaving nothing to continue
+    this.results = null; // GameManager results once the run is over
+    this.runReplay = null; // Replay up to the tick the run ended on (null if it can't be replayed)
+    this.bestTracker = null; // Watches for personal bests (live games with high scores only)
+    this.debug = null; // Stats and tweak panel, rebuilt with each world
+    
+    this.events = new EventEmitter();
+    
+    this.handleResize = this.handleResize.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    
     // Create logger
     this.logger = new Logger();
     this.logger.addCommonErrorHandlers();
     
+    // Seeded RNG, so a run can be reproduced exactly from its seed
+    const run = this.replay || this.options.save;
+    this.random = new Random(run ? run.seed : this.getRunSeed());
+    this.mode = run ? run.mode ?? 'campaign' : this.options.mode;
+    this.script = run ? run.script ?? null : this.options.script;
+    this.difficulty = run ? run.difficulty ?? DEFAULT_DIFFICULTY : this.options.difficulty;
+    this.director = run ? run.director ?? null : this.options.director;
+    console.log(`Run seed: ${this.random.seed} (${this.mode}, ${this.difficulty})`);
+    
     // Make game instance globally available for error handling
     window.game = this;
     
@@ -38,6 +114,16 @@ export class Game {
     console.error('Game initialization failed:', error);
   }
   
+  /**
+   * Get the seed for this run
+   * A ?seed= URL parameter replays a specific run; otherwise a new seed is rolled.
+   * @returns {number|string} Run seed
+   */
+  getRunSeed() {
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    return seed !== null && seed !== '' ? seed : Random.generateSeed();
+  }
+  
   /**
    * Initialize physics system
    */
@@ -49,33 +135,7 @@ export class Game {
       }
 
       // Create physics world
-      const world = new CANNON.World();
-      const defaultMaterial = new CANNON.Material('default');
-      
-      // Configure physics
-      world.gravity.set(0, -9.82, 0);
-      world.broadphase = new CANNON.NaiveBroadphase();
-      world.solver.iterations = 10;
-      
-      // Create default contact material
-      const defaultContactMaterial = new CANNON.ContactMaterial(
-        defaultMaterial,
-        defaultMaterial,
-        {
-          friction: 0.3,
-          restitution: 0.2,
-          contactEquationStiffness: 1e6,
-          contactEquationRelaxation: 3,
-        }
-      );
-      world.addContactMaterial(defaultContactMaterial);
-      
-      // Create physics helper
-      this.physics = {
-        world: world,
-        defaultMaterial: defaultMaterial,
-        helper: new PhysicsHelper(world, defaultMaterial)
-      };
+      this.physics = createPhysics(GAME_CONFIG.physics);
       
       return true;
     } catch (error) {
@@ -103,48 +163,204 @@ export class Game {
         1000 // Far plane
       );
       
-      // Initialize physics
-      if (!this.initializePhysics()) {
-        throw new Error('Failed to initialize physics system');
+      // Create audio mixer
+      this.audioManager = new AudioManager();
+      this.audioManager.init();
+      
+      // Create physics and the game scene
+      this.createWorld();
+      
+      // Pick up where a saved run left off
+      if (this.options.save) {
+        this.restoreSave(this.options.save);
       }
       
-      // Create game scene
-      this.scene = new GameScene(
-        this.camera,
-        this.loadingManager,
-        this.physics,
-        this.renderer
-      );
+      this.gameManager.begin();
+      this.trackPersonalBests();
+      
+      // Replay viewing tools
+      if (this.replay) {
+        this.spectator = new SpectatorCamera(this.renderer.domElement);
+        this.replayControls = new ReplayControls(this.container, this);
+      }
       
       // Handle window resize
-      window.addEventListener('resize', this.handleResize.bind(this));
+      window.addEventListener('resize', this.handleResize);
       
-      // Start game loop
-      this.start();
+      // Save the run when the tab is hidden, as it may never come back
+      document.addEventListener('visibilitychange', this.handleVisibilityChange);
     } catch (error) {
       this.handleInitError(error);
     }
   }
   
+  /**
+   * Build the physics world and game scene for a run
+   * Input is recorded as it is applied, or fed from the replay when watching one.
+   */
+  createWorld() {
+    // Initialize physics
+    if (!this.initializePhysics()) {
+      throw new Error('Failed to initialize physics system');
+    }
+    
+    // Create game scene
+    this.scene = new GameScene(
+      this.camera,
+      this.loadingManager,
+      this.physics,
+      this.renderer,
+      this.audioManager,
+      this.random
+    );
+    
+    // Enemies, waves, combat and score
+    this.gameManager = new GameManager(this.scene, this.camera, this.physics, this.audioManager, this.random, {
+      mode: this.mode,
+      script: this.script,
+      difficulty: this.difficulty,
+      director: this.director
+    });
+    this.gameManager.events.on('waveStarted', waveNumber => this.events.emit('waveStarted', waveNumber));
+    this.gameManager.events.on('waveCompleted', waveNumber => this.events.emit('waveCompleted', waveNumber));
+    this.gameManager.events.on('announcement', line => this.showAnnouncement(line));
+    this.gameManager.events.on('runOver', results => this.handleRunOver(results));
+    
+    // Stats and tweak panel (dev builds, or with #debug in the URL)
+    this.debug = new Debug(this.scene.scene, this.renderer, this.camera, this.physics);
+    this.debug.addDifficultyMonitor(this.gameManager.formationManager);
+    this.debug.addBehaviorOverlay(this.gameManager.enemyPool);
+    
+    const inputSources = { input: this.scene.inputManager };
+    
+    if (this.replay) {
+      this.replayPlayer = new ReplayPlayer(this.replay, inputSources);
+    } else {
+      this.inputRecorder = new InputRecorder(inputSources);
+    }
+  }
+  
+  /**
+   * Throw away the world and start the run again from its seed
+   */
+  restart() {
+    if (this.debug) {
+      this.debug.dispose();
+    }
+    if (this.gameManager) {
+      this.gameManager.dispose();
+    }
+    if (this.scene) {
+      this.scene.dispose();
+    }
+    
+    this.audioManager.stopAll();
+    
+    this.physics = null;
+    this.random.reset();
+    this.tickCount = 0;
+    this.simulationTime = 0;
+    this.accumulator = 0;
+    this.runOver = false;
+    this.results = null;
+    this.runReplay = null;
+    
+    this.createWorld();
+    this.gameManager.begin();
+    this.trackPersonalBests();
+  }
+  
+  /**
+   * Announce personal bests on the HUD as the run beats them
+   * Called once the run's arena and difficulty are known (after restoring a save).
+   */
+  trackPersonalBests() {
+    if (this.bestTracker) {
+      this.bestTracker.dispose();
+      this.bestTracker = null;
+    }
+    
+    // Missions aren't ranked, so there are no bests to beat
+    const { highScores } = this.options;
+    if (!highScores || this.replay || this.mode === 'mission') return;
+    
+    const { arena, difficulty, mode } = this.gameManager;
+    this.bestTracker = new PersonalBestTracker(this.gameManager, highScores.getPersonalBests(arena, difficulty, mode));
+    this.bestTracker.events.on('newBest', (stat) => {
+      if (this.scene.hud) {
+        this.scene.hud.showNotice(`NEW BEST: ${stat.label}`);
+      }
+    });
+  }
+  
+  /**
+   * Show a wave script line on the HUD
+   * Lines passed while fast-forwarding a replay are skipped.
+   * @param {Object} line - { text, speaker (null for the announcer) }
+   */
+  showAnnouncement({ text, speaker }) {
+    if (!this.scene.hud || this.seekTarget !== null) return;
+    
+    this.scene.hud.showNotice(speaker ? `${speaker}: ${text}` : text);
+  }
+  
+  /**
+   * Save the run in progress when the page is hidden
+   */
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.saveRun();
+    }
+  }
+  
   handleResize() {
     // Update camera
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
     
+    if (this.spectator) {
+      this.spectator.setAspect(this.camera.aspect);
+    }
+    
     // Update renderer
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    
+    // Resizing clears the canvas, so redraw the frozen frame while stopped
+    if (!this.isRunning && this.scene) {
+      this.render();
+    }
   }
   
+  /**
+   * Run the game loop and take input
+   */
   start() {
     if (this.isRunning) return;
     
     this.isRunning = true;
     this.lastTime = performance.now();
+    this.accumulator = 0;
+    
+    if (this.scene && this.scene.inputManager) {
+      this.scene.inputManager.resume();
+    }
+    this.audioManager.setPaused(false);
+    
     this.animate();
   }
   
+  /**
+   * Freeze the game: no ticks, no input and no sound until start()
+   */
   stop() {
     this.isRunning = false;
+    
+    if (this.scene && this.scene.inputManager) {
+      this.scene.inputManager.suspend();
+    }
+    if (this.audioManager) {
+      this.audioManager.setPaused(true);
+    }
   }
   
   animate() {
@@ -153,28 +369,340 @@ export class Game {
     // Request next frame
     requestAnimationFrame(this.animate.bind(this));
     
-    // Calculate delta time
+    const { fixedTimeStep, maxSubSteps, maxFrameTime } = GAME_CONFIG.physics;
+    
+    if (this.debug) {
+      this.debug.update();
+    }
+    
+    // Calculate frame time, clamped so a long pause doesn't fast-forward the game
     const currentTime = performance.now();
-    const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
+    const frameTime = Math.min((currentTime - this.lastTime) / 1000, maxFrameTime); // Convert to seconds
     this.lastTime = currentTime;
     
+    if (this.seekTarget !== null) {
+      this.updateSeek();
+    } else if (!this.paused) {
+      // Run as many fixed ticks as the frame time covers
+      this.accumulator += frameTime * this.playbackSpeed;
+      const maxSteps = maxSubSteps * Math.ceil(this.playbackSpeed);
+      let steps = 0;
+      while (this.accumulator >= fixedTimeStep && steps < maxSteps && !this.isReplayFinished()) {
+        this.tick(fixedTimeStep);
+        this.accumulator -= fixedTimeStep;
+        steps++;
+      }
+      
+      // Too far behind: drop the backlog rather than spiral
+      if (this.accumulator >= fixedTimeStep) {
+        this.accumulator = 0;
+      }
+      
+      if (this.isReplayFinished()) {
+        this.paused = true;
+        this.accumulator = 0;
+      }
+    }
+    
+    // Draw meshes part way to the next tick
+    if (this.scene) {
+      this.scene.interpolate(this.accumulator / fixedTimeStep);
+    }
+    
+    // Boss health bar follows the fight
+    if (this.scene && this.scene.hud) {
+      const boss = this.gameManager.getBoss();
+      this.scene.hud.updateBossBar(boss ? boss.getStatus() : null);
+    }
+    
+    // Replay tools run on real time, even while paused
+    if (this.spectator) {
+      this.spectator.update(frameTime);
+    }
+    if (this.replayControls) {
+      this.replayControls.update();
+    }
+    
+    this.render();
+    
+    if (this.debug) {
+      this.debug.endFrame();
+    }
+  }
+  
+  /**
+   * Draw the scene from the player's camera (or the spectator camera)
+   */
+  render() {
+    const camera = this.spectator && this.spectator.enabled ? this.spectator.camera : this.camera;
+    this.renderer.render(this.scene.scene, camera);
+  }
+  
+  /**
+   * Advance the simulation by one fixed tick
+   * Rendering is separate, so tests can step the game tick by tick.
+   * @param {number} deltaTime - Tick length (defaults to the configured fixed step)
+   */
+  tick(deltaTime = GAME_CONFIG.physics.fixedTimeStep) {
+    // Apply this tick's input, live or from the replay
+    if (this.replayPlayer) {
+      this.replayPlayer.applyTick(this.tickCount);
+    } else if (this.inputRecorder) {
+      this.inputRecorder.capture(this.tickCount);
+    }
+    
+    // Remember where bodies were, for render interpolation
+    this.physics.interpolator.capture();
+    
     // Update physics
-    this.physics.world.step(1 / 60, deltaTime, 3);
+    this.physics.world.step(deltaTime);
     
-    // Update scene
+    // Update scene, then the waves and combat
     if (this.scene) {
       this.scene.update(deltaTime);
     }
+    this.gameManager.update(deltaTime);
+    
+    if (this.bestTracker && !this.runOver) {
+      this.bestTracker.update(deltaTime);
+    }
     
-    // Render
-    this.renderer.render(this.scene.scene, this.camera);
+    this.tickCount++;
+    this.simulationTime += deltaTime;
+    
+    this.updateAutosave();
+  }
+  
+  /**
+   * Check whether a replay has played to its end
+   * @returns {boolean} True at the end of a replay (always false when playing live)
+   */
+  isReplayFinished() {
+    return !!this.replayPlayer && this.replayPlayer.isFinished(this.tickCount);
+  }
+  
+  /**
+   * Pause or resume replay playback (resuming at the end starts over)
+   */
+  togglePause() {
+    if (!this.replay) return;
+    
+    if (this.paused && this.isReplayFinished()) {
+      this.seek(0);
+    }
+    
+    this.paused = !this.paused;
+    this.lastTime = performance.now();
+  }
+  
+  /**
+   * Set the replay playback speed
+   * @param {number} speed - Simulated seconds per real second
+   */
+  setPlaybackSpeed(speed) {
+    if (!this.replay) return;
+    
+    this.playbackSpeed = speed;
+  }
+  
+  /**
+   * Jump to a point in the replay
+   * The run is deterministic, so earlier points are reached by restarting
+   * and fast-forwarding; this is spread over frames so the page stays responsive.
+   * @param {number} tick - Tick to jump to
+   */
+  seek(tick) {
+    if (!this.replay) return;
+    
+    const target = Math.min(Math.max(Math.round(tick), 0), this.replay.tickCount);
+    
+    if (target < this.tickCount) {
+      this.restart();
+    }
+    
+    // Keep fast-forwarded sounds quiet
+    if (this.seekTarget === null) {
+      this.wasMuted = this.audioManager.muted;
+      this.audioManager.setMuted(true);
+    }
+    
+    this.seekTarget = target;
+  }
+  
+  /**
+   * Fast-forward toward the seek target
+   */
+  updateSeek() {
+    const { fixedTimeStep } = GAME_CONFIG.physics;
+    const { seekTicksPerFrame } = GAME_CONFIG.replay;
+    
+    let steps = 0;
+    while (this.tickCount < this.seekTarget && steps < seekTicksPerFrame) {
+      this.tick(fixedTimeStep);
+      steps++;
+    }
+    
+    if (this.tickCount >= this.seekTarget) {
+      this.seekTarget = null;
+      this.accumulator = 0;
+      
+      this.audioManager.stopAll();
+      this.audioManager.setMuted(this.wasMuted);
+    }
+  }
+  
+  /**
+   * Switch between the player's camera and the free-fly spectator camera
+   */
+  toggleSpectator() {
+    if (this.spectator) {
+      this.spectator.toggle(this.camera);
+    }
+  }
+  
+  /**
+   * Download the input recorded so far as a replay file
+   */
+  saveReplay() {
+    if (!this.inputRecorder) {
+      console.warn('Replays can only be saved from a live game');
+      return;
+    }
+    
+    if (this.resumed) {
+      console.warn('Replays can only be saved from runs played from the start');
+      return;
+    }
+    
+    downloadReplay(this.getReplay());
+    
+    console.log(`Saved replay of ${this.tickCount} ticks (seed ${this.random.seed})`);
+  }
+  
+  /**
+   * Get a replay of the input recorded so far
+   * @param {number} tickCount - Ticks the replay covers (defaults to every tick simulated)
+   * @returns {Object|null} Replay (see replayFile.js), or null for replays and continued runs
+   */
+  getReplay(tickCount = this.tickCount) {
+    if (!this.inputRecorder || this.resumed) return null;
+    
+    return createReplay({
+      seed: this.random.seed,
+      mode: this.mode,
+      script: this.script,
+      difficulty: this.gameManager.difficulty,
+      director: this.director,
+      tickCount,
+      frames: this.inputRecorder.getFrames().slice()
+    });
+  }
+  
+  /**
+   * Get the state of the run in progress
+   * @returns {Object} Save (see saveFile.js)
+   */
+  getSaveState() {
+    return createSave({
+      seed: this.random.seed,
+      mode: this.mode,
+      script: this.script,
+      difficulty: this.gameManager.difficulty,
+      director: this.director,
+      tickCount: this.tickCount,
+      random: this.random.getState(),
+      state: {
+        scene: this.scene.getSaveState(),
+        game: this.gameManager.getSaveState()
+      }
+    });
+  }
+  
+  /**
+   * Put the world back the way it was when a run was saved
+   * The world must have been built from the save's seed, mode, script, difficulty and director.
+   * @param {Object} save - Save (see saveFile.js)
+   */
+  restoreSave(save) {
+    this.random.setState(save.random);
+    this.tickCount = save.tickCount;
+    this.simulationTime = save.tickCount * GAME_CONFIG.physics.fixedTimeStep;
+    this.lastSaveTime = this.simulationTime;
+    
+    this.scene.restoreSaveState(save.state.scene);
+    
+    // Saves from before the waves reached the browser game start from wave 1
+    if (save.state.game) {
+      this.gameManager.restoreSaveState(save.state.game);
+    }
+    
+    console.log(`Resumed run at tick ${this.tickCount} (seed ${this.random.seed})`);
+  }
+  
+  /**
+   * Save the run in progress, or drop the save once the run is over
+   * @returns {Promise} Resolves once the save is stored (never rejects)
+   */
+  saveRun() {
+    if (!this.saveStore || !this.scene || !this.gameManager) return Promise.resolve();
+    
+    const request = this.runOver
+      ? this.saveStore.clear()
+      : this.saveStore.save(this.getSaveState());
+    
+    this.lastSaveTime = this.simulationTime;
+    return request.catch(error => console.warn('Failed to save run:', error));
+  }
+  
+  /**
+   * End the run: the save is dropped straight away so the finished run
+   * can't be continued, then 'runOver' is passed on
+   * @param {Object} results - Results from GameManager.getResults()
+   */
+  handleRunOver(results) {
+    this.runOver = true;
+    this.results = results;
+    
+    // The tick that ended the run is still being simulated, so count it
+    this.runReplay = this.getReplay(this.tickCount + 1);
+    this.saveRun();
+    this.events.emit('runOver', results);
+  }
+  
+  /**
+   * Save every GAME_CONFIG.save.autosaveInterval seconds of play
+   */
+  updateAutosave() {
+    if (!this.saveStore || this.runOver) return;
+    
+    if (this.simulationTime - this.lastSaveTime >= GAME_CONFIG.save.autosaveInterval) {
+      this.saveRun();
+    }
   }
   
   dispose() {
     // Stop game loop
     this.stop();
     
-    // Dispose of scene
+    // Dispose of replay tools
+    if (this.replayControls) {
+      this.replayControls.dispose();
+    }
+    if (this.spectator) {
+      this.spectator.dispose();
+    }
+    
+    if (this.debug) {
+      this.debug.dispose();
+    }
+    
+    // Dispose of enemies and combat, then the scene
+    if (this.bestTracker) {
+      this.bestTracker.dispose();
+    }
+    if (this.gameManager) {
+      this.gameManager.dispose();
+    }
     if (this.scene) {
       this.scene.dispose();
     }
@@ -182,9 +710,18 @@ export class Game {
     // Dispose of renderer
     if (this.renderer) {
       this.renderer.dispose();
+      this.renderer.domElement.remove();
+    }
+    
+    // Dispose of audio
+    if (this.audioManager) {
+      this.audioManager.dispose();
     }
     
     // Remove event listeners
     window.removeEventListener('resize', this.handleResize);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    
+    this.events.removeAllListeners();
   }
 } 
\ No newline at end of file
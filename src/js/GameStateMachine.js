@@ -0,0 +1,853 @@
+import { Game } from './Game.js';
+import { GAME_CONFIG } from './config/game.js';
+import { DIFFICULTY_PRESETS } from './config/enemies.js';
+import { DEFAULT_KEY_MAP } from './controls/keyboard.js';
+import { GamepadInput } from './controls/gamepad.js';
+import { Menu } from './menus/Menu.js';
+import { CONTROLS_TEXT, TUTORIAL_TEXT, CREDITS_TEXT } from './menus/text.js';
+import { formatPlayTime, getOutcomeTitle, createResultsTable } from './menus/results.js';
+import { describeBoard, describeRun, createScoreTable, createBestsTable } from './menus/scores.js';
+import { SaveStore } from './save/SaveStore.js';
+import { HighScoreStore } from './scores/HighScoreStore.js';
+import { createLeaderboardClient } from './leaderboard/LeaderboardClient.js';
+import { loadVolumes, saveVolumes } from './audio/volumeSettings.js';
+import { loadAdaptive, saveAdaptive } from './systems/directorSettings.js';
+import { loadMissions } from './missions/index.js';
+import { EventEmitter } from './utils/EventEmitter.js';
+
+export const GAME_STATES = {
+  BOOT: 'boot', // Looking for a saved run
+  MAIN_MENU: 'mainMenu',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  INTERMISSION: 'intermission', // Break between waves (the game keeps running)
+  GAME_OVER: 'gameOver', // Run just ended; Game Over (or Victory) banner over the running game
+  RESULTS: 'results'
+};
+
+// States each state can move to
+const TRANSITIONS = {
+  [GAME_STATES.BOOT]: [GAME_STATES.MAIN_MENU],
+  [GAME_STATES.MAIN_MENU]: [GAME_STATES.PLAYING],
+  [GAME_STATES.PLAYING]: [GAME_STATES.PLAYING, GAME_STATES.PAUSED, GAME_STATES.INTERMISSION, GAME_STATES.GAME_OVER],
+  [GAME_STATES.INTERMISSION]: [GAME_STATES.PLAYING, GAME_STATES.PAUSED, GAME_STATES.GAME_OVER],
+  [GAME_STATES.PAUSED]: [GAME_STATES.PLAYING, GAME_STATES.INTERMISSION, GAME_STATES.MAIN_MENU],
+  [GAME_STATES.GAME_OVER]: [GAME_STATES.PLAYING, GAME_STATES.RESULTS],
+  [GAME_STATES.RESULTS]: [GAME_STATES.PLAYING, GAME_STATES.MAIN_MENU]
+};
+
+// Audio buses shown in the audio settings
+const VOLUME_SLIDERS = [
+  { bus: 'master', label: 'Master' },
+  { bus: 'music', label: 'Music' },
+  { bus: 'sfx', label: 'Effects' },
+  { bus: 'ui', label: 'Interface' }
+];
+
+// Runs listed per page of the run history
+const HISTORY_PAGE_SIZE = 8;
+
+/**
+ * GameStateMachine - Top-level flow between the menus and the game
+ *
+ * Owns the Game: it is created when a run starts, stopped while paused or
+ * on the results screen and disposed on the way back to the main menu.
+ * Pausing (pause keys from DEFAULT_KEY_MAP, gamepad Start, losing pointer
+ * lock or hiding the tab) releases pointer lock and freezes input and sound.
+ *
+ * Emits 'stateChanged' (state, previousState). The game's 'waveCompleted'
+ * and 'waveStarted' events move it in and out of INTERMISSION.
+ */
+export class GameStateMachine {
+  /**
+   * Create the state machine
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} loadingManager - Asset loading manager
+   */
+  constructor(container, loadingManager) {
+    this.container = container;
+    this.loadingManager = loadingManager;
+
+    this.state = GAME_STATES.BOOT;
+    this.resumeState = GAME_STATES.PLAYING; // State to go back to when unpausing
+    this.game = null;
+
+    this.saveStore = new SaveStore();
+    this.save = null; // Saved run offered as Continue
+    this.volumes = loadVolumes(); // Volume by audio bus, applied to each new game
+    this.adaptive = loadAdaptive(); // New runs use the DifficultyDirector
+    this.directorState = null; // Where the director left off last run, for the next one
+    this.missions = loadMissions(); // Bundled wave scripts
+
+    this.highScores = new HighScoreStore();
+    this.lastRun = null; // What recording the last run did (see HighScoreStore.recordRun)
+
+    // Shared leaderboard: the server given as ?leaderboard=url, or this device
+    this.leaderboard = createLeaderboardClient(new URLSearchParams(window.location.search).get('leaderboard'));
+
+    this.events = new EventEmitter();
+    this.gameOverTimer = null;
+    this.frameRequest = null;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handlePointerLockChange = this.handlePointerLockChange.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.pollGamepad = this.pollGamepad.bind(this);
+
+    // Created before our key listener, so keys the menu uses (Escape to go
+    // back) don't also reach the pause keys
+    this.menu = new Menu(container);
+
+    this.gamepad = new GamepadInput();
+    this.gamepad.onPress = action => this.handleGamepadPress(action);
+
+    document.addEventListener('keydown', this.handleKeyDown);
+    document.addEventListener('pointerlockchange', this.handlePointerLockChange);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+    this.pollGamepad();
+  }
+
+  /**
+   * Move to another state
+   * @param {string} state - State to move to (see GAME_STATES)
+   * @returns {boolean} Whether the move was allowed
+   */
+  setState(state) {
+    if (!TRANSITIONS[this.state].includes(state)) {
+      console.warn(`Can't go from ${this.state} to ${state}`);
+      return false;
+    }
+
+    const previous = this.state;
+    this.state = state;
+    this.events.emit('stateChanged', state, previous);
+    return true;
+  }
+
+  /**
+   * Look for a saved run, then show the main menu
+   */
+  async boot() {
+    await this.loadSave();
+
+    if (this.setState(GAME_STATES.MAIN_MENU)) {
+      this.showMainMenu();
+    }
+  }
+
+  /**
+   * Load the saved run offered as Continue
+   */
+  async loadSave() {
+    try {
+      this.save = await this.saveStore.load();
+    } catch (error) {
+      console.warn('Saved run could not be loaded:', error);
+      this.save = null;
+    }
+  }
+
+  /**
+   * Show the main menu page
+   */
+  showMainMenu() {
+    const items = [];
+
+    if (this.save) {
+      items.push({ label: 'Continue', onSelect: () => this.startGame({ save: this.save }) });
+    }
+
+    items.push(
+      { label: 'Play game', onSelect: () => this.showDifficultyMenu({ mode: 'campaign' }) },
+      { label: 'Endless mode', onSelect: () => this.showDifficultyMenu({ mode: 'endless' }) }
+    );
+    if (this.missions.length > 0) {
+      items.push({ label: 'Missions', onSelect: () => this.showMissionMenu() });
+    }
+    items.push(
+      { label: 'Options', onSelect: () => this.showAudioSettings(() => this.showMainMenu()) },
+      { label: 'Leaderboards', onSelect: () => this.showLeaderboards() },
+      { label: 'Credits', onSelect: () => this.showTextPage('Credits', CREDITS_TEXT, () => this.showMainMenu()) }
+    );
+    // No Quit: a page can't close its own tab
+
+    this.menu.show({
+      title: 'Cosmic Defender',
+      text: this.save ? this.describeSave(this.save) : '',
+      items
+    });
+  }
+
+  /**
+   * Show the bundled missions
+   * @param {number} selected - Item to select (optional)
+   */
+  showMissionMenu(selected = undefined) {
+    const back = () => this.showMainMenu();
+    const items = this.missions.map((script, index) => ({
+      label: script.name,
+      onSelect: () => this.showDifficultyMenu({ mode: 'mission', script }, undefined, () => this.showMissionMenu(index))
+    }));
+    items.push({ label: 'Back', onSelect: back });
+
+    this.menu.show({
+      title: 'Missions',
+      text: this.missions.map(script => `${script.name}: ${script.description}`).join('\n') +
+        '\nMission scores are not ranked.',
+      items,
+      selected,
+      onBack: back
+    });
+  }
+
+  /**
+   * Show the difficulty presets before a new run
+   * @param {Object} run - Game mode (see GAME_MODES) and, for missions, the wave script: { mode, script }
+   * @param {number} selected - Item to select (optional)
+   * @param {Function} back - Shows the page to go back to (the main menu if omitted)
+   */
+  showDifficultyMenu(run, selected = undefined, back = () => this.showMainMenu()) {
+    const items = Object.entries(DIFFICULTY_PRESETS).map(([difficulty, preset]) => ({
+      label: preset.label,
+      onSelect: () => this.startNewRun({ ...run, difficulty })
+    }));
+
+    const toggleIndex = items.length;
+    items.push({
+      label: `Adaptive difficulty: ${this.adaptive ? 'On' : 'Off'}`,
+      onSelect: () => {
+        this.adaptive = !this.adaptive;
+        saveAdaptive(this.adaptive);
+        this.showDifficultyMenu(run, toggleIndex, back);
+      }
+    });
+    items.push({ label: 'Back', onSelect: back });
+
+    this.menu.show({
+      title: 'Choose difficulty',
+      text: 'Tougher enemies and more elites and commanders, for more points.\n' +
+        'Adaptive difficulty eases off or pushes harder as you play.',
+      items,
+      selected,
+      onBack: back
+    });
+  }
+
+  /**
+   * Summarize a saved run
+   * @param {Object} save - Save (see saveFile.js)
+   * @returns {string} Difficulty, play time and when the run was saved
+   */
+  describeSave(save) {
+    const playTime = formatPlayTime(save.tickCount * GAME_CONFIG.physics.fixedTimeStep);
+    let run = 'Run';
+    if (save.mode === 'endless') run = 'Endless run';
+    if (save.mode === 'mission' && save.script) run = `${save.script.name} mission`;
+    const preset = DIFFICULTY_PRESETS[save.difficulty];
+    const difficulty = preset ? ` (${preset.label})` : '';
+    return `${run}${difficulty} in progress: ${playTime} played, saved ${new Date(save.savedAt).toLocaleString()}`;
+  }
+
+  /**
+   * Show the pause menu page
+   */
+  showPauseMenu() {
+    const back = () => this.showPauseMenu();
+
+    this.menu.show({
+      title: 'Paused',
+      items: [
+        { label: 'Resume game', onSelect: () => this.resume() },
+        { label: 'Audio settings', onSelect: () => this.showAudioSettings(back) },
+        { label: 'Control settings', onSelect: () => this.showTextPage('Controls', CONTROLS_TEXT, back) },
+        { label: 'Return to main menu', onSelect: () => this.returnToMainMenu() },
+        { label: 'Quick tutorial', onSelect: () => this.showTextPage('How to play', TUTORIAL_TEXT, back) }
+      ],
+      onBack: () => this.resume()
+    });
+  }
+
+  /**
+   * Show the volume sliders
+   * @param {Function} back - Shows the page to go back to
+   */
+  showAudioSettings(back) {
+    const items = VOLUME_SLIDERS.map(({ bus, label }) => ({
+      label,
+      value: this.getVolume(bus),
+      onChange: value => this.setVolume(bus, value)
+    }));
+    items.push({ label: 'Back', onSelect: back });
+
+    this.menu.show({ title: 'Audio settings', items, onBack: back });
+  }
+
+  /**
+   * Show a high score table
+   * @param {number} index - Table to show, in HighScoreStore.getBoards() order
+   */
+  showLeaderboards(index = 0) {
+    const back = () => this.showMainMenu();
+    const boards = this.highScores.getBoards();
+    const history = { label: 'Run history', onSelect: () => this.showRunHistory(), disabled: boards.length === 0 };
+
+    if (boards.length === 0) {
+      this.menu.show({
+        title: 'Leaderboards',
+        text: 'No runs yet. Finish a run to get on the board.',
+        items: [history, { label: 'Back', onSelect: back }],
+        onBack: back
+      });
+      return;
+    }
+
+    const board = boards[index];
+    const items = [];
+
+    if (boards.length > 1) {
+      items.push(
+        { label: 'Next table', onSelect: () => this.showLeaderboards((index + 1) % boards.length) },
+        { label: 'Previous table', onSelect: () => this.showLeaderboards((index - 1 + boards.length) % boards.length) }
+      );
+    }
+
+    items.push(
+      { label: 'Personal bests', onSelect: () => this.showPersonalBests(board, () => this.showLeaderboards(index)) },
+      { label: 'Shared leaderboard', onSelect: () => this.showSharedLeaderboard(board, () => this.showLeaderboards(index)) },
+      history,
+      { label: 'Back', onSelect: back }
+    );
+
+    this.menu.show({
+      title: 'Leaderboards',
+      text: boards.length > 1 ? `${describeBoard(board)} (${index + 1} of ${boards.length})` : describeBoard(board),
+      content: createScoreTable(board.entries),
+      items,
+      onBack: back
+    });
+  }
+
+  /**
+   * Show the personal bests for a high score table
+   * @param {Object} board - Table (from HighScoreStore.getBoards())
+   * @param {Function} back - Shows the page to go back to
+   */
+  showPersonalBests(board, back) {
+    this.menu.show({
+      title: 'Personal bests',
+      text: describeBoard(board),
+      content: createBestsTable(this.highScores.getPersonalBests(board.arena, board.difficulty, board.mode)),
+      items: [{ label: 'Back', onSelect: back }],
+      onBack: back
+    });
+  }
+
+  /**
+   * Show the top of the shared leaderboard and where the player stands on it
+   * @param {Object} board - Table (from HighScoreStore.getBoards())
+   * @param {Function} back - Shows the page to go back to
+   */
+  async showSharedLeaderboard(board, back) {
+    const loading = {
+      title: 'Shared leaderboard',
+      text: 'Loading...',
+      items: [{ label: 'Back', onSelect: back }],
+      onBack: back
+    };
+    this.menu.show(loading);
+
+    let page;
+    try {
+      const [top, around] = await Promise.all([
+        this.leaderboard.getTopScores(board),
+        this.leaderboard.getAroundMe(board)
+      ]);
+
+      const own = around.entries.find(entry => entry.playerId === this.leaderboard.playerId);
+      const content = document.createElement('div');
+      content.appendChild(createScoreTable(top, own && own.id));
+
+      // Show the player's neighbours when they're below the top
+      if (own && !top.some(entry => entry.id === own.id)) {
+        const table = createScoreTable(around.entries, own.id);
+        table.style.marginTop = '16px';
+        content.appendChild(table);
+      }
+
+      page = {
+        ...loading,
+        text: [
+          `${describeBoard(board)}. ${this.leaderboard.adapter.description}.`,
+          around.rank > 0 ? `Your best is #${around.rank}.` : "You aren't on this table yet."
+        ].join('\n'),
+        content
+      };
+    } catch (error) {
+      console.warn('Failed to load leaderboard:', error);
+      page = { ...loading, text: `The leaderboard could not be loaded: ${error.message}` };
+    }
+
+    // Unless the player went elsewhere while it loaded
+    if (this.menu.page === loading) {
+      this.menu.show(page);
+    }
+  }
+
+  /**
+   * Send the run just finished to the shared leaderboard
+   * @param {Object} results - Results from GameManager.getResults()
+   * @param {HTMLElement} status - Element to report the outcome in
+   */
+  async submitRun(results, status) {
+    status.textContent = 'Sending to the shared leaderboard...';
+
+    try {
+      const { rank } = await this.leaderboard.submitRun(results, this.highScores.getLastName(), this.game.runReplay);
+      status.textContent = `Shared leaderboard: #${rank}`;
+    } catch (error) {
+      console.warn('Run not submitted:', error);
+      status.textContent = `Not on the shared leaderboard: ${error.message}`;
+    }
+  }
+
+  /**
+   * Show a page of recent runs, newest first
+   * @param {number} page - Page number
+   */
+  showRunHistory(page = 0) {
+    const back = () => this.showLeaderboards();
+    const history = this.highScores.getHistory();
+    const pageCount = Math.max(Math.ceil(history.length / HISTORY_PAGE_SIZE), 1);
+    const start = page * HISTORY_PAGE_SIZE;
+
+    const items = history.slice(start, start + HISTORY_PAGE_SIZE).map(entry => ({
+      label: describeRun(entry),
+      onSelect: () => this.showRun(entry, () => this.showRunHistory(page))
+    }));
+
+    items.push(
+      { label: 'Newer runs', onSelect: () => this.showRunHistory(page - 1), disabled: page === 0 },
+      { label: 'Older runs', onSelect: () => this.showRunHistory(page + 1), disabled: page >= pageCount - 1 },
+      { label: 'Back', onSelect: back }
+    );
+
+    this.menu.show({
+      title: 'Run history',
+      text: `Page ${page + 1} of ${pageCount}`,
+      items,
+      onBack: back
+    });
+  }
+
+  /**
+   * Show the full results of a recorded run
+   * @param {Object} entry - Run entry (see HighScoreStore)
+   * @param {Function} back - Shows the page to go back to
+   */
+  showRun(entry, back) {
+    this.menu.show({
+      title: getOutcomeTitle(entry),
+      text: [
+        `${entry.name}, ${new Date(entry.timestamp).toLocaleString()}`,
+        `${describeBoard(entry)}, seed ${entry.seed}`
+      ].join('\n'),
+      content: createResultsTable(entry),
+      items: [{ label: 'Back', onSelect: back }],
+      onBack: back
+    });
+  }
+
+  /**
+   * Show a page of text with a Back button
+   * @param {string} title - Heading
+   * @param {string} text - Text
+   * @param {Function} back - Shows the page to go back to
+   */
+  showTextPage(title, text, back) {
+    this.menu.show({ title, text, items: [{ label: 'Back', onSelect: back }], onBack: back });
+  }
+
+  /**
+   * Get a bus volume (the running game's, or the saved setting)
+   * @param {string} bus - Bus name
+   * @returns {number} Volume (0-1)
+   */
+  getVolume(bus) {
+    if (this.game && this.game.audioManager) {
+      return this.game.audioManager.getVolume(bus);
+    }
+
+    return this.volumes[bus] ?? 1;
+  }
+
+  /**
+   * Change and remember a bus volume
+   * @param {string} bus - Bus name
+   * @param {number} volume - Volume (0-1)
+   */
+  setVolume(bus, volume) {
+    this.volumes[bus] = volume;
+    saveVolumes(this.volumes);
+
+    if (this.game && this.game.audioManager) {
+      this.game.audioManager.setVolume(bus, volume);
+    }
+  }
+
+  /**
+   * Start a run from scratch, throwing away any saved run
+   * @param {Object} options - Game options (see Game)
+   */
+  startNewRun(options = {}) {
+    if (this.save) {
+      this.save = null;
+      this.saveStore.clear().catch(error => console.warn('Failed to clear saved run:', error));
+    }
+
+    this.startGame({ director: this.getDirectorStart(), ...options });
+  }
+
+  /**
+   * Get the adaptive difficulty state for a new run
+   * @returns {Object|null} Where the last run's director left off ({} the first time), or null when switched off
+   */
+  getDirectorStart() {
+    return this.adaptive ? this.directorState || {} : null;
+  }
+
+  /**
+   * Swap whatever is running for a replay
+   * @param {Object} replay - Replay (see replayFile.js)
+   */
+  watchReplay(replay) {
+    this.startGame({ replay });
+  }
+
+  /**
+   * Create a game and play it
+   * @param {Object} options - Game options (see Game)
+   */
+  startGame(options = {}) {
+    if (!this.setState(GAME_STATES.PLAYING)) return;
+
+    this.clearGameOverTimer();
+    this.disposeGame();
+    this.menu.hide();
+    this.lastRun = null;
+
+    this.game = new Game(this.container, this.loadingManager, { highScores: this.highScores, ...options });
+
+    if (this.game.audioManager) {
+      for (const bus in this.volumes) {
+        this.game.audioManager.setVolume(bus, this.volumes[bus]);
+      }
+    }
+
+    this.game.events.on('runOver', this.handleRunOver, this);
+    this.game.events.on('waveCompleted', this.startIntermission, this);
+    this.game.events.on('waveStarted', this.endIntermission, this);
+
+    this.game.start();
+    this.lockPointer();
+  }
+
+  /**
+   * Freeze the game and show the pause menu
+   */
+  pause() {
+    if (this.state !== GAME_STATES.PLAYING && this.state !== GAME_STATES.INTERMISSION) return;
+
+    this.resumeState = this.state;
+    this.setState(GAME_STATES.PAUSED);
+
+    this.game.stop();
+    this.releasePointer();
+    this.showPauseMenu();
+  }
+
+  /**
+   * Close the pause menu and carry on
+   */
+  resume() {
+    if (this.state !== GAME_STATES.PAUSED) return;
+
+    this.setState(this.resumeState);
+    this.menu.hide();
+
+    this.game.start();
+    this.lockPointer();
+  }
+
+  /**
+   * Enter the break between waves
+   */
+  startIntermission() {
+    if (this.state === GAME_STATES.PLAYING) {
+      this.setState(GAME_STATES.INTERMISSION);
+    }
+  }
+
+  /**
+   * Leave the break between waves
+   */
+  endIntermission() {
+    if (this.state === GAME_STATES.INTERMISSION) {
+      this.setState(GAME_STATES.PLAYING);
+    }
+  }
+
+  /**
+   * Record the run, show Game Over (or Victory), then the results
+   * Replays are left alone, as they have their own timeline to scrub.
+   * @param {Object} results - Results from GameManager.getResults()
+   */
+  handleRunOver(results) {
+    if (this.game.replay || !this.setState(GAME_STATES.GAME_OVER)) return;
+
+    if (results.director) {
+      this.directorState = { level: results.director.level, deaths: results.director.deaths };
+    }
+
+    // Anyone can write a mission, so mission scores stay off the tables
+    this.lastRun = results.mode === 'mission' ? null : this.highScores.recordRun(results);
+
+    this.releasePointer();
+    this.menu.show({ title: getOutcomeTitle(results) });
+
+    this.gameOverTimer = setTimeout(() => this.showResults(results), GAME_CONFIG.menu.gameOverDelay * 1000);
+  }
+
+  /**
+   * Stop the game and show how the run went
+   * @param {Object} results - Results from GameManager.getResults()
+   */
+  showResults(results) {
+    this.gameOverTimer = null;
+    if (!this.setState(GAME_STATES.RESULTS)) return;
+
+    this.game.stop();
+
+    if (this.lastRun && this.lastRun.rank > 0) {
+      this.showNameEntry(results);
+    } else {
+      this.showResultsPage(results);
+    }
+  }
+
+  /**
+   * Ask for a name to put on the high score table
+   * @param {Object} results - Results from GameManager.getResults()
+   */
+  showNameEntry(results) {
+    const { entry, rank } = this.lastRun;
+    const next = () => this.showResultsPage(results);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = entry.name;
+    input.maxLength = GAME_CONFIG.scores.nameLength;
+    input.style.width = '100%';
+    input.style.boxSizing = 'border-box';
+    input.style.padding = '8px 12px';
+    input.style.border = 'none';
+    input.style.borderRadius = '4px';
+    input.style.fontFamily = 'Arial, sans-serif';
+    input.style.fontSize = '18px';
+    input.style.textAlign = 'center';
+
+    this.menu.show({
+      title: 'New high score!',
+      text: `#${rank} on the ${describeBoard(entry)} table. Enter your name:`,
+      content: input,
+      items: [
+        {
+          label: 'Save name',
+          onSelect: () => {
+            this.highScores.setName(entry.id, input.value);
+            next();
+          }
+        },
+        { label: 'Skip', onSelect: next }
+      ],
+      onBack: next
+    });
+
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Show the stats breakdown, with any personal bests and the table the run made
+   * @param {Object} results - Results from GameManager.getResults()
+   */
+  showResultsPage(results) {
+    const content = document.createElement('div');
+    content.appendChild(createResultsTable(results));
+
+    const { entry, rank, newBests } = this.lastRun || { newBests: [] };
+    if (rank > 0) {
+      const table = createScoreTable(this.highScores.getBoard(entry.arena, entry.difficulty, entry.mode), entry.id);
+      table.style.marginTop = '16px';
+      content.appendChild(table);
+    }
+
+    // Replays and missions aren't recorded, so they aren't submitted either
+    if (this.lastRun) {
+      const status = document.createElement('div');
+      status.style.marginTop = '12px';
+      status.style.fontSize = '14px';
+      content.appendChild(status);
+      this.submitRun(results, status);
+    }
+
+    this.menu.show({
+      title: getOutcomeTitle(results),
+      text: newBests.length > 0 ? `NEW BEST: ${newBests.map(stat => stat.label).join(', ')}` : '',
+      content,
+      items: [
+        {
+          label: 'Retry',
+          onSelect: () => this.startNewRun({ mode: results.mode, script: this.game.script, difficulty: results.difficulty })
+        },
+        { label: 'Main menu', onSelect: () => this.returnToMainMenu() }
+      ]
+    });
+  }
+
+  /**
+   * Save the run (so it can be continued), close it and show the main menu
+   */
+  async returnToMainMenu() {
+    if (!this.setState(GAME_STATES.MAIN_MENU)) return;
+
+    this.menu.hide();
+
+    if (this.game) {
+      await this.game.saveRun();
+      this.disposeGame();
+    }
+
+    await this.loadSave();
+
+    // Something else may have started while saving
+    if (this.state === GAME_STATES.MAIN_MENU) {
+      this.showMainMenu();
+    }
+  }
+
+  /**
+   * Capture the mouse for aiming
+   * Browsers only allow this from a click or key press, so resuming from the
+   * gamepad falls back to clicking the game to capture it.
+   */
+  lockPointer() {
+    if (!this.game || this.game.replay || !this.game.renderer) return;
+
+    const request = this.game.renderer.domElement.requestPointerLock();
+    if (request && request.catch) {
+      request.catch(error => console.warn('Pointer lock not granted:', error.message));
+    }
+  }
+
+  /**
+   * Give the mouse back for the menus
+   */
+  releasePointer() {
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+  }
+
+  /**
+   * Pause when the pointer is let go mid-game (the browser's own Escape)
+   */
+  handlePointerLockChange() {
+    if (!document.pointerLockElement && this.game && !this.game.replay) {
+      this.pause();
+    }
+  }
+
+  /**
+   * Pause when the tab is hidden
+   */
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.pause();
+    }
+  }
+
+  /**
+   * Handle the pause keys
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeyDown(event) {
+    if (event.repeat || !DEFAULT_KEY_MAP.pause.includes(event.code)) return;
+
+    if (this.state === GAME_STATES.PAUSED) {
+      this.resume();
+    } else if (this.state === GAME_STATES.PLAYING || this.state === GAME_STATES.INTERMISSION) {
+      this.pause();
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+  }
+
+  /**
+   * Handle a gamepad button press
+   * @param {string} action - Action name (see GAMEPAD_BUTTONS)
+   */
+  handleGamepadPress(action) {
+    if (action !== 'pause') {
+      this.menu.handleAction(action);
+    } else if (this.state === GAME_STATES.PAUSED) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * Read the gamepad every frame, whether or not the game is running
+   */
+  pollGamepad() {
+    this.frameRequest = requestAnimationFrame(this.pollGamepad);
+    this.gamepad.poll();
+  }
+
+  /**
+   * Cancel a pending switch from Game Over to the results
+   */
+  clearGameOverTimer() {
+    if (this.gameOverTimer !== null) {
+      clearTimeout(this.gameOverTimer);
+      this.gameOverTimer = null;
+    }
+  }
+
+  /**
+   * Close the current game
+   */
+  disposeGame() {
+    if (this.game) {
+      this.game.dispose();
+      this.game = null;
+    }
+  }
+
+  /**
+   * Close the game and menus
+   */
+  dispose() {
+    cancelAnimationFrame(this.frameRequest);
+    this.clearGameOverTimer();
+    this.disposeGame();
+    this.menu.dispose();
+
+    document.removeEventListener('keydown', this.handleKeyDown);
+    document.removeEventListener('pointerlockchange', this.handlePointerLockChange);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+}
@@ -0,0 +1,434 @@
+/**
+ * Sound effect definitions and the synthesizer that renders them.
+ *
+ * Every sound in the game is built from a handful of oscillator and filtered
+ * noise layers, so no audio files need to be loaded.
+ */
+
+/**
+ * Sound definitions
+ *
+ * Each definition describes which bus the sound plays on, its voice priority
+ * (higher survives voice stealing), whether it ducks the music, an optional
+ * retrigger cooldown, and a list of layers. Layer times and durations are in seconds.
+ */
+export const SOUND_DEFINITIONS = {
+  // Weapons
+  weapon_fire: {
+    bus: 'sfx',
+    priority: 1,
+    layers: [
+      { kind: 'tone', type: 'square', frequency: 880, endFrequency: 220, duration: 0.12, volume: 0.25 },
+      { kind: 'noise', filterType: 'bandpass', frequency: 3000, endFrequency: 800, Q: 1.5, duration: 0.08, volume: 0.3 }
+    ]
+  },
+  weapon_charged_fire: {
+    bus: 'sfx',
+    priority: 3,
+    duck: true,
+    layers: [
+      { kind: 'tone', type: 'sawtooth', frequency: 220, endFrequency: 55, duration: 0.35, volume: 0.3 },
+      { kind: 'tone', type: 'sine', frequency: 1760, endFrequency: 440, duration: 0.2, volume: 0.2 },
+      { kind: 'noise', filterType: 'lowpass', frequency: 2000, endFrequency: 300, duration: 0.3, volume: 0.35 }
+    ]
+  },
+  weapon_reload: {
+    bus: 'sfx',
+    priority: 2,
+    layers: [
+      { kind: 'noise', filterType: 'highpass', frequency: 2500, duration: 0.05, volume: 0.35 },
+      { kind: 'tone', type: 'triangle', frequency: 300, endFrequency: 600, delay: 0.15, duration: 0.25, volume: 0.2 },
+      { kind: 'noise', filterType: 'highpass', frequency: 3500, delay: 0.45, duration: 0.06, volume: 0.4 }
+    ]
+  },
+  weapon_empty: {
+    bus: 'sfx',
+    priority: 2,
+    layers: [
+      { kind: 'tone', type: 'square', frequency: 1200, endFrequency: 1100, duration: 0.03, volume: 0.2 },
+      { kind: 'noise', filterType: 'highpass', frequency: 5000, duration: 0.02, volume: 0.25 }
+    ]
+  },
+
+  // Hit markers
+  hit: {
+    bus: 'ui',
+    priority: 2,
+    layers: [
+      { kind: 'tone', type: 'sine', frequency: 1800, endFrequency: 1400, duration: 0.06, volume: 0.3 }
+    ]
+  },
+  hitCritical: {
+    bus: 'ui',
+    priority: 3,
+    layers: [
+      { kind: 'tone', type: 'sine', frequency: 2200, endFrequency: 1800, duration: 0.08, volume: 0.35 },
+      { kind: 'tone', type: 'triangle', frequency: 3300, endFrequency: 2600, delay: 0.04, duration: 0.1, volume: 0.25 }
+    ]
+  },
+
+  // Screen effects
+  damage: {
+    bus: 'sfx',
+    priority: 4,
+    duck: true,
+    cooldown: 0.25, // Hazards deal damage every frame
+    layers: [
+      { kind: 'tone', type: 'sawtooth', frequency: 160, endFrequency: 60, duration: 0.3, volume: 0.35 },
+      { kind: 'noise', filterType: 'lowpass', frequency: 900, endFrequency: 200, duration: 0.25, volume: 0.4 }
+    ]
+  },
+  heal: {
+    bus: 'sfx',
+    priority: 3,
+    layers: [
+      { kind: 'tone', type: 'sine', frequency: 440, endFrequency: 880, duration: 0.4, attack: 0.05, volume: 0.25 },
+      { kind: 'tone', type: 'sine', frequency: 660, endFrequency: 1320, delay: 0.1, duration: 0.4, attack: 0.05, volume: 0.15 }
+    ]
+  },
+  critical: {
+    bus: 'sfx',
+    priority: 3,
+    layers: [
+      { kind: 'tone', type: 'square', frequency: 1000, endFrequency: 2000, duration: 0.15, volume: 0.2 },
+      { kind: 'noise', filterType: 'bandpass', frequency: 4000, Q: 2, duration: 0.1, volume: 0.2 }
+    ]
+  },
+  shield: {
+    bus: 'sfx',
+    priority: 3,
+    layers: [
+      { kind: 'tone', type: 'sine', frequency: 600, endFrequency: 300, duration: 0.35, volume: 0.3, vibrato: 30 },
+      { kind: 'noise', filterType: 'bandpass', frequency: 1500, Q: 4, duration: 0.2, volume: 0.2 }
+    ]
+  },
+
+  // World impacts
+  impact_hit: {
+    bus: 'sfx',
+    priority: 1,
+    layers: [
+      { kind: 'noise', filterType: 'bandpass', frequency: 1200, endFrequency: 400, Q: 1, duration: 0.1, volume: 0.35 }
+    ]
+  },
+  impact_critical: {
+    bus: 'sfx',
+    priority: 2,
+    layers: [
+      { kind: 'noise', filterType: 'bandpass', frequency: 2000, endFrequency: 500, Q: 1, duration: 0.12, volume: 0.4 },
+      { kind: 'tone', type: 'triangle', frequency: 900, endFrequency: 300, duration: 0.15, volume: 0.2 }
+    ]
+  },
+  impact_shield: {
+    bus: 'sfx',
+    priority: 2,
+    layers: [
+      { kind: 'tone', type: 'sine', frequency: 1400, endFrequency: 700, duration: 0.2, volume: 0.25, vibrato: 40 },
+      { kind: 'noise', filterType: 'highpass', frequency: 3000, duration: 0.08, volume: 0.2 }
+    ]
+  },
+  impact_explosive: {
+    bus: 'sfx',
+    priority: 3,
+    duck: true,
+    layers: [
+      { kind: 'noise', filterType: 'lowpass', frequency: 1200, endFrequency: 150, duration: 0.6, volume: 0.6 },
+      { kind: 'tone', type: 'sine', frequency: 120, endFrequency: 40, duration: 0.5, volume: 0.5 }
+    ]
+  },
+  explosion: {
+    bus: 'sfx',
+    priority: 4,
+    duck: true,
+    layers: [
+      { kind: 'noise', filterType: 'lowpass', frequency: 2000, endFrequency: 100, duration: 1.2, volume: 0.7 },
+      { kind: 'tone', type: 'sine', frequency: 90, endFrequency: 30, duration: 0.9, volume: 0.6 },
+      { kind: 'noise', filterType: 'bandpass', frequency: 600, Q: 0.7, delay: 0.05, duration: 0.8, volume: 0.3 }
+    ]
+  },
+
+  // Enemy attacks (played positionally)
+  drone_shot: {
+    bus: 'sfx',
+    priority: 1,
+    layers: [
+      { kind: 'tone', type: 'square', frequency: 1400, endFrequency: 500, duration: 0.1, volume: 0.2 }
+    ]
+  },
+  soldier_shot: {
+    bus: 'sfx',
+    priority: 1,
+    layers: [
+      { kind: 'tone', type: 'sawtooth', frequency: 600, endFrequency: 150, duration: 0.1, volume: 0.25 },
+      { kind: 'noise', filterType: 'bandpass', frequency: 2000, endFrequency: 600, Q: 1.2, duration: 0.07, volume: 0.3 }
+    ]
+  },
+  elite_blast: {
+    bus: 'sfx',
+    priority: 2,
+    layers: [
+      { kind: 'tone', type: 'sine', frequency: 300, endFrequency: 900, duration: 0.3, attack: 0.05, volume: 0.35, vibrato: 60 },
+      { kind: 'noise', filterType: 'lowpass', frequency: 1500, endFrequency: 400, duration: 0.3, volume: 0.25 }
+    ]
+  },
+  commander_beam: {
+    bus: 'sfx',
+    priority: 3,
+    layers: [
+      { kind: 'tone', type: 'sawtooth', frequency: 220, endFrequency: 180, duration: 0.5, attack: 0.02, volume: 0.3, vibrato: 20 },
+      { kind: 'tone', type: 'square', frequency: 440, endFrequency: 360, duration: 0.5, attack: 0.02, volume: 0.12 }
+    ]
+  },
+
+  // Player movement
+  jump: {
+    bus: 'sfx',
+    priority: 1,
+    layers: [
+      { kind: 'noise', filterType: 'lowpass', frequency: 800, endFrequency: 300, duration: 0.12, volume: 0.25 }
+    ]
+  },
+  dodge: {
+    bus: 'sfx',
+    priority: 2,
+    layers: [
+      { kind: 'noise', filterType: 'bandpass', frequency: 600, endFrequency: 2400, Q: 0.8, duration: 0.25, attack: 0.05, volume: 0.3 }
+    ]
+  },
+  footstep: {
+    bus: 'sfx',
+    priority: 0,
+    layers: [
+      { kind: 'noise', filterType: 'lowpass', frequency: 400, endFrequency: 150, duration: 0.07, volume: 0.2 }
+    ]
+  },
+
+  // Interface
+  ui_select: {
+    bus: 'ui',
+    priority: 2,
+    layers: [
+      { kind: 'tone', type: 'sine', frequency: 1000, duration: 0.04, volume: 0.2 }
+    ]
+  },
+  ui_confirm: {
+    bus: 'ui',
+    priority: 2,
+    layers: [
+      { kind: 'tone', type: 'sine', frequency: 800, duration: 0.06, volume: 0.2 },
+      { kind: 'tone', type: 'sine', frequency: 1200, delay: 0.06, duration: 0.08, volume: 0.2 }
+    ]
+  }
+};
+
+/**
+ * Loop definitions
+ *
+ * Continuous sounds attached to moving emitters (see SpatialAudio). A loop is
+ * a single oscillator through a low-pass filter with optional tremolo.
+ */
+export const LOOP_DEFINITIONS = {
+  drone_hum: {
+    type: 'sawtooth',
+    frequency: 110,
+    filterFrequency: 500,
+    tremoloRate: 9, // Hz
+    tremoloDepth: 0.4,
+    volume: 0.12
+  },
+  hazard_hum: {
+    type: 'square',
+    frequency: 55,
+    filterFrequency: 300,
+    tremoloRate: 3,
+    tremoloDepth: 0.6,
+    volume: 0.15
+  }
+};
+
+/**
+ * SoundSynth - Renders sound definitions into Web Audio node graphs
+ */
+export class SoundSynth {
+  constructor(context) {
+    this.context = context;
+
+    // Shared white noise buffer, created on first use
+    this.noiseBuffer = null;
+  }
+
+  /**
+   * Get (or lazily create) a one second white noise buffer
+   * @returns {AudioBuffer} Noise buffer
+   */
+  getNoiseBuffer() {
+    if (!this.noiseBuffer) {
+      const length = this.context.sampleRate;
+      this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+      const data = this.noiseBuffer.getChannelData(0);
+
+      for (let i = 0; i < length; i++) {
+        data[i] = Math.random() * 2 - 1;
+      }
+    }
+
+    return this.noiseBuffer;
+  }
+
+  /**
+   * Render a sound definition
+   * @param {Object} definition - Sound definition from SOUND_DEFINITIONS
+   * @param {AudioNode} destination - Node the sound connects to
+   * @param {Object} options - Playback options (volume, pitch)
+   * @returns {Object} Rendered voice ({ sources, duration })
+   */
+  render(definition, destination, options = {}) {
+    const startTime = this.context.currentTime;
+    const pitch = options.pitch ?? 1;
+    const volume = options.volume ?? 1;
+    const sources = [];
+    let duration = 0;
+
+    definition.layers.forEach(layer => {
+      const layerStart = startTime + (layer.delay || 0);
+      const layerSources = layer.kind === 'noise' ?
+        this.createNoiseLayer(layer, destination, layerStart, pitch, volume) :
+        this.createToneLayer(layer, destination, layerStart, pitch, volume);
+
+      sources.push(...layerSources);
+      duration = Math.max(duration, (layer.delay || 0) + layer.duration);
+    });
+
+    return { sources, duration };
+  }
+
+  /**
+   * Render a looping sound that plays until its sources are stopped
+   * @param {Object} definition - Loop definition from LOOP_DEFINITIONS
+   * @param {AudioNode} destination - Node the loop connects to
+   * @returns {Object} Rendered loop ({ sources, output })
+   */
+  renderLoop(definition, destination) {
+    const now = this.context.currentTime;
+
+    const output = this.context.createGain();
+    output.gain.value = definition.volume;
+    output.connect(destination);
+
+    const tremolo = this.context.createGain();
+    tremolo.connect(output);
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = definition.filterFrequency;
+    filter.connect(tremolo);
+
+    const oscillator = this.context.createOscillator();
+    oscillator.type = definition.type;
+    oscillator.frequency.value = definition.frequency;
+    oscillator.connect(filter);
+    oscillator.start(now);
+
+    const sources = [oscillator];
+
+    if (definition.tremoloRate) {
+      const lfo = this.context.createOscillator();
+      const lfoGain = this.context.createGain();
+      lfo.frequency.value = definition.tremoloRate;
+      lfoGain.gain.value = definition.tremoloDepth / 2;
+      tremolo.gain.value = 1 - definition.tremoloDepth / 2;
+      lfo.connect(lfoGain);
+      lfoGain.connect(tremolo.gain);
+      lfo.start(now);
+      sources.push(lfo);
+    }
+
+    return { sources, output };
+  }
+
+  /**
+   * Create an amplitude envelope
+   * @param {number} startTime - Context time the layer starts
+   * @param {Object} layer - Layer definition
+   * @param {number} volume - Volume multiplier
+   * @returns {GainNode} Envelope gain node
+   */
+  createEnvelope(startTime, layer, volume) {
+    const envelope = this.context.createGain();
+    const attack = layer.attack ?? 0.005;
+    const peak = (layer.volume ?? 1) * volume;
+
+    envelope.gain.setValueAtTime(0.0001, startTime);
+    envelope.gain.exponentialRampToValueAtTime(Math.max(peak, 0.0001), startTime + attack);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, startTime + layer.duration);
+
+    return envelope;
+  }
+
+  /**
+   * Create an oscillator layer
+   * @returns {AudioScheduledSourceNode[]} Sources created for the layer
+   */
+  createToneLayer(layer, destination, startTime, pitch, volume) {
+    const oscillator = this.context.createOscillator();
+    oscillator.type = layer.type || 'sine';
+    oscillator.frequency.setValueAtTime(layer.frequency * pitch, startTime);
+
+    if (layer.endFrequency) {
+      oscillator.frequency.exponentialRampToValueAtTime(layer.endFrequency * pitch, startTime + layer.duration);
+    }
+
+    const envelope = this.createEnvelope(startTime, layer, volume);
+    oscillator.connect(envelope);
+    envelope.connect(destination);
+
+    const sources = [oscillator];
+
+    // Optional vibrato for shimmering shield sounds
+    if (layer.vibrato) {
+      const lfo = this.context.createOscillator();
+      const lfoGain = this.context.createGain();
+      lfo.frequency.value = 12;
+      lfoGain.gain.value = layer.vibrato * pitch;
+      lfo.connect(lfoGain);
+      lfoGain.connect(oscillator.frequency);
+      lfo.start(startTime);
+      lfo.stop(startTime + layer.duration);
+      sources.push(lfo);
+    }
+
+    oscillator.start(startTime);
+    oscillator.stop(startTime + layer.duration);
+
+    return sources;
+  }
+
+  /**
+   * Create a filtered noise layer
+   * @returns {AudioScheduledSourceNode[]} Sources created for the layer
+   */
+  createNoiseLayer(layer, destination, startTime, pitch, volume) {
+    const source = this.context.createBufferSource();
+    source.buffer = this.getNoiseBuffer();
+    source.loop = true;
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = layer.filterType || 'lowpass';
+    filter.frequency.setValueAtTime(layer.frequency * pitch, startTime);
+    filter.Q.value = layer.Q ?? 1;
+
+    if (layer.endFrequency) {
+      filter.frequency.exponentialRampToValueAtTime(layer.endFrequency * pitch, startTime + layer.duration);
+    }
+
+    const envelope = this.createEnvelope(startTime, layer, volume);
+    source.connect(filter);
+    filter.connect(envelope);
+    envelope.connect(destination);
+
+    source.start(startTime);
+    source.stop(startTime + layer.duration);
+
+    return [source];
+  }
+}
@@ -0,0 +1,459 @@
+import { SOUND_DEFINITIONS, SoundSynth } from './effects.js';
+import { AdaptiveMusic } from './music.js';
+import { SpatialAudio } from './spatial.js';
+
+/**
+ * AudioManager - Web Audio mixer with master/music/SFX/UI buses
+ *
+ * Routing:
+ *   sfx   ─┐
+ *   ui    ─┼─> master ─> destination
+ *   music ─> duck ─┘
+ */
+export class AudioManager {
+  constructor(options = {}) {
+    this.options = Object.assign({
+      context: null, // Optional AudioContext (or stand-in) to use instead of creating one
+      masterVolume: 0.8,
+      musicVolume: 0.5,
+      sfxVolume: 0.8,
+      uiVolume: 0.7,
+      maxVoices: 24, // Simultaneous one-shot sounds
+      duckAmount: 0.6, // Fraction of music volume removed while ducked
+      duckAttack: 0.05, // seconds
+      duckRelease: 0.6, // seconds
+      duckHold: 0.3, // seconds
+      music: {}, // AdaptiveMusic options
+      spatial: {}, // SpatialAudio options
+    }, options);
+
+    this.context = null;
+    this.buses = {};
+    this.duckNode = null;
+    this.volumes = {
+      master: this.options.masterVolume,
+      music: this.options.musicVolume,
+      sfx: this.options.sfxVolume,
+      ui: this.options.uiVolume
+    };
+    this.muted = false;
+    this.paused = false; // Frozen by setPaused (gestures don't resume it)
+
+    // Sound library
+    this.sounds = Object.assign({}, SOUND_DEFINITIONS);
+    this.synth = null;
+    this.music = null;
+    this.spatial = null;
+
+    // Active one-shot voices
+    this.voices = [];
+    this.lastPlayed = new Map(); // Sound name -> context time
+
+    // Flags
+    this.initialized = false;
+
+    // Bind methods
+    this.resume = this.resume.bind(this);
+  }
+
+  /**
+   * Create the audio context and bus graph
+   * @returns {boolean} Whether audio is available
+   */
+  init() {
+    if (this.initialized) return true;
+
+    try {
+      this.context = this.options.context || this.createContext();
+    } catch (error) {
+      console.error('Failed to create audio context:', error);
+      this.context = null;
+    }
+
+    if (!this.context) {
+      console.warn('Web Audio not available, audio disabled');
+      return false;
+    }
+
+    // Create buses
+    this.buses.master = this.context.createGain();
+    this.buses.master.connect(this.context.destination);
+
+    this.duckNode = this.context.createGain();
+    this.duckNode.connect(this.buses.master);
+
+    this.buses.music = this.context.createGain();
+    this.buses.music.connect(this.duckNode);
+
+    this.buses.sfx = this.context.createGain();
+    this.buses.sfx.connect(this.buses.master);
+
+    this.buses.ui = this.context.createGain();
+    this.buses.ui.connect(this.buses.master);
+
+    Object.keys(this.volumes).forEach(bus => this.applyVolume(bus));
+
+    this.synth = new SoundSynth(this.context);
+    this.music = new AdaptiveMusic(this, this.options.music);
+    this.spatial = new SpatialAudio(this, this.options.spatial);
+
+    // Browsers keep the context suspended until a user gesture
+    if (typeof document !== 'undefined') {
+      document.addEventListener('pointerdown', this.resume);
+      document.addEventListener('keydown', this.resume);
+    }
+
+    this.initialized = true;
+    console.log('Audio Manager initialized');
+    return true;
+  }
+
+  /**
+   * Create a browser audio context
+   * @returns {AudioContext|null} Audio context
+   */
+  createContext() {
+    if (typeof window === 'undefined') return null;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    return AudioContextClass ? new AudioContextClass() : null;
+  }
+
+  /**
+   * Resume a suspended audio context (call from a user gesture)
+   */
+  resume() {
+    if (!this.context || this.paused || this.context.state !== 'suspended') return;
+
+    this.context.resume().catch(error => {
+      console.error('Failed to resume audio context:', error);
+    });
+  }
+
+  /**
+   * Freeze or unfreeze all sound (e.g. while the game is paused)
+   * @param {boolean} paused - Whether sound is frozen
+   */
+  setPaused(paused) {
+    this.paused = paused;
+    if (!this.context) return;
+
+    if (paused) {
+      this.context.suspend().catch(error => {
+        console.error('Failed to suspend audio context:', error);
+      });
+    } else {
+      this.resume();
+    }
+  }
+
+  /**
+   * Get a bus node so other systems can route into the mixer
+   * @param {string} bus - Bus name (master, music, sfx, ui)
+   * @returns {GainNode|null} Bus node
+   */
+  getBus(bus) {
+    return this.buses[bus] || null;
+  }
+
+  /**
+   * Register or replace a sound definition
+   * @param {string} name - Sound name
+   * @param {Object} definition - Sound definition (see SOUND_DEFINITIONS)
+   */
+  registerSound(name, definition) {
+    this.sounds[name] = definition;
+  }
+
+  /**
+   * Play a one-shot sound
+   * @param {string} name - Sound name
+   * @param {Object} options - Playback options
+   * @param {number} options.volume - Volume multiplier
+   * @param {number} options.pitch - Pitch multiplier
+   * @param {string} options.bus - Override the definition's bus
+   * @param {AudioNode} options.destination - Route into this node instead of a bus
+   * @returns {Object|null} Voice, or null if the sound was not played
+   */
+  playSound(name, options = {}) {
+    if (!this.initialized) return null;
+
+    const definition = this.sounds[name];
+    if (!definition) {
+      console.warn(`Unknown sound: ${name}`);
+      return null;
+    }
+
+    // Respect the retrigger cooldown
+    const now = this.context.currentTime;
+    if (definition.cooldown && now - (this.lastPlayed.get(name) ?? -Infinity) < definition.cooldown) {
+      return null;
+    }
+
+    const priority = options.priority ?? definition.priority ?? 0;
+
+    // Enforce the voice limit
+    this.pruneVoices();
+    if (this.voices.length >= this.options.maxVoices && !this.stealVoice(priority)) {
+      return null;
+    }
+
+    // Per-voice gain so the voice can be cut off when stolen
+    const output = this.context.createGain();
+    output.connect(options.destination || this.getBus(options.bus || definition.bus) || this.buses.sfx);
+
+    const rendered = this.synth.render(definition, output, options);
+    const voice = {
+      name,
+      priority,
+      output,
+      sources: rendered.sources,
+      startTime: now,
+      endTime: now + rendered.duration
+    };
+
+    this.voices.push(voice);
+    this.lastPlayed.set(name, now);
+
+    if (definition.duck) {
+      this.duck();
+    }
+
+    return voice;
+  }
+
+  /**
+   * Play a one-shot sound at a world position
+   * @param {string} name - Sound name
+   * @param {THREE.Vector3} position - World position
+   * @param {Object} options - Playback options (see playSound)
+   * @returns {Object|null} Voice, or null if the sound was not played
+   */
+  playSoundAt(name, position, options = {}) {
+    if (!this.initialized) return null;
+
+    return this.spatial.playAt(name, position, options);
+  }
+
+  /**
+   * Attach a looping positional sound to an object
+   * @param {THREE.Object3D} object - Object the loop follows
+   * @param {string} loopName - Loop name
+   * @returns {Object|null} Emitter handle for detachLoop
+   */
+  attachLoop(object, loopName) {
+    if (!this.initialized) return null;
+
+    return this.spatial.createEmitter(object, loopName);
+  }
+
+  /**
+   * Stop a looping positional sound
+   * @param {Object} emitter - Emitter returned by attachLoop
+   */
+  detachLoop(emitter) {
+    if (!this.initialized) return;
+
+    this.spatial.removeEmitter(emitter);
+  }
+
+  /**
+   * Drop voices that have finished playing
+   */
+  pruneVoices() {
+    const now = this.context.currentTime;
+
+    this.voices = this.voices.filter(voice => {
+      if (voice.endTime > now) return true;
+
+      voice.output.disconnect();
+      return false;
+    });
+  }
+
+  /**
+   * Stop the oldest, lowest priority voice to make room for a new one
+   * @param {number} priority - Priority of the sound that wants to play
+   * @returns {boolean} Whether a voice was freed
+   */
+  stealVoice(priority) {
+    let candidate = null;
+
+    this.voices.forEach(voice => {
+      if (voice.priority > priority) return;
+
+      if (!candidate ||
+          voice.priority < candidate.priority ||
+          (voice.priority === candidate.priority && voice.startTime < candidate.startTime)) {
+        candidate = voice;
+      }
+    });
+
+    if (!candidate) return false;
+
+    this.stopVoice(candidate);
+    return true;
+  }
+
+  /**
+   * Stop a voice immediately
+   * @param {Object} voice - Voice returned by playSound
+   */
+  stopVoice(voice) {
+    const now = this.context.currentTime;
+
+    // Short fade to avoid clicks
+    voice.output.gain.setTargetAtTime(0, now, 0.01);
+    voice.sources.forEach(source => {
+      try {
+        source.stop(now + 0.05);
+      } catch (error) {
+        // Source already stopped
+      }
+    });
+
+    this.voices = this.voices.filter(v => v !== voice);
+    setTimeout(() => voice.output.disconnect(), 100);
+  }
+
+  /**
+   * Stop all one-shot voices
+   */
+  stopAll() {
+    if (!this.initialized) return;
+
+    [...this.voices].forEach(voice => this.stopVoice(voice));
+  }
+
+  /**
+   * Temporarily lower the music bus
+   * @param {number} amount - Fraction of music volume to remove (0-1)
+   * @param {number} hold - Seconds to hold before releasing
+   */
+  duck(amount = this.options.duckAmount, hold = this.options.duckHold) {
+    if (!this.initialized) return;
+
+    const now = this.context.currentTime;
+    const gain = this.duckNode.gain;
+    const target = 1 - Math.min(Math.max(amount, 0), 1);
+
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(target, now + this.options.duckAttack);
+    gain.setValueAtTime(target, now + this.options.duckAttack + hold);
+    gain.linearRampToValueAtTime(1, now + this.options.duckAttack + hold + this.options.duckRelease);
+  }
+
+  /**
+   * Set a bus volume
+   * @param {string} bus - Bus name (master, music, sfx, ui)
+   * @param {number} volume - Volume (0-1)
+   */
+  setVolume(bus, volume) {
+    if (!(bus in this.volumes)) {
+      console.warn(`Unknown audio bus: ${bus}`);
+      return;
+    }
+
+    this.volumes[bus] = Math.min(Math.max(volume, 0), 1);
+    this.applyVolume(bus);
+  }
+
+  /**
+   * Get a bus volume
+   * @param {string} bus - Bus name
+   * @returns {number} Volume (0-1)
+   */
+  getVolume(bus) {
+    return this.volumes[bus] ?? 0;
+  }
+
+  /**
+   * Mute or unmute all audio
+   * @param {boolean} muted - Whether audio is muted
+   */
+  setMuted(muted) {
+    this.muted = muted;
+    this.applyVolume('master');
+  }
+
+  /**
+   * Push a stored volume to its bus node
+   * @param {string} bus - Bus name
+   */
+  applyVolume(bus) {
+    const node = this.buses[bus];
+    if (!node) return;
+
+    const volume = bus === 'master' && this.muted ? 0 : this.volumes[bus];
+    node.gain.setTargetAtTime(volume, this.context.currentTime, 0.02);
+  }
+
+  /**
+   * Start the adaptive soundtrack
+   * @param {number} fadeTime - Fade in duration in seconds
+   */
+  playMusic(fadeTime) {
+    if (!this.initialized) return;
+
+    this.music.start(fadeTime);
+  }
+
+  /**
+   * Stop the adaptive soundtrack
+   * @param {number} fadeTime - Fade out duration in seconds
+   */
+  stopMusic(fadeTime) {
+    if (!this.initialized) return;
+
+    this.music.stop(fadeTime);
+  }
+
+  /**
+   * Update time-based audio (music intensity, 3D listener and emitters)
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    if (!this.initialized) return;
+
+    this.music.update(deltaTime);
+    this.spatial.update(deltaTime);
+  }
+
+  /**
+   * Get the number of one-shot voices currently playing
+   * @returns {number} Active voice count
+   */
+  getActiveVoiceCount() {
+    if (!this.initialized) return 0;
+
+    this.pruneVoices();
+    return this.voices.length;
+  }
+
+  /**
+   * Dispose of audio resources
+   */
+  dispose() {
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('pointerdown', this.resume);
+      document.removeEventListener('keydown', this.resume);
+    }
+
+    if (!this.initialized) return;
+
+    this.stopAll();
+    this.music.dispose();
+    this.spatial.dispose();
+
+    // Only close contexts we created
+    if (!this.options.context && this.context.close) {
+      this.context.close();
+    }
+
+    this.voices = [];
+    this.lastPlayed.clear();
+    this.buses = {};
+    this.initialized = false;
+  }
+}
@@ -0,0 +1,369 @@
+import { MathUtils } from '../utils/math.js';
+import { WAVE_CONFIGS } from '../config/enemies.js';
+
+/**
+ * Music stems
+ *
+ * Stems are synthesized pads: a chord of sustained oscillators through a
+ * low-pass filter whose cutoff is slowly swept by an LFO. An optional pulse
+ * LFO chops the stem's amplitude to give it a rhythm. All stems play at once
+ * and the adaptive mixer crossfades between them.
+ */
+export const MUSIC_STEMS = {
+  ambient: {
+    notes: [55.0, 82.41, 110.0, 164.81], // A1, E2, A2, E3
+    type: 'sine',
+    filterFrequency: 600,
+    lfoRate: 0.05, // Hz
+    lfoDepth: 300, // Hz of cutoff sweep
+    volume: 0.25
+  },
+  combat: {
+    notes: [73.42, 110.0, 146.83, 174.61], // D2, A2, D3, F3
+    type: 'sawtooth',
+    filterFrequency: 900,
+    lfoRate: 0.5,
+    lfoDepth: 500,
+    pulseRate: 4, // 120 bpm eighth notes
+    pulseDepth: 0.5,
+    volume: 0.18
+  },
+  boss: {
+    notes: [46.25, 49.0, 92.5, 138.59], // F#1, G1, F#2, C#3
+    type: 'sawtooth',
+    filterFrequency: 700,
+    lfoRate: 1.0,
+    lfoDepth: 400,
+    pulseRate: 6,
+    pulseDepth: 0.7,
+    volume: 0.2
+  },
+  victory: {
+    notes: [130.81, 164.81, 196.0, 261.63], // C3, E3, G3, C4
+    type: 'triangle',
+    filterFrequency: 2000,
+    lfoRate: 0.2,
+    lfoDepth: 600,
+    volume: 0.2
+  }
+};
+
+/**
+ * AdaptiveMusic - Layered soundtrack that follows combat intensity
+ *
+ * Intensity is polled each frame from the formation manager (current wave),
+ * the enemy pool (live enemies) and the combo system (combo count). Wave
+ * start/complete callbacks switch between the exploring, combat and victory
+ * mixes. Timing only advances through update(deltaTime), so the mixer can be
+ * driven headlessly against an OfflineAudioContext.
+ */
+export class AdaptiveMusic {
+  constructor(audioManager, options = {}) {
+    this.audioManager = audioManager;
+    this.options = Object.assign({
+      fadeTime: 2.0, // Start/stop fade in seconds
+      crossfadeTime: 1.5, // Time constant for stem crossfades in seconds
+      intensitySmoothing: 0.3, // Damping factor for intensity changes (0-1)
+      fullCombatEnemies: 12, // Live enemies that count as full intensity
+      fullCombo: 20, // Combo count that counts as full intensity
+      victoryDuration: 6.0, // seconds
+      mixThreshold: 0.02, // Minimum gain change before rescheduling a stem
+    }, options);
+
+    // Intensity sources
+    this.formationManager = null;
+    this.enemyPool = null;
+    this.comboSystem = null;
+
+    // Stem voices keyed by stem name
+    this.stems = {};
+
+    // Mix state
+    this.intensity = 0;
+    this.waveActive = false;
+    this.bossActive = false;
+    this.victoryTimer = 0;
+    this.currentMix = {};
+    this.isPlaying = false;
+  }
+
+  /**
+   * Connect the systems that drive intensity
+   * @param {Object} sources - Intensity sources
+   * @param {FormationManager} sources.formationManager - Provides currentWave
+   * @param {EnemyPool} sources.enemyPool - Provides getActiveCount()
+   * @param {ComboSystem} sources.comboSystem - Provides comboCount
+   */
+  connect({ formationManager = null, enemyPool = null, comboSystem = null } = {}) {
+    this.formationManager = formationManager;
+    this.enemyPool = enemyPool;
+    this.comboSystem = comboSystem;
+  }
+
+  /**
+   * Start all stems with the current mix
+   * @param {number} fadeTime - Fade in duration in seconds
+   */
+  start(fadeTime = this.options.fadeTime) {
+    const context = this.audioManager.context;
+    if (!context || this.isPlaying) return;
+
+    Object.entries(MUSIC_STEMS).forEach(([name, stem]) => {
+      this.stems[name] = this.createStemVoice(stem);
+    });
+
+    this.isPlaying = true;
+    this.currentMix = {};
+    this.applyMix(this.getTargetMix(), fadeTime);
+  }
+
+  /**
+   * Fade out and stop all stems
+   * @param {number} fadeTime - Fade out duration in seconds
+   */
+  stop(fadeTime = this.options.fadeTime) {
+    if (!this.isPlaying) return;
+
+    const context = this.audioManager.context;
+    const endTime = context.currentTime + Math.max(fadeTime, 0.01);
+
+    Object.values(this.stems).forEach(voice => {
+      voice.output.gain.cancelScheduledValues(context.currentTime);
+      voice.output.gain.setTargetAtTime(0, context.currentTime, Math.max(fadeTime, 0.01) / 4);
+      voice.sources.forEach(source => source.stop(endTime));
+      voice.sources[0].onended = () => voice.output.disconnect();
+    });
+
+    this.stems = {};
+    this.currentMix = {};
+    this.isPlaying = false;
+  }
+
+  /**
+   * Build the node graph for a stem
+   * @param {Object} stem - Stem definition
+   * @returns {Object} Voice ({ output, volume, sources })
+   */
+  createStemVoice(stem) {
+    const context = this.audioManager.context;
+    const now = context.currentTime;
+
+    // Mix gain, driven by the adaptive mixer
+    const output = context.createGain();
+    output.gain.setValueAtTime(0, now);
+    output.connect(this.audioManager.getBus('music'));
+
+    // Pulse gain for rhythmic stems
+    const pulse = context.createGain();
+    pulse.connect(output);
+
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = stem.filterFrequency;
+    filter.connect(pulse);
+
+    // Slow filter sweep
+    const lfo = context.createOscillator();
+    const lfoGain = context.createGain();
+    lfo.frequency.value = stem.lfoRate;
+    lfoGain.gain.value = stem.lfoDepth;
+    lfo.connect(lfoGain);
+    lfoGain.connect(filter.frequency);
+    lfo.start(now);
+
+    const sources = [lfo];
+
+    if (stem.pulseRate) {
+      // Square LFO swings the pulse gain between 1 - depth and 1
+      const pulseLfo = context.createOscillator();
+      const pulseDepth = context.createGain();
+      pulseLfo.type = 'square';
+      pulseLfo.frequency.value = stem.pulseRate;
+      pulseDepth.gain.value = stem.pulseDepth / 2;
+      pulse.gain.value = 1 - stem.pulseDepth / 2;
+      pulseLfo.connect(pulseDepth);
+      pulseDepth.connect(pulse.gain);
+      pulseLfo.start(now);
+      sources.push(pulseLfo);
+    }
+
+    stem.notes.forEach((frequency, index) => {
+      const oscillator = context.createOscillator();
+      oscillator.type = stem.type;
+      oscillator.frequency.value = frequency;
+      oscillator.detune.value = (index % 2 === 0 ? -1 : 1) * 6; // Slight chorus
+      oscillator.connect(filter);
+      oscillator.start(now);
+      sources.push(oscillator);
+    });
+
+    return { output, volume: stem.volume, sources };
+  }
+
+  /**
+   * Handle a wave starting
+   * @param {number} waveNumber - Wave that started
+   */
+  onWaveStarted(waveNumber) {
+    this.waveActive = true;
+    this.victoryTimer = 0;
+    this.bossActive = this.isBossWave(waveNumber);
+  }
+
+  /**
+   * Handle a wave being cleared
+   * @param {number} waveNumber - Wave that was completed
+   */
+  onWaveCompleted(waveNumber) {
+    this.waveActive = false;
+    this.bossActive = false;
+    this.victoryTimer = this.options.victoryDuration;
+  }
+
+  /**
+   * Force the boss stem on or off (e.g. when a boss spawns mid-wave)
+   * @param {boolean} active - Whether a boss is active
+   */
+  setBossActive(active) {
+    this.bossActive = active;
+  }
+
+  /**
+   * Check whether a wave contains commanders
+   * @param {number} waveNumber - Wave number (1-based)
+   * @returns {boolean} Whether the wave should use the boss stem
+   */
+  isBossWave(waveNumber) {
+    // The formation manager also knows the generated endless waves
+    const waveConfig = this.formationManager
+      ? this.formationManager.getWaveConfig(waveNumber)
+      : WAVE_CONFIGS[waveNumber - 1];
+    if (!waveConfig) return false;
+
+    return waveConfig.formations.some(formation =>
+      (formation.enemyTypeDistribution?.commander || 0) > 0
+    );
+  }
+
+  /**
+   * Calculate raw combat intensity from the connected systems
+   * @returns {number} Intensity (0-1)
+   */
+  calculateIntensity() {
+    if (!this.waveActive) return 0;
+
+    const activeEnemies = this.enemyPool ? this.enemyPool.getActiveCount() : 0;
+    const comboCount = this.comboSystem ? this.comboSystem.comboCount : 0;
+    const currentWave = this.formationManager ? this.formationManager.currentWave : 0;
+
+    const enemyFactor = MathUtils.clamp(activeEnemies / this.options.fullCombatEnemies, 0, 1);
+    const comboFactor = MathUtils.clamp(comboCount / this.options.fullCombo, 0, 1);
+    const waveFactor = MathUtils.clamp(currentWave / WAVE_CONFIGS.length, 0, 1);
+
+    return MathUtils.clamp(0.25 + enemyFactor * 0.5 + comboFactor * 0.15 + waveFactor * 0.1, 0, 1);
+  }
+
+  /**
+   * Get the stem levels for the current state
+   * @returns {Object} Stem name -> level (0-1)
+   */
+  getTargetMix() {
+    const intensity = this.intensity;
+
+    if (this.victoryTimer > 0) {
+      return { ambient: 0.3, combat: 0, boss: 0, victory: 1 };
+    }
+
+    if (this.bossActive) {
+      return {
+        ambient: 1 - intensity,
+        combat: intensity * 0.5,
+        boss: intensity,
+        victory: 0
+      };
+    }
+
+    return {
+      ambient: 1 - intensity * 0.7,
+      combat: intensity,
+      boss: 0,
+      victory: 0
+    };
+  }
+
+  /**
+   * Crossfade stems towards a mix
+   * @param {Object} mix - Stem name -> level (0-1)
+   * @param {number} time - Crossfade time in seconds
+   */
+  applyMix(mix, time = this.options.crossfadeTime) {
+    const context = this.audioManager.context;
+
+    Object.entries(mix).forEach(([name, level]) => {
+      const voice = this.stems[name];
+      if (!voice) return;
+
+      // Skip tiny changes to avoid rescheduling every frame
+      const previous = this.currentMix[name];
+      if (previous !== undefined && Math.abs(previous - level) < this.options.mixThreshold) return;
+
+      voice.output.gain.setTargetAtTime(level * voice.volume, context.currentTime, time / 3);
+      this.currentMix[name] = level;
+    });
+  }
+
+  /**
+   * Update intensity and the stem mix
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    if (!this.isPlaying) return;
+
+    if (this.victoryTimer > 0) {
+      this.victoryTimer = Math.max(0, this.victoryTimer - deltaTime);
+    }
+
+    this.intensity = MathUtils.damp(
+      this.intensity,
+      this.calculateIntensity(),
+      this.options.intensitySmoothing,
+      deltaTime
+    );
+
+    this.applyMix(this.getTargetMix());
+  }
+
+  /**
+   * Get the current mix state
+   * @returns {Object} Intensity and stem levels
+   */
+  getState() {
+    return {
+      intensity: this.intensity,
+      waveActive: this.waveActive,
+      bossActive: this.bossActive,
+      victory: this.victoryTimer > 0,
+      mix: Object.assign({}, this.currentMix)
+    };
+  }
+
+  /**
+   * Dispose of music resources
+   */
+  dispose() {
+    Object.values(this.stems).forEach(voice => {
+      voice.sources.forEach(source => {
+        try {
+          source.stop();
+        } catch (error) {
+          // Source already stopped
+        }
+      });
+      voice.output.disconnect();
+    });
+
+    this.stems = {};
+    this.currentMix = {};
+    this.isPlaying = false;
+  }
+}
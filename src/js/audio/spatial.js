@@ -0,0 +1,317 @@
+import * as THREE from 'three';
+import { LOOP_DEFINITIONS } from './effects.js';
+
+/**
+ * SpatialAudio - PannerNode-based 3D audio tied to scene objects
+ *
+ * Each positional sound is routed through:
+ *   source -> occlusion filter -> occlusion gain -> panner -> sfx bus
+ *
+ * The listener follows the camera, looping emitters follow their object's
+ * position, and sounds whose line to the listener is blocked by a cover
+ * barrier are muffled.
+ */
+export class SpatialAudio {
+  constructor(audioManager, options = {}) {
+    this.audioManager = audioManager;
+    this.options = Object.assign({
+      panningModel: 'HRTF',
+      distanceModel: 'inverse',
+      refDistance: 3, // Distance at which volume starts to drop
+      maxDistance: 80,
+      rolloffFactor: 1.2,
+      occlusionFrequency: 700, // Low-pass cutoff when occluded (Hz)
+      occlusionGain: 0.45, // Volume multiplier when occluded
+      occlusionInterval: 0.15, // Seconds between occlusion checks
+      occlusionSmoothing: 0.08, // Time constant for occlusion changes
+      occlusionCoverTypes: ['barrier'], // Cover types that block sound
+    }, options);
+
+    this.listenerObject = null;
+    this.coverSystem = null;
+
+    // Positional sounds
+    this.emitters = [];
+    this.oneShots = [];
+    this.occlusionTimer = 0;
+
+    // Reusable vectors
+    this.listenerPosition = new THREE.Vector3();
+    this.listenerForward = new THREE.Vector3();
+    this.listenerUp = new THREE.Vector3();
+    this.emitterPosition = new THREE.Vector3();
+  }
+
+  /**
+   * Set the object the listener follows (usually the camera)
+   * @param {THREE.Object3D} object - Listener object
+   */
+  setListener(object) {
+    this.listenerObject = object;
+  }
+
+  /**
+   * Set the cover system used for occlusion checks
+   * @param {CoverSystem} coverSystem - Arena cover system
+   */
+  setCoverSystem(coverSystem) {
+    this.coverSystem = coverSystem;
+  }
+
+  /**
+   * Create the node chain for a positional sound
+   * @param {THREE.Vector3} position - Initial position
+   * @returns {Object} Chain ({ input, filter, occlusion, panner, occluded })
+   */
+  createChain(position) {
+    const context = this.audioManager.context;
+
+    const panner = context.createPanner();
+    panner.panningModel = this.options.panningModel;
+    panner.distanceModel = this.options.distanceModel;
+    panner.refDistance = this.options.refDistance;
+    panner.maxDistance = this.options.maxDistance;
+    panner.rolloffFactor = this.options.rolloffFactor;
+    panner.connect(this.audioManager.getBus('sfx'));
+
+    const occlusion = context.createGain();
+    occlusion.connect(panner);
+
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = context.sampleRate / 2;
+    filter.connect(occlusion);
+
+    const chain = { input: filter, filter, occlusion, panner, occluded: false };
+
+    this.setPannerPosition(panner, position);
+    this.applyOcclusion(chain, this.isOccluded(position), 0);
+
+    return chain;
+  }
+
+  /**
+   * Disconnect a chain from the mixer
+   * @param {Object} chain - Chain created by createChain
+   */
+  disconnectChain(chain) {
+    chain.filter.disconnect();
+    chain.occlusion.disconnect();
+    chain.panner.disconnect();
+  }
+
+  /**
+   * Play a one-shot sound at a world position
+   * @param {string} name - Sound name
+   * @param {THREE.Vector3} position - World position
+   * @param {Object} options - Playback options passed to AudioManager.playSound
+   * @returns {Object|null} Voice, or null if the sound was not played
+   */
+  playAt(name, position, options = {}) {
+    // Accept anything with x/y/z (e.g. CANNON.Vec3 raycast hits)
+    position = new THREE.Vector3(position.x, position.y, position.z);
+
+    const chain = this.createChain(position);
+    const voice = this.audioManager.playSound(name, Object.assign({}, options, {
+      destination: chain.input
+    }));
+
+    if (!voice) {
+      this.disconnectChain(chain);
+      return null;
+    }
+
+    this.oneShots.push({ chain, voice, position });
+    return voice;
+  }
+
+  /**
+   * Attach a looping sound to an object
+   * @param {THREE.Object3D} object - Object whose world position the loop follows
+   * @param {string} loopName - Key in LOOP_DEFINITIONS
+   * @returns {Object|null} Emitter, or null if the loop is unknown
+   */
+  createEmitter(object, loopName) {
+    const definition = LOOP_DEFINITIONS[loopName];
+    if (!definition) {
+      console.warn(`Unknown loop sound: ${loopName}`);
+      return null;
+    }
+
+    object.getWorldPosition(this.emitterPosition);
+    const chain = this.createChain(this.emitterPosition);
+    const loop = this.audioManager.synth.renderLoop(definition, chain.input);
+
+    const emitter = { object, chain, loop, volume: loop.output.gain.value, silent: false };
+    this.emitters.push(emitter);
+
+    return emitter;
+  }
+
+  /**
+   * Stop and remove a looping emitter
+   * @param {Object} emitter - Emitter returned by createEmitter
+   */
+  removeEmitter(emitter) {
+    if (!emitter) return;
+
+    const index = this.emitters.indexOf(emitter);
+    if (index === -1) return;
+
+    this.emitters.splice(index, 1);
+
+    // Short fade to avoid clicks
+    const now = this.audioManager.context.currentTime;
+    emitter.loop.output.gain.setTargetAtTime(0, now, 0.02);
+    emitter.loop.sources.forEach(source => source.stop(now + 0.1));
+    emitter.loop.sources[0].onended = () => {
+      emitter.loop.output.disconnect();
+      this.disconnectChain(emitter.chain);
+    };
+  }
+
+  /**
+   * Move a panner
+   * @param {PannerNode} panner - Panner node
+   * @param {THREE.Vector3} position - World position
+   */
+  setPannerPosition(panner, position) {
+    if (panner.positionX) {
+      const now = this.audioManager.context.currentTime;
+      panner.positionX.setValueAtTime(position.x, now);
+      panner.positionY.setValueAtTime(position.y, now);
+      panner.positionZ.setValueAtTime(position.z, now);
+    } else {
+      panner.setPosition(position.x, position.y, position.z);
+    }
+  }
+
+  /**
+   * Move the Web Audio listener to the listener object
+   */
+  updateListener() {
+    if (!this.listenerObject) return;
+
+    const listener = this.audioManager.context.listener;
+    const now = this.audioManager.context.currentTime;
+
+    this.listenerObject.getWorldPosition(this.listenerPosition);
+    this.listenerObject.getWorldDirection(this.listenerForward);
+    this.listenerUp.set(0, 1, 0).applyQuaternion(this.listenerObject.quaternion);
+
+    if (listener.positionX) {
+      listener.positionX.setValueAtTime(this.listenerPosition.x, now);
+      listener.positionY.setValueAtTime(this.listenerPosition.y, now);
+      listener.positionZ.setValueAtTime(this.listenerPosition.z, now);
+      listener.forwardX.setValueAtTime(this.listenerForward.x, now);
+      listener.forwardY.setValueAtTime(this.listenerForward.y, now);
+      listener.forwardZ.setValueAtTime(this.listenerForward.z, now);
+      listener.upX.setValueAtTime(this.listenerUp.x, now);
+      listener.upY.setValueAtTime(this.listenerUp.y, now);
+      listener.upZ.setValueAtTime(this.listenerUp.z, now);
+    } else {
+      listener.setPosition(this.listenerPosition.x, this.listenerPosition.y, this.listenerPosition.z);
+      listener.setOrientation(
+        this.listenerForward.x, this.listenerForward.y, this.listenerForward.z,
+        this.listenerUp.x, this.listenerUp.y, this.listenerUp.z
+      );
+    }
+  }
+
+  /**
+   * Check whether cover blocks the line between a position and the listener
+   * @param {THREE.Vector3} position - Sound position
+   * @returns {boolean} Whether the sound is occluded
+   */
+  isOccluded(position) {
+    if (!this.coverSystem || !this.listenerObject) return false;
+
+    this.listenerObject.getWorldPosition(this.listenerPosition);
+
+    return this.coverSystem.isPositionBehindCover(
+      position,
+      this.listenerPosition,
+      this.options.occlusionCoverTypes
+    );
+  }
+
+  /**
+   * Muffle or restore a chain
+   * @param {Object} chain - Chain created by createChain
+   * @param {boolean} occluded - Whether the sound is occluded
+   * @param {number} smoothing - Time constant for the change
+   */
+  applyOcclusion(chain, occluded, smoothing = this.options.occlusionSmoothing) {
+    if (chain.occluded === occluded && smoothing > 0) return;
+
+    const context = this.audioManager.context;
+    const frequency = occluded ? this.options.occlusionFrequency : context.sampleRate / 2;
+    const gain = occluded ? this.options.occlusionGain : 1;
+
+    if (smoothing > 0) {
+      chain.filter.frequency.setTargetAtTime(frequency, context.currentTime, smoothing);
+      chain.occlusion.gain.setTargetAtTime(gain, context.currentTime, smoothing);
+    } else {
+      chain.filter.frequency.value = frequency;
+      chain.occlusion.gain.value = gain;
+    }
+
+    chain.occluded = occluded;
+  }
+
+  /**
+   * Update listener, emitter positions and occlusion
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    this.updateListener();
+
+    // Drop finished one-shots
+    const now = this.audioManager.context.currentTime;
+    this.oneShots = this.oneShots.filter(oneShot => {
+      if (oneShot.voice.endTime > now) return true;
+
+      this.disconnectChain(oneShot.chain);
+      return false;
+    });
+
+    // Follow emitter objects, silencing those hidden (like switched-off hazards)
+    this.emitters.forEach(emitter => {
+      emitter.object.getWorldPosition(this.emitterPosition);
+      this.setPannerPosition(emitter.chain.panner, this.emitterPosition);
+
+      const silent = !emitter.object.visible;
+      if (silent !== emitter.silent) {
+        emitter.silent = silent;
+        emitter.loop.output.gain.setTargetAtTime(silent ? 0 : emitter.volume, now, 0.05);
+      }
+    });
+
+    // Occlusion raycasts are comparatively expensive, so throttle them
+    this.occlusionTimer -= deltaTime;
+    if (this.occlusionTimer > 0) return;
+    this.occlusionTimer = this.options.occlusionInterval;
+
+    this.emitters.forEach(emitter => {
+      emitter.object.getWorldPosition(this.emitterPosition);
+      this.applyOcclusion(emitter.chain, this.isOccluded(this.emitterPosition));
+    });
+
+    this.oneShots.forEach(oneShot => {
+      this.applyOcclusion(oneShot.chain, this.isOccluded(oneShot.position));
+    });
+  }
+
+  /**
+   * Dispose of spatial audio resources
+   */
+  dispose() {
+    [...this.emitters].forEach(emitter => this.removeEmitter(emitter));
+    this.oneShots.forEach(oneShot => this.disconnectChain(oneShot.chain));
+
+    this.emitters = [];
+    this.oneShots = [];
+    this.listenerObject = null;
+    this.coverSystem = null;
+  }
+}
@@ -0,0 +1,27 @@
+const STORAGE_KEY = 'cosmicDefenderVolumes';
+
+/**
+ * Load the volumes picked in the audio settings
+ * @returns {Object} Volume (0-1) by bus name; buses never changed are left out
+ */
+export function loadVolumes() {
+  try {
+    const volumes = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return volumes && typeof volumes === 'object' ? volumes : {};
+  } catch (error) {
+    console.warn('Failed to load volume settings:', error);
+    return {};
+  }
+}
+
+/**
+ * Remember the volumes picked in the audio settings
+ * @param {Object} volumes - Volume (0-1) by bus name
+ */
+export function saveVolumes(volumes) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(volumes));
+  } catch (error) {
+    console.warn('Failed to save volume settings:', error);
+  }
+}
@@ -47,7 +47,7 @@ export class Cover {
     // State
     this.isActive = true;
     this.isDestroyed = false;
-    this.respawnTimer = 0;
+    this.respawnTask = null; // Game clock task that brings the cover back (see respawnLater)
     this.damageLevel = 0; // 0-3 (none, light, medium, heavy)
     
     // Meshes and bodies
@@ -420,10 +420,47 @@ export class Cover {
     
     // Start respawn timer if needed
     if (this.respawnTime > 0) {
-      this.respawnTimer = this.respawnTime;
+      this.respawnLater(this.respawnTime);
     }
   }
   
+  /**
+   * Respawn the cover after a delay on the game clock (scene.userData.scheduler)
+   * @param {number} delay - Delay in seconds, replacing any respawn already pending
+   */
+  respawnLater(delay) {
+    this.cancelRespawn();
+    
+    this.scheduler = this.scene.userData.scheduler;
+    if (!this.scheduler) {
+      console.warn(`No game clock to respawn ${this.type} on`);
+      return;
+    }
+    
+    this.respawnTask = this.scheduler.delay(delay, () => {
+      this.respawnTask = null;
+      this.respawn();
+    });
+  }
+  
+  /**
+   * Cancel a pending respawn
+   */
+  cancelRespawn() {
+    if (this.respawnTask === null) return;
+    
+    this.scheduler.cancel(this.respawnTask);
+    this.respawnTask = null;
+  }
+  
+  /**
+   * Get how long until the cover respawns
+   * @returns {number} Seconds of game time (0 if no respawn is pending)
+   */
+  getRespawnRemaining() {
+    return this.respawnTask === null ? 0 : this.scheduler.getRemaining(this.respawnTask);
+  }
+  
   /**
    * Respawn the cover
    */
@@ -450,8 +487,8 @@ export class Cover {
       this.body.collisionResponse = true;
     }
     
-    // Reset respawn timer
-    this.respawnTimer = 0;
+    // Drop the pending respawn, if this one came early
+    this.cancelRespawn();
   }
   
   /**
@@ -459,15 +496,6 @@ export class Cover {
    * @param {number} deltaTime - Time since last update
    */
   update(deltaTime) {
-    // Update respawn timer
-    if (this.isDestroyed && this.respawnTime > 0) {
-      this.respawnTimer -= deltaTime;
-      
-      if (this.respawnTimer <= 0) {
-        this.respawn();
-      }
-    }
-    
     // Update effect mesh
     if (this.effectMesh) {
       if (this.type === 'shield-station') {
@@ -486,10 +514,41 @@ export class Cover {
     }
   }
   
+  /**
+   * Get the state to save for this cover
+   * @returns {Object} Health and respawn progress
+   */
+  getSaveState() {
+    return {
+      health: this.health,
+      isDestroyed: this.isDestroyed,
+      respawnTimer: this.getRespawnRemaining()
+    };
+  }
+  
+  /**
+   * Restore a saved state onto a freshly built cover
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    if (state.isDestroyed) {
+      this.destroy();
+      
+      // Pick the countdown up where it was
+      if (this.respawnTask !== null) {
+        this.respawnLater(state.respawnTimer);
+      }
+    } else if (state.health < this.health) {
+      this.takeDamage(this.health - state.health);
+    }
+  }
+  
   /**
    * Dispose of the cover
    */
   dispose() {
+    this.cancelRespawn();
+    
     // Remove from scene
     if (this.mesh) {
       this.scene.remove(this.mesh);
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { Cover } from './Cover.js';
+import { GAME_CONFIG } from '../../config/game.js';
+import { Random } from '../../utils/random.js';
 
 /**
  * CoverSystem - Manages all cover objects in the arena
@@ -17,14 +19,17 @@ export class CoverSystem {
     
     // Default options
     this.options = Object.assign({
-      barrierCount: 8,
-      shieldStationCount: 2,
-      ammoStationCount: 2,
-      platformSize: 60,
-      platformHeight: 2,
-      coverMargin: 5, // Margin from platform edge
+      barrierCount: GAME_CONFIG.arena.barrierCount,
+      shieldStationCount: GAME_CONFIG.arena.shieldStationCount,
+      ammoStationCount: GAME_CONFIG.arena.ammoStationCount,
+      platformSize: GAME_CONFIG.arena.platformSize,
+      platformHeight: GAME_CONFIG.arena.platformHeight,
+      coverMargin: GAME_CONFIG.arena.coverMargin, // Margin from platform edge
+      random: null, // Seeded RNG for placement (unseeded if omitted)
     }, options);
     
+    this.random = this.options.random || new Random();
+    
     // Cover objects
     this.covers = [];
     this.barriers = [];
@@ -67,7 +72,7 @@ export class CoverSystem {
         type: 'barrier',
         position: new THREE.Vector3(position.x, platformHeight + 0.75, position.z),
         rotation: new THREE.Euler(0, position.rotation, 0),
-        width: 3 + Math.random() * 2, // Random width between 3-5
+        width: this.random.float(3, 5), // Random width between 3-5
         height: 1.5,
         depth: 0.3,
         color: 0x888888,
@@ -280,9 +285,10 @@ export class CoverSystem {
    * Check if a position is behind cover relative to another position
    * @param {THREE.Vector3} position - Position to check
    * @param {THREE.Vector3} relativePosition - Position to check relative to
+   * @param {string[]} coverTypes - Only consider these cover types (all if omitted)
    * @returns {boolean} - Whether position is behind cover
    */
-  isPositionBehindCover(position, relativePosition) {
+  isPositionBehindCover(position, relativePosition, coverTypes = null) {
     // Direction from relative position to position
     const direction = new THREE.Vector3()
       .subVectors(position, relativePosition)
@@ -298,7 +304,7 @@ export class CoverSystem {
     
     // Get all cover meshes
     const coverMeshes = this.covers
-      .filter(cover => !cover.isDestroyed)
+      .filter(cover => !cover.isDestroyed && (!coverTypes || coverTypes.includes(cover.type)))
       .map(cover => cover.mesh);
     
     // Check for intersections
@@ -351,6 +357,17 @@ export class CoverSystem {
     return null;
   }
   
+  /**
+   * Scale how long destroyed ammo and shield stations take to come back
+   * Stations already counting down keep their current timer.
+   * @param {number} scale - Multiplier on each station's own respawn time
+   */
+  setStationRespawnScale(scale) {
+    for (const station of [...this.shieldStations, ...this.ammoStations]) {
+      station.respawnTime = station.options.respawnTime * scale;
+    }
+  }
+
   /**
    * Update all covers
    * @param {number} deltaTime - Time since last update
@@ -361,6 +378,31 @@ export class CoverSystem {
     }
   }
   
+  /**
+   * Get the state to save for all covers
+   * Covers are laid out the same way for a given seed, so they're matched by order.
+   * @returns {Object[]} Cover states
+   */
+  getSaveState() {
+    return this.covers.map(cover => cover.getSaveState());
+  }
+  
+  /**
+   * Restore saved cover states
+   * @param {Object[]} states - States from getSaveState()
+   */
+  restoreSaveState(states) {
+    if (states.length !== this.covers.length) {
+      console.warn(`Saved ${states.length} covers but the arena has ${this.covers.length}`);
+    }
+    
+    states.forEach((state, index) => {
+      if (this.covers[index]) {
+        this.covers[index].restoreSaveState(state);
+      }
+    });
+  }
+  
   /**
    * Dispose of all covers
    */
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { GAME_CONFIG } from '../../config/game.js';
+import { Random } from '../../utils/random.js';
 
 /**
  * EnvironmentSystem - Manages environmental features in the arena
@@ -17,16 +19,19 @@ export class EnvironmentSystem {
     
     // Default options
     this.options = Object.assign({
-      platformSize: 60,
-      platformHeight: 2,
-      boundaryHeight: 15,
-      hazardCount: 4,
-      hazardDamage: 10,
-      ambientParticleCount: 100,
-      fogDensity: 0.01,
-      fogColor: 0x112233,
+      platformSize: GAME_CONFIG.arena.platformSize,
+      platformHeight: GAME_CONFIG.arena.platformHeight,
+      boundaryHeight: GAME_CONFIG.arena.boundaryHeight,
+      hazardCount: GAME_CONFIG.hazards.count,
+      hazardDamage: GAME_CONFIG.hazards.damage,
+      ambientParticleCount: GAME_CONFIG.arena.ambientParticleCount,
+      fogDensity: GAME_CONFIG.arena.fogDensity,
+      fogColor: GAME_CONFIG.arena.fogColor,
+      random: null, // Seeded RNG for hazard layout (unseeded if omitted)
     }, options);
     
+    this.random = this.options.random || new Random();
+    
     // Environment elements
     this.boundary = null;
     this.boundaryWalls = [];
@@ -176,9 +181,9 @@ export class EnvironmentSystem {
         material: this.physics.world.defaultMaterial,
       });
       
-      // Set rotation
+      // Set rotation (cannon planes face +Z, so turn them to face the arena)
       const quaternion = new THREE.Quaternion().setFromEuler(
-        new THREE.Euler(0, pos.rotation, 0)
+        new THREE.Euler(0, pos.rotation + Math.PI, 0)
       );
       body.quaternion.set(
         quaternion.x,
@@ -213,7 +218,7 @@ export class EnvironmentSystem {
     });
     
     // Set rotation (facing down)
-    ceilingBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+    ceilingBody.quaternion.setFromEuler(Math.PI / 2, 0, 0);
     
     // Add shape to body
     ceilingBody.addShape(ceilingShape);
@@ -236,7 +241,7 @@ export class EnvironmentSystem {
       const position = positions[i];
       
       // Create hazard geometry
-      const radius = 3 + Math.random() * 2; // Random radius between 3-5
+      const radius = this.random.float(3, 5); // Random radius between 3-5
       const geometry = new THREE.CircleGeometry(radius, 32);
       
       // Create hazard mesh
@@ -248,6 +253,7 @@ export class EnvironmentSystem {
       hazard.userData.type = 'hazard';
       hazard.userData.damage = this.options.hazardDamage;
       hazard.userData.radius = radius;
+      hazard.userData.active = true; // Wave scripts can switch hazards off and on
       
       // Add to scene
       this.scene.add(hazard);
@@ -261,6 +267,7 @@ export class EnvironmentSystem {
       
       // Add to effects
       this.effects.lights.push(light);
+      hazard.userData.light = light;
       
       // Create hazard particles
       const particleCount = Math.floor(radius * 10);
@@ -288,6 +295,7 @@ export class EnvironmentSystem {
       
       const particles = new THREE.Points(particleGeometry, particleMaterial);
       this.scene.add(particles);
+      hazard.userData.particles = particles;
       
       // Add to effects
       this.effects.particles.push({
@@ -316,7 +324,7 @@ export class EnvironmentSystem {
       const angle = angleStep * i;
       
       // Add some randomness to the position
-      const distance = radius * (0.5 + Math.random() * 0.3); // 50-80% of radius
+      const distance = radius * this.random.float(0.5, 0.8); // 50-80% of radius
       
       // Calculate position
       const x = Math.sin(angle) * distance;
@@ -387,6 +395,8 @@ export class EnvironmentSystem {
    */
   isInHazardZone(position) {
     for (const hazard of this.hazardZones) {
+      if (!hazard.userData.active) continue;
+      
       const dx = position.x - hazard.position.x;
       const dz = position.z - hazard.position.z;
       const distanceSquared = dx * dx + dz * dz;
@@ -403,6 +413,40 @@ export class EnvironmentSystem {
     return null;
   }
   
+  /**
+   * Switch a hazard zone on or off
+   * Switched-off hazards are hidden and do no damage.
+   * @param {number} index - Hazard index, in the order they were created
+   * @param {boolean} active - Whether the hazard is on
+   * @returns {boolean} Whether there is a hazard with that index
+   */
+  setHazardActive(index, active) {
+    const hazard = this.hazardZones[index];
+    if (!hazard) return false;
+    
+    hazard.userData.active = active;
+    hazard.visible = active;
+    hazard.userData.light.visible = active;
+    hazard.userData.particles.visible = active;
+    return true;
+  }
+  
+  /**
+   * Get which hazard zones are switched on, for a saved run
+   * @returns {boolean[]} Whether each hazard is on
+   */
+  getHazardStates() {
+    return this.hazardZones.map(hazard => hazard.userData.active);
+  }
+  
+  /**
+   * Switch hazard zones on and off as they were saved
+   * @param {boolean[]} states - States from getHazardStates()
+   */
+  restoreHazardStates(states) {
+    states.forEach((active, index) => this.setHazardActive(index, active));
+  }
+  
   /**
    * Check if a position is outside the boundary
    * @param {THREE.Vector3} position - Position to check
@@ -5,31 +5,46 @@ import { MouseInput } from '../../controls/mouse.js';
 import { TouchInput } from '../../controls/touch.js';
 import { MathUtils } from '../../utils/math.js';
 import { Shield } from './Shield.js';
-import { Weapon } from './Weapon.js';
+import { PulseCannon } from '../../weapons/types/PulseCannon.js';
+import { Shotgun } from '../../weapons/types/Shotgun.js';
+import { ChargeBeam } from '../../weapons/types/ChargeBeam.js';
+import { GrenadeLauncher } from '../../weapons/types/GrenadeLauncher.js';
+import { ProjectilePool } from '../../weapons/ProjectilePool.js';
+import { WeaponInventory } from '../../weapons/WeaponInventory.js';
+import { GAME_CONFIG } from '../../config/game.js';
+import { EventEmitter } from '../../utils/EventEmitter.js';
+import { Random } from '../../utils/random.js';
 
 export class Player {
-  constructor(scene, camera, physics, loadingManager) {
+  constructor(scene, camera, physics, loadingManager, audioManager = null) {
     this.scene = scene;
     this.camera = camera;
     this.physics = physics;
     this.loadingManager = loadingManager;
+    this.audioManager = audioManager;
+    
+    const config = GAME_CONFIG.player;
+    
+    // Emits 'died' (see GameManager)
+    this.events = new EventEmitter();
     
     // Player state
-    this.health = 100;
-    this.maxHealth = 100;
-    this.shield = 100;
-    this.maxShield = 100;
-    this.energy = 200;
-    this.maxEnergy = 200;
-    this.dodgeCharges = 3;
-    this.maxDodgeCharges = 3;
+    this.isAlive = true;
+    this.health = config.health;
+    this.maxHealth = config.maxHealth;
+    this.shield = config.shield;
+    this.maxShield = config.maxShield;
+    this.energy = config.energy;
+    this.maxEnergy = config.maxEnergy;
+    this.dodgeCharges = config.dodgeCharges;
+    this.maxDodgeCharges = config.maxDodgeCharges;
     
     // Movement parameters
-    this.moveSpeed = 6.0; // meters per second
-    this.sprintMultiplier = 1.5;
-    this.jumpForce = 10.0;
-    this.dodgeForce = 15.0;
-    this.dodgeCooldown = 2.0; // seconds
+    this.moveSpeed = config.moveSpeed; // meters per second
+    this.sprintMultiplier = config.sprintMultiplier;
+    this.jumpForce = config.jumpForce;
+    this.dodgeForce = config.dodgeForce;
+    this.dodgeCooldown = config.dodgeCooldown; // seconds
     this.dodgeTimer = 0;
     this.isGrounded = false;
     this.isSprinting = false;
@@ -38,8 +53,8 @@ export class Player {
     this.velocity = new THREE.Vector3();
     
     // Player dimensions
-    this.height = 1.8; // meters
-    this.radius = 0.4; // meters
+    this.height = config.height; // meters
+    this.radius = config.radius; // meters
     
     // Input handlers
     this.keyboard = new KeyboardInput();
@@ -49,15 +64,16 @@ export class Player {
     // Equipment
     this.createPlayerModel();
     this.createPhysicsBody();
-    this.shield = new Shield(scene, this);
-    this.weapon = new Weapon(scene, camera, physics, this);
+    this.shieldEffect = new Shield(scene, this); // Visual only, shield points live in this.shield
+    this.projectilePool = new ProjectilePool(scene, physics);
+    this.createWeapons();
     
     // Timers and cooldowns
     this.lastDodgeTime = 0;
-    this.shieldRegenDelay = 3.0; // seconds
+    this.shieldRegenDelay = config.shieldRegenDelay; // seconds
     this.lastDamageTime = 0;
-    this.energyRegenRate = 10; // per second
-    this.dodgeRegenRate = 0.5; // per second
+    this.energyRegenRate = config.energyRegenRate; // per second
+    this.dodgeRegenRate = config.dodgeRegenRate; // per second
     
     // Audio
     this.footstepTimer = 0;
@@ -67,6 +83,30 @@ export class Player {
     this.setupEventListeners();
   }
   
+  createWeapons() {
+    this.weapons = new WeaponInventory({
+      keyboard: this.keyboard,
+      mouse: this.mouse
+    });
+    
+    // Each weapon rolls its spread on its own stream of the run's RNG
+    const random = this.scene.userData.random || new Random();
+    
+    [PulseCannon, Shotgun, ChargeBeam, GrenadeLauncher].forEach((WeaponClass, index) => {
+      this.weapons.addWeapon(new WeaponClass(this.scene, this.camera, this.physics, this, {
+        projectilePool: this.projectilePool,
+        audioManager: this.audioManager,
+        random: random.fork(`weapon${index + 1}`)
+      }));
+    });
+    
+    // Weapon in hand
+    this.weapon = this.weapons.getActiveWeapon();
+    this.weapons.events.on('weaponSwitched', (weapon) => {
+      this.weapon = weapon;
+    });
+  }
+  
   createPlayerModel() {
     // Create a simple player model (will be replaced with a proper model later)
     const geometry = new THREE.CapsuleGeometry(this.radius, this.height - this.radius * 2, 4, 8);
@@ -179,7 +219,7 @@ export class Player {
     // this.camera.shake(shakeIntensity); // Would be implemented in a camera controller
     
     // Play damage sound
-    // this.playSound('damage'); // Would be implemented with audio system
+    this.playSound('damage');
   }
   
   heal(amount) {
@@ -198,16 +238,25 @@ export class Player {
     return false;
   }
   
+  playSound(name, options) {
+    if (this.audioManager) {
+      this.audioManager.playSound(name, options);
+    }
+  }
+  
   die() {
+    if (!this.isAlive) return;
+    
+    this.isAlive = false;
     console.log('Player died');
-    // Implement death logic, respawn, game over, etc.
+    this.events.emit('died');
   }
   
   jump() {
     if (this.isGrounded) {
       this.body.velocity.y = this.jumpForce;
       this.isGrounded = false;
-      // this.playSound('jump'); // Would be implemented with audio system
+      this.playSound('jump');
     }
   }
   
@@ -232,7 +281,7 @@ export class Player {
       this.isDodging = false;
     }, 300);
     
-    // this.playSound('dodge'); // Would be implemented with audio system
+    this.playSound('dodge');
   }
   
   updateMovement(deltaTime) {
@@ -260,7 +309,7 @@ export class Player {
       this.footstepTimer += deltaTime;
       if (this.footstepTimer >= this.footstepInterval) {
         this.footstepTimer = 0;
-        // this.playSound('footstep'); // Would be implemented with audio system
+        this.playSound('footstep');
       }
     }
     
@@ -343,17 +392,58 @@ export class Player {
     this.mouse.update();
     this.touch.update();
     
+    // Apply input queued since the last tick (already empty if an InputRecorder flushed it)
+    this.keyboard.flush();
+    this.mouse.flush();
+    
     // Update movement
     this.updateMovement(deltaTime);
     
     // Update regeneration
     this.updateRegeneration(deltaTime);
     
-    // Update weapon
-    this.weapon.update(deltaTime);
+    // Update weapons and their projectiles
+    this.weapons.update(deltaTime);
+    this.projectilePool.update(deltaTime);
     
     // Update shield
-    this.shield.update(deltaTime);
+    this.shieldEffect.update(deltaTime);
+  }
+  
+  /**
+   * Get the player state for a saved run
+   * @returns {Object} Health, shield, energy, dodge charges, position and weapons
+   */
+  getSaveState() {
+    const { position, velocity } = this.body;
+    
+    return {
+      health: this.health,
+      shield: this.shield,
+      energy: this.energy,
+      dodgeCharges: this.dodgeCharges,
+      position: [position.x, position.y, position.z],
+      velocity: [velocity.x, velocity.y, velocity.z],
+      weapons: this.weapons.getSaveState()
+    };
+  }
+  
+  /**
+   * Restore the player state from a saved run
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    this.health = Math.min(state.health, this.maxHealth);
+    this.shield = Math.min(state.shield, this.maxShield);
+    this.energy = Math.min(state.energy, this.maxEnergy);
+    this.dodgeCharges = Math.min(state.dodgeCharges, this.maxDodgeCharges);
+    
+    this.body.position.set(...state.position);
+    this.body.velocity.set(...state.velocity);
+    this.playerGroup.position.copy(this.body.position);
+    this.playerGroup.position.y -= this.height / 2;
+    
+    this.weapons.restoreSaveState(state.weapons);
   }
   
   getPosition() {
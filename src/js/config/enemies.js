@@ -17,6 +17,7 @@ export const ENEMY_TYPES = {
     points: 50,
     attackRange: 8,
     attackRate: 1.5, // Attacks per second
+    accuracy: 0.2, // Chance to hit at point-blank range
     detectionRange: 25,
     // Drone-specific properties
     swarmRadius: 3.0,
@@ -37,6 +38,7 @@ export const ENEMY_TYPES = {
     points: 100,
     attackRange: 12,
     attackRate: 1.0, // Attacks per second
+    accuracy: 0.35, // Chance to hit at point-blank range
     detectionRange: 20,
     // Soldier-specific properties
     coverThreshold: 0.3, // Health percentage to seek cover
@@ -56,6 +58,7 @@ export const ENEMY_TYPES = {
     points: 250,
     attackRange: 15,
     attackRate: 0.8, // Attacks per second
+    accuracy: 0.45, // Chance to hit at point-blank range
     detectionRange: 25,
     // Elite-specific properties
     shieldStrength: 50,
@@ -78,6 +81,7 @@ export const ENEMY_TYPES = {
     points: 500,
     attackRange: 18,
     attackRate: 0.5, // Attacks per second
+    accuracy: 0.5, // Chance to hit at point-blank range
     detectionRange: 30,
     // Commander-specific properties
     buffRadius: 10,
@@ -85,6 +89,83 @@ export const ENEMY_TYPES = {
     summonCooldown: 15, // Seconds between summons
     summonCount: 3,     // Number of drones to summon
     minionTypes: ['drone']
+  },
+  
+  // Hive Mother - Boss of the alien hive, fought in three phases (see Boss)
+  hiveMother: {
+    name: 'Hive Mother',
+    health: 1500,
+    maxHealth: 1500,
+    damage: 20,
+    moveSpeed: 1.5,
+    turnSpeed: 1.0,
+    scale: 3.0,
+    color: 0x4a1f1f, // Flesh
+    glowColor: 0x00ff88, // Bioluminescent sacs
+    points: 3000,
+    attackRange: 14,
+    attackRate: 0.6, // Attacks per second
+    accuracy: 0.5, // Chance to hit at point-blank range
+    detectionRange: 60,
+    mass: 40,
+    maxMinions: 6, // Summons stop while this many other enemies are left
+    // Spots that take extra damage, relative to her centre as she faces her target
+    weakPoints: [
+      { name: 'leftSac', offset: { x: -1.2, y: 0.4, z: -0.5 }, radius: 0.8, multiplier: 2.5 },
+      { name: 'rightSac', offset: { x: 1.2, y: 0.4, z: -0.5 }, radius: 0.8, multiplier: 2.5 },
+      { name: 'maw', offset: { x: 0, y: 0.3, z: 1.4 }, radius: 0.6, multiplier: 3.0 }
+    ],
+    // Phases start as her health falls to their share; patterns loop every duration seconds
+    phases: [
+      {
+        name: 'Brood',
+        health: 1.0,
+        weakPoints: ['leftSac', 'rightSac'],
+        pattern: {
+          duration: 12,
+          steps: [
+            { at: 2, attack: 'volley', damage: 12, range: 30, shots: 3 },
+            { at: 5, attack: 'summon', enemy: 'drone', count: 3 },
+            { at: 8, attack: 'volley', damage: 12, range: 30, shots: 3 },
+            { at: 10, attack: 'slam', damage: 25, radius: 6 }
+          ]
+        }
+      },
+      {
+        name: 'Acid Tide',
+        health: 0.6,
+        announce: 'The hive floods with acid!',
+        speed: 1.2,
+        weakPoints: ['leftSac', 'rightSac', 'maw'],
+        pattern: {
+          duration: 14,
+          steps: [
+            { at: 1, attack: 'hazardSurge', duration: 6 },
+            { at: 3, attack: 'hazardEruption', damage: 20, radiusScale: 1.5 },
+            { at: 6, attack: 'hazardEruption', damage: 20, radiusScale: 1.5 },
+            { at: 9, attack: 'summon', enemy: 'soldier', count: 2 },
+            { at: 12, attack: 'volley', damage: 15, range: 30, shots: 5 }
+          ]
+        }
+      },
+      {
+        name: 'Frenzy',
+        health: 0.25,
+        announce: 'The Hive Mother is in a frenzy!',
+        speed: 1.5,
+        weakPoints: ['maw'],
+        pattern: {
+          duration: 8,
+          steps: [
+            { at: 0.5, attack: 'hazardSurge', duration: 4 },
+            { at: 1.5, attack: 'hazardEruption', damage: 25, radiusScale: 2 },
+            { at: 3, attack: 'slam', damage: 30, radius: 7 },
+            { at: 5, attack: 'summon', enemy: 'drone', count: 4 },
+            { at: 6.5, attack: 'volley', damage: 15, range: 30, shots: 5 }
+          ]
+        }
+      }
+    ]
   }
 };
 
@@ -148,6 +229,23 @@ export const FORMATION_TYPES = {
     }
   },
   
+  // A lone boss, for boss waves in wave scripts
+  boss: {
+    type: 'boss',
+    spacing: 0.0,
+    rows: 1,
+    columns: 1,
+    centerOffset: { x: 0, y: 0, z: 0 },
+    rotationSpeed: 0.0,
+    moveSpeed: 1.0,
+    waveAmplitude: 0.0,
+    waveFrequency: 1.0,
+    enemyTypes: ['hiveMother'],
+    enemyTypeDistribution: {
+      hiveMother: 1.0
+    }
+  },
+  
   // Elite squad formation
   eliteSquad: {
     type: 'eliteSquad',
@@ -375,3 +473,93 @@ export const DIFFICULTY_SCALING = {
   eliteProbabilityMultiplier: 1.2,
   commanderProbabilityMultiplier: 1.5
 };
+
+// Difficulty presets, picked before a run. Each multiplies enemy stats on top
+// of DIFFICULTY_SCALING, and how often elites and commanders turn up.
+export const DIFFICULTY_PRESETS = {
+  recruit: {
+    label: 'Recruit',
+    health: 0.75,
+    damage: 0.6,
+    speed: 0.9,
+    points: 0.75,
+    eliteProbability: 0.5,
+    commanderProbability: 0.5
+  },
+  veteran: {
+    label: 'Veteran',
+    health: 1.0,
+    damage: 1.0,
+    speed: 1.0,
+    points: 1.0,
+    eliteProbability: 1.0,
+    commanderProbability: 1.0
+  },
+  elite: {
+    label: 'Elite',
+    health: 1.3,
+    damage: 1.3,
+    speed: 1.1,
+    points: 1.5,
+    eliteProbability: 1.5,
+    commanderProbability: 1.5
+  },
+  nightmare: {
+    label: 'Nightmare',
+    health: 1.75,
+    damage: 1.6,
+    speed: 1.2,
+    points: 2.0,
+    eliteProbability: 2.0,
+    commanderProbability: 2.5
+  }
+};
+
+export const DEFAULT_DIFFICULTY = 'veteran';
+
+// Endless mode: waves built from a budget that grows each wave (see WaveGenerator)
+export const ENDLESS_CONFIG = {
+  baseBudget: 20,            // Budget of wave 1, spent on enemies at their cost
+  maxFormations: 4,          // Most formations in one wave (enemy stats keep scaling after)
+  spawnDelay: 2,             // Seconds before the first formation arrives
+  
+  // Budget cost of each enemy type
+  enemyCosts: {
+    drone: 1,
+    soldier: 2,
+    elite: 5,
+    commander: 10
+  },
+  
+  // Enemies in each formation type, as FORMATION_TYPES lays them out
+  formationSizes: {
+    basic: 9,
+    pincer: 10,
+    diamond: 25,
+    eliteSquad: 13
+  },
+  
+  // Wave each formation type is first used on
+  formationUnlocks: {
+    basic: 1,
+    pincer: 2,
+    diamond: 3,
+    eliteSquad: 5
+  },
+  
+  // Base mix of enemy types, before elites and commanders grow more likely
+  enemyTypeDistribution: {
+    drone: 0.75,
+    soldier: 0.2,
+    elite: 0.05,
+    commander: 0.0
+  },
+  baseCommanderProbability: 0.02, // Commander probability once eliteSquads appear
+  maxEliteProbability: 0.35,
+  maxCommanderProbability: 0.15,
+  
+  // Boss waves: a commander leads a diamond of elites and soldiers
+  bossInterval: 5,           // Every nth wave is a boss wave
+  bossHealthMultiplier: 2.0, // On top of the wave's health scaling
+  bossPointsMultiplier: 3.0  // On top of the wave's points scaling
+};
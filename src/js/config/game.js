@@ -0,0 +1,405 @@
+/**
+ * Game configuration
+ * Central tuning values for the player, physics, arena, hazards and combos.
+ *
+ * GAME_CONFIG_SCHEMA declares every setting with its type, bounds and default.
+ * createGameConfig() merges overrides onto the defaults and validates the
+ * result, throwing a GameConfigError that lists every bad value.
+ */
+
+// Schema version, bumped whenever settings are renamed or removed
+export const GAME_CONFIG_VERSION = 2;
+
+// Arena variants a run can be played on (each has its own high score tables)
+export const ARENAS = ['standard'];
+export const DEFAULT_ARENA = 'standard';
+
+// Setting schema
+// Leaf entries: { type, default, min, max } where type is one of
+// 'number', 'integer', 'boolean', 'color' or 'array' (with an item validator)
+export const GAME_CONFIG_SCHEMA = {
+  // Player stats and movement
+  player: {
+    health: { type: 'number', default: 100, min: 1 },
+    maxHealth: { type: 'number', default: 100, min: 1 },
+    shield: { type: 'number', default: 100, min: 0 },
+    maxShield: { type: 'number', default: 100, min: 0 },
+    energy: { type: 'number', default: 200, min: 0 },
+    maxEnergy: { type: 'number', default: 200, min: 0 },
+    dodgeCharges: { type: 'integer', default: 3, min: 0 },
+    maxDodgeCharges: { type: 'integer', default: 3, min: 0 },
+    moveSpeed: { type: 'number', default: 5, min: 0 }, // meters per second
+    sprintMultiplier: { type: 'number', default: 1.5, min: 1 },
+    jumpForce: { type: 'number', default: 5, min: 0 }, // upward velocity
+    dodgeForce: { type: 'number', default: 15, min: 0 },
+    dodgeCooldown: { type: 'number', default: 2, min: 0 }, // seconds
+    height: { type: 'number', default: 1.8, min: 0.1 }, // meters
+    radius: { type: 'number', default: 0.4, min: 0.05 }, // meters
+    mass: { type: 'number', default: 80, min: 1 }, // kg
+    mouseSensitivity: { type: 'number', default: 0.002, min: 0 },
+    shieldRegenDelay: { type: 'number', default: 3, min: 0 }, // seconds
+    energyRegenRate: { type: 'number', default: 10, min: 0 }, // per second
+    dodgeRegenRate: { type: 'number', default: 0.5, min: 0 } // per second
+  },
+
+  // Physics world
+  physics: {
+    gravity: { type: 'number', default: -9.82, max: 0 },
+    solverIterations: { type: 'integer', default: 10, min: 1, max: 50 },
+    friction: { type: 'number', default: 0.3, min: 0, max: 1 },
+    restitution: { type: 'number', default: 0.2, min: 0, max: 1 },
+    fixedTimeStep: { type: 'number', default: 1 / 60, min: 1 / 240, max: 1 / 15 }, // Simulation tick (seconds)
+    maxSubSteps: { type: 'integer', default: 3, min: 1, max: 10 }, // Most ticks run to catch up in one frame
+    maxFrameTime: { type: 'number', default: 0.25, min: 0.01, max: 1 } // Longest frame counted toward the simulation (seconds)
+  },
+
+  // Arena dimensions and props
+  arena: {
+    size: { type: 'number', default: 100, min: 10 }, // Width and length of the floor
+    platformSize: { type: 'number', default: 60, min: 10 }, // Width and length of the central platform
+    platformHeight: { type: 'number', default: 2, min: 0.1 },
+    boundaryHeight: { type: 'number', default: 15, min: 1 },
+    barrierCount: { type: 'integer', default: 8, min: 0 },
+    shieldStationCount: { type: 'integer', default: 2, min: 0 },
+    ammoStationCount: { type: 'integer', default: 2, min: 0 },
+    coverMargin: { type: 'number', default: 5, min: 0 }, // Margin from platform edge
+    ambientParticleCount: { type: 'integer', default: 100, min: 0 },
+    fogDensity: { type: 'number', default: 0.005, min: 0, max: 1 },
+    fogColor: { type: 'color', default: 0x112233 }
+  },
+
+  // Hazard zones and boundary
+  hazards: {
+    count: { type: 'integer', default: 4, min: 0 },
+    damage: { type: 'number', default: 10, min: 0 }, // Damage per second inside a hazard
+    playerDamageScale: { type: 'number', default: 0.1, min: 0 }, // Per-frame scale applied to the player
+    boundaryDamage: { type: 'number', default: 5, min: 0 } // Per-frame damage outside the boundary
+  },
+
+  // Input replays
+  replay: {
+    seekTicksPerFrame: { type: 'integer', default: 600, min: 1 }, // Ticks simulated per rendered frame while scrubbing
+    skipTime: { type: 'number', default: 5, min: 0.1 } // Seconds jumped by the step back/forward keys
+  },
+
+  // Mid-run saves (Continue)
+  save: {
+    autosaveInterval: { type: 'number', default: 10, min: 1 } // Seconds of play between autosaves
+  },
+
+  // Free-fly camera for watching replays
+  spectator: {
+    moveSpeed: { type: 'number', default: 12, min: 0 }, // meters per second
+    fastMultiplier: { type: 'number', default: 3, min: 1 }, // Speed multiplier while holding shift
+    lookSensitivity: { type: 'number', default: 0.002, min: 0 }
+  },
+
+  // Menus and screens around a run
+  menu: {
+    gameOverDelay: { type: 'number', default: 3, min: 0 } // Seconds the Game Over banner shows before the results
+  },
+
+  // Local high scores and run history
+  scores: {
+    tableSize: { type: 'integer', default: 10, min: 1 }, // Runs kept on each high score table
+    historySize: { type: 'integer', default: 50, min: 1 }, // Most recent runs kept in the run history
+    nameLength: { type: 'integer', default: 12, min: 1 }, // Longest name that can be entered
+    bestCheckInterval: { type: 'number', default: 0.5, min: 0 } // Seconds of play between personal best checks
+  },
+
+  // Shared leaderboard (see leaderboard/LeaderboardClient.js)
+  leaderboard: {
+    topCount: { type: 'integer', default: 10, min: 1 }, // Runs fetched for the top of a table
+    aroundRange: { type: 'integer', default: 3, min: 0 }, // Runs fetched either side of the player's own
+    requestTimeout: { type: 'number', default: 10, min: 1 }, // Seconds before a server request is given up on
+    maxReplayLength: { type: 'number', default: 3600, min: 60 } // Seconds of play in the longest run that can be ranked
+  },
+
+  // Adaptive difficulty (see systems/DifficultyDirector.js). The director's
+  // level runs from -1 (easiest) to 1 (hardest); each setting is a multiplier
+  // that moves from 1 at level 0 toward its easy or hard bound.
+  director: {
+    targetDamageTaken: { type: 'number', default: 0.5, min: 0.01 }, // Share of max health lost in a wave that counts as fair
+    targetAccuracy: { type: 'number', default: 35, min: 1, max: 100 }, // Hit percentage that counts as fair
+    targetClearTime: { type: 'number', default: 60, min: 1 }, // Seconds to clear a wave that counts as fair
+    step: { type: 'number', default: 0.15, min: 0, max: 1 }, // Most the level moves after a wave
+    deathStep: { type: 'number', default: 0.3, min: 0, max: 1 }, // Level dropped when the player dies
+    easySpawnDelay: { type: 'number', default: 1.5, min: 1 }, // Formation and wave delays
+    hardSpawnDelay: { type: 'number', default: 0.75, min: 0.1, max: 1 },
+    easyAttackRate: { type: 'number', default: 0.6, min: 0.1, max: 1 }, // Enemy attacks per second
+    hardAttackRate: { type: 'number', default: 1.25, min: 1 },
+    easyDetectionRange: { type: 'number', default: 0.75, min: 0.1, max: 1 }, // Distance enemies notice the player from
+    hardDetectionRange: { type: 'number', default: 1.2, min: 1 },
+    easyStationRespawn: { type: 'number', default: 0.5, min: 0.1, max: 1 }, // Time for ammo and shield stations to come back
+    hardStationRespawn: { type: 'number', default: 1.5, min: 1 }
+  },
+
+  // Combo system
+  combo: {
+    duration: { type: 'number', default: 3.0, min: 0.1 }, // seconds before combo resets
+    maxMultiplier: { type: 'number', default: 5.0, min: 1 },
+    thresholds: {
+      type: 'array',
+      default: [
+        { count: 0, multiplier: 1.0 },
+        { count: 5, multiplier: 1.25 },
+        { count: 10, multiplier: 1.5 },
+        { count: 20, multiplier: 1.75 },
+        { count: 30, multiplier: 2.0 },
+        { count: 50, multiplier: 2.5 },
+        { count: 75, multiplier: 3.0 },
+        { count: 100, multiplier: 4.0 }
+      ],
+      validate: validateComboThresholds
+    }
+  }
+};
+
+/**
+ * Error thrown when a configuration fails validation
+ */
+export class GameConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid game configuration:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'GameConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate combo thresholds: ascending counts starting at 0, multipliers >= 1
+ * @param {Array} thresholds - Threshold list
+ * @returns {string|null} Error message or null if valid
+ */
+function validateComboThresholds(thresholds) {
+  if (thresholds.length === 0) {
+    return 'must contain at least one threshold';
+  }
+
+  for (let i = 0; i < thresholds.length; i++) {
+    const threshold = thresholds[i];
+
+    if (!isPlainObject(threshold) ||
+        !Number.isInteger(threshold.count) ||
+        typeof threshold.multiplier !== 'number' ||
+        !Number.isFinite(threshold.multiplier)) {
+      return `[${i}] must be { count: integer, multiplier: number }`;
+    }
+
+    if (threshold.multiplier < 1) {
+      return `[${i}].multiplier must be >= 1, got ${threshold.multiplier}`;
+    }
+
+    if (i === 0 && threshold.count !== 0) {
+      return `[0].count must be 0, got ${threshold.count}`;
+    }
+
+    if (i > 0 && threshold.count <= thresholds[i - 1].count) {
+      return `[${i}].count must be greater than the previous threshold (${thresholds[i - 1].count})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a schema node is a leaf setting
+ * @param {Object} node - Schema node
+ * @returns {boolean} Whether the node describes a single setting
+ */
+function isSetting(node) {
+  return typeof node.type === 'string';
+}
+
+/**
+ * Build the default configuration from a schema
+ * @param {Object} schema - Schema (defaults to GAME_CONFIG_SCHEMA)
+ * @returns {Object} Default configuration
+ */
+export function getDefaultGameConfig(schema = GAME_CONFIG_SCHEMA) {
+  const config = {};
+
+  for (const [key, node] of Object.entries(schema)) {
+    config[key] = isSetting(node) ? cloneValue(node.default) : getDefaultGameConfig(node);
+  }
+
+  return config;
+}
+
+/**
+ * Deep clone plain data (objects and arrays)
+ * @param {*} value - Value to clone
+ * @returns {*} Cloned value
+ */
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isPlainObject(value)) {
+    const clone = {};
+    for (const [key, item] of Object.entries(value)) {
+      clone[key] = cloneValue(item);
+    }
+    return clone;
+  }
+  return value;
+}
+
+/**
+ * Deep merge overrides onto a base configuration (arrays are replaced)
+ * @param {Object} base - Base configuration
+ * @param {Object} overrides - Values to apply
+ * @returns {Object} Merged configuration
+ */
+export function mergeGameConfig(base, overrides = {}) {
+  const merged = cloneValue(base);
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = mergeGameConfig(merged[key], value);
+    } else {
+      merged[key] = cloneValue(value);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Validate a single setting
+ * @param {*} value - Setting value
+ * @param {Object} setting - Schema leaf
+ * @returns {string|null} Error message or null if valid
+ */
+function validateSetting(value, setting) {
+  switch (setting.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `expected a finite number, got ${JSON.stringify(value)}`;
+      }
+      if (setting.type === 'integer' && !Number.isInteger(value)) {
+        return `expected an integer, got ${value}`;
+      }
+      if (setting.min !== undefined && value < setting.min) {
+        return `must be >= ${setting.min}, got ${value}`;
+      }
+      if (setting.max !== undefined && value > setting.max) {
+        return `must be <= ${setting.max}, got ${value}`;
+      }
+      return null;
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `expected a boolean, got ${JSON.stringify(value)}`;
+
+    case 'color':
+      if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+        return `expected a hex color between 0x000000 and 0xffffff, got ${JSON.stringify(value)}`;
+      }
+      return null;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return `expected an array, got ${JSON.stringify(value)}`;
+      }
+      return setting.validate ? setting.validate(value) : null;
+
+    default:
+      return `unknown schema type "${setting.type}"`;
+  }
+}
+
+/**
+ * Validate a configuration against a schema
+ * @param {Object} config - Configuration to validate
+ * @param {Object} schema - Schema (defaults to GAME_CONFIG_SCHEMA)
+ * @param {string} path - Key path prefix used in error messages
+ * @returns {string[]} Error messages (empty if valid)
+ */
+export function validateGameConfig(config, schema = GAME_CONFIG_SCHEMA, path = '') {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    return [`${path || 'config'}: expected an object, got ${JSON.stringify(config)}`];
+  }
+
+  // Unknown keys are almost always typos
+  for (const key of Object.keys(config)) {
+    if (!(key in schema)) {
+      errors.push(`${path}${key}: unknown setting`);
+    }
+  }
+
+  for (const [key, node] of Object.entries(schema)) {
+    const keyPath = `${path}${key}`;
+
+    if (!(key in config)) {
+      errors.push(`${keyPath}: missing`);
+      continue;
+    }
+
+    if (isSetting(node)) {
+      const error = validateSetting(config[key], node);
+      if (error) errors.push(`${keyPath}: ${error}`);
+    } else {
+      errors.push(...validateGameConfig(config[key], node, `${keyPath}.`));
+    }
+  }
+
+  // Cross-field checks
+  if (path === '' && errors.length === 0) {
+    if (config.player.health > config.player.maxHealth) {
+      errors.push(`player.health: must be <= player.maxHealth (${config.player.maxHealth}), got ${config.player.health}`);
+    }
+    if (config.player.shield > config.player.maxShield) {
+      errors.push(`player.shield: must be <= player.maxShield (${config.player.maxShield}), got ${config.player.shield}`);
+    }
+    if (config.player.energy > config.player.maxEnergy) {
+      errors.push(`player.energy: must be <= player.maxEnergy (${config.player.maxEnergy}), got ${config.player.energy}`);
+    }
+    if (config.arena.platformSize > config.arena.size) {
+      errors.push(`arena.platformSize: must be <= arena.size (${config.arena.size}), got ${config.arena.platformSize}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Deep freeze a configuration so systems can't mutate shared values
+ * @param {Object} object - Object to freeze
+ * @returns {Object} The frozen object
+ */
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value !== null && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
+
+/**
+ * Create a validated game configuration
+ * @param {Object} overrides - Values to merge onto the defaults
+ * @returns {Object} Frozen configuration
+ * @throws {GameConfigError} If any value is invalid
+ */
+export function createGameConfig(overrides = {}) {
+  const config = mergeGameConfig(getDefaultGameConfig(), overrides);
+  const errors = validateGameConfig(config);
+
+  if (errors.length > 0) {
+    throw new GameConfigError(errors);
+  }
+
+  return deepFreeze(config);
+}
+
+// Default configuration used by game systems
+export const GAME_CONFIG = createGameConfig();
@@ -0,0 +1,367 @@
+/**
+ * Weapon configuration
+ * Contains stats, fire modes, spread patterns, projectile settings and
+ * upgrade trees for every player weapon
+ *
+ * Upgrade trees list the modifiers unlocked at each level (1-3). Levels are
+ * cumulative: level 2 applies the level 1 and level 2 modifiers. A modifier
+ * targets a stat by path and either adds to it, scales it by a percentage
+ * (summed across levels, then applied as base * (1 + total)), or sets it.
+ *
+ * Projectiles lose damage with the distance they travel: full damage up to
+ * falloffStart, dropping linearly to falloffMinMultiplier at falloffEnd.
+ */
+
+// Fire modes
+export const FIRE_MODES = {
+  AUTO: 'auto', // Fires continuously while the trigger is held
+  SEMI: 'semi', // One shot per trigger press
+  CHARGE: 'charge' // Hold to charge, fires on release
+};
+
+// Projectile types (handled in Projectile.onHit)
+export const PROJECTILE_TYPES = {
+  STANDARD: 'standard', // Stops at the first thing it hits (unless piercing)
+  CHARGED: 'charged' // Passes through enemies, losing damage with each one, stops at walls
+};
+
+// Spread patterns
+export const SPREAD_PATTERNS = {
+  NONE: 'none', // Perfectly accurate
+  RANDOM: 'random', // Uniform random jitter per shot
+  CONE: 'cone' // Pellets spread evenly across a cone
+};
+
+// Weapon definitions
+export const WEAPON_TYPES = {
+  // Pulse Cannon - Reliable automatic energy rifle
+  pulseCannon: {
+    name: 'Pulse Cannon',
+    slot: 1, // Number key that selects the weapon
+    fireMode: FIRE_MODES.AUTO,
+    fireRate: 2, // shots per second
+    magazineSize: 20,
+    reserveAmmo: 120, // Spare rounds carried at the start
+    maxReserveAmmo: 240,
+    reloadTime: 1.5, // seconds
+    spread: 0.02, // Jitter range per axis (radians)
+    spreadPattern: SPREAD_PATTERNS.RANDOM,
+    pelletCount: 1,
+    recoil: 0.05,
+    projectile: {
+      damage: 10,
+      speed: 30, // meters per second
+      radius: 0.05,
+      color: 0x00aaff,
+      lifetime: 3.0, // seconds
+      gravity: 0,
+      piercing: false,
+      explosive: false,
+      explosionRadius: 0,
+      falloffStart: 20, // meters of full damage
+      falloffEnd: 45, // meters until minimum damage
+      falloffMinMultiplier: 0.5
+    },
+    // Right mouse: hold to charge a piercing shot powered by suit energy
+    secondary: {
+      energyCost: 10, // Energy to start charging
+      energyPerSecond: 30, // Energy drained while charging
+      minTime: 0.3, // seconds before release fires a shot
+      maxTime: 2.0, // seconds to full charge
+      minDamageMultiplier: 1.5, // Multiplier of primary damage at minimum charge
+      maxDamageMultiplier: 6.0, // Multiplier of primary damage at full charge
+      cooldown: 0.5, // seconds after a charged shot before charging again
+      projectile: {
+        type: PROJECTILE_TYPES.CHARGED,
+        speed: 55,
+        radius: 0.1,
+        color: 0x66ddff,
+        lifetime: 2.0,
+        piercing: true,
+        falloffStart: 40,
+        falloffEnd: 90,
+        falloffMinMultiplier: 0.6,
+        maxPierce: 5, // Enemies a shot can pass through
+        pierceDamageFalloff: 0.8 // Damage multiplier after each enemy
+      }
+    },
+    model: {
+      color: 0x333333,
+      accentColor: 0x00aaff,
+      barrelLength: 0.4
+    },
+    sounds: {
+      fire: 'weapon_fire',
+      secondaryFire: 'weapon_charged_fire',
+      reload: 'weapon_reload',
+      empty: 'weapon_empty'
+    },
+    upgrades: {
+      precision: [
+        // Level 1-3: +20% damage, +10% speed, tighter spread, longer effective range
+        [
+          { stat: 'projectile.damage', percent: 0.2 },
+          { stat: 'projectile.speed', percent: 0.1 },
+          { stat: 'spread', add: -0.005, min: 0 },
+          { stat: 'projectile.falloffStart', add: 10 },
+          { stat: 'projectile.falloffEnd', add: 15 }
+        ],
+        [
+          { stat: 'projectile.damage', percent: 0.2 },
+          { stat: 'projectile.speed', percent: 0.1 },
+          { stat: 'spread', add: -0.005, min: 0 },
+          { stat: 'projectile.falloffStart', add: 10 },
+          { stat: 'projectile.falloffEnd', add: 15 }
+        ],
+        [
+          { stat: 'projectile.damage', percent: 0.2 },
+          { stat: 'projectile.speed', percent: 0.1 },
+          { stat: 'spread', add: -0.005, min: 0 },
+          { stat: 'projectile.piercing', set: true },
+          { stat: 'projectile.falloffMinMultiplier', add: 0.3, max: 1 }
+        ]
+      ],
+      rapidFire: [
+        // Level 1-3: +1 fire rate, +10 magazine, faster reload
+        [
+          { stat: 'fireRate', add: 1 },
+          { stat: 'magazineSize', add: 10 },
+          { stat: 'reloadTime', add: -0.2, min: 0.8 }
+        ],
+        [
+          { stat: 'fireRate', add: 1 },
+          { stat: 'magazineSize', add: 10 },
+          { stat: 'reloadTime', add: -0.2, min: 0.8 }
+        ],
+        [
+          { stat: 'fireRate', add: 1 },
+          { stat: 'magazineSize', add: 10 },
+          { stat: 'reloadTime', add: -0.2, min: 0.8 }
+        ]
+      ],
+      impact: [
+        // Level 1-3: +5 base damage, +30% damage, bigger rounds; explosive from level 2
+        [
+          { stat: 'projectile.damage', add: 5, percent: 0.3 },
+          { stat: 'projectile.radius', percent: 0.2 }
+        ],
+        [
+          { stat: 'projectile.damage', add: 5, percent: 0.3 },
+          { stat: 'projectile.radius', percent: 0.2 },
+          { stat: 'projectile.explosive', set: true },
+          { stat: 'projectile.explosionRadius', add: 1.0 }
+        ],
+        [
+          { stat: 'projectile.damage', add: 5, percent: 0.3 },
+          { stat: 'projectile.radius', percent: 0.2 },
+          { stat: 'projectile.explosionRadius', add: 0.5 }
+        ]
+      ]
+    }
+  },
+
+  // Shotgun - Wide pellet spread, devastating up close
+  shotgun: {
+    name: 'Scatter Shotgun',
+    slot: 2, // Number key that selects the weapon
+    fireMode: FIRE_MODES.SEMI,
+    fireRate: 1.2,
+    magazineSize: 6,
+    reserveAmmo: 24, // Spare rounds carried at the start
+    maxReserveAmmo: 48,
+    reloadTime: 2.2,
+    spread: 0.12, // Cone half-angle (radians)
+    spreadPattern: SPREAD_PATTERNS.CONE,
+    pelletCount: 9,
+    recoil: 0.12,
+    projectile: {
+      damage: 6, // Per pellet
+      speed: 40,
+      radius: 0.03,
+      color: 0xffaa00,
+      lifetime: 0.6,
+      gravity: 0,
+      piercing: false,
+      explosive: false,
+      explosionRadius: 0,
+      falloffStart: 4, // Brutal up close...
+      falloffEnd: 14, // ...pellets are nearly spent past this
+      falloffMinMultiplier: 0.15
+    },
+    model: {
+      color: 0x4a3a2a,
+      accentColor: 0xffaa00,
+      barrelLength: 0.3
+    },
+    sounds: {
+      fire: 'weapon_fire',
+      reload: 'weapon_reload',
+      empty: 'weapon_empty'
+    },
+    upgrades: {
+      precision: [
+        [{ stat: 'spread', percent: -0.15 }],
+        [
+          { stat: 'spread', percent: -0.15 },
+          { stat: 'projectile.lifetime', percent: 0.25 },
+          { stat: 'projectile.falloffEnd', add: 3 }
+        ],
+        [
+          { stat: 'spread', percent: -0.15 },
+          { stat: 'projectile.lifetime', percent: 0.25 },
+          { stat: 'projectile.falloffStart', add: 2 },
+          { stat: 'projectile.falloffEnd', add: 3 }
+        ]
+      ],
+      rapidFire: [
+        [{ stat: 'fireRate', percent: 0.2 }],
+        [{ stat: 'fireRate', percent: 0.2 }, { stat: 'magazineSize', add: 2 }],
+        [{ stat: 'fireRate', percent: 0.2 }, { stat: 'reloadTime', add: -0.5, min: 1.0 }]
+      ],
+      impact: [
+        [{ stat: 'pelletCount', add: 2 }],
+        [{ stat: 'projectile.damage', percent: 0.25 }],
+        [{ stat: 'pelletCount', add: 3 }, { stat: 'projectile.damage', percent: 0.25 }]
+      ]
+    }
+  },
+
+  // Charge Beam - Hold to charge a piercing lance
+  chargeBeam: {
+    name: 'Charge Beam',
+    slot: 3, // Number key that selects the weapon
+    fireMode: FIRE_MODES.CHARGE,
+    fireRate: 1,
+    magazineSize: 5,
+    reserveAmmo: 15, // Spare rounds carried at the start
+    maxReserveAmmo: 30,
+    reloadTime: 2.5,
+    spread: 0,
+    spreadPattern: SPREAD_PATTERNS.NONE,
+    pelletCount: 1,
+    recoil: 0.08,
+    charge: {
+      minTime: 0.2, // seconds before release fires a shot
+      maxTime: 1.5, // seconds to full charge
+      maxDamageMultiplier: 4.0, // Damage multiplier at full charge
+      maxSpeedMultiplier: 1.5 // Projectile speed multiplier at full charge
+    },
+    projectile: {
+      damage: 15,
+      speed: 60,
+      radius: 0.08,
+      color: 0xaa44ff,
+      lifetime: 2.0,
+      gravity: 0,
+      piercing: true,
+      explosive: false,
+      explosionRadius: 0,
+      falloffStart: 50,
+      falloffEnd: 100,
+      falloffMinMultiplier: 0.7
+    },
+    model: {
+      color: 0x2a2a3a,
+      accentColor: 0xaa44ff,
+      barrelLength: 0.5
+    },
+    sounds: {
+      fire: 'weapon_fire',
+      reload: 'weapon_reload',
+      empty: 'weapon_empty'
+    },
+    upgrades: {
+      precision: [
+        [{ stat: 'projectile.speed', percent: 0.2 }],
+        [{ stat: 'charge.maxTime', add: -0.25, min: 0.5 }],
+        [{ stat: 'charge.maxTime', add: -0.25, min: 0.5 }, { stat: 'projectile.speed', percent: 0.2 }]
+      ],
+      rapidFire: [
+        [{ stat: 'magazineSize', add: 2 }],
+        [{ stat: 'reloadTime', add: -0.5, min: 1.0 }],
+        [{ stat: 'magazineSize', add: 3 }]
+      ],
+      impact: [
+        [{ stat: 'charge.maxDamageMultiplier', add: 0.5 }],
+        [{ stat: 'projectile.radius', percent: 0.5 }, { stat: 'charge.maxDamageMultiplier', add: 0.5 }],
+        [{ stat: 'projectile.explosive', set: true }, { stat: 'projectile.explosionRadius', add: 1.5 }]
+      ]
+    }
+  },
+
+  // Grenade Launcher - Arcing explosive rounds
+  grenadeLauncher: {
+    name: 'Grenade Launcher',
+    slot: 4, // Number key that selects the weapon
+    fireMode: FIRE_MODES.SEMI,
+    fireRate: 0.8,
+    magazineSize: 4,
+    reserveAmmo: 8, // Spare rounds carried at the start
+    maxReserveAmmo: 16,
+    reloadTime: 3.0,
+    spread: 0.01,
+    spreadPattern: SPREAD_PATTERNS.RANDOM,
+    pelletCount: 1,
+    recoil: 0.15,
+    launchAngle: 0.15, // Extra upward aim (radians) so grenades arc
+    projectile: {
+      damage: 20, // Direct hit damage
+      speed: 18,
+      radius: 0.12,
+      color: 0x66ff44,
+      lifetime: 4.0,
+      gravity: 9.82, // Downward acceleration (m/s^2)
+      piercing: false,
+      explosive: true,
+      explosionRadius: 4.0,
+      explosionDamage: 45, // Damage at the center of the blast
+      explosionForce: 40, // Impulse at the center of the blast (N*s)
+      explosionMinFalloff: 0.15 // Multiplier at the edge of the blast
+    },
+    model: {
+      color: 0x2f3f2f,
+      accentColor: 0x66ff44,
+      barrelLength: 0.35
+    },
+    sounds: {
+      fire: 'weapon_fire',
+      reload: 'weapon_reload',
+      empty: 'weapon_empty'
+    },
+    upgrades: {
+      precision: [
+        [{ stat: 'projectile.speed', percent: 0.15 }],
+        [{ stat: 'projectile.gravity', percent: -0.25 }],
+        [{ stat: 'projectile.speed', percent: 0.15 }]
+      ],
+      rapidFire: [
+        [{ stat: 'magazineSize', add: 1 }],
+        [{ stat: 'reloadTime', add: -0.5, min: 1.5 }],
+        [{ stat: 'fireRate', percent: 0.25 }, { stat: 'magazineSize', add: 1 }]
+      ],
+      impact: [
+        [{ stat: 'projectile.explosionRadius', add: 1.0 }],
+        [{ stat: 'projectile.damage', percent: 0.3 }, { stat: 'projectile.explosionDamage', percent: 0.3 }],
+        [
+          { stat: 'projectile.explosionRadius', add: 1.0 },
+          { stat: 'projectile.damage', percent: 0.3 },
+          { stat: 'projectile.explosionDamage', percent: 0.3 }
+        ]
+      ]
+    }
+  }
+};
+
+// Weapon switching
+export const WEAPON_SWITCH = {
+  holsterTime: 0.2, // seconds to put the current weapon away
+  drawTime: 0.25, // seconds to bring the next weapon up
+  holsterDrop: 0.35, // How far the model drops while holstered
+  wheelDisplayTime: 1.5 // seconds the HUD weapon wheel stays visible after a switch
+};
+
+// Upgrade paths every weapon supports
+export const UPGRADE_PATHS = ['precision', 'rapidFire', 'impact'];
+
+// Highest upgrade level per path
+export const MAX_UPGRADE_LEVEL = 3;
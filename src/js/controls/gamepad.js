@@ -0,0 +1,67 @@
+// Gamepad buttons are polled once per frame to drive the menus (and pause).
+// Gameplay doesn't read the gamepad, so nothing here goes into replays.
+// Button numbers follow the browser's standard gamepad mapping.
+export const GAMEPAD_BUTTONS = {
+  select: 0, // A / Cross
+  back: 1, // B / Circle
+  pause: 9, // Start / Options
+  up: 12,
+  down: 13,
+  left: 14,
+  right: 15
+};
+
+export class GamepadInput {
+  constructor(options = {}) {
+    this.options = Object.assign({
+      stickThreshold: 0.5 // How far the left stick must be pushed to count as the d-pad
+    }, options);
+
+    // Actions held at the last poll, so each press is reported once
+    this.held = {};
+
+    // Called with the action name when a button goes down
+    this.onPress = null;
+  }
+
+  // Read the first connected gamepad and report new presses (call every frame)
+  poll() {
+    const gamepad = this.getGamepad();
+    const held = gamepad ? this.readActions(gamepad) : {};
+
+    for (const action in held) {
+      if (held[action] && !this.held[action] && this.onPress) {
+        this.onPress(action);
+      }
+    }
+
+    this.held = held;
+  }
+
+  // Get the first connected gamepad, if any
+  getGamepad() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+
+    return Array.from(navigator.getGamepads()).find(gamepad => gamepad && gamepad.connected) || null;
+  }
+
+  // Get which actions a gamepad is holding
+  readActions(gamepad) {
+    const held = {};
+
+    for (const action in GAMEPAD_BUTTONS) {
+      const button = gamepad.buttons[GAMEPAD_BUTTONS[action]];
+      held[action] = !!button && button.pressed;
+    }
+
+    // The left stick works like the d-pad
+    const [x = 0, y = 0] = gamepad.axes;
+    const threshold = this.options.stickThreshold;
+    held.up = held.up || y < -threshold;
+    held.down = held.down || y > threshold;
+    held.left = held.left || x < -threshold;
+    held.right = held.right || x > threshold;
+
+    return held;
+  }
+}
@@ -1,34 +1,46 @@
+// Default key mappings (action -> key codes); the game state machine reads
+// the pause keys from here too
+export const DEFAULT_KEY_MAP = {
+  // Movement
+  forward: ['KeyW', 'ArrowUp'],
+  backward: ['KeyS', 'ArrowDown'],
+  left: ['KeyA', 'ArrowLeft'],
+  right: ['KeyD', 'ArrowRight'],
+  
+  // Actions
+  jump: ['Space'],
+  sprint: ['ShiftLeft', 'ShiftRight'],
+  crouch: ['ControlLeft', 'ControlRight', 'KeyC'],
+  dodge: ['KeyQ', 'KeyE'],
+  
+  // Weapons
+  fire: ['Mouse0'], // Left mouse button
+  altFire: ['Mouse2'], // Right mouse button
+  reload: ['KeyR'],
+  
+  // UI
+  pause: ['Escape', 'KeyP'],
+  inventory: ['KeyI', 'Tab'],
+  
+  // Debug
+  debug: ['F3']
+};
+
+// Key and mouse button presses are queued and only change the key states
+// when flush() is called at the start of a simulation tick, so input can be
+// recorded and replayed tick for tick (see InputRecorder).
+// Queued events: ['d', code], ['u', code] and ['r'] (release all keys)
 export class KeyboardInput {
   constructor() {
     // Key states
     this.keys = {};
     
+    // Events waiting for the next tick
+    this.queue = [];
+    this.live = true; // Off while a replay supplies the input
+    
     // Key mappings
-    this.keyMap = {
-      // Movement
-      forward: ['KeyW', 'ArrowUp'],
-      backward: ['KeyS', 'ArrowDown'],
-      left: ['KeyA', 'ArrowLeft'],
-      right: ['KeyD', 'ArrowRight'],
-      
-      // Actions
-      jump: ['Space'],
-      sprint: ['ShiftLeft', 'ShiftRight'],
-      crouch: ['ControlLeft', 'ControlRight', 'KeyC'],
-      dodge: ['KeyQ', 'KeyE'],
-      
-      // Weapons
-      fire: ['Mouse0'], // Left mouse button
-      altFire: ['Mouse2'], // Right mouse button
-      reload: ['KeyR'],
-      
-      // UI
-      pause: ['Escape', 'KeyP'],
-      inventory: ['KeyI', 'Tab'],
-      
-      // Debug
-      debug: ['F3']
-    };
+    this.keyMap = { ...DEFAULT_KEY_MAP };
     
     // Set up event listeners
     this.setupEventListeners();
@@ -56,19 +68,63 @@ export class KeyboardInput {
   }
   
   handleKeyDown(event) {
-    this.keys[event.code] = true;
+    // Ignore auto-repeat, the key is already down
+    if (event.repeat) return;
+    
+    this.queueEvent(['d', event.code]);
   }
   
   handleKeyUp(event) {
-    this.keys[event.code] = false;
+    this.queueEvent(['u', event.code]);
   }
   
   handleMouseDown(event) {
-    this.keys[`Mouse${event.button}`] = true;
+    this.queueEvent(['d', `Mouse${event.button}`]);
   }
   
   handleMouseUp(event) {
-    this.keys[`Mouse${event.button}`] = false;
+    this.queueEvent(['u', `Mouse${event.button}`]);
+  }
+  
+  queueEvent(event) {
+    if (this.live) {
+      this.queue.push(event);
+    }
+  }
+  
+  // Apply queued events and return them (call once per tick)
+  flush() {
+    const events = this.queue;
+    this.queue = [];
+    
+    events.forEach(event => this.apply(event));
+    
+    return events;
+  }
+  
+  // Apply a single event
+  apply(event) {
+    const [type, code] = event;
+    
+    switch (type) {
+      case 'd':
+        this.keys[code] = true;
+        break;
+      case 'u':
+        this.keys[code] = false;
+        break;
+      case 'r':
+        for (const key in this.keys) {
+          this.keys[key] = false;
+        }
+        break;
+    }
+  }
+  
+  // Switch live input on or off (off while a replay supplies the input)
+  setLive(live) {
+    this.live = live;
+    this.queue = [];
   }
   
   // Check if any key for a specific action is pressed
@@ -102,8 +158,6 @@ export class KeyboardInput {
   
   // Reset all key states (useful when losing focus)
   resetKeys() {
-    for (const key in this.keys) {
-      this.keys[key] = false;
-    }
+    this.queueEvent(['r']);
   }
 }
@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 
+// Mouse movement and scrolling are queued and only turn the camera when
+// flush() is called at the start of a simulation tick, so input can be
+// recorded and replayed tick for tick (see InputRecorder).
+// Queued events: ['m', movementX, movementY] and ['w', deltaY]
 export class MouseInput {
   constructor(camera, domElement) {
     this.camera = camera;
@@ -11,6 +15,11 @@ export class MouseInput {
     this.mouseX = 0;
     this.mouseY = 0;
     this.mouseMovement = new THREE.Vector2();
+    this.wheelDelta = 0; // Accumulated scroll since last consumeWheelDelta()
+    
+    // Events waiting for the next tick
+    this.queue = [];
+    this.live = true; // Off while a replay supplies the input
     
     // Camera rotation objects
     this.pitchObject = new THREE.Object3D(); // Rotation around X-axis (looking up/down)
@@ -28,6 +37,9 @@ export class MouseInput {
     // Mouse movement
     document.addEventListener('mousemove', this.onMouseMove.bind(this));
     
+    // Scroll wheel
+    document.addEventListener('wheel', this.onWheel.bind(this), { passive: true });
+    
     // Pointer lock events
     document.addEventListener('pointerlockchange', this.onPointerLockChange.bind(this));
     document.addEventListener('pointerlockerror', this.onPointerLockError.bind(this));
@@ -60,18 +72,63 @@ export class MouseInput {
   }
   
   onMouseMove(event) {
-    if (!this.isLocked) return;
+    if (!this.isLocked || !this.live) return;
+    
+    // Several moves in one tick become one
+    const last = this.queue[this.queue.length - 1];
+    if (last && last[0] === 'm') {
+      last[1] += event.movementX;
+      last[2] += event.movementY;
+    } else {
+      this.queue.push(['m', event.movementX, event.movementY]);
+    }
+  }
+  
+  onWheel(event) {
+    if (!this.isLocked || !this.live) return;
+    
+    this.queue.push(['w', event.deltaY]);
+  }
+  
+  // Apply queued events and return them (call once per tick)
+  flush() {
+    const events = this.queue;
+    this.queue = [];
+    
+    events.forEach(event => this.apply(event));
     
+    return events;
+  }
+  
+  // Apply a single event
+  apply(event) {
+    switch (event[0]) {
+      case 'm':
+        this.move(event[1], event[2]);
+        break;
+      case 'w':
+        this.wheelDelta += event[1];
+        break;
+    }
+  }
+  
+  // Switch live input on or off (off while a replay supplies the input)
+  setLive(live) {
+    this.live = live;
+    this.queue = [];
+  }
+  
+  move(movementX, movementY) {
     // Update mouse position
-    this.mouseX += event.movementX;
-    this.mouseY += event.movementY;
+    this.mouseX += movementX;
+    this.mouseY += movementY;
     
     // Store mouse movement for this frame
-    this.mouseMovement.set(event.movementX, event.movementY);
+    this.mouseMovement.set(movementX, movementY);
     
     // Update camera rotation
-    this.yawObject.rotation.y -= event.movementX * this.mouseSensitivity;
-    this.pitchObject.rotation.x -= event.movementY * this.mouseSensitivity;
+    this.yawObject.rotation.y -= movementX * this.mouseSensitivity;
+    this.pitchObject.rotation.x -= movementY * this.mouseSensitivity;
     
     // Limit pitch to avoid camera flipping
     this.pitchObject.rotation.x = Math.max(
@@ -80,6 +137,13 @@ export class MouseInput {
     );
   }
   
+  // Get the scroll since the last call and reset it
+  consumeWheelDelta() {
+    const delta = this.wheelDelta;
+    this.wheelDelta = 0;
+    return delta;
+  }
+  
   update() {
     // Reset mouse movement after each frame
     this.mouseMovement.set(0, 0);
@@ -3,45 +3,87 @@ import { Formation } from './formations/Formation.js';
 import { DiamondFormation } from './formations/DiamondFormation.js';
 import { PincerFormation } from './formations/PincerFormation.js';
 import { EliteSquadFormation } from './formations/EliteSquadFormation.js';
-import { FORMATION_TYPES, WAVE_CONFIGS, DIFFICULTY_SCALING } from '../config/enemies.js';
-import { Drone } from './types/Drone.js';
-import { Soldier } from './types/Soldier.js';
-import { Elite } from './types/Elite.js';
-import { Commander } from './types/Commander.js';
+import { FORMATION_TYPES, WAVE_CONFIGS, DIFFICULTY_SCALING, DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from '../config/enemies.js';
+import { Random } from '../utils/random.js';
+import { WaveScriptRunner } from './WaveScriptRunner.js';
 
 /**
  * Manages enemy formations and waves
+ *
+ * Enemies are scaled as they spawn: health, damage and speed grow with
+ * DIFFICULTY_SCALING each wave, points follow the wave's pointsMultiplier,
+ * and the difficulty preset multiplies all of them along with how often
+ * elites and commanders appear.
+ *
+ * Waves come from WAVE_CONFIGS, a WaveGenerator (endless mode) or a wave
+ * script (missions), which a WaveScriptRunner plays instead of scheduling
+ * formations up front.
  */
 export class FormationManager {
-  constructor(scene, player, gameManager) {
+  /**
+   * Create a new formation manager
+   * @param {THREE.Scene} scene - The game scene (with the game clock as userData.scheduler)
+   * @param {Object} player - Player that enemies target
+   * @param {Object} gameManager - Receives wave and score callbacks
+   * @param {EnemyPool} enemyPool - Pool that enemies are spawned from
+   * @param {Random} random - Seeded RNG for enemy composition
+   * @param {Object} options - Wave options
+   * @param {WaveGenerator} options.waveGenerator - Builds endless waves (null plays WAVE_CONFIGS)
+   * @param {Object} options.script - Wave script to play instead (see waveScript.js; null for none)
+   * @param {string} options.difficulty - Difficulty preset (see DIFFICULTY_PRESETS)
+   * @param {DifficultyDirector} options.director - Adaptive difficulty (null to play without)
+   */
+  constructor(scene, player, gameManager, enemyPool, random = new Random(), options = {}) {
+    this.options = Object.assign({
+      waveGenerator: null,
+      script: null,
+      difficulty: DEFAULT_DIFFICULTY,
+      director: null
+    }, options);
+    
     this.scene = scene;
     this.player = player;
     this.gameManager = gameManager;
+    this.enemyPool = enemyPool;
+    this.random = random; // Seeded RNG for enemy composition
+    this.waveGenerator = this.options.waveGenerator;
+    this.difficulty = DIFFICULTY_PRESETS[this.options.difficulty];
+    this.director = this.options.director;
+    
+    // Plays the wave script, if there is one
+    this.scriptRunner = this.options.script ? new WaveScriptRunner(this, this.options.script) : null;
+    
+    // Pending spawns and waves on the game clock (see GameManager), by task id
+    this.scheduler = scene.userData.scheduler;
+    this.scheduled = new Map();
     
     this.formations = [];
     this.activeFormations = [];
     this.currentWave = 0;
     this.waveInProgress = false;
     this.enemiesRemaining = 0;
-    this.difficultyLevel = 1;
-    
-    // Enemy factory functions
-    this.enemyFactories = {
-      drone: (position, options) => new Drone(this.scene, position, options),
-      soldier: (position, options) => new Soldier(this.scene, position, options),
-      elite: (position, options) => new Elite(this.scene, position, options),
-      commander: (position, options) => new Commander(this.scene, position, options)
-    };
+    
+    // Height above the formation plane that enemies spawn at
+    this.spawnHeight = 1;
     
     // Formation factory functions
     this.formationFactories = {
       basic: (options) => new Formation(options),
       diamond: (options) => new DiamondFormation(options),
       pincer: (options) => new PincerFormation(options),
-      eliteSquad: (options) => new EliteSquadFormation(options)
+      eliteSquad: (options) => new EliteSquadFormation(options),
+      boss: (options) => new Formation(options)
     };
   }
   
+  /**
+   * Game time, from the shared scheduler
+   * @returns {number} Seconds since the run started
+   */
+  get time() {
+    return this.scheduler.time;
+  }
+  
   /**
    * Initialize the formation manager
    */
@@ -50,6 +92,80 @@ export class FormationManager {
     console.log('Formation Manager initialized');
   }
   
+  /**
+   * Get the config of a wave
+   * @param {number} waveNumber - Wave number (1-based)
+   * @returns {Object|null} Wave config (see WAVE_CONFIGS, or a script wave), or null past the last wave
+   */
+  getWaveConfig(waveNumber) {
+    if (this.scriptRunner) {
+      return this.options.script.waves[waveNumber - 1] || null;
+    }
+    if (this.waveGenerator) {
+      return this.waveGenerator.generate(waveNumber);
+    }
+    return WAVE_CONFIGS[waveNumber - 1] || null;
+  }
+  
+  /**
+   * Get the enemy stat multipliers for a wave, difficulty preset and director included
+   * @param {number} waveNumber - Wave number (1-based)
+   * @returns {Object} { health, damage, speed, points, attackRate, detectionRange } (see Enemy)
+   */
+  getWaveScaling(waveNumber) {
+    const steps = waveNumber - 1;
+    const waveConfig = this.getWaveConfig(waveNumber);
+    
+    return {
+      health: Math.pow(DIFFICULTY_SCALING.healthMultiplier, steps) * this.difficulty.health,
+      damage: Math.pow(DIFFICULTY_SCALING.damageMultiplier, steps) * this.difficulty.damage,
+      speed: Math.pow(DIFFICULTY_SCALING.speedMultiplier, steps) * this.difficulty.speed,
+      points: (waveConfig ? waveConfig.pointsMultiplier : 1) * this.difficulty.points,
+      attackRate: this.director ? this.director.getSetting('attackRate') : 1,
+      detectionRange: this.director ? this.director.getSetting('detectionRange') : 1
+    };
+  }
+  
+  /**
+   * Stretch or shorten a spawn delay as the director sees fit
+   * @param {number} delay - Delay in seconds
+   * @returns {number} Adjusted delay
+   */
+  getSpawnDelay(delay) {
+    return this.director ? delay * this.director.getSetting('spawnDelay') : delay;
+  }
+  
+  /**
+   * Apply the difficulty preset to a formation's enemy mix
+   * Drones make up for elites and commanders added or taken away.
+   * @param {Object} distribution - Probability by enemy type
+   * @returns {Object} Adjusted probabilities, still adding up to 1
+   */
+  getDifficultyDistribution(distribution) {
+    const adjusted = { ...distribution };
+    
+    if (adjusted.elite) {
+      adjusted.elite = Math.min(adjusted.elite * this.difficulty.eliteProbability, 1);
+    }
+    if (adjusted.commander) {
+      adjusted.commander = Math.min(adjusted.commander * this.difficulty.commanderProbability, 1);
+    }
+    
+    if (adjusted.drone !== undefined) {
+      const change = (adjusted.elite || 0) + (adjusted.commander || 0) -
+        (distribution.elite || 0) - (distribution.commander || 0);
+      adjusted.drone = Math.max(adjusted.drone - change, 0);
+    }
+    
+    // Too many elites and commanders for the drones to make room
+    const total = Object.values(adjusted).reduce((sum, probability) => sum + probability, 0);
+    if (total > 0) {
+      Object.keys(adjusted).forEach(type => { adjusted[type] /= total; });
+    }
+    
+    return adjusted;
+  }
+  
   /**
    * Start a new wave
    * @param {number} waveNumber - Wave number to start (defaults to next wave)
@@ -66,7 +182,8 @@ export class FormationManager {
     }
     
     // Check if wave exists in config
-    if (waveNumber > WAVE_CONFIGS.length) {
+    const waveConfig = this.getWaveConfig(waveNumber);
+    if (!waveConfig) {
       console.log('All waves completed!');
       this.gameManager.onAllWavesCompleted();
       return;
@@ -76,30 +193,31 @@ export class FormationManager {
     this.waveInProgress = true;
     this.enemiesRemaining = 0;
     
-    const waveConfig = WAVE_CONFIGS[waveNumber - 1];
-    
-    // Apply difficulty scaling
-    const difficultyMultiplier = Math.pow(this.difficultyLevel, 0.5);
-    
-    // Create formations for this wave
-    waveConfig.formations.forEach((formationConfig, index) => {
-      setTimeout(() => {
-        this.createFormation(formationConfig, difficultyMultiplier);
-      }, index * 1000 + waveConfig.spawnDelay * 1000);
-    });
+    // Create formations for this wave (scripted waves spawn as their events fire)
+    if (this.scriptRunner) {
+      this.scriptRunner.startWave(waveNumber);
+    } else {
+      waveConfig.formations.forEach((formationConfig, index) => {
+        this.schedule(this.getSpawnDelay(index + waveConfig.spawnDelay), {
+          type: 'formation',
+          wave: waveNumber,
+          index
+        });
+      });
+    }
     
     // Notify game manager
     this.gameManager.onWaveStarted(waveNumber);
     
-    console.log(`Starting Wave ${waveNumber}`);
+    console.log(`Starting Wave ${waveNumber}${waveConfig.boss ? ' (boss)' : ''}`);
   }
   
   /**
    * Create a formation based on configuration
    * @param {Object} config - Formation configuration
-   * @param {number} difficultyMultiplier - Difficulty scaling factor
+   * @param {Object} scaling - Enemy stat multipliers (see getWaveScaling), or null for base stats
    */
-  createFormation(config, difficultyMultiplier = 1.0) {
+  createFormation(config, scaling = null) {
     const formationType = config.type;
     const formationCount = config.count || 1;
     const basePosition = config.position || { x: 0, y: 0, z: -20 };
@@ -130,7 +248,8 @@ export class FormationManager {
       const formationOptions = {
         ...formationTemplate,
         ...config,
-        position: new THREE.Vector3(position.x, position.y, position.z)
+        position: new THREE.Vector3(position.x, position.y, position.z),
+        random: this.random
       };
       
       // Create the formation
@@ -139,15 +258,15 @@ export class FormationManager {
       // Generate positions for enemies
       formation.generatePositions();
       
+      // Activate the formation so its slots have world positions
+      formation.activate(formationOptions.position);
+      
       // Populate formation with enemies
-      this.populateFormation(formation, formationOptions, difficultyMultiplier);
+      this.populateFormation(formation, formationOptions, scaling);
       
       // Add to active formations
       this.activeFormations.push(formation);
       this.formations.push(formation);
-      
-      // Activate the formation
-      formation.activate();
     }
   }
   
@@ -169,11 +288,11 @@ export class FormationManager {
    * Populate a formation with enemies
    * @param {Formation} formation - The formation to populate
    * @param {Object} options - Formation options
-   * @param {number} difficultyMultiplier - Difficulty scaling factor
+   * @param {Object} scaling - Enemy stat multipliers, or null for base stats
    */
-  populateFormation(formation, options, difficultyMultiplier) {
+  populateFormation(formation, options, scaling) {
     const positions = formation.positions;
-    const distribution = options.enemyTypeDistribution;
+    const distribution = this.getDifficultyDistribution(options.enemyTypeDistribution);
     const enemyTypes = options.enemyTypes || ['drone'];
     
     // Count enemies for tracking
@@ -181,27 +300,32 @@ export class FormationManager {
     
     // Special handling for diamond formation with commander
     if (options.type === 'diamond' && distribution.commander > 0) {
-      // Place commander at center
-      const commanderPosition = positions[0];
-      const commander = this.createEnemy('commander', commanderPosition, difficultyMultiplier);
+      // Place commander at center (tougher and worth more when leading a boss wave)
+      const bossMultipliers = options.bossMultipliers;
+      const commanderScaling = scaling && bossMultipliers ? {
+        ...scaling,
+        health: scaling.health * bossMultipliers.health,
+        points: scaling.points * bossMultipliers.points
+      } : scaling;
+      const commander = this.createEnemy('commander', formation.getWorldPosition(0), commanderScaling);
       formation.addEnemy(commander, 0);
       enemyCount++;
       
       // Place elites in first layer
-      const eliteIndices = formation.getEliteIndices();
+      const eliteIndices = formation.getElitePositionIndices();
       eliteIndices.forEach(index => {
         if (index < positions.length) {
-          const elite = this.createEnemy('elite', positions[index], difficultyMultiplier);
+          const elite = this.createEnemy('elite', formation.getWorldPosition(index), scaling);
           formation.addEnemy(elite, index);
           enemyCount++;
         }
       });
       
       // Place soldiers in second layer
-      const soldierIndices = formation.getSoldierIndices();
+      const soldierIndices = formation.getSoldierPositionIndices();
       soldierIndices.forEach(index => {
         if (index < positions.length) {
-          const soldier = this.createEnemy('soldier', positions[index], difficultyMultiplier);
+          const soldier = this.createEnemy('soldier', formation.getWorldPosition(index), scaling);
           formation.addEnemy(soldier, index);
           enemyCount++;
         }
@@ -210,7 +334,7 @@ export class FormationManager {
       // Fill remaining positions with drones
       for (let i = 0; i < positions.length; i++) {
         if (!formation.enemies[i] && positions[i]) {
-          const drone = this.createEnemy('drone', positions[i], difficultyMultiplier);
+          const drone = this.createEnemy('drone', formation.getWorldPosition(i), scaling);
           formation.addEnemy(drone, i);
           enemyCount++;
         }
@@ -222,7 +346,7 @@ export class FormationManager {
         // Determine enemy type based on distribution
         const enemyType = this.getEnemyTypeFromDistribution(distribution);
         if (enemyType && position) {
-          const enemy = this.createEnemy(enemyType, position, difficultyMultiplier);
+          const enemy = this.createEnemy(enemyType, formation.getWorldPosition(index), scaling);
           formation.addEnemy(enemy, index);
           enemyCount++;
         }
@@ -237,28 +361,51 @@ export class FormationManager {
    * Create an enemy of specified type
    * @param {string} type - Enemy type
    * @param {THREE.Vector3} position - Initial position
-   * @param {number} difficultyMultiplier - Difficulty scaling factor
+   * @param {Object} scaling - Stat multipliers (see Enemy), or null for base stats
    * @returns {Enemy} The created enemy
    */
-  createEnemy(type, position, difficultyMultiplier) {
-    const factory = this.enemyFactories[type];
-    if (!factory) {
-      console.error(`Unknown enemy type: ${type}`);
-      return null;
-    }
+  createEnemy(type, position, scaling = null) {
+    const spawnPosition = position.clone();
+    spawnPosition.y += this.spawnHeight;
     
-    // Apply difficulty scaling to enemy options
-    const options = {
-      type: type,
-      difficultyMultiplier: difficultyMultiplier,
-      // Add any other options needed
-    };
-    
-    const enemy = factory(position, options);
+    const enemy = this.enemyPool.spawn(type, spawnPosition, { scaling });
+    if (!enemy) return null;
     
     // Set callback for when enemy is defeated
     enemy.onDefeated = () => this.onEnemyDefeated(enemy);
     
+    // Bosses call in minions and announce their phases
+    if (enemy.isBoss) {
+      enemy.onSummon = (minionType, minionPosition) => this.summonEnemy(minionType, minionPosition);
+      enemy.getEnemyCount = () => this.enemiesRemaining;
+      enemy.onPhaseChanged = (boss, phase) => {
+        if (this.gameManager && this.gameManager.onBossPhaseChanged) {
+          this.gameManager.onBossPhaseChanged(boss, phase);
+        }
+      };
+    }
+    
+    // Hunt the player
+    enemy.setTarget(this.player);
+    
+    if (this.scriptRunner) {
+      this.scriptRunner.onEnemySpawned(enemy);
+    }
+    
+    return enemy;
+  }
+  
+  /**
+   * Bring in an enemy outside any formation (a boss's minions), counted toward the wave
+   * @param {string} type - Enemy type
+   * @param {THREE.Vector3} position - Where it arrives
+   * @returns {Enemy} The summoned enemy
+   */
+  summonEnemy(type, position) {
+    const enemy = this.createEnemy(type, position, this.getWaveScaling(this.currentWave));
+    if (enemy) {
+      this.enemiesRemaining++;
+    }
     return enemy;
   }
   
@@ -268,7 +415,7 @@ export class FormationManager {
    * @returns {string} Selected enemy type
    */
   getEnemyTypeFromDistribution(distribution) {
-    const random = Math.random();
+    const random = this.random.next();
     let cumulativeProbability = 0;
     
     for (const [type, probability] of Object.entries(distribution)) {
@@ -287,20 +434,38 @@ export class FormationManager {
    * @param {Enemy} enemy - The defeated enemy
    */
   onEnemyDefeated(enemy) {
+    // Defeat is only counted once per spawn
+    enemy.onDefeated = null;
+    
     this.enemiesRemaining--;
     
+    if (this.scriptRunner) {
+      this.scriptRunner.onEnemyDefeated(enemy);
+    }
+    
     // Award points
     if (this.gameManager) {
-      this.gameManager.addScore(enemy.points);
+      this.gameManager.addScore(Math.round(enemy.options.points * enemy.getScale('points')));
+      
+      if (this.gameManager.onEnemyDefeated) {
+        this.gameManager.onEnemyDefeated(enemy);
+      }
     }
     
-    // Check if wave is complete
-    if (this.enemiesRemaining <= 0 && this.waveInProgress) {
-      this.waveInProgress = false;
-      this.onWaveCompleted();
+    // Check if wave is complete (scripted waves check their own objectives)
+    if (this.enemiesRemaining <= 0 && this.waveInProgress && !this.scriptRunner) {
+      this.completeWave();
     }
   }
   
+  /**
+   * End the wave in progress
+   */
+  completeWave() {
+    this.waveInProgress = false;
+    this.onWaveCompleted();
+  }
+  
   /**
    * Handle wave completed event
    */
@@ -316,19 +481,14 @@ export class FormationManager {
       return true;
     });
     
-    // Increase difficulty
-    this.difficultyLevel += 0.5;
-    
     // Notify game manager
     if (this.gameManager) {
       this.gameManager.onWaveCompleted(this.currentWave);
     }
     
     // Start next wave after delay
-    if (this.currentWave < WAVE_CONFIGS.length) {
-      setTimeout(() => {
-        this.startWave();
-      }, 5000); // 5 second delay between waves
+    if (this.getWaveConfig(this.currentWave + 1)) {
+      this.schedule(this.getSpawnDelay(5), { type: 'wave' }); // 5 second delay between waves
     } else {
       // All waves completed
       if (this.gameManager) {
@@ -342,6 +502,11 @@ export class FormationManager {
    * @param {number} deltaTime - Time since last update
    */
   update(deltaTime) {
+    // Fire scripted events that are due
+    if (this.scriptRunner && this.waveInProgress) {
+      this.scriptRunner.update();
+    }
+    
     // Update all active formations
     this.activeFormations.forEach(formation => {
       formation.update(deltaTime, this.player.position);
@@ -357,6 +522,112 @@ export class FormationManager {
     });
   }
   
+  /**
+   * Run a task after a delay in game time
+   * Tasks are plain data (see runTask) so pending spawns can be saved.
+   * @param {number} delay - Delay in seconds
+   * @param {Object} task - Task to run
+   */
+  schedule(delay, task) {
+    this.scheduleAt(this.time + delay, task);
+  }
+  
+  /**
+   * Run a task when the game clock reaches a time
+   * @param {number} time - Game time in seconds
+   * @param {Object} task - Task to run
+   */
+  scheduleAt(time, task) {
+    const id = this.scheduler.at(time, () => {
+      this.scheduled.delete(id);
+      this.runTask(task);
+    });
+    this.scheduled.set(id, { time, task });
+  }
+  
+  /**
+   * Cancel every pending spawn and wave
+   */
+  cancelScheduled() {
+    this.scheduled.forEach((entry, id) => this.scheduler.cancel(id));
+    this.scheduled.clear();
+  }
+  
+  /**
+   * Run a scheduled task
+   * @param {Object} task - Task from schedule()
+   */
+  runTask(task) {
+    switch (task.type) {
+      case 'formation': {
+        const formationConfig = this.getWaveConfig(task.wave).formations[task.index];
+        this.createFormation(formationConfig, this.getWaveScaling(task.wave));
+        break;
+      }
+      case 'wave':
+        this.startWave();
+        break;
+      default:
+        console.warn(`Unknown scheduled task: ${task.type}`);
+    }
+  }
+  
+  /**
+   * Get the wave state for a saved run
+   * Formations aren't saved; they only suggest positions to their enemies,
+   * which hunt the player on their own once restored.
+   * @returns {Object} Wave progress, pending spawns, active enemies and script progress
+   */
+  getSaveState() {
+    // Corpses still fading out are included, as they still collide
+    const enemies = this.enemyPool.getActiveEnemies().map(enemy => enemy.getSaveState());
+    
+    return {
+      currentWave: this.currentWave,
+      waveInProgress: this.waveInProgress,
+      enemiesRemaining: this.enemiesRemaining,
+      random: this.random.getState(),
+      scheduled: Array.from(this.scheduled.values(), entry => ({ time: entry.time, task: { ...entry.task } })),
+      enemies,
+      script: this.scriptRunner ? this.scriptRunner.getSaveState() : null
+    };
+  }
+  
+  /**
+   * Restore the wave state from a saved run
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    this.reset();
+    
+    this.currentWave = state.currentWave;
+    this.waveInProgress = state.waveInProgress;
+    this.enemiesRemaining = state.enemiesRemaining;
+    this.random.setState(state.random);
+    
+    // The game clock is restored first (see GameManager)
+    state.scheduled.forEach(entry => this.scheduleAt(entry.time, { ...entry.task }));
+    
+    state.enemies.forEach(enemyState => {
+      const { type } = enemyState;
+      const scaling = enemyState.scaling ?? null;
+      const position = new THREE.Vector3(...enemyState.position);
+      
+      // Corpses aren't counted toward the wave or given a target
+      const enemy = enemyState.isAlive
+        ? this.createEnemy(type, position, scaling)
+        : this.enemyPool.spawn(type, position, { scaling });
+      if (enemy) {
+        enemy.restoreSaveState(enemyState);
+      }
+    });
+    
+    // After the enemies, which count as spawning again when restored
+    if (this.scriptRunner && state.script) {
+      this.scriptRunner.restoreSaveState(state.script, this.currentWave);
+    }
+  }
+  
   /**
    * Reset the formation manager
    */
@@ -366,11 +637,16 @@ export class FormationManager {
       formation.deactivate();
     });
     
+    // Remove spawned enemies and cancel pending spawns
+    if (this.enemyPool) {
+      this.enemyPool.despawnAll();
+    }
+    this.cancelScheduled();
+    
     this.formations = [];
     this.activeFormations = [];
     this.currentWave = 0;
     this.waveInProgress = false;
     this.enemiesRemaining = 0;
-    this.difficultyLevel = 1;
   }
 } 
\ No newline at end of file
@@ -0,0 +1,173 @@
+import { ENDLESS_CONFIG, DIFFICULTY_SCALING } from '../config/enemies.js';
+import { Random } from '../utils/random.js';
+
+// Where the formations of a wave arrive, in order
+const FORMATION_POSITIONS = [
+  { x: 0, y: 0, z: -30 },
+  { x: -15, y: 0, z: -20 },
+  { x: 15, y: 0, z: -20 },
+  { x: -10, y: 0, z: -35 },
+  { x: 10, y: 0, z: -35 },
+  { x: 0, y: 0, z: -40 }
+];
+
+/**
+ * WaveGenerator - Builds the waves of endless mode
+ *
+ * Each wave gets a budget that grows by DIFFICULTY_SCALING.enemyCountMultiplier
+ * per wave, spent on formations at the cost of the enemies they are expected
+ * to hold. Elites and commanders grow more likely wave by wave, and points
+ * scale up with DIFFICULTY_SCALING. Every ENDLESS_CONFIG.bossInterval waves
+ * a commander leads a diamond on top of the budget.
+ *
+ * Waves come out in the same layout as WAVE_CONFIGS (enemy stats are scaled
+ * by FormationManager, as in campaign waves). A wave depends only on the
+ * seed and wave number, so saved runs and replays rebuild it exactly.
+ */
+export class WaveGenerator {
+  /**
+   * Create a new wave generator
+   * @param {Random} random - Seeded RNG (each wave forks its own stream)
+   * @param {Object} options - Overrides for ENDLESS_CONFIG
+   */
+  constructor(random = new Random(), options = {}) {
+    this.random = random;
+    this.options = Object.assign({ ...ENDLESS_CONFIG }, options);
+
+    this.lastWave = null; // Last wave built, as formations are looked up one by one
+  }
+
+  /**
+   * Get the budget for a wave
+   * @param {number} waveNumber - Wave number (1-based)
+   * @returns {number} Budget, in enemy cost
+   */
+  getBudget(waveNumber) {
+    return this.options.baseBudget * Math.pow(DIFFICULTY_SCALING.enemyCountMultiplier, waveNumber - 1);
+  }
+
+  /**
+   * Get the mix of enemy types for a wave
+   * @param {number} waveNumber - Wave number (1-based)
+   * @returns {Object} Probability by enemy type
+   */
+  getDistribution(waveNumber) {
+    const { enemyTypeDistribution, formationUnlocks } = this.options;
+    const steps = waveNumber - 1;
+
+    const elite = Math.min(
+      enemyTypeDistribution.elite * Math.pow(DIFFICULTY_SCALING.eliteProbabilityMultiplier, steps),
+      this.options.maxEliteProbability
+    );
+
+    // Commanders join once elite squads do
+    const commanderSteps = waveNumber - formationUnlocks.eliteSquad;
+    const commander = commanderSteps < 0 ? 0 : Math.min(
+      this.options.baseCommanderProbability * Math.pow(DIFFICULTY_SCALING.commanderProbabilityMultiplier, commanderSteps),
+      this.options.maxCommanderProbability
+    );
+
+    const soldier = enemyTypeDistribution.soldier;
+
+    return {
+      drone: Math.max(1 - soldier - elite - commander, 0),
+      soldier,
+      elite,
+      commander
+    };
+  }
+
+  /**
+   * Get the expected cost of a formation
+   * @param {string} type - Formation type
+   * @param {Object} distribution - Probability by enemy type
+   * @returns {number} Cost, in budget
+   */
+  getFormationCost(type, distribution) {
+    const { enemyCosts, formationSizes } = this.options;
+
+    const enemyCost = Object.entries(distribution)
+      .reduce((total, [enemyType, probability]) => total + probability * enemyCosts[enemyType], 0);
+
+    return formationSizes[type] * enemyCost;
+  }
+
+  /**
+   * Build a wave
+   * @param {number} waveNumber - Wave number (1-based)
+   * @returns {Object} Wave config (see WAVE_CONFIGS), plus whether it's a boss wave
+   */
+  generate(waveNumber) {
+    if (this.lastWave && this.lastWave.number === waveNumber) {
+      return this.lastWave.config;
+    }
+
+    const random = this.random.fork(`wave:${waveNumber}`);
+    const distribution = this.getDistribution(waveNumber);
+    const boss = waveNumber % this.options.bossInterval === 0;
+    const formations = [];
+
+    if (boss) {
+      formations.push(this.createBossFormation(distribution));
+    }
+
+    // Diamonds with a commander take the boss layout, so only boss waves get one
+    const standardDistribution = { ...distribution, commander: 0 };
+    const getMix = type => (type === 'diamond' ? standardDistribution : distribution);
+    const unlocked = Object.keys(this.options.formationUnlocks)
+      .filter(type => this.options.formationUnlocks[type] <= waveNumber);
+
+    let budget = this.getBudget(waveNumber);
+
+    while (formations.length < this.options.maxFormations) {
+      const affordable = unlocked.filter(type => this.getFormationCost(type, getMix(type)) <= budget);
+
+      // Every wave gets at least one formation
+      if (affordable.length === 0 && formations.length > 0) break;
+
+      const type = affordable.length > 0 ? random.pick(affordable) : 'basic';
+      const formationDistribution = getMix(type);
+
+      formations.push({
+        type,
+        count: 1,
+        position: { ...FORMATION_POSITIONS[formations.length] },
+        enemyTypes: Object.keys(formationDistribution).filter(enemyType => formationDistribution[enemyType] > 0),
+        enemyTypeDistribution: formationDistribution
+      });
+
+      budget -= this.getFormationCost(type, formationDistribution);
+    }
+
+    const config = {
+      formations,
+      spawnDelay: this.options.spawnDelay,
+      totalEnemies: formations.reduce((total, formation) => total + this.options.formationSizes[formation.type], 0),
+      pointsMultiplier: Math.pow(DIFFICULTY_SCALING.pointsMultiplier, waveNumber - 1),
+      boss
+    };
+
+    this.lastWave = { number: waveNumber, config };
+    return config;
+  }
+
+  /**
+   * Build the formation that leads a boss wave
+   * @param {Object} distribution - Wave mix
+   * @returns {Object} Diamond formation led by a commander, with the
+   *   commander's extra health and points as bossMultipliers
+   */
+  createBossFormation(distribution) {
+    return {
+      type: 'diamond',
+      count: 1,
+      position: { ...FORMATION_POSITIONS[0] },
+      enemyTypes: ['drone', 'soldier', 'elite', 'commander'],
+      enemyTypeDistribution: { ...distribution, commander: Math.max(distribution.commander, this.options.baseCommanderProbability) },
+      bossMultipliers: {
+        health: this.options.bossHealthMultiplier,
+        points: this.options.bossPointsMultiplier
+      }
+    };
+  }
+}
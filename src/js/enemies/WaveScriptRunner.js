@@ -0,0 +1,365 @@
+/**
+ * WaveScriptRunner - Plays a wave script (see waveScript.js) for a FormationManager
+ *
+ * Each tick of a wave it fires the events whose triggers are met, in script
+ * order, then clears the wave once every objective is met. Times are game
+ * time from the FormationManager, and everything it tracks is simulation
+ * state, so scripted runs save, restore and replay like any other.
+ *
+ * Announcer lines and objective updates go to the game manager's
+ * onAnnouncement callback.
+ */
+export class WaveScriptRunner {
+  /**
+   * Create a new runner
+   * @param {FormationManager} formationManager - Spawns the formations and owns the waves
+   * @param {Object} script - Loaded wave script (see loadWaveScript)
+   */
+  constructor(formationManager, script) {
+    this.formationManager = formationManager;
+    this.script = script;
+    this.scene = formationManager.scene;
+
+    this.wave = null; // Script wave being played
+    this.resetWave();
+
+    // The arena's hazards are all on until the script says otherwise
+    this.script.dormantHazards.forEach(hazard => this.setHazardActive(hazard, false));
+  }
+
+  /**
+   * Forget the progress of the last wave
+   */
+  resetWave() {
+    this.waveStart = 0; // Game time the wave started
+    this.events = this.wave ? this.wave.events.map(() => ({ metAt: null, firedAt: null })) : [];
+    this.objectivesMet = this.wave ? this.wave.objectives.map(() => false) : [];
+    this.spawned = 0; // Enemies spawned this wave
+    this.defeated = 0; // Enemies defeated this wave
+    this.spawnedTypes = {}; // Enemies spawned this wave, by type
+    this.defeatedTypes = {}; // Enemies defeated this wave, by type
+    this.hazardsActivated = []; // Hazards the script switched on this wave
+  }
+
+  /**
+   * Start playing a wave
+   * @param {number} waveNumber - Wave number (1-based)
+   */
+  startWave(waveNumber) {
+    this.wave = this.script.waves[waveNumber - 1];
+    this.resetWave();
+    this.waveStart = this.formationManager.time;
+
+    if (this.wave.name) {
+      this.announce(this.wave.name);
+    }
+    this.wave.objectives.forEach(objective => {
+      if (objective.text) this.announce(`Objective: ${objective.text}`);
+    });
+  }
+
+  /**
+   * Get how long the current wave has been going
+   * @returns {number} Seconds of game time
+   */
+  getWaveTime() {
+    return this.formationManager.time - this.waveStart;
+  }
+
+  /**
+   * Fire the events that are due and clear the wave once its objectives are met
+   * Call each tick while a wave is in progress.
+   */
+  update() {
+    if (!this.wave) return;
+
+    // Firing an event can meet another's trigger (a spawn, or an event it waits on)
+    let fired;
+    do {
+      fired = false;
+      this.wave.events.forEach((event, index) => {
+        if (this.updateEvent(event, index)) fired = true;
+      });
+    } while (fired);
+
+    this.updateObjectives();
+  }
+
+  /**
+   * Fire an event if its trigger (and the delay after it) has come
+   * @param {Object} event - Script event
+   * @param {number} index - Event index in the wave
+   * @returns {boolean} Whether the event fired
+   */
+  updateEvent(event, index) {
+    const state = this.events[index];
+    if (state.firedAt !== null) return false;
+
+    const time = this.getWaveTime();
+    if (state.metAt === null) {
+      if (!this.isTriggerMet(event.trigger)) return false;
+      state.metAt = time;
+    }
+
+    if (time < state.metAt + event.trigger.delay) return false;
+
+    state.firedAt = time;
+    event.actions.forEach(action => this.runAction(action));
+    return true;
+  }
+
+  /**
+   * Check an event trigger against the wave so far
+   * @param {Object} trigger - Script trigger
+   * @returns {boolean} Whether the trigger is met
+   */
+  isTriggerMet(trigger) {
+    switch (trigger.type) {
+      case 'time':
+        return this.getWaveTime() >= trigger.at;
+      case 'defeated':
+        return this.spawned > 0 && (this.defeated / this.spawned) * 100 >= trigger.percent;
+      case 'spawned':
+        return (this.spawnedTypes[trigger.enemy] || 0) > 0;
+      case 'hazard':
+        return this.hazardsActivated.includes(trigger.hazard);
+      case 'event':
+        return this.getEventState(trigger.event).firedAt !== null;
+      case 'objective':
+        return this.objectivesMet[this.wave.objectives.findIndex(objective => objective.id === trigger.objective)];
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Get the progress of a named event in the current wave
+   * @param {string} id - Event id
+   * @returns {Object} { metAt, firedAt }
+   */
+  getEventState(id) {
+    return this.events[this.wave.events.findIndex(event => event.id === id)];
+  }
+
+  /**
+   * Check whether an event is sure to fire later without anything else happening
+   * (a timer, or a trigger that's met and waiting out its delay)
+   * @param {number} index - Event index in the wave
+   * @returns {boolean} Whether the event is counting down
+   */
+  isPending(index) {
+    const state = this.events[index];
+    if (state.firedAt !== null) return false;
+    if (state.metAt !== null) return true;
+
+    const { trigger } = this.wave.events[index];
+    if (trigger.type === 'time') return true;
+    if (trigger.type === 'event') {
+      // Only earlier events can be waited on, so this always ends
+      const source = this.wave.events.findIndex(event => event.id === trigger.event);
+      return this.events[source].firedAt !== null || this.isPending(source);
+    }
+    return false;
+  }
+
+  /**
+   * Run an event action
+   * @param {Object} action - Script action
+   */
+  runAction(action) {
+    switch (action.type) {
+      case 'spawn': {
+        const position = typeof action.at === 'string' ? this.script.spawnPoints[action.at] : action.at;
+        this.spawn(action, position);
+        break;
+      }
+      case 'reinforce':
+        this.spawn(action, this.getReinforcementPoint(action.from));
+        break;
+      case 'announce':
+        this.announce(action.text, action.speaker);
+        break;
+      case 'hazard':
+        if (this.setHazardActive(action.hazard, action.active) && action.active) {
+          this.hazardsActivated.push(action.hazard);
+        }
+        break;
+      default:
+        console.warn(`Unknown wave script action: ${action.type}`);
+    }
+  }
+
+  /**
+   * Spawn a spawn or reinforce action's formation, scaled for the wave
+   * @param {Object} action - Script action
+   * @param {Object} position - Where to spawn: { x, y, z }
+   */
+  spawn(action, position) {
+    const config = {
+      type: action.formation,
+      count: action.count,
+      position: { ...position }
+    };
+    if (action.enemies) {
+      config.enemyTypes = Object.keys(action.enemies);
+      config.enemyTypeDistribution = { ...action.enemies };
+    }
+
+    const manager = this.formationManager;
+    manager.createFormation(config, manager.getWaveScaling(manager.currentWave));
+  }
+
+  /**
+   * Pick where reinforcements arrive: the spawn point farthest from the player
+   * @param {string[]} names - Spawn points to choose from
+   * @returns {Object} Position: { x, y, z }
+   */
+  getReinforcementPoint(names) {
+    const { position } = this.formationManager.player;
+    let farthest = null;
+    let farthestDistance = -1;
+
+    names.forEach(name => {
+      const point = this.script.spawnPoints[name];
+      const dx = point.x - position.x;
+      const dz = point.z - position.z;
+      const distance = dx * dx + dz * dz;
+
+      if (distance > farthestDistance) {
+        farthest = point;
+        farthestDistance = distance;
+      }
+    });
+
+    return farthest;
+  }
+
+  /**
+   * Switch a hazard zone on or off
+   * @param {number} index - Hazard index
+   * @param {boolean} active - Whether the hazard hurts
+   * @returns {boolean} Whether the arena has that hazard
+   */
+  setHazardActive(index, active) {
+    const arena = this.scene.userData.arena;
+    const environmentSystem = arena && arena.environmentSystem;
+
+    if (!environmentSystem || !environmentSystem.setHazardActive(index, active)) {
+      console.warn(`Wave script "${this.script.id}" uses hazard ${index}, which this arena doesn't have`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Pass a line to the game manager for the HUD
+   * @param {string} text - Line
+   * @param {string} speaker - Who says it (null for the announcer)
+   */
+  announce(text, speaker = null) {
+    const { gameManager } = this.formationManager;
+    if (gameManager && gameManager.onAnnouncement) {
+      gameManager.onAnnouncement(text, speaker);
+    }
+  }
+
+  /**
+   * Note objectives as they're met, and clear the wave once they all are
+   * Objectives stay met, except defeatAll, which more enemies can undo.
+   */
+  updateObjectives() {
+    let allMet = true;
+
+    this.wave.objectives.forEach((objective, index) => {
+      const met = this.isObjectiveMet(objective);
+
+      if (met && !this.objectivesMet[index]) {
+        this.objectivesMet[index] = true;
+        if (objective.text) this.announce(`Objective complete: ${objective.text}`);
+      }
+
+      if (!(objective.type === 'defeatAll' ? met : this.objectivesMet[index])) {
+        allMet = false;
+      }
+    });
+
+    if (allMet) {
+      this.formationManager.completeWave();
+    }
+  }
+
+  /**
+   * Check an objective against the wave so far
+   * @param {Object} objective - Script objective
+   * @returns {boolean} Whether the objective is met
+   */
+  isObjectiveMet(objective) {
+    switch (objective.type) {
+      case 'defeatAll':
+        return this.formationManager.enemiesRemaining <= 0 &&
+          !this.wave.events.some((event, index) => this.isPending(index));
+      case 'defeat':
+        return (this.defeatedTypes[objective.enemy] || 0) >= objective.count;
+      case 'survive':
+        return this.getWaveTime() >= objective.time;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Count a spawned enemy toward the wave
+   * @param {Enemy} enemy - Spawned enemy
+   */
+  onEnemySpawned(enemy) {
+    const type = enemy.options.type;
+    this.spawned++;
+    this.spawnedTypes[type] = (this.spawnedTypes[type] || 0) + 1;
+  }
+
+  /**
+   * Count a defeated enemy toward the wave
+   * @param {Enemy} enemy - Defeated enemy
+   */
+  onEnemyDefeated(enemy) {
+    const type = enemy.options.type;
+    this.defeated++;
+    this.defeatedTypes[type] = (this.defeatedTypes[type] || 0) + 1;
+  }
+
+  /**
+   * Get the wave progress for a saved run
+   * Hazard states are saved with the arena.
+   * @returns {Object} Event, objective and enemy progress of the current wave
+   */
+  getSaveState() {
+    return {
+      waveStart: this.waveStart,
+      events: this.events.map(state => ({ ...state })),
+      objectivesMet: [...this.objectivesMet],
+      spawned: this.spawned,
+      defeated: this.defeated,
+      spawnedTypes: { ...this.spawnedTypes },
+      defeatedTypes: { ...this.defeatedTypes },
+      hazardsActivated: [...this.hazardsActivated]
+    };
+  }
+
+  /**
+   * Restore the wave progress from a saved run
+   * @param {Object} state - State from getSaveState()
+   * @param {number} waveNumber - Wave the run was on (0 before the first)
+   */
+  restoreSaveState(state, waveNumber) {
+    this.wave = this.script.waves[waveNumber - 1] || null;
+
+    this.waveStart = state.waveStart;
+    this.events = state.events.map(eventState => ({ ...eventState }));
+    this.objectivesMet = [...state.objectivesMet];
+    this.spawned = state.spawned;
+    this.defeated = state.defeated;
+    this.spawnedTypes = { ...state.spawnedTypes };
+    this.defeatedTypes = { ...state.defeatedTypes };
+    this.hazardsActivated = [...state.hazardsActivated];
+  }
+}
@@ -0,0 +1,712 @@
+/**
+ * BehaviorTree - Behavior trees with hierarchical state machine nodes, for enemy AI
+ *
+ * A tree is built from nodes that are ticked once per update and answer
+ * SUCCESS, FAILURE or RUNNING:
+ * - Composites: sequence (until one fails), selector (until one doesn't) and
+ *   parallel (all of them, in order)
+ * - Leaves: condition (a test) and action (does something)
+ * - Decorators: inverter, cooldown (only once every so often) and chance
+ *   (only if a roll of the seeded RNG says so)
+ * - State machines: a stateMachine ticks only its current state. goTo switches
+ *   state, running the old state's exit and the new state's enter. A state can
+ *   hold state machines of its own, which start over whenever it's entered.
+ *
+ * Each agent gets its own tree, as state machines remember their state. What
+ * the nodes need to remember between ticks (cooldowns, timers) is kept in the
+ * tree's blackboard, where the agent can read, save and restore it.
+ *
+ * Node callbacks are called with (agent, deltaTime, blackboard).
+ */
+
+export const SUCCESS = 'success';
+export const FAILURE = 'failure';
+export const RUNNING = 'running';
+
+/**
+ * Named values shared by an agent's nodes
+ */
+export class Blackboard {
+  /**
+   * Create a new blackboard
+   * @param {Object} defaults - Every key the tree uses, with its starting value
+   */
+  constructor(defaults = {}) {
+    this.defaults = { ...defaults };
+    this.values = new Map();
+    this.reset();
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {*} Value (undefined if never set)
+   */
+  get(key) {
+    return this.values.get(key);
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Key
+   * @param {*} value - Value
+   */
+  set(key, value) {
+    this.values.set(key, value);
+  }
+
+  /**
+   * Put every value back to its default
+   */
+  reset() {
+    this.values.clear();
+    Object.entries(this.defaults).forEach(([key, value]) => this.values.set(key, value));
+  }
+}
+
+/**
+ * Base node
+ */
+export class Node {
+  /**
+   * Create a new node
+   * @param {string} name - Name shown by the debug overlay
+   */
+  constructor(name) {
+    this.name = name;
+    this.parent = null;
+    this.depth = 0; // States it's within (set by the tree)
+  }
+
+  /**
+   * Get the nodes directly below this one
+   * @returns {Node[]} Child nodes
+   */
+  getChildren() {
+    return [];
+  }
+
+  /**
+   * Tick the node, noting it as the tree's active node if it's an action that
+   * didn't fail, and within as many states as the one noted so far this tick
+   * @param {Object} context - The tree's context
+   * @returns {string} SUCCESS, FAILURE or RUNNING
+   */
+  run(context) {
+    const status = this.tick(context);
+    if (status !== FAILURE && this instanceof Action) {
+      const { tree } = context;
+      if (!tree.activeNode || this.depth >= tree.activeNode.depth) {
+        tree.activeNode = this;
+      }
+    }
+    return status;
+  }
+
+  /**
+   * Do the node's work (see run)
+   * @param {Object} context - The tree's context
+   * @returns {string} SUCCESS, FAILURE or RUNNING
+   */
+  tick(context) {
+    return SUCCESS;
+  }
+}
+
+/**
+ * Base node for nodes with children
+ */
+class Composite extends Node {
+  /**
+   * @param {string} name - Node name
+   * @param {Node[]} children - Children, in the order they're ticked
+   */
+  constructor(name, children) {
+    super(name);
+    this.children = children;
+  }
+
+  getChildren() {
+    return this.children;
+  }
+}
+
+/**
+ * Ticks children in order until one doesn't succeed
+ */
+export class Sequence extends Composite {
+  tick(context) {
+    for (const child of this.children) {
+      const status = child.run(context);
+      if (status !== SUCCESS) return status;
+    }
+    return SUCCESS;
+  }
+}
+
+/**
+ * Ticks children in order until one doesn't fail
+ */
+export class Selector extends Composite {
+  tick(context) {
+    for (const child of this.children) {
+      const status = child.run(context);
+      if (status !== FAILURE) return status;
+    }
+    return FAILURE;
+  }
+}
+
+/**
+ * Ticks every child in order; running if any is, failing only if all do
+ */
+export class Parallel extends Composite {
+  tick(context) {
+    let running = false;
+    let succeeded = false;
+    for (const child of this.children) {
+      const status = child.run(context);
+      running = running || status === RUNNING;
+      succeeded = succeeded || status === SUCCESS;
+    }
+    if (running) return RUNNING;
+    return succeeded ? SUCCESS : FAILURE;
+  }
+}
+
+/**
+ * Succeeds when a test passes
+ */
+export class Condition extends Node {
+  /**
+   * @param {string} name - Node name
+   * @param {Function} predicate - Test, called with (agent, deltaTime, blackboard)
+   */
+  constructor(name, predicate) {
+    super(name);
+    this.predicate = predicate;
+  }
+
+  tick(context) {
+    const { agent, deltaTime, tree } = context;
+    return this.predicate(agent, deltaTime, tree.blackboard) ? SUCCESS : FAILURE;
+  }
+}
+
+/**
+ * Does something
+ */
+export class Action extends Node {
+  /**
+   * @param {string} name - Node name
+   * @param {Function} callback - Called with (agent, deltaTime, blackboard); returns a status (SUCCESS if it returns nothing)
+   */
+  constructor(name, callback) {
+    super(name);
+    this.callback = callback;
+  }
+
+  tick(context) {
+    const { agent, deltaTime, tree } = context;
+    return this.callback(agent, deltaTime, tree.blackboard) ?? SUCCESS;
+  }
+}
+
+/**
+ * Counts a blackboard timer down, running until it runs out
+ */
+export class Countdown extends Action {
+  /**
+   * @param {string} name - Node name
+   * @param {string} key - Blackboard key of the timer, in seconds
+   */
+  constructor(name, key) {
+    super(name, (agent, deltaTime, blackboard) => {
+      const remaining = blackboard.get(key) - deltaTime;
+      blackboard.set(key, remaining);
+      return remaining <= 0 ? SUCCESS : RUNNING;
+    });
+    this.key = key;
+  }
+}
+
+/**
+ * Switches the nearest state machine that has the state over to it
+ */
+export class GoTo extends Action {
+  /**
+   * @param {string} stateName - State to switch to
+   */
+  constructor(stateName) {
+    super(`to ${stateName}`, null);
+    this.stateName = stateName;
+  }
+
+  tick(context) {
+    // Innermost machine first, then out to the tree's own
+    const machine = context.machines.findLast(machine => machine.states[this.stateName])
+      || context.tree.machine;
+    if (!machine.states[this.stateName]) {
+      console.warn(`No state machine has a ${this.stateName} state`);
+      return FAILURE;
+    }
+
+    machine.changeState(this.stateName, context);
+    return SUCCESS;
+  }
+}
+
+/**
+ * Base node for nodes that change what their one child does
+ */
+class Decorator extends Node {
+  /**
+   * @param {string} name - Node name
+   * @param {Node|null} child - Child node
+   */
+  constructor(name, child) {
+    super(name);
+    this.child = child;
+  }
+
+  getChildren() {
+    return this.child ? [this.child] : [];
+  }
+}
+
+/**
+ * Swaps its child's success and failure
+ */
+export class Inverter extends Decorator {
+  tick(context) {
+    const status = this.child.run(context);
+    if (status === RUNNING) return RUNNING;
+    return status === SUCCESS ? FAILURE : SUCCESS;
+  }
+}
+
+/**
+ * Fails without ticking its child until a cooldown has passed since the child last succeeded
+ */
+export class Cooldown extends Decorator {
+  /**
+   * @param {string} name - Node name
+   * @param {string} key - Blackboard key of the time the child last succeeded
+   * @param {number|Function} duration - Cooldown in seconds, or a function of the agent that gives it
+   * @param {Node} child - Child node
+   */
+  constructor(name, key, duration, child) {
+    super(name, child);
+    this.key = key;
+    this.duration = duration;
+  }
+
+  tick(context) {
+    const { agent, tree } = context;
+    const time = tree.clock();
+    const duration = typeof this.duration === 'function' ? this.duration(agent) : this.duration;
+    if (time - tree.blackboard.get(this.key) < duration) return FAILURE;
+
+    const status = this.child.run(context);
+    if (status === SUCCESS) {
+      tree.blackboard.set(this.key, time);
+    }
+    return status;
+  }
+}
+
+/**
+ * Fails unless a roll of the tree's RNG comes up, then ticks its child (if any)
+ */
+export class Chance extends Decorator {
+  /**
+   * @param {string} name - Node name
+   * @param {number} probability - Chance of going on, from 0 to 1
+   * @param {Node|null} child - Child node (succeeds on the roll alone without one)
+   */
+  constructor(name, probability, child = null) {
+    super(name, child);
+    this.probability = probability;
+  }
+
+  tick(context) {
+    if (!context.tree.random.chance(this.probability)) return FAILURE;
+    return this.child ? this.child.run(context) : SUCCESS;
+  }
+}
+
+/**
+ * A state of a state machine
+ * The enter and exit nodes run as the state machine switches; the body is
+ * ticked while it's the current state (running if there isn't one).
+ */
+export class State extends Node {
+  /**
+   * @param {string} name - State name
+   * @param {Object} nodes - { enter, body, exit }, each optional
+   */
+  constructor(name, { enter = null, body = null, exit = null } = {}) {
+    super(name);
+    this.enter = enter;
+    this.body = body;
+    this.exit = exit;
+
+    // State machines within the body, started whenever this state is entered
+    this.machines = [];
+    const collect = node => {
+      if (node instanceof StateMachine) {
+        this.machines.push(node);
+        return;
+      }
+      node.getChildren().forEach(collect);
+    };
+    if (body) collect(body);
+  }
+
+  getChildren() {
+    return [this.enter, this.body, this.exit].filter(Boolean);
+  }
+
+  tick(context) {
+    return this.body ? this.body.run(context) : RUNNING;
+  }
+}
+
+/**
+ * Ticks only its current state
+ */
+export class StateMachine extends Node {
+  /**
+   * @param {string} name - Node name
+   * @param {State[]} states - States (the first is the initial one)
+   */
+  constructor(name, states) {
+    super(name);
+    this.states = {};
+    states.forEach(state => {
+      this.states[state.name] = state;
+    });
+    this.initialState = states[0].name;
+    this.currentState = this.initialState;
+    this.entering = null; // State whose enter is running
+  }
+
+  getChildren() {
+    return Object.values(this.states);
+  }
+
+  tick(context) {
+    const state = this.states[this.currentState];
+    if (!state) return FAILURE;
+
+    context.machines.push(this);
+    const status = state.run(context);
+    context.machines.pop();
+    return status;
+  }
+
+  /**
+   * Switch state, running the old state's exit and then the new one's enter
+   * An enter may switch state again straight away, leaving the state before
+   * its own machines have started.
+   * @param {string} stateName - State to switch to
+   * @param {Object} context - The tree's context
+   */
+  changeState(stateName, context) {
+    context.machines.push(this);
+
+    // Leave the innermost states first
+    const previous = this.states[this.currentState];
+    if (previous) {
+      if (this.entering !== this.currentState) {
+        previous.machines.forEach(machine => machine.stop(context));
+      }
+      if (previous.exit) previous.exit.run(context);
+    }
+
+    this.currentState = stateName;
+
+    const next = this.states[stateName];
+    if (next) {
+      this.enter(next, context);
+
+      // Unless entering switched state already
+      if (this.currentState === stateName) {
+        next.machines.forEach(machine => machine.start(context));
+      }
+    }
+
+    context.machines.pop();
+  }
+
+  /**
+   * Enter the initial state, as the state holding this machine is entered
+   * @param {Object} context - The tree's context
+   */
+  start(context) {
+    context.machines.push(this);
+
+    this.currentState = this.initialState;
+    const state = this.states[this.initialState];
+    this.enter(state, context);
+    if (this.currentState === this.initialState) {
+      state.machines.forEach(machine => machine.start(context));
+    }
+
+    context.machines.pop();
+  }
+
+  /**
+   * Run a state's enter, noting it's underway so a switch from within knows
+   * the state's machines never started
+   * @param {State} state - State being entered
+   * @param {Object} context - The tree's context
+   */
+  enter(state, context) {
+    if (!state.enter) return;
+
+    this.entering = state.name;
+    state.enter.run(context);
+    this.entering = null;
+  }
+
+  /**
+   * Exit the current state, as the state holding this machine is left
+   * @param {Object} context - The tree's context
+   */
+  stop(context) {
+    const state = this.states[this.currentState];
+    if (!state) return;
+
+    context.machines.push(this);
+    state.machines.forEach(machine => machine.stop(context));
+    if (state.exit) state.exit.run(context);
+    context.machines.pop();
+  }
+}
+
+/**
+ * An agent's tree, with its blackboard
+ */
+export class BehaviorTree {
+  /**
+   * Create a new tree
+   * @param {Node} root - Root node (built for this agent alone)
+   * @param {Object} agent - The agent, passed to node callbacks
+   * @param {Object} options - Tree options
+   */
+  constructor(root, agent, options = {}) {
+    this.options = Object.assign({
+      blackboard: {}, // Blackboard keys and their starting values
+      random: null, // Seeded RNG for chance nodes
+      clock: () => 0, // Game time in seconds, for cooldown nodes
+    }, options);
+
+    this.root = root;
+    this.agent = agent;
+    this.blackboard = new Blackboard(this.options.blackboard);
+    this.random = this.options.random;
+    this.clock = this.options.clock;
+
+    // Innermost action that ran without failing this tick, for the debug overlay
+    this.activeNode = null;
+
+    // Passed to every node as it's ticked
+    this.context = { tree: this, agent, deltaTime: 0, machines: [] };
+
+    // Link parents, and find the outermost state machine (the agent's state)
+    this.machine = null;
+    const queue = [root];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (node instanceof StateMachine && !this.machine) {
+        this.machine = node;
+      }
+      node.getChildren().forEach(child => {
+        child.parent = node;
+        child.depth = node.depth + (node instanceof State ? 1 : 0);
+        queue.push(child);
+      });
+    }
+  }
+
+  /**
+   * Tick the tree
+   * @param {number} deltaTime - Time since last update
+   * @returns {string} The root's status
+   */
+  tick(deltaTime) {
+    this.context.deltaTime = deltaTime;
+    this.activeNode = null;
+    return this.root.run(this.context);
+  }
+
+  /**
+   * Switch the outermost state machine's state, from outside the tree
+   * @param {string} stateName - State to switch to
+   */
+  changeState(stateName) {
+    this.machine.changeState(stateName, this.context);
+  }
+
+  /**
+   * Find a state machine by name
+   * @param {string} name - State machine name
+   * @returns {StateMachine|null} The state machine
+   */
+  getMachine(name) {
+    const queue = [this.root];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (node instanceof StateMachine && node.name === name) return node;
+      queue.push(...node.getChildren());
+    }
+    return null;
+  }
+
+  /**
+   * Get the states the agent is in, outermost first, and the action it last ran
+   * @returns {string[]} Node names
+   */
+  getActivePath() {
+    // From the action up, if one ran this tick within a state
+    if (this.activeNode) {
+      const path = [this.activeNode.name];
+      for (let node = this.activeNode.parent; node; node = node.parent) {
+        if (node instanceof State) path.unshift(node.name);
+      }
+      if (path.length > 1) return path;
+    }
+
+    // Otherwise down through the current states
+    const path = [];
+    let machine = this.machine;
+    while (machine) {
+      const state = machine.states[machine.currentState];
+      if (!state) break;
+      path.push(state.name);
+      machine = state.machines[0] || null;
+    }
+    return path;
+  }
+}
+
+/**
+ * Build a sequence node
+ * @param {string} name - Node name
+ * @param {Node[]} children - Children
+ * @returns {Sequence} The node
+ */
+export function sequence(name, children) {
+  return new Sequence(name, children);
+}
+
+/**
+ * Build a selector node
+ * @param {string} name - Node name
+ * @param {Node[]} children - Children
+ * @returns {Selector} The node
+ */
+export function selector(name, children) {
+  return new Selector(name, children);
+}
+
+/**
+ * Build a parallel node
+ * @param {string} name - Node name
+ * @param {Node[]} children - Children
+ * @returns {Parallel} The node
+ */
+export function parallel(name, children) {
+  return new Parallel(name, children);
+}
+
+/**
+ * Build a condition node
+ * @param {string} name - Node name
+ * @param {Function} predicate - Test, called with (agent, deltaTime, blackboard)
+ * @returns {Condition} The node
+ */
+export function condition(name, predicate) {
+  return new Condition(name, predicate);
+}
+
+/**
+ * Build an action node
+ * @param {string} name - Node name
+ * @param {Function} callback - Called with (agent, deltaTime, blackboard)
+ * @returns {Action} The node
+ */
+export function action(name, callback) {
+  return new Action(name, callback);
+}
+
+/**
+ * Build a countdown node
+ * @param {string} name - Node name
+ * @param {string} key - Blackboard key of the timer
+ * @returns {Countdown} The node
+ */
+export function countdown(name, key) {
+  return new Countdown(name, key);
+}
+
+/**
+ * Build a node that switches state
+ * @param {string} stateName - State to switch to
+ * @returns {GoTo} The node
+ */
+export function goTo(stateName) {
+  return new GoTo(stateName);
+}
+
+/**
+ * Build an inverter node
+ * @param {Node} child - Child node
+ * @returns {Inverter} The node
+ */
+export function inverter(child) {
+  return new Inverter(`not ${child.name}`, child);
+}
+
+/**
+ * Build a cooldown node
+ * @param {string} name - Node name
+ * @param {string} key - Blackboard key of the time the child last succeeded
+ * @param {number|Function} duration - Cooldown in seconds, or a function of the agent
+ * @param {Node} child - Child node
+ * @returns {Cooldown} The node
+ */
+export function cooldown(name, key, duration, child) {
+  return new Cooldown(name, key, duration, child);
+}
+
+/**
+ * Build a chance node
+ * @param {number} probability - Chance of going on, from 0 to 1
+ * @param {Node|null} child - Child node
+ * @returns {Chance} The node
+ */
+export function chance(probability, child = null) {
+  return new Chance(`${Math.round(probability * 100)}% chance`, probability, child);
+}
+
+/**
+ * Build a state
+ * @param {string} name - State name
+ * @param {Object} nodes - { enter, body, exit }, each optional
+ * @returns {State} The node
+ */
+export function state(name, nodes = {}) {
+  return new State(name, nodes);
+}
+
+/**
+ * Build a state machine
+ * @param {string} name - Node name
+ * @param {State[]} states - States (the first is the initial one)
+ * @returns {StateMachine} The node
+ */
+export function stateMachine(name, states) {
+  return new StateMachine(name, states);
+}
@@ -0,0 +1,396 @@
+import {
+  SUCCESS,
+  RUNNING,
+  sequence,
+  selector,
+  parallel,
+  condition,
+  action,
+  countdown,
+  goTo,
+  inverter,
+  cooldown,
+  chance,
+  state,
+  stateMachine
+} from './BehaviorTree.js';
+
+/**
+ * Enemy behavior trees
+ *
+ * Every enemy's tree ticks, in order:
+ * 1. Its interrupts, which can switch state from any state while it's alive
+ *    (they see the enemy's clock and position as they were last tick)
+ * 2. 'sense', which advances the enemy's clock and catches up with its body
+ * 3. Its state machine: idle, patrol, chase, attack, flee, stunned and dead,
+ *    plus any states of its own
+ *
+ * Each function builds a new tree for one enemy, with the blackboard keys it
+ * uses (see BehaviorTree). The trees decide; the enemy classes do the moving,
+ * shooting and effects.
+ */
+
+// Conditions and branches the trees share
+
+const hasTarget = () => condition('has target', enemy => Boolean(enemy.target));
+
+const targetInAttackRange = () => condition('target in range', enemy =>
+  Boolean(enemy.target) && enemy.position.distanceTo(enemy.target.position) <= enemy.options.attackRange
+);
+
+const loseTarget = () => sequence('lost target', [inverter(hasTarget()), goTo('idle')]);
+
+const spotTarget = () => sequence('spot target', [
+  condition('target in sight', enemy => enemy.canDetectTarget()),
+  goTo('chase')
+]);
+
+/**
+ * Build the branch that goes back to the fight after an ability: attack if
+ * the target is in range, chase it if not, idle without one
+ * @returns {Node} The branch
+ */
+function reengage() {
+  return selector('reengage', [
+    sequence('in range', [targetInAttackRange(), goTo('attack')]),
+    sequence('out of range', [hasTarget(), goTo('chase')]),
+    goTo('idle')
+  ]);
+}
+
+/**
+ * Build the chase state
+ * @param {Node} aim - Action that sets the enemy's targetPosition from its target
+ * @returns {State} The state
+ */
+function chaseState(aim) {
+  return state('chase', {
+    enter: loseTarget(),
+    body: selector('chase', [
+      loseTarget(),
+      sequence('close in', [
+        aim,
+        selector('close in', [
+          sequence('in range', [
+            condition('aim in range', enemy =>
+              enemy.position.distanceTo(enemy.targetPosition) <= enemy.options.attackRange
+            ),
+            goTo('attack')
+          ]),
+          sequence('out of sight', [
+            condition('aim out of sight', enemy =>
+              enemy.position.distanceTo(enemy.targetPosition) > enemy.options.detectionRange * enemy.getScale('detectionRange') * 1.5
+            ),
+            goTo('idle')
+          ]),
+          action('move', (enemy, deltaTime) => {
+            enemy.moveTowards(enemy.targetPosition, deltaTime);
+            return RUNNING;
+          })
+        ])
+      ])
+    ])
+  });
+}
+
+/**
+ * Build the states every enemy has
+ * @param {Object} options - { aim: chase aim action, extraStates: states of the enemy type's own }
+ * @returns {State[]} States, idle (the initial state) first
+ */
+function enemyStates({ aim = null, extraStates = [] } = {}) {
+  const aimAtTarget = aim || action('aim', enemy => {
+    enemy.targetPosition.copy(enemy.target.position);
+  });
+
+  return [
+    state('idle', {
+      enter: action('stop', enemy => enemy.stop()),
+      body: selector('idle', [
+        spotTarget(),
+        sequence('start patrol', [
+          condition('has waypoints', enemy => enemy.waypoints.length > 0),
+          goTo('patrol')
+        ]),
+        chance(0.01, action('wander', (enemy, deltaTime) => enemy.wander(deltaTime)))
+      ])
+    }),
+
+    state('patrol', {
+      enter: selector('patrol', [
+        sequence('no waypoints', [
+          condition('no waypoints', enemy => enemy.waypoints.length === 0),
+          goTo('idle')
+        ]),
+        action('head for waypoint', enemy => {
+          enemy.targetPosition.copy(enemy.waypoints[enemy.currentWaypoint]);
+        })
+      ]),
+      body: selector('patrol', [
+        spotTarget(),
+        action('walk', (enemy, deltaTime) => {
+          // On to the next waypoint once there
+          if (enemy.moveTowards(enemy.targetPosition, deltaTime)) {
+            enemy.currentWaypoint = (enemy.currentWaypoint + 1) % enemy.waypoints.length;
+            enemy.targetPosition.copy(enemy.waypoints[enemy.currentWaypoint]);
+          }
+          return RUNNING;
+        })
+      ])
+    }),
+
+    chaseState(aimAtTarget),
+
+    state('attack', {
+      enter: selector('attack', [loseTarget(), action('stop', enemy => enemy.stop())]),
+      body: selector('attack', [
+        loseTarget(),
+        sequence('out of range', [inverter(targetInAttackRange()), goTo('chase')]),
+        sequence('fight', [
+          action('face target', (enemy, deltaTime) => enemy.faceTarget(deltaTime)),
+          action('fire', enemy => {
+            enemy.attackTarget(enemy.time);
+            return RUNNING;
+          })
+        ])
+      ])
+    }),
+
+    state('flee', {
+      body: selector('flee', [
+        loseTarget(),
+        sequence('run away', [
+          action('run', (enemy, deltaTime) => enemy.flee(deltaTime)),
+          condition('far enough', enemy =>
+            enemy.position.distanceTo(enemy.target.position) > enemy.options.detectionRange * enemy.getScale('detectionRange') * 1.5
+          ),
+          goTo('idle')
+        ])
+      ])
+    }),
+
+    state('stunned', {
+      enter: action('daze', enemy => enemy.enterStunnedState()),
+      body: sequence('stunned', [countdown('recover', 'stunTimer'), goTo('idle')]),
+      exit: action('shake off', enemy => enemy.exitStunnedState())
+    }),
+
+    state('dead', {
+      enter: action('fall', enemy => enemy.enterDeadState()),
+      body: action('fade', (enemy, deltaTime) => {
+        enemy.updateDeadState(deltaTime);
+        return RUNNING;
+      })
+    }),
+
+    ...extraStates
+  ];
+}
+
+/**
+ * Build an enemy's tree from its states and interrupts
+ * @param {State[]} states - States (see enemyStates)
+ * @param {Node[]} interrupts - Checks that can switch state from any state while alive
+ * @returns {Node} Root node
+ */
+function enemyTree(states, interrupts = []) {
+  const children = [
+    action('sense', (enemy, deltaTime) => enemy.sense(deltaTime)),
+    stateMachine('state', states)
+  ];
+  if (interrupts.length > 0) {
+    children.unshift(sequence('interrupts', [
+      condition('alive', enemy => enemy.isAlive),
+      parallel('interrupts', interrupts)
+    ]));
+  }
+
+  return parallel('enemy', children);
+}
+
+/**
+ * Build the tree of a plain enemy (and of bosses, which fight to their own patterns)
+ * @returns {Object} { root, blackboard }
+ */
+export function enemyBehavior() {
+  return {
+    root: enemyTree(enemyStates()),
+    blackboard: { stunTimer: 0 }
+  };
+}
+
+/**
+ * Build a drone's tree: chases in a ring around the target when part of a swarm
+ * @returns {Object} { root, blackboard }
+ */
+export function droneBehavior() {
+  const aim = action('aim', (drone, deltaTime) => {
+    drone.targetPosition.copy(drone.target.position);
+    if (drone.options.swarmSize > 1) {
+      drone.applySwarmBehavior(deltaTime);
+    }
+  });
+
+  return {
+    root: enemyTree(enemyStates({ aim })),
+    blackboard: { stunTimer: 0 }
+  };
+}
+
+/**
+ * Build a soldier's tree: breaks off to find cover when badly hurt
+ * @returns {Object} { root, blackboard }
+ */
+export function soldierBehavior() {
+  const noCover = () => sequence('no cover', [
+    condition('no cover', soldier => !soldier.coverPosition),
+    goTo('idle')
+  ]);
+
+  const cover = state('cover', {
+    enter: selector('cover', [
+      noCover(),
+      action('head for cover', soldier => {
+        soldier.targetPosition.copy(soldier.coverPosition);
+      })
+    ]),
+    body: selector('cover', [
+      noCover(),
+      sequence('take cover', [
+        action('run to cover', (soldier, deltaTime) =>
+          soldier.moveTowards(soldier.coverPosition, deltaTime) ? SUCCESS : RUNNING
+        ),
+        action('duck', soldier => soldier.checkCover()),
+        selector('engage', [
+          sequence('in range', [targetInAttackRange(), goTo('attack')]),
+          goTo('idle')
+        ])
+      ])
+    ])
+  });
+
+  // Looks again every tick until it's behind cover, as the target moves
+  const seekCover = sequence('seek cover', [
+    condition('hurt', soldier =>
+      soldier.health / soldier.maxHealth < soldier.options.coverThreshold && !soldier.isBehindCover
+    ),
+    hasTarget(),
+    action('pick cover', soldier => {
+      soldier.coverPosition = soldier.findCoverPosition();
+    }),
+    goTo('cover')
+  ]);
+
+  return {
+    root: enemyTree(enemyStates({ extraStates: [cover] }), [seekCover]),
+    blackboard: { stunTimer: 0 }
+  };
+}
+
+/**
+ * Build an elite's tree: teleports away when hurt (or on a whim), or charges
+ * up an area attack, when the target is close and its abilities have cooled down
+ * @returns {Object} { root, blackboard }
+ */
+export function eliteBehavior() {
+  const teleport = state('teleport', {
+    enter: action('vanish', (elite, deltaTime, blackboard) => {
+      elite.teleportOut();
+      blackboard.set('teleportTimer', 0.5);
+    }),
+    body: sequence('teleport', [
+      countdown('in transit', 'teleportTimer'),
+      action('reappear', elite => elite.teleportIn()),
+      reengage()
+    ])
+  });
+
+  const specialAttack = state('specialAttack', {
+    enter: action('brace', (elite, deltaTime, blackboard) => {
+      elite.stop();
+      blackboard.set('specialAttackTimer', 2.0);
+    }),
+    body: parallel('specialAttack', [
+      stateMachine('specialAttackPhase', [
+        state('charge', {
+          enter: action('charge up', (elite, deltaTime, blackboard) => {
+            elite.specialAttackPhase = 'charge';
+            blackboard.set('chargeTime', 1.0);
+            elite.createChargeEffect();
+          }),
+          body: sequence('charge', [
+            action('face target', (elite, deltaTime) => elite.faceTarget(deltaTime)),
+            countdown('charging', 'chargeTime'),
+            goTo('release')
+          ])
+        }),
+        state('release', {
+          enter: action('blast', elite => {
+            elite.specialAttackPhase = 'release';
+            elite.createAreaAttack();
+          })
+        })
+      ]),
+      sequence('recover', [countdown('recovering', 'specialAttackTimer'), reengage()])
+    ])
+  });
+
+  const useAbility = cooldown('abilities', 'lastSpecialAttackTime', elite => elite.options.specialAttackCooldown,
+    sequence('use ability', [
+      condition('target close', elite =>
+        Boolean(elite.target) && elite.position.distanceTo(elite.target.position) <= elite.options.attackRange * 1.5
+      ),
+      selector('pick ability', [
+        sequence('escape', [
+          selector('escape?', [
+            condition('badly hurt', elite => elite.health / elite.maxHealth < 0.3),
+            chance(0.02)
+          ]),
+          goTo('teleport')
+        ]),
+        chance(0.05, goTo('specialAttack'))
+      ])
+    ])
+  );
+
+  return {
+    root: enemyTree(enemyStates({ extraStates: [teleport, specialAttack] }), [useAbility]),
+    blackboard: {
+      stunTimer: 0,
+      lastSpecialAttackTime: 0, // Abilities start cooling down as the elite spawns
+      teleportTimer: 0,
+      specialAttackTimer: 0,
+      chargeTime: 0
+    }
+  };
+}
+
+/**
+ * Build a commander's tree: stops to summon minions when hurt (or every so
+ * often), timed on the game clock by the commander itself
+ * @returns {Object} { root, blackboard }
+ */
+export function commanderBehavior() {
+  const summon = state('summon', {
+    enter: action('call minions', commander => commander.startSummon()),
+    exit: action('stop summoning', commander => commander.stopSummon())
+  });
+
+  const callForHelp = cooldown('summon cooldown', 'lastSummonTime', commander => commander.options.summonCooldown,
+    sequence('call for help', [
+      selector('need help?', [
+        condition('hurt', commander => commander.health / commander.maxHealth < 0.5),
+        chance(0.01)
+      ]),
+      goTo('summon')
+    ])
+  );
+
+  return {
+    root: enemyTree(enemyStates({ extraStates: [summon] }), [callForHelp]),
+    blackboard: {
+      stunTimer: 0,
+      lastSummonTime: 0 // Summons start cooling down as the commander spawns
+    }
+  };
+}
@@ -0,0 +1,521 @@
+import * as THREE from 'three';
+import { Enemy } from './Enemy.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Boss - Base class for bosses fought in phases
+ *
+ * A boss moves through its phases as its health falls: each phase starts
+ * once health drops to its share of the maximum, and never goes back. A phase
+ * loops an attack pattern, a timeline of steps played on top of the usual
+ * chase and attack, and can speed the boss up and change which weak points
+ * are exposed. Hits that land on an exposed weak point do bonus damage.
+ *
+ * Pattern steps name an attack from this.attacks; subclasses can add their
+ * own. The arena-wide attacks work the arena's EnvironmentSystem hazards:
+ * a surge switches the dormant ones on for a while, and an eruption hurts the
+ * player near any that are on.
+ *
+ * Whoever spawns the boss sets onSummon to bring in its minions,
+ * getEnemyCount so it stops summoning once the fight is crowded, and
+ * onPhaseChanged to hear about new phases (see FormationManager).
+ */
+export class Boss extends Enemy {
+  /**
+   * Create a new boss
+   * @param {THREE.Scene} scene - The scene to add the boss to
+   * @param {Object} physics - The physics world
+   * @param {Object} options - Enemy options, plus:
+   * @param {string} options.name - Name shown on the boss health bar
+   * @param {number} options.mass - Body mass, so shots and the player barely move it
+   * @param {number} options.maxMinions - Summons stop while this many other enemies are left
+   * @param {Object[]} options.weakPoints - { name, offset: { x, y, z }, radius, multiplier }, offset in world
+   *   units from the boss's centre as it faces its target
+   * @param {Object[]} options.phases - { name, health, announce, speed, weakPoints, pattern: { duration, steps } },
+   *   in order; steps are { at, attack, ...attack settings }
+   */
+  constructor(scene, physics, options = {}) {
+    const bossOptions = Object.assign({
+      type: 'boss',
+      name: 'Boss',
+      health: 1000,
+      maxHealth: 1000,
+      scale: 2.0,
+      points: 2000,
+      corpseDuration: 4.0,
+      mass: 20,
+      maxMinions: 8,
+      weakPoints: [],
+      phases: [{ name: 'Phase 1', health: 1.0, pattern: null }]
+    }, options);
+    
+    super(scene, physics, bossOptions);
+    
+    this.isBoss = true;
+    
+    // Heavy enough to shrug off knockback
+    this.body.mass = this.options.mass;
+    this.body.updateMassProperties();
+    
+    // Phase and pattern progress
+    this.phaseIndex = 0;
+    this.patternTime = 0; // Seconds into the phase's pattern
+    this.heading = 0; // Facing, in radians about the y axis (0 faces +z)
+    
+    // Hazards a surge switched on, and the game clock task switching them off
+    this.surgedHazards = [];
+    this.surgeTask = null;
+    
+    // Attacks pattern steps can use, by name
+    this.attacks = {
+      volley: step => this.attackVolley(step),
+      slam: step => this.attackSlam(step),
+      summon: step => this.attackSummon(step),
+      hazardSurge: step => this.attackHazardSurge(step),
+      hazardEruption: step => this.attackHazardEruption(step)
+    };
+    
+    // Set by whoever spawns the boss
+    this.onSummon = null; // (type, position)
+    this.getEnemyCount = null; // () => enemies left, the boss included
+    this.onPhaseChanged = null; // (boss, phase)
+  }
+  
+  /**
+   * Activate the boss in its first phase
+   * @param {THREE.Vector3} position - Initial position
+   */
+  activate(position) {
+    this.phaseIndex = 0;
+    this.patternTime = 0;
+    this.heading = 0;
+    
+    super.activate(position);
+  }
+  
+  /**
+   * Deactivate the boss, forgetting any surge (the arena is cleared or restored separately)
+   */
+  deactivate() {
+    this.cancelSurge();
+    
+    super.deactivate();
+  }
+  
+  /**
+   * Kill the boss, ending any surge it started
+   */
+  die() {
+    this.endSurge();
+    
+    super.die();
+  }
+  
+  /**
+   * Bosses can't be stunned
+   */
+  stun() {}
+  
+  /**
+   * Get the phase the boss is in
+   * @returns {Object} Phase from options.phases
+   */
+  getPhase() {
+    return this.options.phases[this.phaseIndex];
+  }
+  
+  /**
+   * Get what the boss health bar shows
+   * @returns {Object} { name, phase, health, maxHealth }
+   */
+  getStatus() {
+    return {
+      name: this.options.name,
+      phase: this.getPhase().name,
+      health: this.health,
+      maxHealth: this.maxHealth
+    };
+  }
+  
+  /**
+   * Get the multiplier this spawn applies to a stat, with the phase's speed on top
+   * @param {string} stat - Stat name (see Enemy.getScale)
+   * @returns {number} Multiplier
+   */
+  getScale(stat) {
+    const scale = super.getScale(stat);
+    return stat === 'speed' ? scale * (this.getPhase().speed ?? 1) : scale;
+  }
+  
+  /**
+   * Update the boss
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    if (!this.isActive) return;
+    
+    super.update(deltaTime);
+    if (!this.isActive || !this.isAlive) return;
+    
+    // Only fight to the pattern once the boss has found its target
+    const state = this.stateMachine.currentState;
+    if (state === 'chase' || state === 'attack') {
+      this.turnTowardsTarget(deltaTime);
+      this.updatePattern(deltaTime);
+    }
+    
+    // Stay upright, facing the heading (the mesh follows the body)
+    this.body.quaternion.setFromEuler(0, this.heading, 0);
+    this.body.angularVelocity.set(0, 0, 0);
+  }
+  
+  /**
+   * Turn the heading towards the target at the boss's turn speed
+   * @param {number} deltaTime - Time since last update
+   */
+  turnTowardsTarget(deltaTime) {
+    if (!this.target) return;
+    
+    const dx = this.target.position.x - this.position.x;
+    const dz = this.target.position.z - this.position.z;
+    if (dx * dx + dz * dz < 0.01) return;
+    
+    // Shortest way round
+    let turn = Math.atan2(dx, dz) - this.heading;
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+    
+    const maxTurn = this.options.turnSpeed * deltaTime;
+    this.heading += Math.max(-maxTurn, Math.min(maxTurn, turn));
+  }
+  
+  /**
+   * Advance the phase's pattern, running each step as its time comes round
+   * @param {number} deltaTime - Time since last update
+   */
+  updatePattern(deltaTime) {
+    const phaseIndex = this.phaseIndex;
+    const { pattern } = this.getPhase();
+    if (!pattern || !(pattern.duration > 0)) return;
+    
+    let start = this.patternTime;
+    let end = start + deltaTime;
+    
+    for (;;) {
+      const stop = Math.min(end, pattern.duration);
+      for (const step of pattern.steps) {
+        if (step.at >= start && step.at < stop) {
+          this.performAttack(step);
+          
+          // A step that ends the fight or the phase ends the pattern too
+          if (!this.isAlive || this.phaseIndex !== phaseIndex) return;
+        }
+      }
+      
+      if (end < pattern.duration) break;
+      
+      end -= pattern.duration;
+      start = 0;
+    }
+    
+    this.patternTime = end;
+  }
+  
+  /**
+   * Run a pattern step
+   * @param {Object} step - Pattern step: { at, attack, ...attack settings }
+   */
+  performAttack(step) {
+    const attack = this.attacks[step.attack];
+    if (!attack) {
+      console.warn(`${this.options.name} has no attack called "${step.attack}"`);
+      return;
+    }
+    
+    attack(step);
+    this.onAttack(step);
+  }
+  
+  /**
+   * Hook for subclass visuals when a pattern step runs
+   * @param {Object} step - Pattern step
+   */
+  onAttack(step) {}
+  
+  /**
+   * Get the horizontal distance to the target
+   * @returns {number} Distance (Infinity without a target)
+   */
+  getTargetDistance() {
+    if (!this.target) return Infinity;
+    
+    const dx = this.target.position.x - this.position.x;
+    const dz = this.target.position.z - this.position.z;
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+  
+  /**
+   * Ranged attack at a target within range: a spread of shots that each roll
+   * to hit for their share of the damage (see rollAttack)
+   * @param {Object} step - { damage, range, shots (3 if omitted) }
+   */
+  attackVolley(step) {
+    if (this.getTargetDistance() > step.range) return;
+    
+    const shots = step.shots ?? 3;
+    for (let i = 0; i < shots; i++) {
+      this.rollAttack(step.damage / shots, step.range);
+    }
+  }
+  
+  /**
+   * Ground slam, hitting the target if it's close by
+   * @param {Object} step - { damage, radius }
+   */
+  attackSlam(step) {
+    if (this.getTargetDistance() <= step.radius) {
+      this.damageTarget(step.damage);
+    }
+  }
+  
+  /**
+   * Call in minions, spaced in a ring around the boss, up to options.maxMinions
+   * @param {Object} step - { enemy (type), count }
+   */
+  attackSummon(step) {
+    if (!this.onSummon) return;
+    
+    const others = this.getEnemyCount ? this.getEnemyCount() - 1 : 0;
+    const count = Math.min(step.count, this.options.maxMinions - others);
+    
+    const distance = 0.5 * this.options.scale + 2;
+    for (let i = 0; i < count; i++) {
+      const angle = this.heading + (i / count) * Math.PI * 2;
+      const position = new THREE.Vector3(
+        this.position.x + Math.sin(angle) * distance,
+        0,
+        this.position.z + Math.cos(angle) * distance
+      );
+      this.onSummon(step.enemy, position);
+    }
+  }
+  
+  /**
+   * Switch the arena's dormant hazards on for a while (a surge already going lasts longer instead)
+   * @param {Object} step - { duration }
+   */
+  attackHazardSurge(step) {
+    const environmentSystem = this.getEnvironmentSystem();
+    if (!environmentSystem) return;
+    
+    if (this.surgeTask === null) {
+      this.surgedHazards = [];
+      environmentSystem.hazardZones.forEach((hazard, index) => {
+        if (!hazard.userData.active) {
+          environmentSystem.setHazardActive(index, true);
+          this.surgedHazards.push(index);
+        }
+      });
+    }
+    
+    this.scheduleSurgeEnd(step.duration);
+  }
+  
+  /**
+   * Flare up every hazard that's on, hurting the target if it's too close to one
+   * @param {Object} step - { damage, radiusScale (of each hazard's radius) }
+   */
+  attackHazardEruption(step) {
+    const environmentSystem = this.getEnvironmentSystem();
+    if (!environmentSystem) return;
+    
+    let hit = false;
+    environmentSystem.hazardZones.forEach(hazard => {
+      if (!hazard.userData.active) return;
+      
+      if (this.effectsEnabled) {
+        environmentSystem.createHazardDamageEffect(hazard.position.clone());
+      }
+      
+      if (this.target) {
+        const dx = this.target.position.x - hazard.position.x;
+        const dz = this.target.position.z - hazard.position.z;
+        const reach = hazard.userData.radius * step.radiusScale;
+        if (dx * dx + dz * dz < reach * reach) hit = true;
+      }
+    });
+    
+    // One hit however many hazards the target is near
+    if (hit) this.damageTarget(step.damage);
+  }
+  
+  /**
+   * Get the arena's environment system, which owns the hazards
+   * @returns {EnvironmentSystem|null} Environment system, or null if the arena has none
+   */
+  getEnvironmentSystem() {
+    const arena = this.scene.userData.arena;
+    return arena && arena.environmentSystem ? arena.environmentSystem : null;
+  }
+  
+  /**
+   * End the surge after a delay on the game clock (scene.userData.scheduler)
+   * @param {number} delay - Seconds until the surged hazards switch off
+   */
+  scheduleSurgeEnd(delay) {
+    this.scheduler = this.scene.userData.scheduler;
+    if (this.surgeTask !== null) {
+      this.scheduler.cancel(this.surgeTask);
+    }
+    
+    this.surgeTask = this.scheduler.delay(delay, () => {
+      this.surgeTask = null;
+      this.endSurge();
+    });
+  }
+  
+  /**
+   * Switch the surged hazards back off
+   */
+  endSurge() {
+    const environmentSystem = this.getEnvironmentSystem();
+    if (environmentSystem) {
+      this.surgedHazards.forEach(index => environmentSystem.setHazardActive(index, false));
+    }
+    
+    this.cancelSurge();
+  }
+  
+  /**
+   * Forget the surge, leaving the hazards as they are
+   */
+  cancelSurge() {
+    if (this.surgeTask !== null) {
+      this.scheduler.cancel(this.surgeTask);
+      this.surgeTask = null;
+    }
+    this.surgedHazards = [];
+  }
+  
+  /**
+   * Find the exposed weak point a hit landed on
+   * @param {THREE.Vector3} hitPoint - Where the hit landed
+   * @returns {Object|null} Weak point from options.weakPoints, or null
+   */
+  getWeakPointAt(hitPoint) {
+    const exposed = this.getPhase().weakPoints || [];
+    const center = new THREE.Vector3();
+    
+    for (const weakPoint of this.options.weakPoints) {
+      if (!exposed.includes(weakPoint.name)) continue;
+      
+      const { x, y, z } = weakPoint.offset;
+      center.set(x, y, z).applyAxisAngle(UP, this.heading).add(this.body.position);
+      if (center.distanceTo(hitPoint) <= weakPoint.radius) {
+        return weakPoint;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Take damage, more on an exposed weak point, and move on to the next phase when health is low enough
+   * @param {number} amount - Amount of damage
+   * @param {THREE.Vector3|Object} source - Source of damage (see Enemy.takeDamage)
+   * @param {Object} details - Hit details from the DamageSystem (hitPoint finds weak points)
+   * @returns {boolean} True if the boss died
+   */
+  takeDamage(amount, source, details = {}) {
+    if (!this.isActive || !this.isAlive) return false;
+    
+    let damage = amount;
+    const weakPoint = details.hitPoint ? this.getWeakPointAt(details.hitPoint) : null;
+    if (weakPoint) {
+      damage *= weakPoint.multiplier;
+      this.onWeakPointHit(weakPoint, details.hitPoint);
+    }
+    
+    const died = super.takeDamage(damage, source);
+    if (!died) {
+      this.updatePhase();
+    }
+    return died;
+  }
+  
+  /**
+   * Hook for subclass visuals when a weak point is hit
+   * @param {Object} weakPoint - Weak point from options.weakPoints
+   * @param {THREE.Vector3} hitPoint - Where the hit landed
+   */
+  onWeakPointHit(weakPoint, hitPoint) {}
+  
+  /**
+   * Move on to the last phase whose health share has been reached (phases are never skipped back)
+   */
+  updatePhase() {
+    const fraction = this.health / this.maxHealth;
+    let phaseIndex = this.phaseIndex;
+    
+    for (let i = this.phaseIndex + 1; i < this.options.phases.length; i++) {
+      if (fraction <= this.options.phases[i].health) phaseIndex = i;
+    }
+    if (phaseIndex === this.phaseIndex) return;
+    
+    this.phaseIndex = phaseIndex;
+    this.patternTime = 0;
+    
+    const phase = this.getPhase();
+    console.log(`${this.options.name} enters phase ${phaseIndex + 1}: ${phase.name}`);
+    this.onPhaseStart(phase);
+    
+    if (this.onPhaseChanged) {
+      this.onPhaseChanged(this, phase);
+    }
+  }
+  
+  /**
+   * Hook for subclass visuals when a new phase starts
+   * @param {Object} phase - Phase from options.phases
+   */
+  onPhaseStart(phase) {}
+  
+  /**
+   * Get the boss state for a saved run
+   * @returns {Object} Base enemy state plus phase, pattern, heading and surge
+   */
+  getSaveState() {
+    return {
+      ...super.getSaveState(),
+      phaseIndex: this.phaseIndex,
+      patternTime: this.patternTime,
+      heading: this.heading,
+      surge: this.surgeTask === null ? null : {
+        remaining: this.scheduler.getRemaining(this.surgeTask),
+        hazards: [...this.surgedHazards]
+      }
+    };
+  }
+  
+  /**
+   * Restore the boss state from a saved run
+   * The hazards themselves are restored with the arena.
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    super.restoreSaveState(state);
+    
+    this.phaseIndex = state.phaseIndex;
+    this.patternTime = state.patternTime;
+    this.heading = state.heading;
+    
+    if (state.surge) {
+      this.surgedHazards = [...state.surge.hazards];
+      this.scheduleSurgeEnd(state.surge.remaining);
+    }
+    
+    if (this.phaseIndex > 0) {
+      this.onPhaseStart(this.getPhase());
+    }
+  }
+}
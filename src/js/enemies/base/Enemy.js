@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { MathUtils } from '../../utils/math.js';
+import { Random } from '../../utils/random.js';
+import { BehaviorTree } from '../ai/BehaviorTree.js';
+import { enemyBehavior } from '../ai/behaviors.js';
 
 /**
  * Base enemy class that all enemy types will extend
@@ -29,8 +32,13 @@ export class Enemy {
       points: 100,
       attackRange: 10,
       attackRate: 1.0, // attacks per second
+      accuracy: 0.35, // chance to hit at point-blank range (see rollAttack)
       detectionRange: 20,
       model: null, // Model path or null for default geometry
+      loopSound: null, // Looping positional sound while active (see LOOP_DEFINITIONS)
+      corpseDuration: 2.0, // Seconds a defeated enemy lingers before deactivating
+      random: null, // Seeded RNG for AI decisions (shared by the pool)
+      scaling: null, // Stat multipliers { health, damage, speed, points, attackRate, detectionRange } for this spawn (see FormationManager.getWaveScaling)
     }, options);
     
     // Enemy state
@@ -39,7 +47,18 @@ export class Enemy {
     this.isActive = false;
     this.isAlive = true;
     this.target = null;
-    this.lastAttackTime = 0;
+    this.lastAttackTime = -Infinity;
+    this.loopEmitter = null;
+    
+    // Simulation clock (seconds updated) used for attack and ability timers
+    this.time = 0;
+    this.deathTimer = 0;
+    
+    // AI decisions must come from the run's seed, so replays play out the same
+    this.random = this.options.random || new Random();
+    
+    // Headless simulations skip purely visual effects
+    this.effectsEnabled = !scene.userData.headless;
     
     // Movement
     this.position = new THREE.Vector3();
@@ -49,47 +68,10 @@ export class Enemy {
     this.waypoints = [];
     this.currentWaypoint = 0;
     
-    // State machine
-    this.stateMachine = {
-      currentState: 'idle',
-      states: {
-        idle: {
-          enter: this.enterIdleState.bind(this),
-          update: this.updateIdleState.bind(this),
-          exit: this.exitIdleState.bind(this)
-        },
-        patrol: {
-          enter: this.enterPatrolState.bind(this),
-          update: this.updatePatrolState.bind(this),
-          exit: this.exitPatrolState.bind(this)
-        },
-        chase: {
-          enter: this.enterChaseState.bind(this),
-          update: this.updateChaseState.bind(this),
-          exit: this.exitChaseState.bind(this)
-        },
-        attack: {
-          enter: this.enterAttackState.bind(this),
-          update: this.updateAttackState.bind(this),
-          exit: this.exitAttackState.bind(this)
-        },
-        flee: {
-          enter: this.enterFleeState.bind(this),
-          update: this.updateFleeState.bind(this),
-          exit: this.exitFleeState.bind(this)
-        },
-        stunned: {
-          enter: this.enterStunnedState.bind(this),
-          update: this.updateStunnedState.bind(this),
-          exit: this.exitStunnedState.bind(this)
-        },
-        dead: {
-          enter: this.enterDeadState.bind(this),
-          update: this.updateDeadState.bind(this),
-          exit: this.exitDeadState.bind(this)
-        }
-      }
-    };
+    // Behavior tree (see enemies/ai/behaviors.js); its outermost state machine is the enemy's state
+    this.behavior = this.createBehavior();
+    this.blackboard = this.behavior.blackboard;
+    this.stateMachine = this.behavior.machine;
     
     // Create mesh and physics body
     this.createMesh();
@@ -99,6 +81,28 @@ export class Enemy {
     this.changeState('idle');
   }
   
+  /**
+   * Build the enemy's behavior tree
+   * Enemy types with behavior of their own build their tree from behaviors.js.
+   * @returns {BehaviorTree} The tree
+   */
+  createBehavior() {
+    return this.buildBehavior(enemyBehavior());
+  }
+  
+  /**
+   * Build a behavior tree for this enemy from a tree definition
+   * @param {Object} definition - { root, blackboard } from behaviors.js
+   * @returns {BehaviorTree} The tree
+   */
+  buildBehavior({ root, blackboard }) {
+    return new BehaviorTree(root, this, {
+      blackboard,
+      random: this.random,
+      clock: () => this.time
+    });
+  }
+  
   /**
    * Create the enemy mesh
    */
@@ -212,6 +216,14 @@ export class Enemy {
       material: this.physics.defaultMaterial
     });
     
+    // Let projectile raycasts find and damage the enemy
+    this.body.userData = {
+      type: 'enemy',
+      isEnemy: true,
+      enemyInstance: this,
+      takeDamage: (amount, source, details) => this.takeDamage(amount, source, details)
+    };
+    
     // Add body to physics world
     this.physics.addBody(this.body);
     
@@ -224,13 +236,10 @@ export class Enemy {
    * @param {number} deltaTime - Time since last update
    */
   update(deltaTime) {
-    if (!this.isActive || !this.isAlive) return;
+    if (!this.isActive) return;
     
-    // Update state machine
-    const state = this.stateMachine.states[this.stateMachine.currentState];
-    if (state && state.update) {
-      state.update(deltaTime);
-    }
+    // Think: interrupts, then the clock and position, then the current state
+    this.behavior.tick(deltaTime);
     
     // Update health bar
     this.updateHealthBar();
@@ -272,18 +281,42 @@ export class Enemy {
   activate(position) {
     this.isActive = true;
     this.isAlive = true;
+    this.maxHealth = this.options.maxHealth * this.getScale('health');
     this.health = this.maxHealth;
     
+    // Start the clock over, so pooled enemies act the same as new ones
+    this.time = 0;
+    this.lastAttackTime = -Infinity;
+    this.deathTimer = 0;
+    this.blackboard.reset();
+    
     // Set position
     this.position.copy(position);
     this.body.position.copy(position);
+    this.body.velocity.set(0, 0, 0);
+    this.body.angularVelocity.set(0, 0, 0);
+    this.body.quaternion.set(0, 0, 0, 1); // Pooled enemies may have been knocked over last time
     this.mesh.position.copy(position);
     
+    // Return to the physics world
+    if (!this.body.world) {
+      this.physics.addBody(this.body);
+    }
+    
     // Reset state
     this.changeState('idle');
     
+    // Undo the death fade from a previous life
+    if (this.mesh.material) {
+      this.mesh.material.opacity = 1;
+      this.mesh.material.transparent = false;
+    }
+    
     // Show mesh
     this.mesh.visible = true;
+    
+    // Start looping sound
+    this.startLoopSound();
   }
   
   /**
@@ -292,6 +325,9 @@ export class Enemy {
   deactivate() {
     this.isActive = false;
     
+    // Stop looping sound
+    this.stopLoopSound();
+    
     // Hide mesh
     this.mesh.visible = false;
     
@@ -299,12 +335,17 @@ export class Enemy {
     this.body.velocity.set(0, 0, 0);
     this.body.angularVelocity.set(0, 0, 0);
     this.body.position.set(0, -100, 0); // Move far away
+    
+    // Inactive enemies take no part in the simulation
+    if (this.body.world) {
+      this.physics.removeBody(this.body);
+    }
   }
   
   /**
    * Take damage
    * @param {number} amount - Amount of damage
-   * @param {THREE.Vector3} source - Source of damage
+   * @param {THREE.Vector3|string} source - Source of damage (knockback only for positions)
    * @returns {boolean} True if enemy died
    */
   takeDamage(amount, source) {
@@ -323,7 +364,7 @@ export class Enemy {
     }
     
     // Apply knockback
-    if (source) {
+    if (source && source.isVector3) {
       const knockbackDirection = new THREE.Vector3().subVectors(this.position, source).normalize();
       const knockbackForce = 5 * amount;
       this.body.applyImpulse(
@@ -347,15 +388,109 @@ export class Enemy {
     
     this.isAlive = false;
     this.changeState('dead');
+    this.stopLoopSound();
     
     // TODO: Play death animation
     // TODO: Spawn particles
     // TODO: Drop items
     
-    // Deactivate after delay
-    setTimeout(() => {
-      this.deactivate();
-    }, 2000);
+    // Deactivate once the corpse has faded (see updateDeadState)
+    this.deathTimer = this.options.corpseDuration;
+    
+    // Notify whoever spawned the enemy (e.g. FormationManager)
+    if (this.onDefeated) {
+      this.onDefeated(this);
+    }
+  }
+  
+  /**
+   * Get the enemy state for a saved run
+   * Enemy types with abilities add their own timers.
+   * @returns {Object} Type, scaling, health, body motion, AI state and timers
+   */
+  getSaveState() {
+    const { position, velocity, quaternion, angularVelocity } = this.body;
+    
+    return {
+      type: this.options.type,
+      scaling: this.options.scaling,
+      health: this.health,
+      isAlive: this.isAlive,
+      deathTimer: this.deathTimer,
+      position: [position.x, position.y, position.z],
+      velocity: [velocity.x, velocity.y, velocity.z],
+      quaternion: [quaternion.x, quaternion.y, quaternion.z, quaternion.w],
+      angularVelocity: [angularVelocity.x, angularVelocity.y, angularVelocity.z],
+      state: this.stateMachine.currentState,
+      time: this.time,
+      lastAttackTime: Number.isFinite(this.lastAttackTime) ? this.lastAttackTime : null,
+      stunTimer: this.blackboard.get('stunTimer')
+    };
+  }
+  
+  /**
+   * Restore the enemy state from a saved run (after activate)
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    this.health = Math.min(state.health, this.maxHealth);
+    this.time = state.time;
+    this.lastAttackTime = state.lastAttackTime ?? -Infinity;
+    this.blackboard.set('stunTimer', state.stunTimer);
+    
+    // Resume the AI state without entering it again; what entering did is in the saved state
+    if (this.stateMachine.states[state.state]) {
+      this.stateMachine.currentState = state.state;
+    }
+    
+    // Corpse still fading out
+    if (!state.isAlive) {
+      this.isAlive = false;
+      this.deathTimer = state.deathTimer;
+      this.stopLoopSound();
+      this.enterDeadState();
+    }
+    
+    this.body.position.set(...state.position);
+    this.body.velocity.set(...state.velocity);
+    this.body.quaternion.set(...state.quaternion);
+    this.body.angularVelocity.set(...state.angularVelocity);
+    this.position.copy(this.body.position);
+    this.mesh.position.copy(this.body.position);
+    this.updateHealthBar();
+  }
+  
+  /**
+   * Play a one-shot sound at a world position
+   * @param {string} name - Sound name
+   * @param {THREE.Vector3} position - Where the sound plays (defaults to the enemy)
+   */
+  playSound(name, position = this.position) {
+    const audioManager = this.scene.userData.audioManager;
+    if (audioManager) {
+      audioManager.playSoundAt(name, position);
+    }
+  }
+  
+  /**
+   * Start the enemy's looping positional sound
+   */
+  startLoopSound() {
+    const audioManager = this.scene.userData.audioManager;
+    if (!audioManager || !this.options.loopSound || this.loopEmitter) return;
+    
+    this.loopEmitter = audioManager.attachLoop(this.mesh, this.options.loopSound);
+  }
+  
+  /**
+   * Stop the enemy's looping positional sound
+   */
+  stopLoopSound() {
+    const audioManager = this.scene.userData.audioManager;
+    if (!audioManager || !this.loopEmitter) return;
+    
+    audioManager.detachLoop(this.loopEmitter);
+    this.loopEmitter = null;
   }
   
   /**
@@ -366,11 +501,8 @@ export class Enemy {
     this.target = target;
     
     // If in idle state, change to chase state if target is in range
-    if (this.stateMachine.currentState === 'idle' && this.target) {
-      const distanceToTarget = MathUtils.distance(this.position, this.target.position);
-      if (distanceToTarget < this.options.detectionRange) {
-        this.changeState('chase');
-      }
+    if (this.stateMachine.currentState === 'idle' && this.canDetectTarget()) {
+      this.changeState('chase');
     }
   }
   
@@ -399,7 +531,7 @@ export class Enemy {
     const direction = new THREE.Vector3().subVectors(targetPosition, this.position).normalize();
     
     // Calculate velocity
-    const velocity = direction.multiplyScalar(this.options.moveSpeed);
+    const velocity = direction.multiplyScalar(this.options.moveSpeed * this.getScale('speed'));
     
     // Apply velocity to physics body
     this.body.velocity.set(velocity.x, this.body.velocity.y, velocity.z);
@@ -435,7 +567,7 @@ export class Enemy {
     
     // Check if can attack
     const timeSinceLastAttack = currentTime - this.lastAttackTime;
-    if (timeSinceLastAttack < 1 / this.options.attackRate) return false;
+    if (timeSinceLastAttack < 1 / (this.options.attackRate * this.getScale('attackRate'))) return false;
     
     // Check if target is in range
     const distanceToTarget = MathUtils.distance(this.position, this.target.position);
@@ -444,175 +576,129 @@ export class Enemy {
     // Perform attack
     this.lastAttackTime = currentTime;
     
-    // TODO: Implement attack logic (projectile, melee, etc.)
-    console.log(`${this.options.type} attacks for ${this.options.damage} damage!`);
+    this.rollAttack(this.options.damage);
     
     return true;
   }
   
   /**
-   * Change the current state
-   * @param {string} newState - New state name
+   * Shoot at the target, rolling whether the shot lands
+   * The chance falls from options.accuracy at point-blank range to half of it
+   * at the edge of the range, and a shot with cover in the way always misses.
+   * Rolled on the enemy's seeded RNG, so every run of a seed lands the same hits.
+   * @param {number} amount - Damage if the shot lands
+   * @param {number} range - Range the chance falls over (attackRange by default)
+   * @returns {boolean} Whether the shot hit
    */
-  changeState(newState) {
-    // Exit current state
-    const currentState = this.stateMachine.states[this.stateMachine.currentState];
-    if (currentState && currentState.exit) {
-      currentState.exit();
-    }
+  rollAttack(amount, range = this.options.attackRange) {
+    if (!this.target) return false;
     
-    // Change state
-    this.stateMachine.currentState = newState;
+    const distance = this.position.distanceTo(this.target.position);
+    const chance = this.options.accuracy * (1 - 0.5 * Math.min(distance / range, 1));
     
-    // Enter new state
-    const state = this.stateMachine.states[newState];
-    if (state && state.enter) {
-      state.enter();
-    }
-  }
-  
-  // State machine methods
-  
-  // Idle state
-  enterIdleState() {
-    // Stop movement
-    this.body.velocity.set(0, 0, 0);
+    if (!this.random.chance(chance) || !this.hasLineOfSight()) return false;
+    
+    this.damageTarget(amount);
+    return true;
   }
   
-  updateIdleState(deltaTime) {
-    // Check if target is in range
-    if (this.target) {
-      const distanceToTarget = MathUtils.distance(this.position, this.target.position);
-      if (distanceToTarget < this.options.detectionRange) {
-        this.changeState('chase');
-        return;
-      }
-    }
+  /**
+   * Check nothing solid stands between the enemy and its target
+   * Other enemies don't block the view.
+   * @returns {boolean} True if the target can be shot at
+   */
+  hasLineOfSight() {
+    if (!this.target) return false;
     
-    // If waypoints are set, switch to patrol
-    if (this.waypoints.length > 0) {
-      this.changeState('patrol');
-      return;
-    }
+    const toTarget = new THREE.Vector3().subVectors(this.target.position, this.position);
+    const distance = toTarget.length();
+    if (distance === 0) return true;
     
-    // Random idle movement
-    if (Math.random() < 0.01) {
-      const randomOffset = new THREE.Vector3(
-        MathUtils.randomFloat(-3, 3),
-        0,
-        MathUtils.randomFloat(-3, 3)
-      );
-      this.targetPosition.copy(this.position).add(randomOffset);
-      this.moveTowards(this.targetPosition, deltaTime);
-    }
-  }
-  
-  exitIdleState() {
-    // Nothing to do
-  }
-  
-  // Patrol state
-  enterPatrolState() {
-    if (this.waypoints.length === 0) {
-      this.changeState('idle');
-      return;
-    }
+    const hit = this.physics.raycast(this.position, toTarget.divideScalar(distance), distance, body =>
+      !(body.userData && body.userData.enemyInstance)
+    );
     
-    // Set first waypoint as target
-    this.targetPosition.copy(this.waypoints[this.currentWaypoint]);
+    return !hit || Boolean(hit.body.userData && hit.body.userData.isPlayer);
   }
   
-  updatePatrolState(deltaTime) {
-    // Check if target is in range
-    if (this.target) {
-      const distanceToTarget = MathUtils.distance(this.position, this.target.position);
-      if (distanceToTarget < this.options.detectionRange) {
-        this.changeState('chase');
-        return;
-      }
-    }
-    
-    // Move towards current waypoint
-    const reachedWaypoint = this.moveTowards(this.targetPosition, deltaTime);
+  /**
+   * Deal damage to the current target
+   * @param {number} amount - Damage, before this spawn's damage scale
+   */
+  damageTarget(amount) {
+    if (!this.target || typeof this.target.takeDamage !== 'function') return;
     
-    // If reached waypoint, move to next
-    if (reachedWaypoint) {
-      this.currentWaypoint = (this.currentWaypoint + 1) % this.waypoints.length;
-      this.targetPosition.copy(this.waypoints[this.currentWaypoint]);
-    }
+    this.target.takeDamage(amount * this.getScale('damage'), this);
   }
   
-  exitPatrolState() {
-    // Nothing to do
+  /**
+   * Get the multiplier this spawn applies to a stat
+   * @param {string} stat - 'health', 'damage', 'speed', 'points', 'attackRate' or 'detectionRange'
+   * @returns {number} Multiplier (1 when unscaled)
+   */
+  getScale(stat) {
+    // Spawns saved before the director scaled aggression have no attackRate or detectionRange
+    return this.options.scaling ? this.options.scaling[stat] ?? 1 : 1;
   }
   
-  // Chase state
-  enterChaseState() {
-    if (!this.target) {
-      this.changeState('idle');
-      return;
-    }
+  /**
+   * Change the current state
+   * @param {string} newState - New state name
+   */
+  changeState(newState) {
+    this.behavior.changeState(newState);
   }
   
-  updateChaseState(deltaTime) {
-    if (!this.target) {
-      this.changeState('idle');
-      return;
-    }
-    
-    // Update target position
-    this.targetPosition.copy(this.target.position);
-    
-    // Move towards target
-    const distanceToTarget = MathUtils.distance(this.position, this.targetPosition);
-    
-    // If in attack range, switch to attack state
-    if (distanceToTarget <= this.options.attackRange) {
-      this.changeState('attack');
-      return;
-    }
-    
-    // If target is too far, go back to idle
-    if (distanceToTarget > this.options.detectionRange * 1.5) {
-      this.changeState('idle');
-      return;
-    }
-    
-    // Move towards target
-    this.moveTowards(this.targetPosition, deltaTime);
-  }
+  // Actions the behavior trees use
   
-  exitChaseState() {
-    // Nothing to do
+  /**
+   * Advance the simulation clock and follow the physics body
+   * @param {number} deltaTime - Time since last update
+   */
+  sense(deltaTime) {
+    this.time += deltaTime;
+    this.position.copy(this.body.position);
   }
   
-  // Attack state
-  enterAttackState() {
-    if (!this.target) {
-      this.changeState('idle');
-      return;
-    }
-    
-    // Stop movement
+  /**
+   * Stop moving
+   */
+  stop() {
     this.body.velocity.set(0, 0, 0);
   }
   
-  updateAttackState(deltaTime) {
-    if (!this.target) {
-      this.changeState('idle');
-      return;
-    }
+  /**
+   * Check whether the target is close enough to notice
+   * @returns {boolean} True if there's a target within detection range
+   */
+  canDetectTarget() {
+    if (!this.target) return false;
     
-    // Check distance to target
     const distanceToTarget = MathUtils.distance(this.position, this.target.position);
+    return distanceToTarget < this.options.detectionRange * this.getScale('detectionRange');
+  }
+  
+  /**
+   * Drift a little way in a random direction
+   * @param {number} deltaTime - Time since last update
+   */
+  wander(deltaTime) {
+    const randomOffset = new THREE.Vector3(
+      this.random.float(-3, 3),
+      0,
+      this.random.float(-3, 3)
+    );
+    this.targetPosition.copy(this.position).add(randomOffset);
+    this.moveTowards(this.targetPosition, deltaTime);
+  }
+  
+  /**
+   * Turn towards the target
+   * @param {number} deltaTime - Time since last update
+   */
+  faceTarget(deltaTime) {
+    if (!this.target) return;
     
-    // If target is out of attack range but still in detection range, chase
-    if (distanceToTarget > this.options.attackRange) {
-      this.changeState('chase');
-      return;
-    }
-    
-    // Face target
     const direction = new THREE.Vector3().subVectors(this.target.position, this.position).normalize();
     if (direction.length() > 0.1) {
       const targetRotation = Math.atan2(direction.x, direction.z);
@@ -623,43 +709,19 @@ export class Enemy {
         deltaTime
       );
     }
-    
-    // Attack target
-    this.attackTarget(performance.now() / 1000);
-  }
-  
-  exitAttackState() {
-    // Nothing to do
-  }
-  
-  // Flee state
-  enterFleeState() {
-    // Nothing to do
   }
   
-  updateFleeState(deltaTime) {
-    if (!this.target) {
-      this.changeState('idle');
-      return;
-    }
-    
-    // Move away from target
+  /**
+   * Move away from the target
+   * @param {number} deltaTime - Time since last update
+   */
+  flee(deltaTime) {
     const fleeDirection = new THREE.Vector3().subVectors(this.position, this.target.position).normalize();
     const fleePosition = new THREE.Vector3().copy(this.position).add(
-      fleeDirection.multiplyScalar(this.options.detectionRange)
+      fleeDirection.multiplyScalar(this.options.detectionRange * this.getScale('detectionRange'))
     );
     
     this.moveTowards(fleePosition, deltaTime);
-    
-    // If far enough from target, go back to idle
-    const distanceToTarget = MathUtils.distance(this.position, this.target.position);
-    if (distanceToTarget > this.options.detectionRange * 1.5) {
-      this.changeState('idle');
-    }
-  }
-  
-  exitFleeState() {
-    // Nothing to do
   }
   
   // Stunned state
@@ -674,11 +736,6 @@ export class Enemy {
     }
   }
   
-  updateStunnedState(deltaTime) {
-    // Do nothing while stunned
-    // Transition handled by the stun method with a timeout
-  }
-  
   exitStunnedState() {
     // Restore original color
     if (this.mesh.material && this.originalColor) {
@@ -711,10 +768,12 @@ export class Enemy {
     
     // Sink into ground
     this.mesh.position.y = Math.max(-1, this.mesh.position.y - deltaTime * 0.5);
-  }
-  
-  exitDeadState() {
-    // Nothing to do
+    
+    // Remove the corpse
+    this.deathTimer -= deltaTime;
+    if (this.deathTimer <= 0) {
+      this.deactivate();
+    }
   }
   
   /**
@@ -724,27 +783,24 @@ export class Enemy {
   stun(duration) {
     if (!this.isActive || !this.isAlive) return;
     
+    this.blackboard.set('stunTimer', duration);
     this.changeState('stunned');
-    
-    // Return to previous state after duration
-    setTimeout(() => {
-      if (this.isActive && this.isAlive && this.stateMachine.currentState === 'stunned') {
-        this.changeState('idle');
-      }
-    }, duration * 1000);
   }
   
   /**
    * Clean up the enemy
    */
   dispose() {
+    // Stop looping sound
+    this.stopLoopSound();
+    
     // Remove from scene
     if (this.mesh) {
       this.scene.remove(this.mesh);
     }
     
     // Remove from physics world
-    if (this.body) {
+    if (this.body && this.body.world) {
       this.physics.removeBody(this.body);
     }
     
@@ -1,6 +1,21 @@
 import { PoolManager } from '../../utils/pool.js';
 import { Enemy } from './Enemy.js';
+import { Drone } from '../types/Drone.js';
+import { Soldier } from '../types/Soldier.js';
+import { Elite } from '../types/Elite.js';
+import { Commander } from '../types/Commander.js';
+import { HiveMother } from '../types/HiveMother.js';
 import * as THREE from 'three';
+import { Random } from '../../utils/random.js';
+
+// Enemy class for each pooled type
+const ENEMY_CLASSES = {
+  drone: Drone,
+  soldier: Soldier,
+  elite: Elite,
+  commander: Commander,
+  hiveMother: HiveMother
+};
 
 /**
  * Pool manager for enemy instances
@@ -10,17 +25,21 @@ export class EnemyPool {
    * Create a new enemy pool
    * @param {THREE.Scene} scene - The scene to add enemies to
    * @param {Object} physics - The physics world
+   * @param {Random} random - Seeded RNG shared by every enemy's AI
    */
-  constructor(scene, physics) {
+  constructor(scene, physics, random = new Random()) {
     this.scene = scene;
     this.physics = physics;
+    this.random = random;
     
     // Create pools for each enemy type
     this.pools = {
       drone: this.createPool('drone'),
       soldier: this.createPool('soldier'),
       elite: this.createPool('elite'),
-      commander: this.createPool('commander')
+      commander: this.createPool('commander'),
+      // Bosses are only built when a wave calls for one
+      hiveMother: this.createPool('hiveMother', 0)
     };
     
     // Active enemies
@@ -30,21 +49,26 @@ export class EnemyPool {
   /**
    * Create a pool for a specific enemy type
    * @param {string} type - Enemy type
+   * @param {number} size - Enemies to build up front
    * @returns {PoolManager} The pool manager
    */
-  createPool(type) {
+  createPool(type, size = 10) {
     return new PoolManager(
       // Create function
       () => {
-        const options = { type };
-        return new Enemy(this.scene, this.physics, options);
+        const EnemyClass = ENEMY_CLASSES[type] || Enemy;
+        const enemy = new EnemyClass(this.scene, this.physics, { type, random: this.random });
+        
+        // Pooled enemies wait outside the world until spawned
+        enemy.deactivate();
+        return enemy;
       },
       // Reset function
       (enemy) => {
         enemy.deactivate();
       },
       // Initial size
-      10
+      size
     );
   }
   
@@ -120,6 +144,11 @@ export class EnemyPool {
   update(deltaTime) {
     this.activeEnemies.forEach(enemy => {
       enemy.update(deltaTime);
+      
+      // Return enemies to the pool once their corpse is gone
+      if (!enemy.isActive) {
+        this.despawn(enemy);
+      }
     });
   }
   
@@ -164,6 +193,23 @@ export class EnemyPool {
     return count;
   }
   
+  /**
+   * Get the AI RNG position for a saved run
+   * The enemies themselves are saved with their waves (see FormationManager).
+   * @returns {Object} Enemy AI state
+   */
+  getSaveState() {
+    return { random: this.random.getState() };
+  }
+  
+  /**
+   * Restore the AI RNG position from a saved run
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    this.random.setState(state.random);
+  }
+  
   /**
    * Dispose all enemies and pools
    */
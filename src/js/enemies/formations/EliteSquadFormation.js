@@ -104,7 +104,7 @@ export class EliteSquadFormation extends Formation {
     this.phase += deltaTime * this.phaseSpeed;
     
     // Calculate direction to target
-    const direction = new THREE.Vector3().subVectors(targetPosition, this.position);
+    const direction = new THREE.Vector3().subVectors(targetPosition, this.center);
     const distance = direction.length();
     direction.normalize();
     
@@ -136,7 +136,7 @@ export class EliteSquadFormation extends Formation {
     this.updateEnemyPositions(deltaTime);
     
     // Apply rotation to the formation
-    this.rotation.y += deltaTime * this.rotationSpeed;
+    this.rotation += deltaTime * this.options.rotationSpeed;
   }
   
   /**
@@ -147,13 +147,13 @@ export class EliteSquadFormation extends Formation {
    */
   updateApproachMode(deltaTime, direction, distance) {
     // Move towards target at moveSpeed
-    const moveAmount = Math.min(this.moveSpeed * deltaTime, distance);
-    this.position.add(direction.clone().multiplyScalar(moveAmount));
+    const moveAmount = Math.min(this.options.moveSpeed * deltaTime, distance);
+    this.center.add(direction.clone().multiplyScalar(moveAmount));
     
     // Rotate formation to face target
     const targetRotation = Math.atan2(direction.x, -direction.z);
-    this.rotation.y = THREE.MathUtils.lerp(
-      this.rotation.y,
+    this.rotation = THREE.MathUtils.lerp(
+      this.rotation,
       targetRotation,
       deltaTime * 2
     );
@@ -166,7 +166,7 @@ export class EliteSquadFormation extends Formation {
    */
   updateAttackMode(deltaTime, targetPosition) {
     // In attack mode, circle around the target
-    const orbitSpeed = this.rotationSpeed * 1.5;
+    const orbitSpeed = this.options.rotationSpeed * 1.5;
     const orbitRadius = 20;
     
     // Calculate orbit position
@@ -177,14 +177,14 @@ export class EliteSquadFormation extends Formation {
     const newZ = targetPosition.z + Math.cos(this.orbitAngle) * orbitRadius;
     
     // Smoothly move to new position
-    this.position.x = THREE.MathUtils.lerp(this.position.x, newX, deltaTime * 2);
-    this.position.z = THREE.MathUtils.lerp(this.position.z, newZ, deltaTime * 2);
+    this.center.x = THREE.MathUtils.lerp(this.center.x, newX, deltaTime * 2);
+    this.center.z = THREE.MathUtils.lerp(this.center.z, newZ, deltaTime * 2);
     
     // Always face the target
-    const direction = new THREE.Vector3().subVectors(targetPosition, this.position);
+    const direction = new THREE.Vector3().subVectors(targetPosition, this.center);
     const targetRotation = Math.atan2(direction.x, -direction.z);
-    this.rotation.y = THREE.MathUtils.lerp(
-      this.rotation.y,
+    this.rotation = THREE.MathUtils.lerp(
+      this.rotation,
       targetRotation,
       deltaTime * 3
     );
@@ -197,16 +197,16 @@ export class EliteSquadFormation extends Formation {
    */
   updateDefenseMode(deltaTime, targetPosition) {
     // In defense mode, back away from target while maintaining formation
-    const direction = new THREE.Vector3().subVectors(this.position, targetPosition).normalize();
+    const direction = new THREE.Vector3().subVectors(this.center, targetPosition).normalize();
     
     // Move away from target
-    this.position.add(direction.clone().multiplyScalar(this.moveSpeed * 0.5 * deltaTime));
+    this.center.add(direction.clone().multiplyScalar(this.options.moveSpeed * 0.5 * deltaTime));
     
     // Always face the target
-    const faceDirection = new THREE.Vector3().subVectors(targetPosition, this.position);
+    const faceDirection = new THREE.Vector3().subVectors(targetPosition, this.center);
     const targetRotation = Math.atan2(faceDirection.x, -faceDirection.z);
-    this.rotation.y = THREE.MathUtils.lerp(
-      this.rotation.y,
+    this.rotation = THREE.MathUtils.lerp(
+      this.rotation,
       targetRotation,
       deltaTime * 3
     );
@@ -273,11 +273,11 @@ export class EliteSquadFormation extends Formation {
       basePosition.y = Math.sin(this.phase) * 0.5 + 1.0;
       
       // Get world position
-      const worldPosition = this.getWorldPosition(basePosition);
+      const worldPosition = this.localToWorld(basePosition);
       
       // Update enemy position if it exists
       if (this.enemies[this.centerIndex]) {
-        this.enemies[this.centerIndex].setTargetPosition(worldPosition);
+        this.enemies[this.centerIndex].targetPosition.copy(worldPosition);
       }
     }
     
@@ -288,14 +288,14 @@ export class EliteSquadFormation extends Formation {
       const basePosition = this.positions[posIndex].clone();
       
       // Apply wave motion - inner circle moves up and down together
-      basePosition.y = Math.sin(this.phase) * this.waveAmplitude * 0.5 + 0.5;
+      basePosition.y = Math.sin(this.phase) * this.options.waveAmplitude * 0.5 + 0.5;
       
       // Get world position
-      const worldPosition = this.getWorldPosition(basePosition);
+      const worldPosition = this.localToWorld(basePosition);
       
       // Update enemy position if it exists
       if (this.enemies[posIndex]) {
-        this.enemies[posIndex].setTargetPosition(worldPosition);
+        this.enemies[posIndex].targetPosition.copy(worldPosition);
       }
     });
     
@@ -306,15 +306,15 @@ export class EliteSquadFormation extends Formation {
       const basePosition = this.positions[posIndex].clone();
       
       // Apply wave motion - outer circle has alternating pattern
-      const waveOffset = Math.sin(this.phase + (i / this.outerCount) * Math.PI * 2) * this.waveAmplitude;
+      const waveOffset = Math.sin(this.phase + (i / this.outerCount) * Math.PI * 2) * this.options.waveAmplitude;
       basePosition.y = waveOffset;
       
       // Get world position
-      const worldPosition = this.getWorldPosition(basePosition);
+      const worldPosition = this.localToWorld(basePosition);
       
       // Update enemy position if it exists
       if (this.enemies[posIndex]) {
-        this.enemies[posIndex].setTargetPosition(worldPosition);
+        this.enemies[posIndex].targetPosition.copy(worldPosition);
       }
     });
   }
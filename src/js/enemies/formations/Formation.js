@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { MathUtils } from '../../utils/math.js';
+import { Random } from '../../utils/random.js';
 
 /**
  * Base formation class for organizing enemies
@@ -27,9 +28,12 @@ export class Formation {
         soldier: 0.2,
         elite: 0.1,
         commander: 0.0
-      }
+      },
+      random: null // Seeded RNG for enemy types (unseeded if omitted)
     }, options);
     
+    this.random = this.options.random || new Random();
+    
     // Formation properties
     this.positions = [];
     this.enemies = [];
@@ -114,9 +118,15 @@ export class Formation {
       return new THREE.Vector3();
     }
     
-    // Get local position
-    const localPosition = this.positions[index].clone();
-    
+    return this.localToWorld(this.positions[index]);
+  }
+  
+  /**
+   * Convert a position in formation space to world space
+   * @param {THREE.Vector3} localPosition - Position relative to the formation center
+   * @returns {THREE.Vector3} World position
+   */
+  localToWorld(localPosition) {
     // Apply rotation
     const rotatedX = localPosition.x * Math.cos(this.rotation) - localPosition.z * Math.sin(this.rotation);
     const rotatedZ = localPosition.x * Math.sin(this.rotation) + localPosition.z * Math.cos(this.rotation);
@@ -215,7 +225,7 @@ export class Formation {
    * @returns {string} Enemy type
    */
   getRandomEnemyType() {
-    const rand = Math.random();
+    const rand = this.random.next();
     let cumulativeProbability = 0;
     
     for (const type in this.options.enemyTypeDistribution) {
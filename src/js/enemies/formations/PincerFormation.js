@@ -117,7 +117,7 @@ export class PincerFormation extends Formation {
     this.attackTarget = targetPosition;
     
     // Calculate direction to target
-    const direction = new THREE.Vector3().subVectors(targetPosition, this.position);
+    const direction = new THREE.Vector3().subVectors(targetPosition, this.center);
     const distance = direction.length();
     direction.normalize();
     
@@ -148,13 +148,13 @@ export class PincerFormation extends Formation {
    */
   updateApproachMode(deltaTime, direction, distance) {
     // Move towards target at moveSpeed
-    const moveAmount = Math.min(this.moveSpeed * deltaTime, distance);
-    this.position.add(direction.clone().multiplyScalar(moveAmount));
+    const moveAmount = Math.min(this.options.moveSpeed * deltaTime, distance);
+    this.center.add(direction.clone().multiplyScalar(moveAmount));
     
     // Rotate formation to face target
     const targetRotation = Math.atan2(direction.x, -direction.z);
-    this.rotation.y = THREE.MathUtils.lerp(
-      this.rotation.y,
+    this.rotation = THREE.MathUtils.lerp(
+      this.rotation,
       targetRotation,
       deltaTime * 2
     );
@@ -167,7 +167,7 @@ export class PincerFormation extends Formation {
    */
   updateAttackMode(deltaTime, targetPosition) {
     // In attack mode, circle around the target
-    const orbitSpeed = this.rotationSpeed * 2;
+    const orbitSpeed = this.options.rotationSpeed * 2;
     const orbitRadius = 15;
     
     // Calculate orbit position
@@ -178,14 +178,14 @@ export class PincerFormation extends Formation {
     const newZ = targetPosition.z + Math.cos(this.orbitAngle) * orbitRadius;
     
     // Smoothly move to new position
-    this.position.x = THREE.MathUtils.lerp(this.position.x, newX, deltaTime * 2);
-    this.position.z = THREE.MathUtils.lerp(this.position.z, newZ, deltaTime * 2);
+    this.center.x = THREE.MathUtils.lerp(this.center.x, newX, deltaTime * 2);
+    this.center.z = THREE.MathUtils.lerp(this.center.z, newZ, deltaTime * 2);
     
     // Always face the target
-    const direction = new THREE.Vector3().subVectors(targetPosition, this.position);
+    const direction = new THREE.Vector3().subVectors(targetPosition, this.center);
     const targetRotation = Math.atan2(direction.x, -direction.z);
-    this.rotation.y = THREE.MathUtils.lerp(
-      this.rotation.y,
+    this.rotation = THREE.MathUtils.lerp(
+      this.rotation,
       targetRotation,
       deltaTime * 3
     );
@@ -225,17 +225,17 @@ export class PincerFormation extends Formation {
         
         // Apply wave motion
         const t = enemyIndex / (this.enemiesPerArm - 1);
-        const waveOffset = Math.sin(armPhase + t * Math.PI * 2) * this.waveAmplitude;
+        const waveOffset = Math.sin(armPhase + t * Math.PI * 2) * this.options.waveAmplitude;
         
         // Apply offset
         basePosition.y += waveOffset;
         
         // Get world position
-        const worldPosition = this.getWorldPosition(basePosition);
+        const worldPosition = this.localToWorld(basePosition);
         
         // Update enemy position if it exists
         if (this.enemies[posIndex]) {
-          this.enemies[posIndex].setTargetPosition(worldPosition);
+          this.enemies[posIndex].targetPosition.copy(worldPosition);
         }
       });
     });
@@ -2,6 +2,7 @@ import { Enemy } from '../base/Enemy.js';
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { MathUtils } from '../../utils/math.js';
+import { commanderBehavior } from '../ai/behaviors.js';
 
 /**
  * Commander enemy type
@@ -28,12 +29,15 @@ export class Commander extends Enemy {
       points: 500,    // Worth more points
       attackRange: 18,
       attackRate: 0.5, // Attacks per second
+      accuracy: 0.5, // Chance to hit at point-blank range
       detectionRange: 30,
       model: null,
       // Commander-specific properties
       buffRadius: 10,
       buffStrength: 1.25, // 25% buff to allies
       summonCooldown: 15, // Seconds between summons
+      summonChargeTime: 1, // Seconds of charging before the minions arrive
+      summonDuration: 2,  // Seconds the whole summon holds the commander in place
       summonCount: 3,     // Number of drones to summon
       minionTypes: ['drone'], // Types of minions to summon
     }, options);
@@ -42,17 +46,12 @@ export class Commander extends Enemy {
     super(scene, physics, commanderOptions);
     
     // Commander-specific properties
-    this.lastSummonTime = 0;
+    this.summonPhase = null; // 'charge' or 'release' while summoning
+    this.chargeTask = null; // Game clock tasks timing the summon (see scheduleSummon)
+    this.summonTask = null;
     this.minions = new Set();
     this.buffedEnemies = new Set();
     
-    // Add summon state to state machine
-    this.stateMachine.states.summon = {
-      enter: this.enterSummonState.bind(this),
-      update: this.updateSummonState.bind(this),
-      exit: this.exitSummonState.bind(this)
-    };
-    
     // Override default mesh with commander-specific mesh
     this.createCommanderMesh();
     
@@ -60,6 +59,14 @@ export class Commander extends Enemy {
     this.createBuffAura();
   }
   
+  /**
+   * Build the commander's behavior tree
+   * @returns {BehaviorTree} The tree
+   */
+  createBehavior() {
+    return this.buildBehavior(commanderBehavior());
+  }
+  
   /**
    * Create a commander-specific mesh
    */
@@ -196,12 +203,27 @@ export class Commander extends Enemy {
     this.scene.add(this.auraMesh);
   }
   
+  /**
+   * Deactivate the commander, dropping any summon in progress
+   */
+  deactivate() {
+    this.cancelSummon();
+    
+    super.deactivate();
+  }
+  
   /**
    * Update the commander
    * @param {number} deltaTime - Time since last update
    */
   update(deltaTime) {
-    if (!this.isActive || !this.isAlive) return;
+    if (!this.isActive) return;
+    
+    // Defeated enemies only fade out
+    if (!this.isAlive) {
+      super.update(deltaTime);
+      return;
+    }
     
     // Update core
     this.updateCore(deltaTime);
@@ -209,9 +231,6 @@ export class Commander extends Enemy {
     // Update buff aura
     this.updateBuffAura();
     
-    // Check if should summon minions
-    this.checkSummonMinions();
-    
     // Call parent update
     super.update(deltaTime);
   }
@@ -294,6 +313,8 @@ export class Commander extends Enemy {
    * @param {Enemy} enemy - The enemy to buff
    */
   createBuffEffect(enemy) {
+    if (!this.effectsEnabled) return;
+    
     // Create buff indicator
     const indicatorGeometry = new THREE.RingGeometry(0.6, 0.7, 16);
     const indicatorMaterial = new THREE.MeshBasicMaterial({
@@ -340,25 +361,6 @@ export class Commander extends Enemy {
     animate();
   }
   
-  /**
-   * Check if should summon minions
-   */
-  checkSummonMinions() {
-    if (!this.isActive || !this.isAlive) return;
-    
-    // Check if can summon
-    const currentTime = performance.now() / 1000;
-    if (currentTime - this.lastSummonTime < this.options.summonCooldown) return;
-    
-    // Check if health is low or random chance
-    const healthPercent = this.health / this.options.maxHealth;
-    if (healthPercent < 0.5 || Math.random() < 0.01) {
-      // Change to summon state
-      this.changeState('summon');
-      this.lastSummonTime = currentTime;
-    }
-  }
-  
   /**
    * Override attack method to implement commander-specific attack
    * @param {number} currentTime - Current time
@@ -369,7 +371,7 @@ export class Commander extends Enemy {
     
     // Check if can attack
     const timeSinceLastAttack = currentTime - this.lastAttackTime;
-    if (timeSinceLastAttack < 1 / this.options.attackRate) return false;
+    if (timeSinceLastAttack < 1 / (this.options.attackRate * this.getScale('attackRate'))) return false;
     
     // Check if target is in range
     const distanceToTarget = this.position.distanceTo(this.target.position);
@@ -379,6 +381,7 @@ export class Commander extends Enemy {
     this.lastAttackTime = currentTime;
     
     // Create energy beam
+    this.rollAttack(this.options.damage);
     this.createEnergyBeam();
     
     return true;
@@ -390,6 +393,8 @@ export class Commander extends Enemy {
   createEnergyBeam() {
     if (!this.target) return;
     
+    if (!this.effectsEnabled) return;
+    
     // Calculate direction to target
     const direction = new THREE.Vector3()
       .subVectors(this.target.position, this.position)
@@ -428,6 +433,7 @@ export class Commander extends Enemy {
     
     // Add to scene
     this.scene.add(beamMesh);
+    this.playSound('commander_beam', sourcePosition);
     
     // Create impact effect
     this.createBeamImpact(targetPosition);
@@ -469,6 +475,8 @@ export class Commander extends Enemy {
    * @param {THREE.Vector3} position - Impact position
    */
   createBeamImpact(position) {
+    if (!this.effectsEnabled) return;
+    
     // Create impact geometry
     const impactGeometry = new THREE.SphereGeometry(0.5, 16, 16);
     
@@ -527,61 +535,98 @@ export class Commander extends Enemy {
     animate();
   }
   
-  // Summon state
-  enterSummonState() {
+  /**
+   * Stop and start summoning, as the summon state is entered
+   */
+  startSummon() {
     // Stop movement
     this.body.velocity.set(0, 0, 0);
     
-    // Set timer for summon duration
-    this.summonTimer = 2.0;
+    // Charge, release the minions, then get back to fighting
     this.summonPhase = 'charge';
-    this.chargeTime = 1.0;
+    this.scheduleSummon(this.options.summonChargeTime, this.options.summonDuration);
     
     // Create summon effect
     this.createSummonEffect();
   }
   
-  updateSummonState(deltaTime) {
-    // Update timer
-    this.summonTimer -= deltaTime;
+  /**
+   * Drop the summon, as the summon state is left
+   */
+  stopSummon() {
+    this.cancelSummon();
+    this.summonPhase = null;
+  }
+  
+  /**
+   * Time the summon on the game clock (scene.userData.scheduler)
+   * @param {number} chargeTime - Seconds until the minions arrive (unused once they have)
+   * @param {number} summonTime - Seconds until the summon ends
+   */
+  scheduleSummon(chargeTime, summonTime) {
+    this.cancelSummon();
+    this.scheduler = this.scene.userData.scheduler;
     
-    // Update based on phase
     if (this.summonPhase === 'charge') {
-      this.chargeTime -= deltaTime;
-      
-      // Check if charge is complete
-      if (this.chargeTime <= 0) {
-        this.summonPhase = 'release';
-        
-        // Summon minions
-        this.summonMinions();
-      }
+      this.chargeTask = this.scheduler.delay(chargeTime, () => {
+        this.chargeTask = null;
+        this.releaseSummon();
+      });
     }
     
-    // Check if summon is complete
-    if (this.summonTimer <= 0) {
-      // Return to appropriate state
-      if (this.target) {
-        const distanceToTarget = this.position.distanceTo(this.target.position);
-        if (distanceToTarget <= this.options.attackRange) {
-          this.changeState('attack');
-        } else {
-          this.changeState('chase');
-        }
-      } else {
-        this.changeState('idle');
-      }
+    this.summonTask = this.scheduler.delay(summonTime, () => {
+      this.summonTask = null;
+      this.finishSummon();
+    });
+  }
+  
+  /**
+   * Cancel the summon's pending tasks
+   */
+  cancelSummon() {
+    if (this.chargeTask !== null) {
+      this.scheduler.cancel(this.chargeTask);
+      this.chargeTask = null;
     }
+    if (this.summonTask !== null) {
+      this.scheduler.cancel(this.summonTask);
+      this.summonTask = null;
+    }
+  }
+  
+  /**
+   * End the charge and bring in the minions
+   */
+  releaseSummon() {
+    this.summonPhase = 'release';
+    
+    // Summon minions
+    this.summonMinions();
   }
   
-  exitSummonState() {
-    // Nothing to do
+  /**
+   * End the summon and go back to the fight
+   */
+  finishSummon() {
+    // Return to appropriate state
+    if (this.target) {
+      const distanceToTarget = this.position.distanceTo(this.target.position);
+      if (distanceToTarget <= this.options.attackRange) {
+        this.changeState('attack');
+      } else {
+        this.changeState('chase');
+      }
+    } else {
+      this.changeState('idle');
+    }
   }
   
   /**
    * Create summon effect
    */
   createSummonEffect() {
+    if (!this.effectsEnabled) return;
+    
     // Create summon geometry
     const summonGeometry = new THREE.CircleGeometry(3, 32);
     
@@ -616,7 +661,7 @@ export class Commander extends Enemy {
       }
       
       // Calculate progress
-      const progress = 1 - (this.chargeTime / 1.0);
+      const progress = 1 - (this.getSummonRemaining(this.chargeTask) / this.options.summonChargeTime);
       
       // Pulse opacity
       summonMaterial.opacity = 0.2 + 0.3 * Math.sin(performance.now() / 200);
@@ -648,6 +693,8 @@ export class Commander extends Enemy {
    * Create summon flash effect
    */
   createSummonFlash() {
+    if (!this.effectsEnabled) return;
+    
     // Create flash geometry
     const flashGeometry = new THREE.CircleGeometry(5, 32);
     
@@ -710,6 +757,45 @@ export class Commander extends Enemy {
     animate();
   }
   
+  /**
+   * Get how long until one of the summon's tasks runs
+   * @param {number} task - Task id (null if it isn't pending)
+   * @returns {number} Seconds of game time (0 if it isn't pending)
+   */
+  getSummonRemaining(task) {
+    return task === null ? 0 : this.scheduler.getRemaining(task);
+  }
+  
+  /**
+   * Get the commander state for a saved run
+   * @returns {Object} Base enemy state plus summon timers
+   */
+  getSaveState() {
+    return {
+      ...super.getSaveState(),
+      lastSummonTime: this.blackboard.get('lastSummonTime'),
+      summonTimer: this.getSummonRemaining(this.summonTask),
+      summonPhase: this.summonPhase,
+      chargeTime: this.getSummonRemaining(this.chargeTask)
+    };
+  }
+  
+  /**
+   * Restore the commander state from a saved run
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    super.restoreSaveState(state);
+    
+    this.blackboard.set('lastSummonTime', state.lastSummonTime);
+    this.summonPhase = state.summonPhase;
+    
+    // Pick a summon in progress up where it was
+    if (this.stateMachine.currentState === 'summon') {
+      this.scheduleSummon(state.chargeTime, state.summonTimer);
+    }
+  }
+  
   /**
    * Clean up the commander
    */
@@ -1,6 +1,7 @@
 import { Enemy } from '../base/Enemy.js';
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { droneBehavior } from '../ai/behaviors.js';
 
 /**
  * Drone enemy type
@@ -27,8 +28,10 @@ export class Drone extends Enemy {
       points: 50,     // Worth fewer points
       attackRange: 8,
       attackRate: 1.5, // Attacks per second
+      accuracy: 0.2, // Chance to hit at point-blank range
       detectionRange: 25,
       model: null,
+      loopSound: 'drone_hum', // Swarms can be heard before they are seen
       // Drone-specific properties
       swarmRadius: 3.0,
       swarmOffset: new THREE.Vector3(0, 0, 0),
@@ -48,6 +51,14 @@ export class Drone extends Enemy {
     this.createDroneMesh();
   }
   
+  /**
+   * Build the drone's behavior tree
+   * @returns {BehaviorTree} The tree
+   */
+  createBehavior() {
+    return this.buildBehavior(droneBehavior());
+  }
+  
   /**
    * Create a drone-specific mesh
    */
@@ -130,7 +141,13 @@ export class Drone extends Enemy {
    * @param {number} deltaTime - Time since last update
    */
   update(deltaTime) {
-    if (!this.isActive || !this.isAlive) return;
+    if (!this.isActive) return;
+    
+    // Defeated enemies only fade out
+    if (!this.isAlive) {
+      super.update(deltaTime);
+      return;
+    }
     
     // Update engine glow
     if (this.glowMesh) {
@@ -149,44 +166,7 @@ export class Drone extends Enemy {
   }
   
   /**
-   * Override the chase state update to implement swarm behavior
-   * @param {number} deltaTime - Time since last update
-   */
-  updateChaseState(deltaTime) {
-    if (!this.target) {
-      this.changeState('idle');
-      return;
-    }
-    
-    // Calculate base target position (player position)
-    this.targetPosition.copy(this.target.position);
-    
-    // Apply swarm behavior if part of a swarm
-    if (this.options.swarmSize > 1) {
-      this.applySwarmBehavior(deltaTime);
-    }
-    
-    // Calculate distance to target
-    const distanceToTarget = this.position.distanceTo(this.targetPosition);
-    
-    // If in attack range, switch to attack state
-    if (distanceToTarget <= this.options.attackRange) {
-      this.changeState('attack');
-      return;
-    }
-    
-    // If target is too far, go back to idle
-    if (distanceToTarget > this.options.detectionRange * 1.5) {
-      this.changeState('idle');
-      return;
-    }
-    
-    // Move towards target
-    this.moveTowards(this.targetPosition, deltaTime);
-  }
-  
-  /**
-   * Apply swarm behavior to modify target position
+   * Apply swarm behavior to modify target position (the chase aims at its place in the swarm)
    * @param {number} deltaTime - Time since last update
    */
   applySwarmBehavior(deltaTime) {
@@ -217,7 +197,7 @@ export class Drone extends Enemy {
     
     // Check if can attack
     const timeSinceLastAttack = currentTime - this.lastAttackTime;
-    if (timeSinceLastAttack < 1 / this.options.attackRate) return false;
+    if (timeSinceLastAttack < 1 / (this.options.attackRate * this.getScale('attackRate'))) return false;
     
     // Check if target is in range
     const distanceToTarget = this.position.distanceTo(this.target.position);
@@ -226,11 +206,12 @@ export class Drone extends Enemy {
     // Perform attack
     this.lastAttackTime = currentTime;
     
-    // TODO: Implement drone attack (small energy projectile)
-    console.log(`Drone attacks for ${this.options.damage} damage!`);
+    // Small energy bolt
+    this.rollAttack(this.options.damage);
     
-    // Visual feedback for attack
+    // Visual and audio feedback for attack
     this.createAttackEffect();
+    this.playSound('drone_shot');
     
     return true;
   }
@@ -239,6 +220,8 @@ export class Drone extends Enemy {
    * Create visual effect for attack
    */
   createAttackEffect() {
+    if (!this.effectsEnabled) return;
+    
     // Create attack geometry
     const attackGeometry = new THREE.SphereGeometry(0.2, 8, 8);
     
@@ -300,6 +283,6 @@ export class Drone extends Enemy {
     this.options.swarmOffset.copy(swarmOffset);
     
     // Randomize starting angle
-    this.swarmAngle = Math.random() * Math.PI * 2;
+    this.swarmAngle = this.random.float(0, Math.PI * 2);
   }
 } 
\ No newline at end of file
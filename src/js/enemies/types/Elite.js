@@ -2,6 +2,7 @@ import { Enemy } from '../base/Enemy.js';
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { MathUtils } from '../../utils/math.js';
+import { eliteBehavior } from '../ai/behaviors.js';
 
 /**
  * Elite enemy type
@@ -28,6 +29,7 @@ export class Elite extends Enemy {
       points: 250,
       attackRange: 15,
       attackRate: 0.8, // Attacks per second
+      accuracy: 0.45, // Chance to hit at point-blank range
       detectionRange: 25,
       model: null,
       // Elite-specific properties
@@ -45,27 +47,22 @@ export class Elite extends Enemy {
     // Elite-specific properties
     this.shieldStrength = this.options.shieldStrength;
     this.lastShieldDamageTime = 0;
-    this.lastSpecialAttackTime = 0;
     this.isShieldActive = true;
-    
-    // Add teleport state to state machine
-    this.stateMachine.states.teleport = {
-      enter: this.enterTeleportState.bind(this),
-      update: this.updateTeleportState.bind(this),
-      exit: this.exitTeleportState.bind(this)
-    };
-    
-    // Add special attack state to state machine
-    this.stateMachine.states.specialAttack = {
-      enter: this.enterSpecialAttackState.bind(this),
-      update: this.updateSpecialAttackState.bind(this),
-      exit: this.exitSpecialAttackState.bind(this)
-    };
+    this.teleportDestination = null;
+    this.specialAttackPhase = null; // 'charge' or 'release' during a special attack (see eliteBehavior)
     
     // Override default mesh with elite-specific mesh
     this.createEliteMesh();
   }
   
+  /**
+   * Build the elite's behavior tree
+   * @returns {BehaviorTree} The tree
+   */
+  createBehavior() {
+    return this.buildBehavior(eliteBehavior());
+  }
+  
   /**
    * Create an elite-specific mesh
    */
@@ -174,12 +171,30 @@ export class Elite extends Enemy {
     this.mesh.add(this.shieldMesh);
   }
   
+  /**
+   * Activate the elite with a full shield and its abilities off cooldown timers
+   * @param {THREE.Vector3} position - Initial position
+   */
+  activate(position) {
+    this.shieldStrength = this.options.shieldStrength;
+    this.lastShieldDamageTime = 0;
+    this.isShieldActive = true;
+    
+    super.activate(position);
+  }
+  
   /**
    * Update the elite
    * @param {number} deltaTime - Time since last update
    */
   update(deltaTime) {
-    if (!this.isActive || !this.isAlive) return;
+    if (!this.isActive) return;
+    
+    // Defeated enemies only fade out
+    if (!this.isAlive) {
+      super.update(deltaTime);
+      return;
+    }
     
     // Update floating elements
     this.updateFloatingElements(deltaTime);
@@ -187,9 +202,6 @@ export class Elite extends Enemy {
     // Update shield
     this.updateShield(deltaTime);
     
-    // Check if should use special attack
-    this.checkSpecialAttack();
-    
     // Call parent update
     super.update(deltaTime);
   }
@@ -244,7 +256,7 @@ export class Elite extends Enemy {
     }
     
     // Recharge shield after delay
-    const currentTime = performance.now() / 1000;
+    const currentTime = this.time;
     if (currentTime - this.lastShieldDamageTime > this.options.shieldRechargeDelay) {
       this.shieldStrength = Math.min(
         this.options.maxShieldStrength,
@@ -253,33 +265,6 @@ export class Elite extends Enemy {
     }
   }
   
-  /**
-   * Check if should use special attack
-   */
-  checkSpecialAttack() {
-    if (!this.target || !this.isActive || !this.isAlive) return;
-    
-    // Check if can use special attack
-    const currentTime = performance.now() / 1000;
-    if (currentTime - this.lastSpecialAttackTime < this.options.specialAttackCooldown) return;
-    
-    // Check if target is in range
-    const distanceToTarget = this.position.distanceTo(this.target.position);
-    if (distanceToTarget > this.options.attackRange * 1.5) return;
-    
-    // Check if health is low
-    const healthPercent = this.health / this.options.maxHealth;
-    if (healthPercent < 0.3 || Math.random() < 0.02) {
-      // Use teleport to escape
-      this.changeState('teleport');
-      this.lastSpecialAttackTime = currentTime;
-    } else if (Math.random() < 0.05) {
-      // Use special attack
-      this.changeState('specialAttack');
-      this.lastSpecialAttackTime = currentTime;
-    }
-  }
-  
   /**
    * Override take damage to handle shield
    * @param {number} amount - Amount of damage
@@ -293,7 +278,7 @@ export class Elite extends Enemy {
     if (this.isShieldActive) {
       // Damage shield first
       this.shieldStrength -= amount;
-      this.lastShieldDamageTime = performance.now() / 1000;
+      this.lastShieldDamageTime = this.time;
       
       // Shield break effect
       if (this.shieldStrength <= 0) {
@@ -313,6 +298,8 @@ export class Elite extends Enemy {
    * Create shield break effect
    */
   createShieldBreakEffect() {
+    if (!this.effectsEnabled) return;
+    
     // Create particles
     const particleCount = 20;
     const particles = [];
@@ -395,7 +382,7 @@ export class Elite extends Enemy {
     
     // Check if can attack
     const timeSinceLastAttack = currentTime - this.lastAttackTime;
-    if (timeSinceLastAttack < 1 / this.options.attackRate) return false;
+    if (timeSinceLastAttack < 1 / (this.options.attackRate * this.getScale('attackRate'))) return false;
     
     // Check if target is in range
     const distanceToTarget = this.position.distanceTo(this.target.position);
@@ -405,6 +392,7 @@ export class Elite extends Enemy {
     this.lastAttackTime = currentTime;
     
     // Create energy blast
+    this.rollAttack(this.options.damage);
     this.createEnergyBlast();
     
     return true;
@@ -416,6 +404,8 @@ export class Elite extends Enemy {
   createEnergyBlast() {
     if (!this.target) return;
     
+    if (!this.effectsEnabled) return;
+    
     // Calculate direction to target
     const direction = new THREE.Vector3()
       .subVectors(this.target.position, this.position)
@@ -439,6 +429,7 @@ export class Elite extends Enemy {
     
     // Add to scene
     this.scene.add(blastMesh);
+    this.playSound('elite_blast', blastMesh.position);
     
     // Add point light
     const blastLight = new THREE.PointLight(this.options.color, 1, 5);
@@ -481,8 +472,10 @@ export class Elite extends Enemy {
     animate();
   }
   
-  // Teleport state
-  enterTeleportState() {
+  /**
+   * Vanish, picking where to reappear
+   */
+  teleportOut() {
     // Create teleport out effect
     this.createTeleportEffect(true);
     
@@ -493,13 +486,10 @@ export class Elite extends Enemy {
     this.body.type = CANNON.Body.KINEMATIC;
     this.body.velocity.set(0, 0, 0);
     
-    // Set timer for teleport completion
-    this.teleportTimer = 0.5;
-    
     // Calculate teleport destination
     if (this.target) {
       // Teleport behind or to the side of the target
-      const angle = Math.random() * Math.PI * 2;
+      const angle = this.random.float(0, Math.PI * 2);
       const distance = this.options.teleportDistance;
       
       this.teleportDestination = new THREE.Vector3(
@@ -509,7 +499,7 @@ export class Elite extends Enemy {
       );
     } else {
       // Teleport to a random position nearby
-      const angle = Math.random() * Math.PI * 2;
+      const angle = this.random.float(0, Math.PI * 2);
       const distance = this.options.teleportDistance;
       
       this.teleportDestination = new THREE.Vector3(
@@ -520,41 +510,22 @@ export class Elite extends Enemy {
     }
   }
   
-  updateTeleportState(deltaTime) {
-    // Update timer
-    this.teleportTimer -= deltaTime;
-    
-    // Check if teleport is complete
-    if (this.teleportTimer <= 0) {
-      // Move to destination
-      this.position.copy(this.teleportDestination);
-      this.body.position.copy(this.teleportDestination);
-      
-      // Create teleport in effect
-      this.createTeleportEffect(false);
-      
-      // Show mesh
-      this.mesh.visible = true;
-      
-      // Re-enable physics
-      this.body.type = CANNON.Body.DYNAMIC;
-      
-      // Change state based on target
-      if (this.target) {
-        const distanceToTarget = this.position.distanceTo(this.target.position);
-        if (distanceToTarget <= this.options.attackRange) {
-          this.changeState('attack');
-        } else {
-          this.changeState('chase');
-        }
-      } else {
-        this.changeState('idle');
-      }
-    }
-  }
-  
-  exitTeleportState() {
-    // Nothing to do
+  /**
+   * Reappear at the teleport destination
+   */
+  teleportIn() {
+    // Move to destination
+    this.position.copy(this.teleportDestination);
+    this.body.position.copy(this.teleportDestination);
+    
+    // Create teleport in effect
+    this.createTeleportEffect(false);
+    
+    // Show mesh
+    this.mesh.visible = true;
+    
+    // Re-enable physics
+    this.body.type = CANNON.Body.DYNAMIC;
   }
   
   /**
@@ -562,6 +533,8 @@ export class Elite extends Enemy {
    * @param {boolean} isTeleportOut - True if teleporting out, false if teleporting in
    */
   createTeleportEffect(isTeleportOut) {
+    if (!this.effectsEnabled) return;
+    
     // Create effect position
     const effectPosition = isTeleportOut ? this.position.clone() : this.teleportDestination.clone();
     effectPosition.y += 0.7 * this.options.scale;
@@ -654,78 +627,12 @@ export class Elite extends Enemy {
     animate();
   }
   
-  // Special attack state
-  enterSpecialAttackState() {
-    // Stop movement
-    this.body.velocity.set(0, 0, 0);
-    
-    // Set timer for attack duration
-    this.specialAttackTimer = 2.0;
-    this.specialAttackPhase = 'charge';
-    this.chargeTime = 1.0;
-    
-    // Create charge effect
-    this.createChargeEffect();
-  }
-  
-  updateSpecialAttackState(deltaTime) {
-    // Update timer
-    this.specialAttackTimer -= deltaTime;
-    
-    // Update based on phase
-    if (this.specialAttackPhase === 'charge') {
-      this.chargeTime -= deltaTime;
-      
-      // Face target if available
-      if (this.target) {
-        const direction = new THREE.Vector3()
-          .subVectors(this.target.position, this.position)
-          .normalize();
-        
-        if (direction.length() > 0.1) {
-          const targetRotation = Math.atan2(direction.x, direction.z);
-          this.mesh.rotation.y = MathUtils.damp(
-            this.mesh.rotation.y,
-            targetRotation,
-            0.1,
-            deltaTime
-          );
-        }
-      }
-      
-      // Check if charge is complete
-      if (this.chargeTime <= 0) {
-        this.specialAttackPhase = 'release';
-        
-        // Perform area attack
-        this.createAreaAttack();
-      }
-    }
-    
-    // Check if attack is complete
-    if (this.specialAttackTimer <= 0) {
-      // Return to appropriate state
-      if (this.target) {
-        const distanceToTarget = this.position.distanceTo(this.target.position);
-        if (distanceToTarget <= this.options.attackRange) {
-          this.changeState('attack');
-        } else {
-          this.changeState('chase');
-        }
-      } else {
-        this.changeState('idle');
-      }
-    }
-  }
-  
-  exitSpecialAttackState() {
-    // Nothing to do
-  }
-  
   /**
    * Create charge effect for special attack
    */
   createChargeEffect() {
+    if (!this.effectsEnabled) return;
+    
     // Create charge geometry
     const chargeGeometry = new THREE.SphereGeometry(0.5, 16, 16);
     
@@ -761,7 +668,7 @@ export class Elite extends Enemy {
       }
       
       // Calculate progress
-      const progress = 1 - (this.chargeTime / 1.0);
+      const progress = 1 - (this.blackboard.get('chargeTime') / 1.0);
       
       // Scale up
       const scale = 0.5 + progress * 1.5;
@@ -786,6 +693,15 @@ export class Elite extends Enemy {
    * Create area attack effect
    */
   createAreaAttack() {
+    const maxRadius = 10;
+    
+    // The shockwave can't miss a target it reaches
+    if (this.target && this.position.distanceTo(this.target.position) <= maxRadius) {
+      this.damageTarget(this.options.damage * 1.5);
+    }
+    
+    if (!this.effectsEnabled) return;
+    
     // Create wave geometry
     const waveGeometry = new THREE.RingGeometry(0.5, 1, 32);
     
@@ -813,7 +729,6 @@ export class Elite extends Enemy {
     this.scene.add(waveLight);
     
     // Animate wave
-    const maxRadius = 10;
     const speed = 10;
     
     const animate = () => {
@@ -844,9 +759,51 @@ export class Elite extends Enemy {
     
     // Start animation
     animate();
+  }
+  
+  /**
+   * Get the elite state for a saved run
+   * @returns {Object} Base enemy state plus shield and ability timers
+   */
+  getSaveState() {
+    return {
+      ...super.getSaveState(),
+      shieldStrength: this.shieldStrength,
+      lastShieldDamageTime: this.lastShieldDamageTime,
+      lastSpecialAttackTime: this.blackboard.get('lastSpecialAttackTime'),
+      teleportTimer: this.blackboard.get('teleportTimer'),
+      teleportDestination: this.teleportDestination ? this.teleportDestination.toArray() : null,
+      specialAttackTimer: this.blackboard.get('specialAttackTimer'),
+      specialAttackPhase: this.specialAttackPhase,
+      chargeTime: this.blackboard.get('chargeTime')
+    };
+  }
+  
+  /**
+   * Restore the elite state from a saved run
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    super.restoreSaveState(state);
+    
+    this.shieldStrength = state.shieldStrength;
+    this.lastShieldDamageTime = state.lastShieldDamageTime;
+    this.blackboard.set('lastSpecialAttackTime', state.lastSpecialAttackTime);
+    this.blackboard.set('teleportTimer', state.teleportTimer);
+    this.teleportDestination = state.teleportDestination ? new THREE.Vector3().fromArray(state.teleportDestination) : null;
+    this.blackboard.set('specialAttackTimer', state.specialAttackTimer);
+    this.specialAttackPhase = state.specialAttackPhase;
+    this.blackboard.set('chargeTime', state.chargeTime);
+    
+    // Resume the special attack's phase too
+    if (this.specialAttackPhase) {
+      this.behavior.getMachine('specialAttackPhase').currentState = this.specialAttackPhase;
+    }
     
-    // TODO: Apply damage to nearby objects
-    // For now, just log the attack
-    console.log(`Elite performs area attack for ${this.options.damage * 1.5} damage!`);
+    // Saved part way through a teleport: still out of sight
+    if (this.stateMachine.currentState === 'teleport') {
+      this.mesh.visible = false;
+      this.body.type = CANNON.Body.KINEMATIC;
+    }
   }
-} 
\ No newline at end of file
+}
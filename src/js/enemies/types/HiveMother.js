@@ -0,0 +1,211 @@
+import { Boss } from '../base/Boss.js';
+import * as THREE from 'three';
+import { ENEMY_TYPES } from '../../config/enemies.js';
+
+/**
+ * Hive Mother enemy type
+ * Bloated boss of the alien hive. Her glowing egg sacs are her weak points
+ * until she's badly hurt, when only the maw is left open. Her phases and
+ * attack patterns are in ENEMY_TYPES.hiveMother.
+ */
+export class HiveMother extends Boss {
+  /**
+   * Create a new hive mother
+   * @param {THREE.Scene} scene - The scene to add the enemy to
+   * @param {Object} physics - The physics world
+   * @param {Object} options - Enemy options
+   */
+  constructor(scene, physics, options = {}) {
+    const hiveMotherOptions = Object.assign({
+      type: 'hiveMother',
+      ...ENEMY_TYPES.hiveMother
+    }, options);
+    
+    // Call parent constructor
+    super(scene, physics, hiveMotherOptions);
+    
+    // Extra glow after attacks and hits, fading back to the phase's own
+    this.flash = 0;
+    this.phaseGlow = 0.6;
+  }
+  
+  /**
+   * Create the hive mother's mesh: a fleshy body with egg sacs and a maw where her weak points are
+   * Parts are laid out in world units, as the weak points are.
+   */
+  createDefaultMesh() {
+    this.mesh = new THREE.Group();
+    
+    const bodyRadius = 0.5 * this.options.scale;
+    
+    // Bloated body
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+      color: this.options.color,
+      roughness: 0.8,
+      metalness: 0.1,
+      emissive: new THREE.Color(this.options.color).multiplyScalar(0.2)
+    });
+    const bodyMesh = new THREE.Mesh(new THREE.SphereGeometry(bodyRadius, 24, 16), bodyMaterial);
+    bodyMesh.scale.set(1.1, 0.8, 1.0);
+    bodyMesh.castShadow = true;
+    bodyMesh.receiveShadow = true;
+    this.mesh.add(bodyMesh);
+    
+    // Ridged carapace over the back
+    const carapaceMaterial = new THREE.MeshStandardMaterial({
+      color: 0x3a1515, // Organic
+      roughness: 0.6,
+      metalness: 0.2
+    });
+    for (let i = 0; i < 4; i++) {
+      const ridge = new THREE.Mesh(new THREE.TorusGeometry(bodyRadius * 0.9, 0.12, 6, 16, Math.PI), carapaceMaterial);
+      ridge.position.z = -0.9 + i * 0.45;
+      ridge.rotation.y = Math.PI / 2;
+      ridge.rotation.z = Math.PI / 2;
+      ridge.castShadow = true;
+      this.mesh.add(ridge);
+    }
+    
+    // Glowing parts, one per weak point
+    this.glowMaterial = new THREE.MeshStandardMaterial({
+      color: this.options.glowColor,
+      emissive: 0x00aa66,
+      emissiveIntensity: 0.6,
+      roughness: 0.3,
+      transparent: true,
+      opacity: 0.9
+    });
+    this.weakPointMeshes = {};
+    this.options.weakPoints.forEach(weakPoint => {
+      const { x, y, z } = weakPoint.offset;
+      const geometry = weakPoint.name === 'maw'
+        ? new THREE.TorusGeometry(weakPoint.radius * 0.8, 0.15, 8, 16)
+        : new THREE.SphereGeometry(weakPoint.radius, 16, 12);
+      const part = new THREE.Mesh(geometry, this.glowMaterial);
+      part.position.set(x, y, z);
+      this.mesh.add(part);
+      this.weakPointMeshes[weakPoint.name] = part;
+    });
+    
+    // Light from the sacs
+    this.glowLight = new THREE.PointLight(this.options.glowColor, 1, 10);
+    this.glowLight.position.y = 1;
+    this.mesh.add(this.glowLight);
+    
+    // Add to scene
+    this.scene.add(this.mesh);
+    
+    // Store reference to enemy in userData
+    this.mesh.userData.isEnemy = true;
+    this.mesh.userData.enemyInstance = this;
+    
+    // Create health bar, sized for her
+    this.createHealthBar();
+    this.healthBarContainer.position.y = bodyRadius + 1;
+    this.healthBarContainer.scale.setScalar(this.options.scale);
+  }
+  
+  /**
+   * Activate the hive mother, undoing the fade from a previous life
+   * @param {THREE.Vector3} position - Initial position
+   */
+  activate(position) {
+    this.flash = 0;
+    this.onPhaseStart(this.options.phases[0]);
+    this.setOpacity(1);
+    
+    super.activate(position);
+  }
+  
+  /**
+   * Update the hive mother
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    if (!this.isActive) return;
+    
+    super.update(deltaTime);
+    
+    // Sacs pulse, brighter just after an attack or hit
+    this.flash = Math.max(0, this.flash - deltaTime * 2);
+    const pulse = 0.2 * Math.sin(this.time * 3);
+    this.glowMaterial.emissiveIntensity = this.phaseGlow + pulse + this.flash;
+    this.glowLight.intensity = this.phaseGlow + this.flash * 2;
+  }
+  
+  /**
+   * Flare up when a pattern step runs
+   * @param {Object} step - Pattern step
+   */
+  onAttack(step) {
+    this.flash = 1;
+    
+    if (step.attack === 'slam' || step.attack === 'hazardEruption') {
+      this.playSound('commander_beam');
+    }
+  }
+  
+  /**
+   * Flare up the weak point that was hit
+   * @param {Object} weakPoint - Weak point from options.weakPoints
+   */
+  onWeakPointHit(weakPoint) {
+    this.flash = Math.max(this.flash, 0.5);
+  }
+  
+  /**
+   * Show which weak points the phase leaves open, glowing hotter in later phases
+   * @param {Object} phase - Phase from options.phases
+   */
+  onPhaseStart(phase) {
+    const exposed = phase.weakPoints || [];
+    Object.entries(this.weakPointMeshes).forEach(([name, part]) => {
+      part.visible = exposed.includes(name);
+    });
+    
+    this.phaseGlow = 0.6 * (phase.speed ?? 1);
+  }
+  
+  /**
+   * Set the opacity of every part
+   * @param {number} opacity - Opacity from 0 to 1
+   */
+  setOpacity(opacity) {
+    this.mesh.traverse(part => {
+      if (!part.material) return;
+      
+      part.material.transparent = opacity < 1 || part.material === this.glowMaterial;
+      part.material.opacity = part.material === this.glowMaterial ? opacity * 0.9 : opacity;
+    });
+  }
+  
+  // Dead state
+  enterDeadState() {
+    super.enterDeadState();
+    
+    this.setOpacity(0.5);
+  }
+  
+  updateDeadState(deltaTime) {
+    // Fade out over the corpse's time
+    const opacity = Math.max(0, this.deathTimer - deltaTime) / this.options.corpseDuration * 0.5;
+    this.setOpacity(opacity);
+    
+    super.updateDeadState(deltaTime);
+  }
+  
+  /**
+   * Clean up the hive mother
+   */
+  dispose() {
+    // The base class only disposes a single mesh
+    const materials = new Set();
+    this.mesh.traverse(part => {
+      if (part.geometry) part.geometry.dispose();
+      if (part.material) materials.add(part.material);
+    });
+    materials.forEach(material => material.dispose());
+    
+    super.dispose();
+  }
+}
@@ -1,6 +1,7 @@
 import { Enemy } from '../base/Enemy.js';
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { soldierBehavior } from '../ai/behaviors.js';
 
 /**
  * Soldier enemy type
@@ -27,6 +28,7 @@ export class Soldier extends Enemy {
       points: 100,
       attackRange: 12,
       attackRate: 1.0, // Attacks per second
+      accuracy: 0.35, // Chance to hit at point-blank range
       detectionRange: 20,
       model: null,
       // Soldier-specific properties
@@ -45,17 +47,18 @@ export class Soldier extends Enemy {
     this.coverPosition = null;
     this.isBehindCover = false;
     
-    // Add cover state to state machine
-    this.stateMachine.states.cover = {
-      enter: this.enterCoverState.bind(this),
-      update: this.updateCoverState.bind(this),
-      exit: this.exitCoverState.bind(this)
-    };
-    
     // Override default mesh with soldier-specific mesh
     this.createSoldierMesh();
   }
   
+  /**
+   * Build the soldier's behavior tree
+   * @returns {BehaviorTree} The tree
+   */
+  createBehavior() {
+    return this.buildBehavior(soldierBehavior());
+  }
+  
   /**
    * Create a soldier-specific mesh
    */
@@ -134,7 +137,13 @@ export class Soldier extends Enemy {
    * @param {number} deltaTime - Time since last update
    */
   update(deltaTime) {
-    if (!this.isActive || !this.isAlive) return;
+    if (!this.isActive) return;
+    
+    // Defeated enemies only fade out
+    if (!this.isAlive) {
+      super.update(deltaTime);
+      return;
+    }
     
     // Update burst firing
     if (this.isFiringBurst) {
@@ -154,23 +163,32 @@ export class Soldier extends Enemy {
       }
     }
     
-    // Check if should seek cover
-    if (this.health / this.maxHealth < this.options.coverThreshold && !this.isBehindCover) {
-      this.findCover();
-    }
-    
     // Call parent update
     super.update(deltaTime);
   }
   
   /**
-   * Find cover position
+   * Activate the soldier with no burst or cover left over from a previous life
+   * @param {THREE.Vector3} position - Initial position
+   */
+  activate(position) {
+    this.burstCounter = 0;
+    this.burstTimer = 0;
+    this.isFiringBurst = false;
+    this.coverPosition = null;
+    this.isBehindCover = false;
+    
+    super.activate(position);
+  }
+  
+  /**
+   * Find somewhere to take cover from the target
+   * @returns {THREE.Vector3} Cover from the arena's cover system, or just a spot away from the target
    */
-  findCover() {
+  findCoverPosition() {
     // Check if arena has a cover system
     const arena = this.scene.userData.arena;
-    if (arena && arena.coverSystem && this.target) {
-      // Use cover system to find cover position
+    if (arena && arena.coverSystem) {
       const coverPosition = arena.coverSystem.findCoverPosition(
         this.position,
         this.target.position,
@@ -178,24 +196,33 @@ export class Soldier extends Enemy {
       );
       
       if (coverPosition) {
-        this.coverPosition = coverPosition;
-        this.changeState('cover');
-        return;
+        return coverPosition;
       }
     }
     
     // Fallback: just move to a random position away from the player
-    if (this.target) {
-      const directionFromTarget = new THREE.Vector3()
-        .subVectors(this.position, this.target.position)
-        .normalize();
-      
-      this.coverPosition = new THREE.Vector3()
-        .copy(this.position)
-        .add(directionFromTarget.multiplyScalar(5));
-      
-      // Change state to move to cover
-      this.changeState('cover');
+    const directionFromTarget = new THREE.Vector3()
+      .subVectors(this.position, this.target.position)
+      .normalize();
+    
+    return new THREE.Vector3()
+      .copy(this.position)
+      .add(directionFromTarget.multiplyScalar(5));
+  }
+  
+  /**
+   * Check whether the soldier made it behind cover, on reaching its cover position
+   */
+  checkCover() {
+    this.isBehindCover = true;
+    
+    // Check if we're actually behind cover relative to the target
+    const arena = this.scene.userData.arena;
+    if (arena && arena.coverSystem && this.target) {
+      this.isBehindCover = arena.coverSystem.isPositionBehindCover(
+        this.position,
+        this.target.position
+      );
     }
   }
   
@@ -209,7 +236,7 @@ export class Soldier extends Enemy {
     
     // Check if can attack
     const timeSinceLastAttack = currentTime - this.lastAttackTime;
-    if (timeSinceLastAttack < 1 / this.options.attackRate) return false;
+    if (timeSinceLastAttack < 1 / (this.options.attackRate * this.getScale('attackRate'))) return false;
     
     // Check if target is in range
     const distanceToTarget = this.position.distanceTo(this.target.position);
@@ -230,6 +257,12 @@ export class Soldier extends Enemy {
   fireShot() {
     if (!this.target) return;
     
+    // Each shot in the burst can land its share of the attack damage
+    this.rollAttack(this.options.damage / this.options.burstCount);
+    
+    // Tracer and muzzle flash are purely visual
+    if (!this.effectsEnabled) return;
+    
     // Calculate direction to target with slight inaccuracy
     const inaccuracy = 0.05;
     const direction = new THREE.Vector3()
@@ -266,6 +299,7 @@ export class Soldier extends Enemy {
     
     // Create muzzle flash
     this.createMuzzleFlash(muzzlePosition);
+    this.playSound('soldier_shot', muzzlePosition);
     
     // Animate projectile
     const speed = 20;
@@ -350,53 +384,32 @@ export class Soldier extends Enemy {
     animate();
   }
   
-  // Add a new state for taking cover
-  enterCoverState() {
-    if (!this.coverPosition) {
-      this.changeState('idle');
-      return;
-    }
-    
-    // Set target position to cover
-    this.targetPosition.copy(this.coverPosition);
-  }
-  
-  updateCoverState(deltaTime) {
-    if (!this.coverPosition) {
-      this.changeState('idle');
-      return;
-    }
-    
-    // Move towards cover
-    const reachedCover = this.moveTowards(this.coverPosition, deltaTime);
-    
-    // If reached cover, switch to attack if target in range
-    if (reachedCover) {
-      this.isBehindCover = true;
-      
-      // Check if we're actually behind cover relative to the target
-      const arena = this.scene.userData.arena;
-      if (arena && arena.coverSystem && this.target) {
-        this.isBehindCover = arena.coverSystem.isPositionBehindCover(
-          this.position,
-          this.target.position
-        );
-      }
-      
-      if (this.target) {
-        const distanceToTarget = this.position.distanceTo(this.target.position);
-        if (distanceToTarget <= this.options.attackRange) {
-          this.changeState('attack');
-        } else {
-          this.changeState('idle');
-        }
-      } else {
-        this.changeState('idle');
-      }
-    }
+  /**
+   * Get the soldier state for a saved run
+   * @returns {Object} Base enemy state plus burst fire and cover
+   */
+  getSaveState() {
+    return {
+      ...super.getSaveState(),
+      burstCounter: this.burstCounter,
+      burstTimer: this.burstTimer,
+      isFiringBurst: this.isFiringBurst,
+      coverPosition: this.coverPosition ? this.coverPosition.toArray() : null,
+      isBehindCover: this.isBehindCover
+    };
   }
   
-  exitCoverState() {
-    // Nothing to do
+  /**
+   * Restore the soldier state from a saved run
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    super.restoreSaveState(state);
+    
+    this.burstCounter = state.burstCounter;
+    this.burstTimer = state.burstTimer;
+    this.isFiringBurst = state.isFiringBurst;
+    this.coverPosition = state.coverPosition ? new THREE.Vector3().fromArray(state.coverPosition) : null;
+    this.isBehindCover = state.isBehindCover;
   }
-} 
\ No newline at end of file
+}
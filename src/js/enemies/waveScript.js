@@ -0,0 +1,807 @@
+/**
+ * Wave scripts
+ *
+ * A wave script is a mission written as JSON: named spawn points and a list
+ * of waves, each made of events that fire once their trigger is met and the
+ * objectives that clear the wave. WaveScriptRunner plays them.
+ *
+ * Layout (JSON):
+ *   format, version       - File type and layout version
+ *   id                    - Mission id (lowercase letters, digits and dashes)
+ *   name, description     - Shown on the mission menu (description optional)
+ *   spawnPoints           - Named positions: { name: { x, y, z } } (optional)
+ *   dormantHazards        - Hazard zones (by index) that start switched off (optional)
+ *   waves[]               - Played in order:
+ *     name                - Announced as the wave starts (optional)
+ *     pointsMultiplier    - Points scaling for the wave (default 1)
+ *     boss                - Boss wave, for the music (default false)
+ *     objectives[]        - All must be met to clear the wave (default: defeatAll)
+ *       id, text          - Name for objective triggers and HUD text (both optional)
+ *       type              - defeatAll  every enemy down and nothing left counting down
+ *                           defeat     { enemy, count } enemies of a type this wave
+ *                           survive    { time } seconds into the wave
+ *     events[]            - Each fires once per wave:
+ *       id                - Name for event triggers (optional)
+ *       trigger           - When to fire: { type, ..., delay } where type is
+ *                           time       { at } seconds into the wave
+ *                           defeated   { percent } of the enemies spawned this wave so far
+ *                           spawned    { enemy } when an enemy of that type spawns
+ *                           hazard     { hazard } when the script switches that hazard on
+ *                           event      { event } after an earlier event fires
+ *                           objective  { objective } once that objective is met
+ *                           and delay (optional) waits that many seconds longer
+ *       actions[]         - What to do: { type, ... } where type is
+ *                           spawn      { formation, at, count, enemies } where at is a
+ *                                      spawn point name or { x, y, z }, and enemies a
+ *                                      distribution overriding the formation's own
+ *                           reinforce  { formation, from, count, enemies } as spawn, at
+ *                                      whichever `from` spawn point (all by default) is
+ *                                      farthest from the player
+ *                           announce   { text, speaker } a line on the HUD
+ *                           hazard     { hazard, active } switch a hazard zone on or off
+ */
+import { ENEMY_TYPES, FORMATION_TYPES } from '../config/enemies.js';
+
+export const WAVE_SCRIPT_FORMAT = 'cosmic-defender-waves';
+
+// Layout version, bumped whenever the script layout changes
+export const WAVE_SCRIPT_VERSION = 1;
+
+export const OBJECTIVE_TYPES = ['defeatAll', 'defeat', 'survive'];
+export const TRIGGER_TYPES = ['time', 'defeated', 'spawned', 'hazard', 'event', 'objective'];
+export const ACTION_TYPES = ['spawn', 'reinforce', 'announce', 'hazard'];
+
+// Fields each part of a script may have, by type where the type decides
+const FIELDS = {
+  script: ['format', 'version', 'id', 'name', 'description', 'spawnPoints', 'dormantHazards', 'waves'],
+  wave: ['name', 'pointsMultiplier', 'boss', 'objectives', 'events'],
+  event: ['id', 'trigger', 'actions'],
+  position: ['x', 'y', 'z'],
+  objective: {
+    defeatAll: ['id', 'text', 'type'],
+    defeat: ['id', 'text', 'type', 'enemy', 'count'],
+    survive: ['id', 'text', 'type', 'time']
+  },
+  trigger: {
+    time: ['type', 'delay', 'at'],
+    defeated: ['type', 'delay', 'percent'],
+    spawned: ['type', 'delay', 'enemy'],
+    hazard: ['type', 'delay', 'hazard'],
+    event: ['type', 'delay', 'event'],
+    objective: ['type', 'delay', 'objective']
+  },
+  action: {
+    spawn: ['type', 'formation', 'at', 'count', 'enemies'],
+    reinforce: ['type', 'formation', 'from', 'count', 'enemies'],
+    announce: ['type', 'text', 'speaker'],
+    hazard: ['type', 'hazard', 'active']
+  }
+};
+
+/**
+ * Error thrown when a wave script can't be loaded
+ * Lists every problem found, each with the line it's on when the script
+ * came from text.
+ */
+export class WaveScriptError extends Error {
+  /**
+   * @param {string} source - Where the script came from (file name or description)
+   * @param {Object[]} errors - { path, message, line, column, context } per problem
+   *   (line, column and context are null without source text)
+   */
+  constructor(source, errors) {
+    super(`Invalid wave script ${source}:\n${errors.map(error => formatError(source, error)).join('\n')}`);
+    this.name = 'WaveScriptError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Describe one problem, with its line of the script underneath when known
+ * @param {string} source - Where the script came from
+ * @param {Object} error - Problem (see WaveScriptError)
+ * @returns {string} Description
+ */
+function formatError(source, { path, message, line, column, context }) {
+  const where = line !== null ? `${source}:${line}:${column}: ` : '';
+  const field = path ? `${path}: ` : '';
+  return `  - ${where}${field}${message}${context ? `\n${context}` : ''}`;
+}
+
+/**
+ * Read a wave script from JSON text
+ * @param {string} text - JSON text
+ * @param {string} source - File name or description, for error messages
+ * @returns {Object} Script with defaults filled in
+ * @throws {WaveScriptError} If the text isn't valid JSON or a valid script
+ */
+export function parseWaveScript(text, source = 'wave script') {
+  let parsed;
+
+  try {
+    parsed = parseJson(text);
+  } catch (error) {
+    if (!(error instanceof JsonSyntaxError)) throw error;
+    throw new WaveScriptError(source, [locate(text, error.offset, null, error.message)]);
+  }
+
+  const problems = validateWaveScript(parsed.value);
+  if (problems.length > 0) {
+    throw new WaveScriptError(source, problems.map(({ path, message }) =>
+      locate(text, findOffset(parsed.offsets, path), formatPath(path), message)
+    ));
+  }
+
+  return normalizeWaveScript(parsed.value);
+}
+
+/**
+ * Check a wave script that's already been read, such as one kept in a save
+ * @param {Object} script - Script object
+ * @param {string} source - Description, for error messages
+ * @returns {Object} Script with defaults filled in
+ * @throws {WaveScriptError} If the script isn't valid
+ */
+export function loadWaveScript(script, source = 'wave script') {
+  const problems = validateWaveScript(script);
+  if (problems.length > 0) {
+    throw new WaveScriptError(source, problems.map(({ path, message }) => ({
+      path: formatPath(path), message, line: null, column: null, context: null
+    })));
+  }
+
+  return normalizeWaveScript(script);
+}
+
+/**
+ * Find everything wrong with a wave script
+ * @param {*} script - Parsed JSON
+ * @returns {Object[]} { path (array of keys and indices), message } per problem
+ */
+export function validateWaveScript(script) {
+  const problems = [];
+  const report = (path, message) => problems.push({ path, message });
+
+  if (!isObject(script)) {
+    report([], 'must be an object');
+    return problems;
+  }
+
+  checkFields(script, [], FIELDS.script, report);
+
+  if (script.format !== WAVE_SCRIPT_FORMAT) {
+    report(['format'], `must be "${WAVE_SCRIPT_FORMAT}"`);
+  }
+  if (script.version !== WAVE_SCRIPT_VERSION) {
+    report(['version'], `must be ${WAVE_SCRIPT_VERSION}`);
+  }
+  if (typeof script.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(script.id)) {
+    report(['id'], 'must be lowercase letters, digits and dashes');
+  }
+  if (!isText(script.name)) {
+    report(['name'], 'must be a non-empty string');
+  }
+  if (isSet(script.description) && typeof script.description !== 'string') {
+    report(['description'], 'must be a string');
+  }
+
+  const spawnPoints = isSet(script.spawnPoints) ? script.spawnPoints : {};
+  if (!isObject(spawnPoints)) {
+    report(['spawnPoints'], 'must be an object of named positions');
+  } else {
+    Object.entries(spawnPoints).forEach(([name, position]) => {
+      checkPosition(position, ['spawnPoints', name], report);
+    });
+  }
+
+  if (isSet(script.dormantHazards)) {
+    if (!Array.isArray(script.dormantHazards)) {
+      report(['dormantHazards'], 'must be an array of hazard indices');
+    } else {
+      script.dormantHazards.forEach((hazard, index) => {
+        if (!isIndex(hazard)) report(['dormantHazards', index], 'must be a hazard index (0 or more)');
+      });
+    }
+  }
+
+  if (!Array.isArray(script.waves) || script.waves.length === 0) {
+    report(['waves'], 'must be a non-empty array');
+  } else {
+    const context = { spawnPoints: isObject(spawnPoints) ? spawnPoints : {}, report };
+    script.waves.forEach((wave, index) => checkWave(wave, ['waves', index], context));
+  }
+
+  return problems;
+}
+
+/**
+ * Check one wave
+ * @param {*} wave - Wave
+ * @param {Array} path - Path to the wave
+ * @param {Object} context - { spawnPoints, report }
+ */
+function checkWave(wave, path, context) {
+  const { report } = context;
+
+  if (!isObject(wave)) {
+    report(path, 'must be an object');
+    return;
+  }
+
+  checkFields(wave, path, FIELDS.wave, report);
+
+  if (isSet(wave.name) && typeof wave.name !== 'string') {
+    report([...path, 'name'], 'must be a string');
+  }
+  if (isSet(wave.pointsMultiplier) && !isPositive(wave.pointsMultiplier)) {
+    report([...path, 'pointsMultiplier'], 'must be a number above 0');
+  }
+  if (isSet(wave.boss) && typeof wave.boss !== 'boolean') {
+    report([...path, 'boss'], 'must be true or false');
+  }
+
+  // Names triggers can refer to
+  const objectiveIds = [];
+  if (isSet(wave.objectives)) {
+    if (!Array.isArray(wave.objectives) || wave.objectives.length === 0) {
+      report([...path, 'objectives'], 'must be a non-empty array (leave it out to defeat every enemy)');
+    } else {
+      wave.objectives.forEach((objective, index) => {
+        const objectivePath = [...path, 'objectives', index];
+        checkObjective(objective, objectivePath, report);
+        checkId(objective, objectivePath, objectiveIds, 'objective', report);
+      });
+    }
+  }
+
+  if (!Array.isArray(wave.events) || wave.events.length === 0) {
+    report([...path, 'events'], 'must be a non-empty array');
+    return;
+  }
+
+  const eventIds = [];
+  wave.events.forEach((event, index) => {
+    const eventPath = [...path, 'events', index];
+
+    if (!isObject(event)) {
+      report(eventPath, 'must be an object');
+      return;
+    }
+
+    checkFields(event, eventPath, FIELDS.event, report);
+    // Events can only wait on earlier ones, so chains always end
+    checkTrigger(event.trigger, [...eventPath, 'trigger'], { ...context, eventIds, objectiveIds });
+    checkId(event, eventPath, eventIds, 'event', report);
+
+    if (!Array.isArray(event.actions) || event.actions.length === 0) {
+      report([...eventPath, 'actions'], 'must be a non-empty array');
+    } else {
+      event.actions.forEach((action, actionIndex) => {
+        checkAction(action, [...eventPath, 'actions', actionIndex], context);
+      });
+    }
+  });
+}
+
+/**
+ * Check an objective or event id, and remember it for triggers
+ * @param {Object} item - Objective or event
+ * @param {Array} path - Path to the item
+ * @param {string[]} ids - Ids used so far in the wave
+ * @param {string} kind - 'objective' or 'event'
+ * @param {Function} report - Problem reporter
+ */
+function checkId(item, path, ids, kind, report) {
+  if (!isObject(item) || !isSet(item.id)) return;
+
+  if (!isText(item.id)) {
+    report([...path, 'id'], 'must be a non-empty string');
+  } else if (ids.includes(item.id)) {
+    report([...path, 'id'], `${kind} "${item.id}" is already used in this wave`);
+  } else {
+    ids.push(item.id);
+  }
+}
+
+/**
+ * Check an objective
+ * @param {*} objective - Objective
+ * @param {Array} path - Path to the objective
+ * @param {Function} report - Problem reporter
+ */
+function checkObjective(objective, path, report) {
+  if (!checkTyped(objective, path, FIELDS.objective, OBJECTIVE_TYPES, report)) return;
+
+  if (isSet(objective.text) && typeof objective.text !== 'string') {
+    report([...path, 'text'], 'must be a string');
+  }
+
+  switch (objective.type) {
+    case 'defeat':
+      checkEnemyType(objective.enemy, [...path, 'enemy'], report);
+      if (isSet(objective.count) && !isCount(objective.count)) {
+        report([...path, 'count'], 'must be a whole number above 0');
+      }
+      break;
+    case 'survive':
+      if (!isPositive(objective.time)) {
+        report([...path, 'time'], 'must be a number of seconds above 0');
+      }
+      break;
+  }
+}
+
+/**
+ * Check an event trigger
+ * @param {*} trigger - Trigger
+ * @param {Array} path - Path to the trigger
+ * @param {Object} context - { report, eventIds (earlier events), objectiveIds }
+ */
+function checkTrigger(trigger, path, context) {
+  const { report } = context;
+  if (!checkTyped(trigger, path, FIELDS.trigger, TRIGGER_TYPES, report)) return;
+
+  if (isSet(trigger.delay) && !isTime(trigger.delay)) {
+    report([...path, 'delay'], 'must be a number of seconds (0 or more)');
+  }
+
+  switch (trigger.type) {
+    case 'time':
+      if (!isTime(trigger.at)) {
+        report([...path, 'at'], 'must be a number of seconds (0 or more)');
+      }
+      break;
+    case 'defeated':
+      if (typeof trigger.percent !== 'number' || !(trigger.percent > 0 && trigger.percent <= 100)) {
+        report([...path, 'percent'], 'must be a number above 0, up to 100');
+      }
+      break;
+    case 'spawned':
+      checkEnemyType(trigger.enemy, [...path, 'enemy'], report);
+      break;
+    case 'hazard':
+      if (!isIndex(trigger.hazard)) {
+        report([...path, 'hazard'], 'must be a hazard index (0 or more)');
+      }
+      break;
+    case 'event':
+      if (!context.eventIds.includes(trigger.event)) {
+        report([...path, 'event'], `must name an earlier event in this wave (${listOrNone(context.eventIds)})`);
+      }
+      break;
+    case 'objective':
+      if (!context.objectiveIds.includes(trigger.objective)) {
+        report([...path, 'objective'], `must name an objective of this wave (${listOrNone(context.objectiveIds)})`);
+      }
+      break;
+  }
+}
+
+/**
+ * Check an event action
+ * @param {*} action - Action
+ * @param {Array} path - Path to the action
+ * @param {Object} context - { spawnPoints, report }
+ */
+function checkAction(action, path, context) {
+  const { spawnPoints, report } = context;
+  if (!checkTyped(action, path, FIELDS.action, ACTION_TYPES, report)) return;
+
+  const pointNames = Object.keys(spawnPoints);
+
+  switch (action.type) {
+    case 'spawn':
+    case 'reinforce':
+      if (!FORMATION_TYPES[action.formation]) {
+        report([...path, 'formation'], `must be one of ${Object.keys(FORMATION_TYPES).join(', ')}`);
+      }
+      if (isSet(action.count) && !isCount(action.count)) {
+        report([...path, 'count'], 'must be a whole number above 0');
+      }
+      if (isSet(action.enemies)) {
+        checkDistribution(action.enemies, [...path, 'enemies'], report);
+      }
+
+      if (action.type === 'spawn') {
+        if (typeof action.at === 'string') {
+          if (!spawnPoints[action.at]) {
+            report([...path, 'at'], `must name a spawn point (${listOrNone(pointNames)}) or be a position`);
+          }
+        } else {
+          checkPosition(action.at, [...path, 'at'], report);
+        }
+      } else if (isSet(action.from)) {
+        if (!Array.isArray(action.from) || action.from.length === 0) {
+          report([...path, 'from'], 'must be a non-empty array of spawn point names');
+        } else {
+          action.from.forEach((name, index) => {
+            if (!spawnPoints[name]) {
+              report([...path, 'from', index], `must name a spawn point (${listOrNone(pointNames)})`);
+            }
+          });
+        }
+      } else if (pointNames.length === 0) {
+        report([...path, 'from'], 'is needed when the script has no spawnPoints');
+      }
+      break;
+    case 'announce':
+      if (!isText(action.text)) {
+        report([...path, 'text'], 'must be a non-empty string');
+      }
+      if (isSet(action.speaker) && typeof action.speaker !== 'string') {
+        report([...path, 'speaker'], 'must be a string');
+      }
+      break;
+    case 'hazard':
+      if (!isIndex(action.hazard)) {
+        report([...path, 'hazard'], 'must be a hazard index (0 or more)');
+      }
+      if (isSet(action.active) && typeof action.active !== 'boolean') {
+        report([...path, 'active'], 'must be true or false');
+      }
+      break;
+  }
+}
+
+/**
+ * Check an object with a type that decides its other fields
+ * @param {*} value - Objective, trigger or action
+ * @param {Array} path - Path to the value
+ * @param {Object} fields - Allowed fields by type
+ * @param {string[]} types - Allowed types
+ * @param {Function} report - Problem reporter
+ * @returns {boolean} Whether the value is an object of a known type (so its fields can be checked)
+ */
+function checkTyped(value, path, fields, types, report) {
+  if (!isObject(value)) {
+    report(path, 'must be an object');
+    return false;
+  }
+
+  if (!types.includes(value.type)) {
+    report([...path, 'type'], `must be one of ${types.join(', ')}`);
+    return false;
+  }
+
+  checkFields(value, path, fields[value.type], report);
+  return true;
+}
+
+/**
+ * Report fields that aren't part of the layout, which are usually typos
+ * @param {Object} value - Object to check
+ * @param {Array} path - Path to the object
+ * @param {string[]} allowed - Known fields
+ * @param {Function} report - Problem reporter
+ */
+function checkFields(value, path, allowed, report) {
+  Object.keys(value).forEach(key => {
+    if (!allowed.includes(key)) {
+      report([...path, key], `unknown field (expected ${allowed.join(', ')})`);
+    }
+  });
+}
+
+function checkPosition(position, path, report) {
+  if (!isObject(position)) {
+    report(path, 'must be a position: { x, y, z }');
+    return;
+  }
+
+  checkFields(position, path, FIELDS.position, report);
+  FIELDS.position.forEach(axis => {
+    if (typeof position[axis] !== 'number' || !Number.isFinite(position[axis])) {
+      report([...path, axis], 'must be a number');
+    }
+  });
+}
+
+function checkEnemyType(type, path, report) {
+  if (!ENEMY_TYPES[type]) {
+    report(path, `must be one of ${Object.keys(ENEMY_TYPES).join(', ')}`);
+  }
+}
+
+function checkDistribution(distribution, path, report) {
+  if (!isObject(distribution)) {
+    report(path, 'must be an object of probabilities by enemy type');
+    return;
+  }
+
+  let total = 0;
+  Object.entries(distribution).forEach(([type, probability]) => {
+    if (!ENEMY_TYPES[type]) {
+      report([...path, type], `unknown enemy type (expected ${Object.keys(ENEMY_TYPES).join(', ')})`);
+    } else if (typeof probability !== 'number' || !(probability >= 0 && probability <= 1)) {
+      report([...path, type], 'must be a probability from 0 to 1');
+    } else {
+      total += probability;
+    }
+  });
+
+  if (Math.abs(total - 1) > 0.001) {
+    report(path, `probabilities must add up to 1 (they add up to ${Number(total.toFixed(3))})`);
+  }
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function isTime(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function isIndex(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function listOrNone(names) {
+  return names.length > 0 ? names.join(', ') : 'none defined';
+}
+
+/**
+ * Fill in the defaults of a valid script, so the runner needn't
+ * @param {Object} script - Valid script
+ * @returns {Object} New script with every optional field set
+ */
+function normalizeWaveScript(script) {
+  const spawnPoints = {};
+  Object.entries(script.spawnPoints || {}).forEach(([name, { x, y, z }]) => {
+    spawnPoints[name] = { x, y, z };
+  });
+
+  const normalizeAction = (action) => {
+    switch (action.type) {
+      case 'spawn':
+      case 'reinforce':
+        return {
+          type: action.type,
+          formation: action.formation,
+          ...(action.type === 'spawn'
+            ? { at: typeof action.at === 'string' ? action.at : { ...action.at } }
+            : { from: action.from ? [...action.from] : Object.keys(spawnPoints) }),
+          count: action.count ?? 1,
+          enemies: action.enemies ? { ...action.enemies } : null
+        };
+      case 'announce':
+        return { type: 'announce', text: action.text, speaker: action.speaker ?? null };
+      default:
+        return { type: 'hazard', hazard: action.hazard, active: action.active ?? true };
+    }
+  };
+
+  return {
+    format: WAVE_SCRIPT_FORMAT,
+    version: WAVE_SCRIPT_VERSION,
+    id: script.id,
+    name: script.name,
+    description: script.description ?? '',
+    spawnPoints,
+    dormantHazards: [...(script.dormantHazards || [])],
+    waves: script.waves.map(wave => ({
+      name: wave.name ?? null,
+      pointsMultiplier: wave.pointsMultiplier ?? 1,
+      boss: wave.boss ?? false,
+      objectives: (wave.objectives || [{ type: 'defeatAll' }]).map(objective => ({
+        ...objective,
+        id: objective.id ?? null,
+        text: objective.text ?? null,
+        ...(objective.type === 'defeat' ? { count: objective.count ?? 1 } : {})
+      })),
+      events: wave.events.map(event => ({
+        id: event.id ?? null,
+        trigger: { ...event.trigger, delay: event.trigger.delay ?? 0 },
+        actions: event.actions.map(normalizeAction)
+      }))
+    }))
+  };
+}
+
+// Problem locations
+//
+// JSON.parse doesn't say where values are, so scripts are read with a small
+// parser that also notes the offset of every value by its path.
+
+/**
+ * Error thrown for text that isn't valid JSON
+ */
+class JsonSyntaxError extends Error {
+  constructor(message, offset) {
+    super(message);
+    this.name = 'JsonSyntaxError';
+    this.offset = offset;
+  }
+}
+
+/**
+ * Parse JSON text, noting where each value starts
+ * @param {string} text - JSON text
+ * @returns {Object} { value, offsets (Map of path key to character offset) }
+ * @throws {JsonSyntaxError} If the text isn't valid JSON
+ */
+function parseJson(text) {
+  const offsets = new Map();
+  let position = 0;
+
+  const fail = (message) => {
+    throw new JsonSyntaxError(message, position);
+  };
+
+  const skipWhitespace = () => {
+    while (position < text.length && ' \t\n\r'.includes(text[position])) position++;
+  };
+
+  const expect = (character) => {
+    skipWhitespace();
+    if (text[position] !== character) {
+      fail(position < text.length
+        ? `expected '${character}' but found '${text[position]}'`
+        : `expected '${character}' but the text ended`);
+    }
+    position++;
+  };
+
+  const parseString = () => {
+    const start = position;
+    position++;
+    while (position < text.length && text[position] !== '"') {
+      if (text[position] === '\n') fail('unterminated string');
+      position += text[position] === '\\' ? 2 : 1;
+    }
+    if (position >= text.length) {
+      position = start;
+      fail('unterminated string');
+    }
+    position++;
+
+    try {
+      return JSON.parse(text.slice(start, position));
+    } catch (error) {
+      position = start;
+      fail('invalid escape in string');
+    }
+  };
+
+  const parseValue = (path) => {
+    skipWhitespace();
+    offsets.set(pathKey(path), position);
+
+    const character = text[position];
+    if (character === '{') {
+      position++;
+      const value = {};
+      skipWhitespace();
+      if (text[position] === '}') {
+        position++;
+        return value;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[position] !== '"') {
+          fail(position < text.length ? 'expected a quoted field name' : 'unexpected end of text');
+        }
+        const keyOffset = position;
+        const key = parseString();
+        if (Object.prototype.hasOwnProperty.call(value, key)) {
+          position = keyOffset;
+          fail(`duplicate field "${key}"`);
+        }
+        expect(':');
+        value[key] = parseValue([...path, key]);
+        skipWhitespace();
+        if (text[position] === ',') {
+          position++;
+        } else {
+          expect('}');
+          return value;
+        }
+      }
+    }
+
+    if (character === '[') {
+      position++;
+      const value = [];
+      skipWhitespace();
+      if (text[position] === ']') {
+        position++;
+        return value;
+      }
+      for (;;) {
+        value.push(parseValue([...path, value.length]));
+        skipWhitespace();
+        if (text[position] === ',') {
+          position++;
+        } else {
+          expect(']');
+          return value;
+        }
+      }
+    }
+
+    if (character === '"') {
+      return parseString();
+    }
+
+    const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(position, position + 64));
+    if (!literal) {
+      fail(position < text.length ? `unexpected '${character}'` : 'unexpected end of text');
+    }
+    position += literal[0].length;
+    return JSON.parse(literal[0]);
+  };
+
+  const value = parseValue([]);
+  skipWhitespace();
+  if (position < text.length) {
+    fail(`unexpected '${text[position]}' after the end of the script`);
+  }
+
+  return { value, offsets };
+}
+
+function pathKey(path) {
+  return JSON.stringify(path);
+}
+
+/**
+ * Find where the value at a path starts, or its closest parent when it's missing
+ * @param {Map} offsets - Offsets from parseJson
+ * @param {Array} path - Path to the value
+ * @returns {number} Character offset
+ */
+function findOffset(offsets, path) {
+  for (let length = path.length; length >= 0; length--) {
+    const offset = offsets.get(pathKey(path.slice(0, length)));
+    if (offset !== undefined) return offset;
+  }
+  return 0;
+}
+
+/**
+ * Write a path the way it reads in JavaScript, e.g. waves[0].events[2].trigger
+ * @param {Array} path - Keys and indices
+ * @returns {string} Path text
+ */
+function formatPath(path) {
+  return path.reduce((text, part) =>
+    typeof part === 'number' ? `${text}[${part}]` : text ? `${text}.${part}` : part
+  , '');
+}
+
+/**
+ * Build a problem at a character offset, with its line and a caret under it
+ * @param {string} text - Script text
+ * @param {number} offset - Character offset
+ * @param {string} path - Path text (null for syntax errors)
+ * @param {string} message - What's wrong
+ * @returns {Object} Problem (see WaveScriptError)
+ */
+function locate(text, offset, path, message) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  const column = offset - before.lastIndexOf('\n');
+
+  const source = text.split('\n')[line - 1].replace(/\r$/, '');
+  const gutter = String(line);
+  const context = `    ${gutter} | ${source}\n    ${' '.repeat(gutter.length)} | ${' '.repeat(column - 1)}^`;
+
+  return { path, message, line, column, context };
+}
@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+import { GameScene } from '../scenes/GameScene.js';
+import { createPhysics } from '../physics/createPhysics.js';
+import { GameManager } from '../systems/GameManager.js';
+import { ScriptedBot } from './ScriptedBot.js';
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+import { GAME_CONFIG, DEFAULT_ARENA } from '../config/game.js';
+import { DEFAULT_DIFFICULTY } from '../config/enemies.js';
+import { Random } from '../utils/random.js';
+import { createSave } from '../save/saveFile.js';
+
+/**
+ * HeadlessGame - Runs waves without a renderer, DOM or audio
+ *
+ * Builds the same scene, physics and GameManager as the browser game, then
+ * steps them in fixed ticks as fast as possible with a
+ * ScriptedBot in place of the player. Used for balance testing from Node.
+ * Given a replay, it plays the recorded input instead of the bot, which
+ * reruns the recorded run exactly (see verifySubmission).
+ */
+export class HeadlessGame {
+  /**
+   * Create a new headless game
+   * @param {Object} options - Simulation options
+   * @param {number|string} options.seed - Run seed (random if omitted)
+   * @param {string} options.mode - Game mode (see GAME_MODES)
+   * @param {Object} options.script - Wave script for mission mode (see loadWaveScript)
+   * @param {number} options.waves - Number of waves to play (null for every wave of the mode)
+   * @param {number} options.maxDuration - Simulated seconds before the run is stopped
+   * @param {boolean} options.invulnerable - Record damage taken without losing health
+   * @param {Object} options.bot - ScriptedBot options
+   * @param {Object} options.replay - Replay to play instead of the bot (its seed, mode, script, difficulty and director
+   *   override the options)
+   * @param {string} options.arena - Arena variant (see GameManager)
+   * @param {string} options.difficulty - Difficulty preset (see DIFFICULTY_PRESETS)
+   * @param {Object} options.director - Adaptive difficulty start state (see GameManager)
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({
+      seed: undefined,
+      mode: 'campaign',
+      script: null,
+      waves: null,
+      maxDuration: 900, // Simulated seconds
+      invulnerable: false,
+      bot: {},
+      replay: null,
+      arena: DEFAULT_ARENA,
+      difficulty: DEFAULT_DIFFICULTY,
+      director: null
+    }, options);
+
+    const { replay } = this.options;
+    this.random = new Random(replay ? replay.seed : this.options.seed);
+    this.mode = replay ? replay.mode ?? 'campaign' : this.options.mode;
+    this.script = replay ? replay.script ?? null : this.options.script;
+    this.difficulty = replay ? replay.difficulty ?? DEFAULT_DIFFICULTY : this.options.difficulty;
+    this.director = replay ? replay.director ?? null : this.options.director;
+
+    this.tickCount = 0;
+
+    this.init();
+  }
+
+  /**
+   * Build the game systems
+   */
+  init() {
+    this.physics = createPhysics(GAME_CONFIG.physics);
+    this.camera = new THREE.PerspectiveCamera();
+
+    // Scene, arena and player (no renderer, loading manager or audio)
+    this.gameScene = new GameScene(this.camera, null, this.physics, null, null, this.random, {
+      headless: true,
+      invulnerable: this.options.invulnerable
+    });
+    this.scene = this.gameScene.scene;
+    this.player = this.gameScene.player;
+
+    // Enemies, waves and combat
+    this.gameManager = new GameManager(this.gameScene, this.camera, this.physics, null, this.random, {
+      headless: true,
+      mode: this.mode,
+      script: this.script,
+      waves: this.options.waves,
+      arena: this.options.arena,
+      difficulty: this.difficulty,
+      director: this.director
+    });
+    this.enemyPool = this.gameManager.enemyPool;
+    this.combatManager = this.gameManager.combatManager;
+
+    if (this.options.replay) {
+      this.bot = null;
+      this.replayPlayer = new ReplayPlayer(this.options.replay, { input: this.gameScene.inputManager });
+    } else {
+      this.bot = new ScriptedBot(
+        this.player, this.enemyPool, this.combatManager, this.random.fork('bot'), this.options.bot
+      );
+      this.replayPlayer = null;
+    }
+  }
+
+  /**
+   * Play until the waves are done, the player dies, time runs out or the
+   * replay's input runs out
+   * @returns {Object} Run results (see getResults)
+   */
+  run() {
+    const { fixedTimeStep } = GAME_CONFIG.physics;
+
+    this.gameManager.begin();
+
+    while (!this.gameManager.isOver && !this.isReplayFinished()) {
+      this.tick(fixedTimeStep);
+    }
+
+    return this.getResults();
+  }
+
+  /**
+   * Advance the simulation by one fixed tick
+   * @param {number} deltaTime - Tick length in seconds
+   */
+  tick(deltaTime) {
+    if (this.replayPlayer) {
+      this.replayPlayer.applyTick(this.tickCount);
+    } else {
+      this.bot.update(deltaTime);
+    }
+
+    this.physics.world.step(deltaTime);
+
+    this.gameScene.update(deltaTime);
+    this.gameManager.update(deltaTime);
+
+    this.tickCount++;
+
+    if (this.gameManager.time >= this.options.maxDuration) {
+      this.gameManager.end('timeout');
+    }
+  }
+
+  /**
+   * Check whether a replay has played to its end
+   * @returns {boolean} True at the end of a replay (always false for bot runs)
+   */
+  isReplayFinished() {
+    return !!this.replayPlayer && this.replayPlayer.isFinished(this.tickCount);
+  }
+
+  /**
+   * Get the results of the run
+   * @returns {Object} Tick count, plus the GameManager's results
+   */
+  getResults() {
+    return {
+      ticks: this.tickCount,
+      ...this.gameManager.getResults()
+    };
+  }
+
+  /**
+   * Save the run in progress
+   * @returns {Object} Save (see saveFile.js)
+   */
+  getSaveState() {
+    return createSave({
+      seed: this.random.seed,
+      mode: this.mode,
+      script: this.script,
+      difficulty: this.gameManager.difficulty,
+      director: this.director,
+      tickCount: this.tickCount,
+      random: this.random.getState(),
+      state: {
+        scene: this.gameScene.getSaveState(),
+        game: this.gameManager.getSaveState(),
+        bot: this.bot ? this.bot.getSaveState() : null
+      }
+    });
+  }
+
+  /**
+   * Carry on a saved run
+   * The game must have been created with the save's seed, mode, script, difficulty and director.
+   * @param {Object} save - Save from getSaveState()
+   */
+  restoreSaveState(save) {
+    const { scene, game, bot } = save.state;
+
+    this.random.setState(save.random);
+    this.tickCount = save.tickCount;
+
+    this.gameScene.restoreSaveState(scene);
+    this.gameManager.restoreSaveState(game);
+    if (this.bot && bot) {
+      this.bot.restoreSaveState(bot);
+    }
+  }
+
+  /**
+   * Dispose of game resources
+   */
+  dispose() {
+    this.gameManager.dispose();
+    this.gameScene.dispose();
+  }
+}
@@ -0,0 +1,222 @@
+import { WEAPON_TYPES } from '../config/weapons.js';
+import { Random } from '../utils/random.js';
+
+/**
+ * ScriptedBot - Stand-in player for headless simulations
+ *
+ * Turns to face the nearest enemy, closes in until it is within range,
+ * strafes from side to side and fires the weapon at its configured rate.
+ * Shots are resolved instantly against the target with a seeded accuracy
+ * roll rather than flying as projectiles, and go through CombatManager so
+ * they show up in its stats.
+ */
+export class ScriptedBot {
+  /**
+   * Create a new scripted bot
+   * @param {Player} player - Player to drive
+   * @param {EnemyPool} enemyPool - Source of enemies to target
+   * @param {CombatManager} combatManager - Records shots and resolves hits
+   * @param {Random} random - RNG for hit rolls and strafing
+   * @param {Object} options - Bot options
+   */
+  constructor(player, enemyPool, combatManager, random = new Random(), options = {}) {
+    this.player = player;
+    this.enemyPool = enemyPool;
+    this.combatManager = combatManager;
+    this.random = random;
+
+    this.options = Object.assign({
+      weapon: WEAPON_TYPES.pulseCannon, // Weapon config to fire
+      accuracy: 0.7, // Chance each shot hits its target
+      range: null, // Distance to close to before firing (defaults to the projectile's reach)
+      strafe: true, // Move side to side while fighting
+      strafeInterval: 1.5 // Average seconds between strafe direction changes
+    }, options);
+
+    const { projectile } = this.options.weapon;
+    this.range = this.options.range ?? projectile.speed * projectile.lifetime;
+
+    // Weapon state
+    this.ammo = this.options.weapon.magazineSize;
+    this.fireCooldown = 0;
+    this.reloadTimer = 0;
+
+    // Movement state
+    this.strafeDirection = 1;
+    this.strafeTimer = this.options.strafeInterval;
+
+    this.target = null;
+  }
+
+  /**
+   * Update the bot
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    if (!this.player.isAlive) {
+      this.releaseInput();
+      return;
+    }
+
+    this.target = this.findTarget();
+
+    this.updateMovement(deltaTime);
+    this.updateWeapon(deltaTime);
+  }
+
+  /**
+   * Find the nearest living enemy
+   * @returns {Enemy|null} Target enemy
+   */
+  findTarget() {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const enemy of this.enemyPool.getActiveEnemies()) {
+      if (!enemy.isAlive) continue;
+
+      const distance = this.player.position.distanceTo(enemy.position);
+      if (distance < nearestDistance) {
+        nearest = enemy;
+        nearestDistance = distance;
+      }
+    }
+
+    return nearest;
+  }
+
+  /**
+   * Check whether the target is close enough to shoot
+   * @returns {boolean} True if the target is within range
+   */
+  isTargetInRange() {
+    return !!this.target && this.player.position.distanceTo(this.target.position) <= this.range;
+  }
+
+  /**
+   * Face the target, close in and strafe
+   * @param {number} deltaTime - Time since last update
+   */
+  updateMovement(deltaTime) {
+    const input = this.player.input;
+
+    if (!this.target) {
+      this.releaseInput();
+      return;
+    }
+
+    // Face the target (movement is relative to camera yaw)
+    const dx = this.target.position.x - this.player.position.x;
+    const dz = this.target.position.z - this.player.position.z;
+    this.player.cameraYaw = Math.atan2(dx, dz);
+
+    // Close in on targets that are out of range
+    input.forward = !this.isTargetInRange();
+    this.player.isMoving = true;
+
+    if (!this.options.strafe) return;
+
+    // Switch strafe direction at irregular intervals
+    this.strafeTimer -= deltaTime;
+    if (this.strafeTimer <= 0) {
+      this.strafeDirection = -this.strafeDirection;
+      this.strafeTimer = this.random.float(0.5, 1.5) * this.options.strafeInterval;
+    }
+
+    input.left = this.strafeDirection < 0;
+    input.right = this.strafeDirection > 0;
+  }
+
+  /**
+   * Fire at the target, reloading when the magazine runs dry
+   * @param {number} deltaTime - Time since last update
+   */
+  updateWeapon(deltaTime) {
+    const weapon = this.options.weapon;
+
+    this.fireCooldown = Math.max(0, this.fireCooldown - deltaTime);
+
+    // Reload
+    if (this.reloadTimer > 0) {
+      this.reloadTimer -= deltaTime;
+      if (this.reloadTimer <= 0) {
+        this.ammo = weapon.magazineSize;
+      }
+      return;
+    }
+
+    if (!this.isTargetInRange() || this.fireCooldown > 0) return;
+
+    this.fire(this.target);
+
+    this.ammo--;
+    this.fireCooldown = 1 / weapon.fireRate;
+
+    if (this.ammo <= 0) {
+      this.reloadTimer = weapon.reloadTime;
+    }
+  }
+
+  /**
+   * Fire one shot at an enemy
+   * @param {Enemy} enemy - Enemy to shoot at
+   */
+  fire(enemy) {
+    const weapon = this.options.weapon;
+
+    this.combatManager.processShot(weapon, 'player');
+
+    if (!this.random.chance(this.options.accuracy)) return;
+
+    // Resolve the hit as if the projectile had flown the whole distance
+    const distance = this.player.position.distanceTo(enemy.position);
+    const projectile = {
+      ...weapon.projectile,
+      source: 'player',
+      faction: 'player',
+      distanceTraveled: distance
+    };
+
+    const hitNormal = this.player.position.clone().sub(enemy.position).normalize();
+    this.combatManager.processHit(projectile, enemy, enemy.position.clone(), hitNormal);
+  }
+
+  /**
+   * Let go of all movement keys
+   */
+  releaseInput() {
+    const input = this.player.input;
+    input.forward = false;
+    input.left = false;
+    input.right = false;
+    this.player.isMoving = false;
+  }
+
+  /**
+   * Get the bot state for a saved run
+   * @returns {Object} Weapon timers, strafing and RNG position
+   */
+  getSaveState() {
+    return {
+      ammo: this.ammo,
+      fireCooldown: this.fireCooldown,
+      reloadTimer: this.reloadTimer,
+      strafeDirection: this.strafeDirection,
+      strafeTimer: this.strafeTimer,
+      random: this.random.getState()
+    };
+  }
+
+  /**
+   * Restore the bot state from a saved run
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    this.ammo = state.ammo;
+    this.fireCooldown = state.fireCooldown;
+    this.reloadTimer = state.reloadTimer;
+    this.strafeDirection = state.strafeDirection;
+    this.strafeTimer = state.strafeTimer;
+    this.random.setState(state.random);
+  }
+}
@@ -0,0 +1,101 @@
+import { HeadlessGame } from './HeadlessGame.js';
+import { GAME_CONFIG, GAME_CONFIG_VERSION, ARENAS } from '../config/game.js';
+import { DEFAULT_DIFFICULTY } from '../config/enemies.js';
+import { validateReplay, getConfigHash, ReplayError } from '../replay/replayFile.js';
+import { hashReplay } from '../leaderboard/protocol.js';
+
+/**
+ * Check a leaderboard submission by rerunning its replay
+ *
+ * The simulation is deterministic, so playing the recorded input from the
+ * run's seed must end the run the same way with the same score. Anything
+ * else means the results were tampered with or the replay doesn't belong to
+ * them. Replays recorded with different game settings can't be checked.
+ * Malformed replays are turned away with a reason rather than thrown on.
+ *
+ * @param {Object} submission - Submission (see leaderboard/protocol.js)
+ * @returns {Object} { valid, reason (why it was rejected), results (the rerun's, when it got that far) }
+ */
+export function verifySubmission(submission) {
+  const { replay } = submission;
+
+  if (!replay) {
+    return { valid: false, reason: 'Submission has no replay to verify' };
+  }
+
+  try {
+    validateReplay(replay);
+  } catch (error) {
+    if (!(error instanceof ReplayError)) throw error;
+    return { valid: false, reason: error.message };
+  }
+
+  // Reruns take as long as the run, so there's a limit to what the server will replay
+  const { maxReplayLength } = GAME_CONFIG.leaderboard;
+  if (replay.tickCount * replay.fixedTimeStep > maxReplayLength) {
+    return { valid: false, reason: `Replay is longer than the ${maxReplayLength / 60} minutes a ranked run can last` };
+  }
+
+  if (hashReplay(replay) !== submission.replayHash) {
+    return { valid: false, reason: 'Replay does not match its hash' };
+  }
+
+  if (replay.seed !== submission.seed) {
+    return { valid: false, reason: `Replay is for seed ${replay.seed}, not ${submission.seed}` };
+  }
+
+  const mode = replay.mode ?? 'campaign';
+  if (mode !== submission.mode) {
+    return { valid: false, reason: `Replay is for ${mode} mode, not ${submission.mode}` };
+  }
+
+  // Anyone can write a mission, so their scores can't be compared
+  if (mode === 'mission') {
+    return { valid: false, reason: 'Mission runs are not ranked' };
+  }
+
+  // The replay doesn't record the arena, so the claim is only checked against the ones there are
+  if (!ARENAS.includes(submission.arena)) {
+    return { valid: false, reason: `Unknown arena ${submission.arena}` };
+  }
+
+  const difficulty = replay.difficulty ?? DEFAULT_DIFFICULTY;
+  if (difficulty !== submission.difficulty) {
+    return { valid: false, reason: `Replay is on ${difficulty} difficulty, not ${submission.difficulty}` };
+  }
+
+  if (replay.configVersion !== GAME_CONFIG_VERSION || replay.configHash !== getConfigHash() ||
+      replay.fixedTimeStep !== GAME_CONFIG.physics.fixedTimeStep) {
+    return { valid: false, reason: 'Replay was recorded with different game settings' };
+  }
+
+  // Runs in the browser have no time limit, so give the rerun as long as the
+  // replay lasts (plus a second, so the game clock's rounding can't cut it short)
+  const game = new HeadlessGame({
+    replay,
+    arena: submission.arena,
+    maxDuration: replay.tickCount * replay.fixedTimeStep + 1
+  });
+
+  let results;
+  try {
+    results = game.run();
+  } finally {
+    game.dispose();
+  }
+
+  if (!results.outcome) {
+    return { valid: false, reason: 'Replay ends before the run does', results };
+  }
+
+  const claimed = ['outcome', 'score', 'wavesCompleted'].find(field => results[field] !== submission[field]);
+  if (claimed) {
+    return {
+      valid: false,
+      reason: `Claimed ${claimed} ${submission[claimed]}, but the replay gives ${results[claimed]}`,
+      results
+    };
+  }
+
+  return { valid: true, reason: null, results };
+}
@@ -0,0 +1,114 @@
+import { GAME_CONFIG } from '../config/game.js';
+import { LeaderboardError } from './protocol.js';
+
+// Extra seconds to wait on a submission per minute of replay, while the
+// server reruns it (generous: rerunning a minute takes a second or two)
+const VERIFY_SECONDS_PER_MINUTE = 5;
+
+/**
+ * HttpLeaderboardAdapter - Leaderboard on a server shared by the team
+ *
+ * Endpoints, relative to the base URL (all JSON):
+ *   POST /runs                                      - Submit a run: { entry, rank, improved }
+ *   GET  /boards/:mode/:arena/:difficulty/top?limit=n     - { entries }
+ *   GET  /boards/:mode/:arena/:difficulty/around/:playerId?range=n - { entries, rank }
+ * Errors come back as { error } with a 4xx or 5xx status. See
+ * scripts/leaderboard-server.mjs for a server that implements this.
+ */
+export class HttpLeaderboardAdapter {
+  /**
+   * Create the adapter
+   * @param {string} baseUrl - Server URL, e.g. http://localhost:8787
+   */
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.description = `Server: ${this.baseUrl}`;
+  }
+
+  /**
+   * Make a request and read the JSON reply
+   * @param {string} path - Path under the base URL
+   * @param {Object} init - fetch options (optional)
+   * @param {number} timeoutSeconds - Seconds before the request is given up on
+   * @returns {Promise<Object>} Reply body
+   * @throws {LeaderboardError} If the server can't be reached, doesn't answer in time or refuses the request
+   */
+  async request(path, init = {}, timeoutSeconds = GAME_CONFIG.leaderboard.requestTimeout) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutSeconds * 1000);
+
+    // The deadline covers the body as well as the headers, so a server that stalls mid-reply is given up on too
+    let response;
+    let body;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, { ...init, signal: controller.signal });
+      body = await response.json().catch((error) => {
+        if (controller.signal.aborted) throw error;
+        return {};
+      });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new LeaderboardError(`Leaderboard server didn't answer within ${timeoutSeconds}s`);
+      }
+      throw new LeaderboardError(`Leaderboard server unreachable: ${error.message}`);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (!response.ok) {
+      throw new LeaderboardError(body.error || `Leaderboard server replied ${response.status}`, response.status);
+    }
+
+    return body;
+  }
+
+  /**
+   * Build the path of a table
+   * @param {Object} board - Table: { arena, difficulty, mode }
+   * @returns {string} Path
+   */
+  boardPath({ arena, difficulty, mode }) {
+    return `/boards/${[mode, arena, difficulty].map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Send a run to the server, which may verify it before it goes on the table
+   * The server may rerun the whole replay first, so longer runs get longer to answer.
+   * @param {Object} submission - Submission (see protocol.js)
+   * @returns {Promise<Object>} { entry, rank, improved }
+   */
+  submit(submission) {
+    const { replay } = submission;
+    const replayMinutes = replay ? replay.tickCount * replay.fixedTimeStep / 60 : 0;
+    const timeout = GAME_CONFIG.leaderboard.requestTimeout + replayMinutes * VERIFY_SECONDS_PER_MINUTE;
+
+    return this.request('/runs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(submission)
+    }, timeout);
+  }
+
+  /**
+   * Get the top of a table
+   * @param {Object} board - Table: { arena, difficulty, mode }
+   * @param {number} limit - Most entries to return
+   * @returns {Promise<Array>} Entries with their rank, best first
+   */
+  async getTop(board, limit) {
+    const { entries } = await this.request(`${this.boardPath(board)}/top?limit=${limit}`);
+    return entries;
+  }
+
+  /**
+   * Get the entries around a player's own
+   * @param {Object} board - Table: { arena, difficulty, mode }
+   * @param {string} playerId - Player
+   * @param {number} range - Entries to include either side
+   * @returns {Promise<Object>} { entries, rank }
+   */
+  getAround(board, playerId, range) {
+    const path = `${this.boardPath(board)}/around/${encodeURIComponent(playerId)}?range=${range}`;
+    return this.request(path);
+  }
+}
@@ -0,0 +1,87 @@
+import { GAME_CONFIG } from '../config/game.js';
+import { createSubmission } from './protocol.js';
+import { LocalLeaderboardAdapter } from './LocalLeaderboardAdapter.js';
+import { HttpLeaderboardAdapter } from './HttpLeaderboardAdapter.js';
+
+const PLAYER_ID_KEY = 'cosmicDefenderPlayerId';
+
+/**
+ * Get this device's player id, making one up the first time
+ * @returns {string} Player id
+ */
+function getPlayerId() {
+  try {
+    let playerId = localStorage.getItem(PLAYER_ID_KEY);
+    if (!playerId) {
+      playerId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+      localStorage.setItem(PLAYER_ID_KEY, playerId);
+    }
+    return playerId;
+  } catch (error) {
+    console.warn('Failed to store player id:', error);
+    return 'anonymous';
+  }
+}
+
+/**
+ * LeaderboardClient - Submits runs to a leaderboard and reads its tables
+ *
+ * The storage is left to an adapter, which must provide:
+ *   submit(submission)                  - Promise of { entry, rank, improved }
+ *   getTop(board, limit)                - Promise of entries, best first
+ *   getAround(board, playerId, range)   - Promise of { entries, rank }
+ *   description                         - Where the tables are, for the menus
+ * A board picks a table: { arena, difficulty, mode }. Entries carry their
+ * rank. Failures reject with a LeaderboardError.
+ */
+export class LeaderboardClient {
+  /**
+   * Create the client
+   * @param {Object} adapter - Leaderboard storage (see above)
+   * @param {string} playerId - Player id (defaults to this device's)
+   */
+  constructor(adapter, playerId = getPlayerId()) {
+    this.adapter = adapter;
+    this.playerId = playerId;
+  }
+
+  /**
+   * Submit a finished run
+   * @param {Object} results - Results from GameManager.getResults()
+   * @param {string} name - Name to show on the table
+   * @param {Object} replay - Replay of the run, for servers that verify (null if there isn't one)
+   * @returns {Promise<Object>} { entry, rank, improved }
+   */
+  submitRun(results, name, replay = null) {
+    return this.adapter.submit(createSubmission(results, { playerId: this.playerId, name }, replay));
+  }
+
+  /**
+   * Get the top of a table
+   * @param {Object} board - Table: { arena, difficulty, mode }
+   * @param {number} limit - Most entries to return
+   * @returns {Promise<Array>} Entries with their rank, best first
+   */
+  getTopScores(board, limit = GAME_CONFIG.leaderboard.topCount) {
+    return this.adapter.getTop(board, limit);
+  }
+
+  /**
+   * Get the entries around this player's best
+   * @param {Object} board - Table: { arena, difficulty, mode }
+   * @param {number} range - Entries to include either side
+   * @returns {Promise<Object>} { entries, rank (0 if the player isn't on the table) }
+   */
+  getAroundMe(board, range = GAME_CONFIG.leaderboard.aroundRange) {
+    return this.adapter.getAround(board, this.playerId, range);
+  }
+}
+
+/**
+ * Create a client for a server, or for this device when there's no server
+ * @param {string} url - Leaderboard server URL (optional)
+ * @returns {LeaderboardClient} Client
+ */
+export function createLeaderboardClient(url = null) {
+  return new LeaderboardClient(url ? new HttpLeaderboardAdapter(url) : new LocalLeaderboardAdapter());
+}
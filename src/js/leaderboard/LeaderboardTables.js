@@ -0,0 +1,102 @@
+import { getBoardKey } from '../scores/HighScoreStore.js';
+
+/**
+ * Order entries best first (ties go to the earlier run)
+ * @param {Object} a - Entry
+ * @param {Object} b - Entry
+ * @returns {number} Sort order
+ */
+function compareEntries(a, b) {
+  return b.score - a.score || a.timestamp - b.timestamp;
+}
+
+/**
+ * LeaderboardTables - Ranked leaderboard entries by arena, difficulty and mode
+ *
+ * Tables are picked by a board: { arena, difficulty, mode }, laid out like
+ * an entry. Each player keeps only their best entry on a table. Shared by the local
+ * adapter and the mock server, so both rank runs the same way.
+ */
+export class LeaderboardTables {
+  /**
+   * Create the tables
+   * @param {Object} boards - Entries by table key, as returned by toJSON() (optional)
+   */
+  constructor(boards = {}) {
+    this.boards = boards;
+  }
+
+  /**
+   * Get a table's entries, best first
+   * @param {Object} board - Table
+   * @returns {Array} Entries
+   */
+  getEntries({ arena, difficulty, mode }) {
+    return this.boards[getBoardKey(arena, difficulty, mode)] || [];
+  }
+
+  /**
+   * Put an entry on its table, unless the player already has a better one there
+   * @param {Object} entry - Entry (see protocol.js)
+   * @returns {Object} { entry (the player's entry on the table), rank, improved }
+   */
+  add(entry) {
+    const key = getBoardKey(entry.arena, entry.difficulty, entry.mode);
+    const entries = this.boards[key] || [];
+    const existing = entries.find(other => other.playerId === entry.playerId);
+
+    const improved = !existing || entry.score > existing.score;
+    if (improved) {
+      this.boards[key] = entries
+        .filter(other => other !== existing)
+        .concat(entry)
+        .sort(compareEntries);
+    }
+
+    const kept = improved ? entry : existing;
+    return { entry: kept, rank: this.boards[key].indexOf(kept) + 1, improved };
+  }
+
+  /**
+   * Get the top of a table
+   * @param {Object} board - Table
+   * @param {number} limit - Most entries to return
+   * @returns {Array} Entries with their rank, best first
+   */
+  getTop(board, limit) {
+    return this.getEntries(board)
+      .slice(0, limit)
+      .map((entry, index) => ({ ...entry, rank: index + 1 }));
+  }
+
+  /**
+   * Get the entries around a player's own
+   * @param {Object} board - Table
+   * @param {string} playerId - Player
+   * @param {number} range - Entries to include either side
+   * @returns {Object} { entries (with their rank), rank (the player's, 0 if not on the table) }
+   */
+  getAround(board, playerId, range) {
+    const entries = this.getEntries(board);
+    const index = entries.findIndex(entry => entry.playerId === playerId);
+    if (index === -1) {
+      return { entries: [], rank: 0 };
+    }
+
+    const start = Math.max(index - range, 0);
+    return {
+      entries: entries
+        .slice(start, index + range + 1)
+        .map((entry, offset) => ({ ...entry, rank: start + offset + 1 })),
+      rank: index + 1
+    };
+  }
+
+  /**
+   * Get the tables for storage
+   * @returns {Object} Entries by table key
+   */
+  toJSON() {
+    return this.boards;
+  }
+}
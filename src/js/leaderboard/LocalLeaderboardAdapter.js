@@ -0,0 +1,77 @@
+import { validateSubmission, createEntry } from './protocol.js';
+import { LeaderboardTables } from './LeaderboardTables.js';
+
+const STORAGE_KEY = 'cosmicDefenderLeaderboard';
+
+/**
+ * LocalLeaderboardAdapter - Leaderboard kept in this browser's localStorage
+ *
+ * Used when no server is set up, so the leaderboard works offline. Runs
+ * aren't verified, as the simulation can't be rerun in the page.
+ */
+export class LocalLeaderboardAdapter {
+  constructor() {
+    this.description = 'Stored on this device';
+    this.tables = new LeaderboardTables(this.load());
+  }
+
+  /**
+   * Read the stored tables
+   * @returns {Object} Entries by table key
+   */
+  load() {
+    try {
+      const boards = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return boards && typeof boards === 'object' ? boards : {};
+    } catch (error) {
+      console.warn('Failed to load leaderboard:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Write the tables back
+   */
+  persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.tables));
+    } catch (error) {
+      console.warn('Failed to save leaderboard:', error);
+    }
+  }
+
+  /**
+   * Add a run to its table
+   * @param {Object} submission - Submission (see protocol.js)
+   * @returns {Promise<Object>} { entry, rank, improved }
+   * @throws {LeaderboardError} If the submission is malformed
+   */
+  async submit(submission) {
+    validateSubmission(submission);
+
+    const result = this.tables.add(createEntry(submission, false));
+    this.persist();
+    return result;
+  }
+
+  /**
+   * Get the top of a table
+   * @param {Object} board - Table: { arena, difficulty, mode }
+   * @param {number} limit - Most entries to return
+   * @returns {Promise<Array>} Entries with their rank, best first
+   */
+  async getTop(board, limit) {
+    return this.tables.getTop(board, limit);
+  }
+
+  /**
+   * Get the entries around a player's own
+   * @param {Object} board - Table: { arena, difficulty, mode }
+   * @param {string} playerId - Player
+   * @param {number} range - Entries to include either side
+   * @returns {Promise<Object>} { entries, rank }
+   */
+  async getAround(board, playerId, range) {
+    return this.tables.getAround(board, playerId, range);
+  }
+}
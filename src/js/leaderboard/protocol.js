@@ -0,0 +1,124 @@
+/**
+ * Leaderboard protocol
+ *
+ * A submission is a finished run as sent by LeaderboardClient.submitRun:
+ *   protocol            - LEADERBOARD_PROTOCOL version
+ *   playerId, name      - Who played (the id is per device, the name is shown)
+ *   mode, arena, difficulty - High score table the run is for
+ *   seed                - Run seed
+ *   outcome, score, wavesCompleted, duration, kills, stats
+ *                       - Results as reported by GameManager.getResults()
+ *   replayHash          - hashReplay() of the run's replay
+ *   replay              - The replay itself (null for continued runs, which
+ *                         weren't recorded from the start)
+ *
+ * Tables hold entries: the submission without its replay, plus id,
+ * timestamp, verified (whether the server reran the replay) and, when
+ * fetched, rank. Each player keeps only their best run on a table.
+ */
+import { GAME_CONFIG } from '../config/game.js';
+import { serializeReplay } from '../replay/replayFile.js';
+import { Random } from '../utils/random.js';
+
+// Protocol version, bumped whenever the submission or entry layout changes
+export const LEADERBOARD_PROTOCOL = 2;
+
+/**
+ * Error thrown when a submission or leaderboard request fails
+ */
+export class LeaderboardError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {number} status - HTTP status, when the server answered (optional)
+   */
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'LeaderboardError';
+    this.status = status;
+  }
+}
+
+/**
+ * Hash a replay, so a submission can be matched to the input it claims
+ * @param {Object} replay - Replay (see replayFile.js)
+ * @returns {number} 32-bit hash
+ */
+export function hashReplay(replay) {
+  return Random.hashString(serializeReplay(replay));
+}
+
+/**
+ * Create a submission for a finished run
+ * @param {Object} results - Results from GameManager.getResults()
+ * @param {Object} player - { playerId, name }
+ * @param {Object} replay - Replay of the run (null if there isn't one)
+ * @returns {Object} Submission
+ */
+export function createSubmission(results, { playerId, name }, replay = null) {
+  return {
+    protocol: LEADERBOARD_PROTOCOL,
+    playerId,
+    name,
+    mode: results.mode,
+    arena: results.arena,
+    difficulty: results.difficulty,
+    seed: results.seed,
+    outcome: results.outcome,
+    score: results.score,
+    wavesCompleted: results.wavesCompleted,
+    duration: results.duration,
+    kills: { ...results.kills },
+    stats: JSON.parse(JSON.stringify(results.stats)),
+    replayHash: replay ? hashReplay(replay) : null,
+    replay
+  };
+}
+
+/**
+ * Check a submission is laid out the way this protocol expects
+ * @param {Object} submission - Submission
+ * @throws {LeaderboardError} If a field is missing or has the wrong type
+ */
+export function validateSubmission(submission) {
+  if (!submission || typeof submission !== 'object') {
+    throw new LeaderboardError('Submission is not an object');
+  }
+
+  if (submission.protocol !== LEADERBOARD_PROTOCOL) {
+    throw new LeaderboardError(`Unsupported protocol ${submission.protocol} (expected ${LEADERBOARD_PROTOCOL})`);
+  }
+
+  const strings = ['playerId', 'name', 'mode', 'arena', 'difficulty', 'outcome'];
+  const numbers = ['seed', 'score', 'wavesCompleted', 'duration'];
+
+  for (const field of strings) {
+    if (typeof submission[field] !== 'string' || submission[field] === '') {
+      throw new LeaderboardError(`Submission ${field} must be a non-empty string`);
+    }
+  }
+
+  for (const field of numbers) {
+    if (!Number.isFinite(submission[field]) || submission[field] < 0) {
+      throw new LeaderboardError(`Submission ${field} must be a number >= 0`);
+    }
+  }
+}
+
+/**
+ * Turn an accepted submission into a table entry
+ * @param {Object} submission - Validated submission
+ * @param {boolean} verified - Whether its replay was rerun and matched
+ * @returns {Object} Entry
+ */
+export function createEntry(submission, verified) {
+  const { replay, protocol, ...entry } = submission;
+  const timestamp = Date.now();
+
+  return {
+    ...entry,
+    name: entry.name.slice(0, GAME_CONFIG.scores.nameLength),
+    id: `${timestamp.toString(36)}-${submission.playerId}`,
+    timestamp,
+    verified
+  };
+}
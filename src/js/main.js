@@ -8,7 +8,8 @@ import { Player } from './components/player/Player.js';
 import { Debug } from './utils/debug.js';
 import Stats from 'stats.js';
 import { Pane } from 'tweakpane';
-import { Game } from './Game.js';
+import { GameStateMachine } from './GameStateMachine.js';
+import { parseReplay } from './replay/replayFile.js';
 
 // Wait for DOM to load
 document.addEventListener('DOMContentLoaded', () => {
@@ -30,21 +31,50 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('All assets loaded');
     loadingScreen.style.display = 'none';
     
-    // Create game instance after loading is complete
-    const game = new Game(document.body, loadingManager);
+    // Menus and game flow take over once loading is complete
+    const stateMachine = new GameStateMachine(document.body, loadingManager);
+    stateMachine.boot();
     
-    // Handle page visibility changes
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) {
-        game.stop();
-      } else {
-        game.start();
+    // Swap whatever is running for a replay loaded from a file
+    const watchReplay = (file) => {
+      file.text()
+        .then(text => stateMachine.watchReplay(parseReplay(text)))
+        .catch(error => console.error('Failed to load replay:', error));
+    };
+    
+    // F8 saves a replay of the current run, F9 opens one
+    const replayPicker = document.createElement('input');
+    replayPicker.type = 'file';
+    replayPicker.accept = '.json,application/json';
+    replayPicker.addEventListener('change', () => {
+      if (replayPicker.files.length > 0) {
+        watchReplay(replayPicker.files[0]);
+        replayPicker.value = '';
+      }
+    });
+    
+    document.addEventListener('keydown', (event) => {
+      if (event.code === 'F8') {
+        event.preventDefault();
+        if (stateMachine.game) stateMachine.game.saveReplay();
+      } else if (event.code === 'F9') {
+        event.preventDefault();
+        replayPicker.click();
+      }
+    });
+    
+    // Replay files can also be dropped on the page
+    document.addEventListener('dragover', (event) => event.preventDefault());
+    document.addEventListener('drop', (event) => {
+      event.preventDefault();
+      if (event.dataTransfer.files.length > 0) {
+        watchReplay(event.dataTransfer.files[0]);
       }
     });
     
     // Handle cleanup on window unload
     window.addEventListener('unload', () => {
-      game.dispose();
+      stateMachine.dispose();
     });
   };
   
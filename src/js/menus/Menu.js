@@ -0,0 +1,344 @@
+// Keys for each menu action
+const MENU_KEYS = {
+  up: ['ArrowUp', 'KeyW'],
+  down: ['ArrowDown', 'KeyS'],
+  left: ['ArrowLeft', 'KeyA'],
+  right: ['ArrowRight', 'KeyD'],
+  select: ['Enter', 'Space'],
+  back: ['Escape', 'Backspace']
+};
+
+// Menu keys that still work while typing in a text field
+const TEXT_FIELD_KEYS = ['ArrowUp', 'ArrowDown', 'Enter', 'Escape'];
+
+/**
+ * Menu - Full-screen menu overlay that shows one page at a time
+ *
+ * A page is { title, text, content, items, onBack }. Items are buttons
+ * ({ label, onSelect, disabled }) or sliders
+ * ({ label, value, min, max, step, onChange }). Pages can be driven by the
+ * mouse, the keyboard (arrows or WASD, Enter, Escape) or handleAction(),
+ * which the game state machine feeds from the gamepad.
+ */
+export class Menu {
+  /**
+   * Create the menu
+   * @param {HTMLElement} container - Element to add the overlay to
+   */
+  constructor(container) {
+    this.container = container;
+
+    this.element = null;
+    this.page = null;
+    this.rows = []; // { item, element, slider } per item on the page
+    this.selectedIndex = 0;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+
+    this.init();
+  }
+
+  /**
+   * Build the (hidden) overlay
+   */
+  init() {
+    const overlay = document.createElement('div');
+    overlay.style.position = 'absolute';
+    overlay.style.top = '0';
+    overlay.style.left = '0';
+    overlay.style.width = '100%';
+    overlay.style.height = '100%';
+    overlay.style.display = 'none';
+    overlay.style.alignItems = 'center';
+    overlay.style.justifyContent = 'center';
+    overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    overlay.style.color = '#ffffff';
+    overlay.style.fontFamily = 'Arial, sans-serif';
+    overlay.style.zIndex = '10';
+    this.container.appendChild(overlay);
+    this.element = overlay;
+
+    document.addEventListener('keydown', this.handleKeyDown);
+  }
+
+  /**
+   * Whether a page is showing
+   * @returns {boolean} True while the menu is open
+   */
+  isOpen() {
+    return this.page !== null;
+  }
+
+  /**
+   * Show a page, replacing the current one
+   * @param {Object} page - Page to show
+   * @param {string} page.title - Heading
+   * @param {string} page.text - Text under the heading (optional, newlines kept)
+   * @param {HTMLElement} page.content - Element shown under the text (optional)
+   * @param {Array} page.items - Buttons and sliders (optional)
+   * @param {Function} page.onBack - Called on Escape / gamepad back (optional)
+   * @param {number} page.selected - Item selected to begin with (optional, the first enabled one by default)
+   */
+  show(page) {
+    this.page = page;
+    this.rows = [];
+    this.element.textContent = '';
+
+    const panel = document.createElement('div');
+    panel.style.minWidth = '320px';
+    panel.style.maxWidth = '520px';
+    panel.style.padding = '24px 32px';
+    panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    panel.style.borderRadius = '8px';
+    panel.style.textAlign = 'center';
+    this.element.appendChild(panel);
+
+    const title = document.createElement('div');
+    title.textContent = page.title;
+    title.style.fontSize = '28px';
+    title.style.marginBottom = '12px';
+    panel.appendChild(title);
+
+    if (page.text) {
+      const text = document.createElement('div');
+      text.textContent = page.text;
+      text.style.whiteSpace = 'pre-line';
+      text.style.fontSize = '14px';
+      text.style.lineHeight = '1.5';
+      text.style.opacity = '0.85';
+      text.style.marginBottom = '16px';
+      panel.appendChild(text);
+    }
+
+    if (page.content) {
+      page.content.style.marginBottom = '16px';
+      panel.appendChild(page.content);
+    }
+
+    (page.items || []).forEach((item, index) => {
+      const row = item.onChange ? this.createSlider(item, index) : this.createButton(item, index);
+      panel.appendChild(row.element);
+      this.rows.push(row);
+    });
+
+    this.element.style.display = 'flex';
+
+    const first = this.rows.findIndex(row => !row.item.disabled);
+    this.select(page.selected ?? Math.max(first, 0));
+  }
+
+  /**
+   * Create a button row
+   * @param {Object} item - Button item
+   * @param {number} index - Row index
+   * @returns {Object} Row
+   */
+  createButton(item, index) {
+    const button = document.createElement('button');
+    button.textContent = item.label;
+    button.disabled = !!item.disabled;
+    this.styleRow(button);
+    button.style.cursor = item.disabled ? 'default' : 'pointer';
+    button.style.opacity = item.disabled ? '0.4' : '1';
+    button.addEventListener('mouseenter', () => this.select(index));
+    button.addEventListener('click', (event) => {
+      event.currentTarget.blur(); // Leave Enter and Space to the menu keys
+      this.activate(index);
+    });
+
+    return { item, element: button, slider: null };
+  }
+
+  /**
+   * Create a slider row
+   * @param {Object} item - Slider item
+   * @param {number} index - Row index
+   * @returns {Object} Row
+   */
+  createSlider(item, index) {
+    const row = document.createElement('label');
+    this.styleRow(row);
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '10px';
+    row.addEventListener('mouseenter', () => this.select(index));
+
+    const label = document.createElement('span');
+    label.style.flex = '1';
+    label.style.textAlign = 'left';
+    row.appendChild(label);
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = String(item.min ?? 0);
+    slider.max = String(item.max ?? 1);
+    slider.step = String(item.step ?? 0.05);
+    slider.value = String(item.value);
+    slider.addEventListener('input', () => this.setSliderValue(index, Number(slider.value)));
+    slider.addEventListener('change', () => slider.blur()); // Leave the arrow keys to the menu
+    row.appendChild(slider);
+
+    const result = { item, element: row, slider, label };
+    this.updateSliderLabel(result);
+    return result;
+  }
+
+  /**
+   * Shared row styling
+   * @param {HTMLElement} element - Row element
+   */
+  styleRow(element) {
+    element.style.display = 'block';
+    element.style.width = '100%';
+    element.style.boxSizing = 'border-box';
+    element.style.margin = '6px 0';
+    element.style.padding = '10px 16px';
+    element.style.border = 'none';
+    element.style.borderRadius = '4px';
+    element.style.backgroundColor = 'rgba(255, 255, 255, 0.15)';
+    element.style.color = '#ffffff';
+    element.style.fontFamily = 'Arial, sans-serif';
+    element.style.fontSize = '16px';
+  }
+
+  /**
+   * Show a slider's value next to its label
+   * @param {Object} row - Slider row
+   */
+  updateSliderLabel(row) {
+    const max = row.item.max ?? 1;
+    row.label.textContent = `${row.item.label}: ${Math.round((Number(row.slider.value) / max) * 100)}%`;
+  }
+
+  /**
+   * Move a slider and report the new value
+   * @param {number} index - Row index
+   * @param {number} value - New value
+   */
+  setSliderValue(index, value) {
+    const row = this.rows[index];
+    row.slider.value = String(value); // The input clamps and snaps to its step
+    this.updateSliderLabel(row);
+    row.item.onChange(Number(row.slider.value));
+  }
+
+  /**
+   * Highlight a row
+   * @param {number} index - Row index
+   */
+  select(index) {
+    this.selectedIndex = index;
+
+    this.rows.forEach((row, rowIndex) => {
+      const selected = rowIndex === index && !row.item.disabled;
+      row.element.style.backgroundColor = selected ? 'rgba(255, 255, 255, 0.35)' : 'rgba(255, 255, 255, 0.15)';
+    });
+  }
+
+  /**
+   * Move the highlight to the next usable row
+   * @param {number} direction - 1 for down, -1 for up
+   */
+  moveSelection(direction) {
+    const count = this.rows.length;
+
+    for (let step = 1; step <= count; step++) {
+      const index = (this.selectedIndex + direction * step + count) % count;
+      if (!this.rows[index].item.disabled) {
+        this.select(index);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Use a row (press a button)
+   * @param {number} index - Row index
+   */
+  activate(index) {
+    const row = this.rows[index];
+    if (!row || row.item.disabled || !row.item.onSelect) return;
+
+    row.item.onSelect();
+  }
+
+  /**
+   * Carry out a menu action
+   * @param {string} action - up, down, left, right, select or back
+   * @returns {boolean} Whether the action did anything
+   */
+  handleAction(action) {
+    if (!this.isOpen()) return false;
+
+    const row = this.rows[this.selectedIndex];
+
+    switch (action) {
+      case 'up':
+      case 'down':
+        if (this.rows.length === 0) return false;
+        this.moveSelection(action === 'down' ? 1 : -1);
+        return true;
+      case 'left':
+      case 'right': {
+        if (!row || !row.slider) return false;
+        const step = Number(row.slider.step) * (action === 'right' ? 1 : -1);
+        this.setSliderValue(this.selectedIndex, Number(row.slider.value) + step);
+        return true;
+      }
+      case 'select':
+        if (!row || row.slider) return false;
+        this.activate(this.selectedIndex);
+        return true;
+      case 'back':
+        if (!this.page.onBack) return false;
+        this.page.onBack();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Handle menu keys
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeyDown(event) {
+    if (!this.isOpen()) return;
+
+    const action = Object.keys(MENU_KEYS).find(name => MENU_KEYS[name].includes(event.code));
+    if (!action) return;
+
+    const typing = event.target instanceof HTMLInputElement && event.target.type === 'text';
+    if (typing && !TEXT_FIELD_KEYS.includes(event.code)) return;
+
+    // Holding a direction scrolls, but holding Enter or Escape shouldn't repeat
+    if (event.repeat && (action === 'select' || action === 'back')) return;
+
+    if (this.handleAction(action)) {
+      event.preventDefault();
+      event.stopImmediatePropagation(); // Don't let the same key pause or unpause the game
+    }
+  }
+
+  /**
+   * Hide the menu
+   */
+  hide() {
+    this.page = null;
+    this.rows = [];
+    this.element.style.display = 'none';
+    this.element.textContent = '';
+  }
+
+  /**
+   * Remove the menu
+   */
+  dispose() {
+    document.removeEventListener('keydown', this.handleKeyDown);
+
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+}
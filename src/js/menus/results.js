@@ -0,0 +1,71 @@
+import { ENEMY_TYPES } from '../config/enemies.js';
+
+/**
+ * Show seconds of play as m:ss
+ * @param {number} seconds - Seconds
+ * @returns {string} Formatted time
+ */
+export function formatPlayTime(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Get the heading for how a run ended
+ * @param {Object} results - Results from GameManager.getResults()
+ * @returns {string} Heading
+ */
+export function getOutcomeTitle(results) {
+  return results.outcome === 'completed' ? 'Victory!' : 'Game Over';
+}
+
+/**
+ * Build the stats breakdown for the results screen
+ * @param {Object} results - Results from GameManager.getResults()
+ * @returns {HTMLTableElement} Two-column table of stats, then kills by enemy type
+ */
+export function createResultsTable(results) {
+  const { stats, kills } = results;
+  const { accuracy } = stats;
+
+  const table = document.createElement('table');
+  table.style.width = '100%';
+  table.style.borderCollapse = 'collapse';
+  table.style.fontSize = '14px';
+
+  const addRow = (label, value, heading = false) => {
+    const row = table.insertRow();
+    const labelCell = row.insertCell();
+    const valueCell = row.insertCell();
+
+    labelCell.textContent = label;
+    labelCell.style.textAlign = 'left';
+    labelCell.style.padding = '3px 0';
+    labelCell.style.opacity = heading ? '1' : '0.8';
+    labelCell.style.fontWeight = heading ? 'bold' : 'normal';
+    labelCell.style.paddingTop = heading ? '12px' : '3px';
+
+    valueCell.textContent = value;
+    valueCell.style.textAlign = 'right';
+  };
+
+  addRow('Score', results.score.toLocaleString());
+  addRow('Waves cleared', String(results.wavesCompleted));
+  addRow('Time', formatPlayTime(results.duration));
+  addRow('Accuracy', `${accuracy.percentage.toFixed(1)}% (${accuracy.hits}/${accuracy.shots})`);
+  addRow('Max combo', String(stats.maxCombo));
+  addRow('Critical hits', String(stats.criticalHits));
+  addRow('Damage dealt', String(Math.round(stats.totalDamageDealt)));
+  addRow('Damage taken', String(Math.round(stats.totalDamageTaken)));
+
+  addRow('Kills', String(stats.enemiesDefeated), true);
+  for (const [type, enemy] of Object.entries(ENEMY_TYPES)) {
+    // Bosses are only listed once beaten
+    if (enemy.phases && !kills[type]) continue;
+
+    const name = enemy.name || type.charAt(0).toUpperCase() + type.slice(1);
+    addRow(name, String(kills[type] || 0));
+  }
+
+  return table;
+}
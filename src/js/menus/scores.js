@@ -0,0 +1,116 @@
+import { PERSONAL_BEST_STATS } from '../scores/PersonalBestTracker.js';
+import { formatPlayTime } from './results.js';
+import { DIFFICULTY_PRESETS } from '../config/enemies.js';
+
+/**
+ * Name a high score table
+ * @param {Object} board - Anything with arena, difficulty and mode (a table or run entry)
+ * @returns {string} E.g. "Standard arena, Veteran" or "Standard arena, Veteran, endless"
+ */
+export function describeBoard({ arena, difficulty, mode = 'campaign' }) {
+  // Tables from before the presets keep their old difficulty name
+  const difficultyName = DIFFICULTY_PRESETS[difficulty] ? DIFFICULTY_PRESETS[difficulty].label : difficulty;
+  const name = `${arena.charAt(0).toUpperCase()}${arena.slice(1)} arena, ${difficultyName}`;
+  return mode === 'campaign' ? name : `${name}, ${mode}`;
+}
+
+/**
+ * Sum up a recorded run on one line, for the run history
+ * @param {Object} entry - Run entry (see HighScoreStore)
+ * @returns {string} Date, outcome and score
+ */
+export function describeRun(entry) {
+  const outcome = entry.outcome === 'completed' ? 'Victory' : 'Defeat';
+  return `${new Date(entry.timestamp).toLocaleDateString()} - ${outcome} - ${entry.score.toLocaleString()}`;
+}
+
+/**
+ * Show a personal best the way its stat is shown elsewhere
+ * @param {Object} stat - Stat (see PERSONAL_BEST_STATS)
+ * @param {number} value - Best value
+ * @returns {string} Formatted value
+ */
+export function formatBest(stat, value) {
+  return stat.key === 'duration' ? formatPlayTime(value) : value.toLocaleString();
+}
+
+/**
+ * Create an empty table styled like the results table
+ * @returns {HTMLTableElement} Table
+ */
+function createTable() {
+  const table = document.createElement('table');
+  table.style.width = '100%';
+  table.style.borderCollapse = 'collapse';
+  table.style.fontSize = '14px';
+  return table;
+}
+
+/**
+ * Add a row of cells, the first left-aligned and the rest right-aligned
+ * @param {HTMLTableElement} table - Table
+ * @param {Array<string>} values - Cell text
+ * @param {Object} options - { heading, highlight }
+ */
+function addRow(table, values, { heading = false, highlight = false } = {}) {
+  const row = table.insertRow();
+  row.style.color = highlight ? '#ffd700' : '';
+  row.style.fontWeight = heading || highlight ? 'bold' : 'normal';
+
+  values.forEach((value, index) => {
+    const cell = row.insertCell();
+    cell.textContent = value;
+    cell.style.padding = '3px 6px';
+    cell.style.textAlign = index === 1 ? 'left' : 'right';
+  });
+}
+
+/**
+ * Build a high score table
+ * @param {Array} entries - Run entries, best first (see HighScoreStore); entries with a rank are shown at it
+ * @param {string} highlightId - Entry to pick out, e.g. the run just played (optional)
+ * @returns {HTMLTableElement} Place, name, score, waves, time and date per run
+ */
+export function createScoreTable(entries, highlightId = null) {
+  const table = createTable();
+
+  addRow(table, ['#', 'Name', 'Score', 'Waves', 'Time', 'Date'], { heading: true });
+  entries.forEach((entry, index) => {
+    addRow(table, [
+      String(entry.rank ?? index + 1),
+      entry.name,
+      entry.score.toLocaleString(),
+      String(entry.wavesCompleted),
+      formatPlayTime(entry.duration),
+      new Date(entry.timestamp).toLocaleDateString()
+    ], { highlight: entry.id === highlightId });
+  });
+
+  return table;
+}
+
+/**
+ * Build the personal bests table
+ * @param {Object} bests - Best value by stat key (see HighScoreStore.getPersonalBests)
+ * @returns {HTMLTableElement} One row per stat
+ */
+export function createBestsTable(bests) {
+  const table = createTable();
+
+  for (const stat of PERSONAL_BEST_STATS) {
+    const value = bests[stat.key];
+    const row = table.insertRow();
+    const labelCell = row.insertCell();
+    const valueCell = row.insertCell();
+
+    labelCell.textContent = stat.label;
+    labelCell.style.textAlign = 'left';
+    labelCell.style.padding = '3px 0';
+    labelCell.style.opacity = '0.8';
+
+    valueCell.textContent = value === undefined ? '-' : formatBest(stat, value);
+    valueCell.style.textAlign = 'right';
+  }
+
+  return table;
+}
@@ -0,0 +1,32 @@
+/**
+ * Fixed text shown on menu pages
+ */
+
+export const CONTROLS_TEXT = [
+  'W, A, S, D - Move',
+  'Mouse - Look around',
+  'Left click - Shoot',
+  'Space - Jump',
+  'Shift - Sprint',
+  'Esc or P - Pause',
+  'F8 - Save a replay of the current run',
+  'F9 - Watch a replay',
+  '',
+  'Menus: arrows or W / S to choose, Enter to select, Esc to go back.',
+  'Gamepad: d-pad or left stick, A to select, B to go back, Start to pause.'
+].join('\n');
+
+export const TUTORIAL_TEXT = [
+  'Defend the platform against the incoming waves. Clear every wave to win.',
+  'Hold the left mouse button to fire at whatever is under the crosshair.',
+  'Keep moving and use the barriers as cover: they soak up fire but break after a while.',
+  'Stay out of the glowing hazard zones and inside the arena boundary, which both hurt.',
+  'The run is saved as you play, so you can leave and Continue it later.'
+].join('\n\n');
+
+export const CREDITS_TEXT = [
+  'Cosmic Defender 3D',
+  '',
+  'Built with Three.js, cannon-es and Vite',
+  'Debug tools: Tweakpane and Stats.js'
+].join('\n');
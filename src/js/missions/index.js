@@ -0,0 +1,24 @@
+import { parseWaveScript, WaveScriptError } from '../enemies/waveScript.js';
+
+// Mission scripts bundled with the game, as text so problems can be reported by line
+const MISSION_FILES = import.meta.glob('./*.json', { query: '?raw', import: 'default', eager: true });
+
+/**
+ * Load the bundled missions
+ * Scripts that don't load are left out, with their problems logged.
+ * @returns {Object[]} Loaded wave scripts (see waveScript.js), by file name
+ */
+export function loadMissions() {
+  const missions = [];
+
+  Object.keys(MISSION_FILES).sort().forEach(path => {
+    try {
+      missions.push(parseWaveScript(MISSION_FILES[path], path.replace('./', 'missions/')));
+    } catch (error) {
+      if (!(error instanceof WaveScriptError)) throw error;
+      console.error(error.message);
+    }
+  });
+
+  return missions;
+}
@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+
+/**
+ * BodyInterpolator - Smooths mesh transforms between fixed physics steps
+ *
+ * The simulation advances in fixed ticks, but frames are rendered whenever
+ * the browser asks. Before each tick the interpolator records every linked
+ * body's transform; when rendering it places each mesh between the previous
+ * and current tick, so movement looks smooth at any frame rate.
+ */
+export class BodyInterpolator {
+  constructor() {
+    // Linked objects: { mesh, body, rotation, previousPosition, previousQuaternion }
+    this.objects = [];
+
+    // Scratch quaternion (three's slerp can't read cannon quaternions directly)
+    this.targetQuaternion = new THREE.Quaternion();
+  }
+
+  /**
+   * Link a mesh to a physics body
+   * @param {THREE.Object3D} mesh - Mesh to move
+   * @param {CANNON.Body} body - Body it follows
+   * @param {Object} options - Link options
+   * @param {boolean} options.rotation - Also follow the body's rotation (off for meshes that turn themselves)
+   */
+  add(mesh, body, options = {}) {
+    const { rotation } = Object.assign({ rotation: true }, options);
+
+    this.remove(mesh);
+
+    this.objects.push({
+      mesh,
+      body,
+      rotation,
+      previousPosition: new THREE.Vector3().copy(body.position),
+      previousQuaternion: new THREE.Quaternion().copy(body.quaternion)
+    });
+  }
+
+  /**
+   * Unlink a mesh
+   * @param {THREE.Object3D} mesh - Mesh to stop moving
+   */
+  remove(mesh) {
+    this.objects = this.objects.filter(object => object.mesh !== mesh);
+  }
+
+  /**
+   * Record the current body transforms as the start of the next tick
+   * Call before each physics step.
+   */
+  capture() {
+    for (const object of this.objects) {
+      object.previousPosition.copy(object.body.position);
+      object.previousQuaternion.copy(object.body.quaternion);
+    }
+  }
+
+  /**
+   * Place meshes between the previous and current tick
+   * @param {number} alpha - Progress through the next tick (0-1)
+   */
+  interpolate(alpha) {
+    for (const object of this.objects) {
+      const { mesh, body } = object;
+
+      mesh.position.copy(object.previousPosition).lerp(body.position, alpha);
+
+      if (object.rotation) {
+        this.targetQuaternion.copy(body.quaternion);
+        mesh.quaternion.copy(object.previousQuaternion).slerp(this.targetQuaternion, alpha);
+      }
+    }
+  }
+
+  /**
+   * Unlink all meshes
+   */
+  clear() {
+    this.objects = [];
+  }
+}
@@ -112,22 +112,11 @@ export class PhysicsHelper {
       shape: shape,
     });
 
-    // Set plane normal by calculating the rotation from the up vector to the desired normal
-    const upVector = new CANNON.Vec3(0, 1, 0);
+    // Set plane normal (cannon planes face +Z until rotated)
+    const planeNormal = new CANNON.Vec3(0, 0, 1);
     const normalVector = new CANNON.Vec3(normal.x, normal.y, normal.z);
-    
-    if (Math.abs(normalVector.y) !== 1) {
-      // If normal is not straight up or down, calculate the rotation axis and angle
-      const rotationAxis = new CANNON.Vec3();
-      upVector.cross(normalVector, rotationAxis);
-      rotationAxis.normalize();
-      const angle = Math.acos(upVector.dot(normalVector));
-      body.quaternion.setFromAxisAngle(rotationAxis, angle);
-    } else if (normalVector.y === -1) {
-      // If normal points straight down, rotate 180 degrees around X axis
-      body.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), Math.PI);
-    }
-    // If normal points straight up (y === 1), no rotation needed
+    normalVector.normalize();
+    body.quaternion.setFromVectors(planeNormal, normalVector);
 
     // Set additional properties
     if (options.restitution !== undefined) {
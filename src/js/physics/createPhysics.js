@@ -0,0 +1,88 @@
+import * as CANNON from 'cannon-es';
+import * as THREE from 'three';
+import { PhysicsHelper } from './PhysicsHelper.js';
+import { BodyInterpolator } from './BodyInterpolator.js';
+import { GAME_CONFIG } from '../config/game.js';
+
+/**
+ * Create the physics world and the helpers systems share through it
+ * Used by the browser game and the headless simulation alike.
+ * @param {Object} config - Physics settings (GAME_CONFIG.physics)
+ * @returns {Object} Physics ({ world, defaultMaterial, helper, interpolator, raycast, ... })
+ */
+export function createPhysics(config = GAME_CONFIG.physics) {
+  // Create physics world
+  const world = new CANNON.World();
+  const defaultMaterial = new CANNON.Material('default');
+  
+  // Configure physics
+  world.gravity.set(0, config.gravity, 0);
+  world.broadphase = new CANNON.NaiveBroadphase();
+  world.solver.iterations = config.solverIterations;
+  
+  // Create default contact material
+  const defaultContactMaterial = new CANNON.ContactMaterial(
+    defaultMaterial,
+    defaultMaterial,
+    {
+      friction: config.friction,
+      restitution: config.restitution,
+      contactEquationStiffness: 1e6,
+      contactEquationRelaxation: 3,
+    }
+  );
+  world.addContactMaterial(defaultContactMaterial);
+  
+  // Smooths meshes linked to bodies between simulation ticks
+  const interpolator = new BodyInterpolator();
+  
+  return {
+    world: world,
+    defaultMaterial: defaultMaterial,
+    helper: new PhysicsHelper(world, defaultMaterial),
+    interpolator: interpolator,
+    addBody: (body) => world.addBody(body),
+    removeBody: (body) => world.removeBody(body),
+    addObjectToUpdate: (mesh, body) => interpolator.add(mesh, body),
+    removeObjectToUpdate: (mesh) => interpolator.remove(mesh),
+    raycast: (origin, direction, maxDistance, filter) => raycast(world, origin, direction, maxDistance, filter)
+  };
+}
+
+/**
+ * Find the closest body along a ray
+ * Bodies the filter turns down don't block the ray, so it can pass through
+ * them to whatever is behind.
+ * @param {CANNON.World} world - Physics world
+ * @param {THREE.Vector3} origin - Start of the ray
+ * @param {THREE.Vector3} direction - Direction of the ray (normalized)
+ * @param {number} maxDistance - Length of the ray
+ * @param {Function} filter - Whether a body can be hit (optional)
+ * @returns {Object|null} { body, point, normal, distance }, or null if nothing was hit
+ */
+function raycast(world, origin, direction, maxDistance = 100, filter = null) {
+  const from = new CANNON.Vec3(origin.x, origin.y, origin.z);
+  const to = new CANNON.Vec3(
+    origin.x + direction.x * maxDistance,
+    origin.y + direction.y * maxDistance,
+    origin.z + direction.z * maxDistance
+  );
+  
+  let closest = null;
+  
+  // The result passed to the callback is reused, so copy what's kept
+  world.raycastAll(from, to, { skipBackfaces: true }, (result) => {
+    if (closest && result.distance >= closest.distance) return;
+    if (filter && !filter(result.body)) return;
+    
+    const { hitPointWorld: point, hitNormalWorld: normal } = result;
+    closest = {
+      body: result.body,
+      point: new THREE.Vector3(point.x, point.y, point.z),
+      normal: new THREE.Vector3(normal.x, normal.y, normal.z),
+      distance: result.distance
+    };
+  });
+  
+  return closest;
+}
@@ -1,3 +1,5 @@
+import { WEAPON_SWITCH } from '../config/weapons.js';
+
 /**
  * HUD - Heads-up display for showing player information
  */
@@ -14,8 +16,21 @@ export class HUD {
       healthBar: null,
       healthText: null,
       crosshair: null,
+      weaponWheel: null,
+      weaponSlots: [],
+      ammoCounter: null,
+      bossBar: null,
+      bossFill: null,
+      bossName: null,
     };
     
+    // Boss health bar contents, so the DOM only changes with them
+    this.bossStatus = null;
+    
+    // Weapon inventory shown on the weapon wheel
+    this.weaponInventory = null;
+    this.weaponWheelTimeout = null;
+    
     // Initialize
     this.init();
   }
@@ -39,6 +54,9 @@ export class HUD {
     
     // Create crosshair
     this.createCrosshair();
+    
+    // Create weapon wheel
+    this.createWeaponWheel();
   }
   
   /**
@@ -121,6 +139,140 @@ export class HUD {
     this.elements.crosshair = crosshairContainer;
   }
   
+  /**
+   * Create the weapon wheel (shown around the crosshair while switching)
+   */
+  createWeaponWheel() {
+    const wheel = document.createElement('div');
+    wheel.style.position = 'absolute';
+    wheel.style.top = '50%';
+    wheel.style.left = '50%';
+    wheel.style.width = '0';
+    wheel.style.height = '0';
+    wheel.style.opacity = '0';
+    wheel.style.transition = 'opacity 0.2s ease-out';
+    this.hudContainer.appendChild(wheel);
+    
+    this.elements.weaponWheel = wheel;
+    
+    // Reuse the page's ammo counter if it has one
+    this.elements.ammoCounter = document.getElementById('ammo-counter');
+  }
+  
+  /**
+   * Show a weapon inventory on the weapon wheel and ammo counter
+   * @param {WeaponInventory} inventory - Player weapon inventory
+   */
+  connectWeaponInventory(inventory) {
+    this.disconnectWeaponInventory();
+    this.weaponInventory = inventory;
+    
+    inventory.events.on('weaponAdded', this.onWeaponsChanged, this);
+    inventory.events.on('weaponSwitched', this.onWeaponSwitched, this);
+    inventory.events.on('ammoChanged', this.updateAmmo, this);
+    
+    this.buildWeaponWheel(inventory.getWheelState());
+    
+    const weapon = inventory.getActiveWeapon();
+    if (weapon) {
+      this.updateAmmo(weapon.getAmmoStatus());
+    }
+  }
+  
+  /**
+   * Stop listening to the connected weapon inventory
+   */
+  disconnectWeaponInventory() {
+    if (!this.weaponInventory) return;
+    
+    this.weaponInventory.events.off('weaponAdded', this.onWeaponsChanged, this);
+    this.weaponInventory.events.off('weaponSwitched', this.onWeaponSwitched, this);
+    this.weaponInventory.events.off('ammoChanged', this.updateAmmo, this);
+    this.weaponInventory = null;
+  }
+  
+  onWeaponsChanged() {
+    this.buildWeaponWheel(this.weaponInventory.getWheelState());
+  }
+  
+  onWeaponSwitched() {
+    this.buildWeaponWheel(this.weaponInventory.getWheelState());
+    this.showWeaponWheel();
+  }
+  
+  /**
+   * Lay out one slot per weapon in a ring around the crosshair
+   * @param {Object} state - Wheel state from WeaponInventory.getWheelState()
+   */
+  buildWeaponWheel(state) {
+    const wheel = this.elements.weaponWheel;
+    wheel.innerHTML = '';
+    this.elements.weaponSlots = [];
+    
+    const radius = 110; // px
+    const count = state.weapons.length;
+    
+    state.weapons.forEach((weapon, index) => {
+      // Start at the top and go clockwise
+      const angle = (index / count) * Math.PI * 2 - Math.PI / 2;
+      const color = `#${weapon.color.toString(16).padStart(6, '0')}`;
+      const active = index === state.activeIndex;
+      
+      const slot = document.createElement('div');
+      slot.style.position = 'absolute';
+      slot.style.left = `${Math.cos(angle) * radius}px`;
+      slot.style.top = `${Math.sin(angle) * radius}px`;
+      slot.style.transform = `translate(-50%, -50%) scale(${active ? 1.15 : 1})`;
+      slot.style.width = '96px';
+      slot.style.padding = '6px';
+      slot.style.borderRadius = '8px';
+      slot.style.border = `2px solid ${active ? color : 'rgba(255, 255, 255, 0.3)'}`;
+      slot.style.backgroundColor = active ? 'rgba(0, 0, 0, 0.7)' : 'rgba(0, 0, 0, 0.4)';
+      slot.style.color = '#ffffff';
+      slot.style.fontFamily = 'Arial, sans-serif';
+      slot.style.fontSize = '11px';
+      slot.style.textAlign = 'center';
+      slot.style.opacity = active ? '1' : '0.6';
+      
+      const name = document.createElement('div');
+      name.textContent = `${weapon.slot}. ${weapon.name}`;
+      name.style.color = color;
+      name.style.fontWeight = 'bold';
+      slot.appendChild(name);
+      
+      const ammo = document.createElement('div');
+      ammo.textContent = `${weapon.ammo.current} / ${weapon.ammo.reserve}`;
+      slot.appendChild(ammo);
+      
+      wheel.appendChild(slot);
+      this.elements.weaponSlots.push(slot);
+    });
+  }
+  
+  /**
+   * Briefly show the weapon wheel
+   */
+  showWeaponWheel() {
+    this.elements.weaponWheel.style.opacity = '1';
+    
+    clearTimeout(this.weaponWheelTimeout);
+    this.weaponWheelTimeout = setTimeout(() => {
+      this.elements.weaponWheel.style.opacity = '0';
+    }, WEAPON_SWITCH.wheelDisplayTime * 1000);
+  }
+  
+  /**
+   * Update ammo display
+   * @param {Object} ammo - Ammo status from BaseWeapon.getAmmoStatus()
+   */
+  updateAmmo(ammo) {
+    if (!this.elements.ammoCounter) return;
+    
+    this.elements.ammoCounter.textContent = ammo.isReloading
+      ? `RELOADING / ${ammo.reserve}`
+      : `${ammo.current} / ${ammo.reserve}`;
+  }
+  
   /**
    * Update health display
    * @param {number} health - Current health
@@ -141,6 +293,74 @@ export class HUD {
     }
   }
   
+  /**
+   * Show the boss being fought across the top of the screen
+   * @param {Object} boss - { name, phase, health, maxHealth } (see Boss.getStatus), or null to hide the bar
+   */
+  updateBossBar(boss) {
+    const last = this.bossStatus;
+    if (!boss) {
+      if (last && this.elements.bossBar) this.elements.bossBar.style.display = 'none';
+      this.bossStatus = null;
+      return;
+    }
+    
+    if (!this.elements.bossBar) {
+      this.createBossBar();
+    }
+    
+    const percentage = Math.max(0, boss.health / boss.maxHealth) * 100;
+    if (last && last.name === boss.name && last.phase === boss.phase && last.percentage === percentage) return;
+    
+    this.elements.bossBar.style.display = 'block';
+    this.elements.bossName.textContent = boss.phase ? `${boss.name} - ${boss.phase}` : boss.name;
+    this.elements.bossFill.style.width = `${percentage}%`;
+    this.bossStatus = { name: boss.name, phase: boss.phase, percentage };
+  }
+  
+  /**
+   * Create the boss health bar (hidden until there's a boss)
+   */
+  createBossBar() {
+    const bossBar = document.createElement('div');
+    bossBar.style.position = 'absolute';
+    bossBar.style.top = '20px';
+    bossBar.style.left = '50%';
+    bossBar.style.transform = 'translateX(-50%)';
+    bossBar.style.width = '50%';
+    bossBar.style.display = 'none';
+    this.hudContainer.appendChild(bossBar);
+    
+    const name = document.createElement('div');
+    name.style.color = '#ffffff';
+    name.style.fontFamily = 'Arial, sans-serif';
+    name.style.fontSize = '18px';
+    name.style.fontWeight = 'bold';
+    name.style.textAlign = 'center';
+    name.style.textShadow = '1px 1px 2px #000000';
+    name.style.marginBottom = '4px';
+    bossBar.appendChild(name);
+    
+    const track = document.createElement('div');
+    track.style.height = '14px';
+    track.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+    track.style.border = '1px solid rgba(255, 255, 255, 0.4)';
+    track.style.borderRadius = '7px';
+    track.style.overflow = 'hidden';
+    bossBar.appendChild(track);
+    
+    const fill = document.createElement('div');
+    fill.style.width = '100%';
+    fill.style.height = '100%';
+    fill.style.backgroundColor = '#aa2244';
+    fill.style.transition = 'width 0.2s ease-out';
+    track.appendChild(fill);
+    
+    this.elements.bossBar = bossBar;
+    this.elements.bossName = name;
+    this.elements.bossFill = fill;
+  }
+  
   /**
    * Show damage indicator
    */
@@ -167,10 +387,40 @@ export class HUD {
     }, 100);
   }
   
+  /**
+   * Flash a short message near the top of the screen
+   * @param {string} text - Message
+   */
+  showNotice(text) {
+    const notice = document.createElement('div');
+    notice.textContent = text;
+    notice.style.position = 'absolute';
+    notice.style.top = '15%';
+    notice.style.left = '50%';
+    notice.style.transform = 'translateX(-50%)';
+    notice.style.color = '#ffd700';
+    notice.style.fontFamily = 'Arial, sans-serif';
+    notice.style.fontSize = '24px';
+    notice.style.fontWeight = 'bold';
+    notice.style.textShadow = '2px 2px 2px rgba(0, 0, 0, 0.7)';
+    this.hudContainer.appendChild(notice);
+
+    // Fade out and remove
+    setTimeout(() => {
+      notice.style.transition = 'opacity 0.5s ease-out';
+      notice.style.opacity = '0';
+
+      setTimeout(() => notice.remove(), 500);
+    }, 2000);
+  }
+
   /**
    * Dispose of HUD
    */
   dispose() {
+    this.disconnectWeaponInventory();
+    clearTimeout(this.weaponWheelTimeout);
+    
     if (this.hudContainer && this.hudContainer.parentNode) {
       this.hudContainer.parentNode.removeChild(this.hudContainer);
     }
@@ -1,10 +1,17 @@
 /**
  * InputManager - Handles keyboard and mouse input for the player
+ *
+ * Browser events are queued and only reach the callbacks when flush() is
+ * called at the start of a simulation tick, so a run can be recorded and
+ * replayed tick for tick (see InputRecorder). Queued events are compact
+ * arrays: ['kd', key], ['ku', key], ['mm', dx, dy], ['md', button], ['mu', button],
+ * ['mw', deltaY] (scroll wheel) and ['r'] (release everything held). Without an element it listens to
+ * nothing, and only passes on events fed in through apply() (headless replays).
  */
 export class InputManager {
   /**
    * Create a new input manager
-   * @param {HTMLElement} element - DOM element to attach listeners to
+   * @param {HTMLElement} element - DOM element to attach listeners to (null for none)
    * @param {Object} options - Input options
    */
   constructor(element, options = {}) {
@@ -21,12 +28,19 @@ export class InputManager {
     this.mousePosition = { x: 0, y: 0 };
     this.mouseDelta = { x: 0, y: 0 };
     
+    // Events waiting for the next tick
+    this.queue = [];
+    this.live = true; // Off while a replay supplies the input
+    this.suspended = false; // Ignoring the browser while the game is stopped
+    
     // Callbacks
     this.onKeyDown = null;
     this.onKeyUp = null;
     this.onMouseMove = null;
     this.onMouseDown = null;
     this.onMouseUp = null;
+    this.onWheel = null;
+    this.onRelease = null;
     
     // Initialize
     this.init();
@@ -36,14 +50,19 @@ export class InputManager {
    * Initialize input manager
    */
   init() {
+    if (!this.element) return;
+    
     // Bind event handlers
     this.handleKeyDown = this.handleKeyDown.bind(this);
     this.handleKeyUp = this.handleKeyUp.bind(this);
     this.handleMouseMove = this.handleMouseMove.bind(this);
     this.handleMouseDown = this.handleMouseDown.bind(this);
     this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
     this.handlePointerLockChange = this.handlePointerLockChange.bind(this);
     this.handlePointerLockError = this.handlePointerLockError.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleContextMenu = this.handleContextMenu.bind(this);
     
     // Add event listeners
     document.addEventListener('keydown', this.handleKeyDown);
@@ -51,6 +70,7 @@ export class InputManager {
     this.element.addEventListener('mousemove', this.handleMouseMove);
     this.element.addEventListener('mousedown', this.handleMouseDown);
     this.element.addEventListener('mouseup', this.handleMouseUp);
+    this.element.addEventListener('wheel', this.handleWheel, { passive: true });
     
     // Set up pointer lock if enabled
     if (this.options.enablePointerLock) {
@@ -58,19 +78,109 @@ export class InputManager {
       document.addEventListener('pointerlockerror', this.handlePointerLockError);
       
       // Request pointer lock on click
-      this.element.addEventListener('click', () => {
-        if (!this.isPointerLocked) {
-          this.element.requestPointerLock();
-        }
-      });
+      this.element.addEventListener('click', this.handleClick);
     }
     
     // Prevent context menu if enabled
     if (this.options.preventContextMenu) {
-      this.element.addEventListener('contextmenu', (event) => {
-        event.preventDefault();
-      });
+      this.element.addEventListener('contextmenu', this.handleContextMenu);
+    }
+  }
+  
+  /**
+   * Queue an event for the next tick
+   * @param {Array} event - Encoded event
+   */
+  queueEvent(event) {
+    if (!this.live || this.suspended) return;
+    
+    // Several mouse moves (or scrolls) in one tick become one
+    const last = this.queue[this.queue.length - 1];
+    if (event[0] === 'mm' && last && last[0] === 'mm') {
+      last[1] += event[1];
+      last[2] += event[2];
+      return;
     }
+    if (event[0] === 'mw' && last && last[0] === 'mw') {
+      last[1] += event[1];
+      return;
+    }
+    
+    this.queue.push(event);
+  }
+  
+  /**
+   * Apply queued events
+   * Call once at the start of each simulation tick.
+   * @returns {Array} The events applied
+   */
+  flush() {
+    const events = this.queue;
+    this.queue = [];
+    
+    events.forEach(event => this.apply(event));
+    
+    return events;
+  }
+  
+  /**
+   * Pass an event to its callback
+   * @param {Array} event - Encoded event
+   */
+  apply(event) {
+    const [type, a, b] = event;
+    
+    switch (type) {
+      case 'kd':
+        if (this.onKeyDown) this.onKeyDown(a);
+        break;
+      case 'ku':
+        if (this.onKeyUp) this.onKeyUp(a);
+        break;
+      case 'mm':
+        if (this.onMouseMove) this.onMouseMove(a, b);
+        break;
+      case 'md':
+        if (this.onMouseDown) this.onMouseDown(a);
+        break;
+      case 'mu':
+        if (this.onMouseUp) this.onMouseUp(a);
+        break;
+      case 'mw':
+        if (this.onWheel) this.onWheel(a);
+        break;
+      case 'r':
+        if (this.onRelease) this.onRelease();
+        break;
+    }
+  }
+  
+  /**
+   * Switch live input on or off
+   * @param {boolean} live - Whether browser events are used
+   */
+  setLive(live) {
+    this.live = live;
+    this.queue = [];
+  }
+  
+  /**
+   * Stop taking browser events (e.g. while a menu is open)
+   * Keys let go of while suspended are never seen, so everything held is
+   * released on the next tick instead.
+   */
+  suspend() {
+    if (!this.live || this.suspended) return;
+    
+    this.suspended = true;
+    this.queue = [['r']];
+  }
+  
+  /**
+   * Take browser events again after suspend()
+   */
+  resume() {
+    this.suspended = false;
   }
   
   /**
@@ -83,10 +193,7 @@ export class InputManager {
       return;
     }
     
-    // Call callback if set
-    if (this.onKeyDown) {
-      this.onKeyDown(event.key);
-    }
+    this.queueEvent(['kd', event.key]);
   }
   
   /**
@@ -99,10 +206,7 @@ export class InputManager {
       return;
     }
     
-    // Call callback if set
-    if (this.onKeyUp) {
-      this.onKeyUp(event.key);
-    }
+    this.queueEvent(['ku', event.key]);
   }
   
   /**
@@ -123,9 +227,9 @@ export class InputManager {
       this.mouseDelta.y = 0;
     }
     
-    // Call callback if set
-    if (this.onMouseMove) {
-      this.onMouseMove(this.mouseDelta.x, this.mouseDelta.y);
+    // Only locked movement turns the player
+    if (this.isPointerLocked) {
+      this.queueEvent(['mm', this.mouseDelta.x, this.mouseDelta.y]);
     }
   }
   
@@ -134,10 +238,7 @@ export class InputManager {
    * @param {MouseEvent} event - Mouse event
    */
   handleMouseDown(event) {
-    // Call callback if set
-    if (this.onMouseDown) {
-      this.onMouseDown(event.button);
-    }
+    this.queueEvent(['md', event.button]);
   }
   
   /**
@@ -145,12 +246,37 @@ export class InputManager {
    * @param {MouseEvent} event - Mouse event
    */
   handleMouseUp(event) {
-    // Call callback if set
-    if (this.onMouseUp) {
-      this.onMouseUp(event.button);
+    this.queueEvent(['mu', event.button]);
+  }
+  
+  /**
+   * Handle scroll wheel event
+   * @param {WheelEvent} event - Wheel event
+   */
+  handleWheel(event) {
+    // Like mouse moves, only while the game has the pointer
+    if (this.isPointerLocked) {
+      this.queueEvent(['mw', event.deltaY]);
     }
   }
   
+  /**
+   * Handle click (requests pointer lock)
+   */
+  handleClick() {
+    if (!this.isPointerLocked) {
+      this.element.requestPointerLock();
+    }
+  }
+  
+  /**
+   * Handle context menu event
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleContextMenu(event) {
+    event.preventDefault();
+  }
+  
   /**
    * Handle pointer lock change
    */
@@ -205,20 +331,44 @@ export class InputManager {
     this.onMouseUp = callback;
   }
   
+  /**
+   * Set scroll wheel callback
+   * @param {Function} callback - Callback function
+   */
+  setWheelCallback(callback) {
+    this.onWheel = callback;
+  }
+  
+  /**
+   * Set release callback (let go of every key and button)
+   * @param {Function} callback - Callback function
+   */
+  setReleaseCallback(callback) {
+    this.onRelease = callback;
+  }
+  
   /**
    * Dispose of input manager
    */
   dispose() {
+    if (!this.element) return;
+    
     // Remove event listeners
     document.removeEventListener('keydown', this.handleKeyDown);
     document.removeEventListener('keyup', this.handleKeyUp);
     this.element.removeEventListener('mousemove', this.handleMouseMove);
     this.element.removeEventListener('mousedown', this.handleMouseDown);
     this.element.removeEventListener('mouseup', this.handleMouseUp);
+    this.element.removeEventListener('wheel', this.handleWheel);
     
     if (this.options.enablePointerLock) {
       document.removeEventListener('pointerlockchange', this.handlePointerLockChange);
       document.removeEventListener('pointerlockerror', this.handlePointerLockError);
+      this.element.removeEventListener('click', this.handleClick);
+    }
+    
+    if (this.options.preventContextMenu) {
+      this.element.removeEventListener('contextmenu', this.handleContextMenu);
     }
   }
 } 
\ No newline at end of file
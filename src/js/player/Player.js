@@ -1,27 +1,56 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { PulseCannon } from '../weapons/types/PulseCannon.js';
+import { Shotgun } from '../weapons/types/Shotgun.js';
+import { ChargeBeam } from '../weapons/types/ChargeBeam.js';
+import { GrenadeLauncher } from '../weapons/types/GrenadeLauncher.js';
+import { ProjectilePool } from '../weapons/ProjectilePool.js';
+import { WeaponInventory } from '../weapons/WeaponInventory.js';
+import { GAME_CONFIG } from '../config/game.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { Random } from '../utils/random.js';
 
 /**
  * Player - Represents the player character in the game
+ *
+ * Carries a WeaponInventory and fires its weapons along the camera's view.
+ * Trigger, reload and weapon switch input reaches the weapons in update(),
+ * after the camera has caught up with the tick, so shots come out the same
+ * in replays.
  */
 export class Player {
   /**
    * Create a new player
    * @param {THREE.Scene} scene - The scene to add the player to
    * @param {Object} physics - The physics world
+   * @param {THREE.Camera} camera - Camera the player aims with
    * @param {Object} options - Player options
+   * @param {AudioManager} options.audioManager - Audio manager for weapon sounds (optional)
+   * @param {boolean} options.invulnerable - Take hits (and report them) without losing health
    */
-  constructor(scene, physics, options = {}) {
+  constructor(scene, physics, camera, options = {}) {
     this.scene = scene;
     this.physics = physics;
+    this.camera = camera;
+    this.audioManager = options.audioManager || null;
     
     // Default options
+    const playerConfig = GAME_CONFIG.player;
     this.options = Object.assign({
-      health: 100,
-      maxHealth: 100,
-      moveSpeed: 5,
+      health: playerConfig.health,
+      maxHealth: playerConfig.maxHealth,
+      energy: playerConfig.energy,
+      maxEnergy: playerConfig.maxEnergy,
+      energyRegenRate: playerConfig.energyRegenRate, // per second
+      moveSpeed: playerConfig.moveSpeed,
+      sprintMultiplier: playerConfig.sprintMultiplier,
       turnSpeed: 3,
-      jumpForce: 5,
+      jumpForce: playerConfig.jumpForce,
+      mass: playerConfig.mass,
+      mouseSensitivity: playerConfig.mouseSensitivity,
+      hazardDamageScale: GAME_CONFIG.hazards.playerDamageScale,
+      boundaryDamage: GAME_CONFIG.hazards.boundaryDamage,
+      invulnerable: false,
       scale: 1.0,
       color: 0x00ff88, // Cyan-green color
     }, options);
@@ -29,8 +58,11 @@ export class Player {
     // Player properties
     this.health = this.options.health;
     this.maxHealth = this.options.maxHealth;
+    this.energy = this.options.energy; // Powers secondary fire
+    this.maxEnergy = this.options.maxEnergy;
     this.isAlive = true;
     this.isJumping = false;
+    this.events = new EventEmitter(); // Emits 'damaged' and 'died' (see GameManager)
     this.isMoving = false;
     this.isSprinting = false;
     
@@ -50,6 +82,9 @@ export class Player {
       shoot: false,
     };
     
+    // Trigger, reload and weapon switch input waiting for the weapons (see updateWeapons)
+    this.weaponInput = [];
+    
     // Camera
     this.cameraOffset = new THREE.Vector3(0, 3, -5);
     this.cameraTarget = new THREE.Vector3();
@@ -61,10 +96,22 @@ export class Player {
     this.body = null;
     this.weapon = null;
     
+    // Weapons and the projectiles they fire
+    this.projectilePool = null;
+    this.weapons = null;
+    
     // Initialize
     this.init();
   }
   
+  /**
+   * Player position (enemies and formations target this)
+   * @returns {THREE.Vector3} Position of the player mesh
+   */
+  get position() {
+    return this.mesh.position;
+  }
+  
   /**
    * Initialize the player
    */
@@ -77,6 +124,9 @@ export class Player {
     
     // Create weapon
     this.createWeapon();
+    
+    // Create the weapons the player fires
+    this.createWeaponInventory();
   }
   
   /**
@@ -136,7 +186,7 @@ export class Player {
     
     // Create body
     this.body = new CANNON.Body({
-      mass: 80, // Player mass in kg
+      mass: this.options.mass, // Player mass in kg
       position: new CANNON.Vec3(0, height / 2, 0),
       shape: shape,
       material: this.physics.world.defaultMaterial,
@@ -148,6 +198,12 @@ export class Player {
     this.body.fixedRotation = true;
     this.body.updateMassProperties();
     
+    // Let the player's own projectiles pass through
+    this.body.userData = {
+      isPlayer: true,
+      playerInstance: this
+    };
+    
     // Add to physics world
     this.physics.world.addBody(this.body);
   }
@@ -175,12 +231,36 @@ export class Player {
     this.weapon.position.set(0.4, 1.4, 0.2);
   }
   
+  /**
+   * Create the weapon inventory and the projectile pool its weapons fire from
+   */
+  createWeaponInventory() {
+    this.projectilePool = new ProjectilePool(this.scene, this.physics);
+    this.weapons = new WeaponInventory();
+    
+    // Each weapon rolls its spread on its own stream of the run's RNG
+    const random = this.scene.userData.random || new Random();
+    
+    [PulseCannon, Shotgun, ChargeBeam, GrenadeLauncher].forEach((WeaponClass, index) => {
+      this.weapons.addWeapon(new WeaponClass(this.scene, this.camera, this.physics, this, {
+        projectilePool: this.projectilePool,
+        audioManager: this.audioManager,
+        random: random.fork(`weapon${index + 1}`)
+      }));
+    });
+  }
+  
   /**
    * Handle keyboard input
    * @param {string} key - Key being pressed
    * @param {boolean} isDown - Whether key is being pressed or released
    */
   handleKeyInput(key, isDown) {
+    // Number keys pick a weapon by slot
+    if (isDown && key >= '1' && key <= '9' && key.length === 1) {
+      this.weaponInput.push({ type: 'slot', slot: Number(key) });
+    }
+    
     switch (key.toLowerCase()) {
       case 'w':
         this.input.forward = isDown;
@@ -200,6 +280,11 @@ export class Player {
       case 'shift':
         this.input.sprint = isDown;
         break;
+      case 'r':
+        if (isDown) {
+          this.weaponInput.push({ type: 'reload' });
+        }
+        break;
     }
     
     // Update movement state
@@ -215,7 +300,7 @@ export class Player {
    */
   handleMouseMove(deltaX, deltaY) {
     // Update camera angles
-    const sensitivity = 0.002;
+    const sensitivity = this.options.mouseSensitivity;
     this.cameraYaw -= deltaX * sensitivity;
     this.cameraPitch -= deltaY * sensitivity;
     
@@ -232,6 +317,34 @@ export class Player {
     if (button === 0) { // Left click
       this.input.shoot = isDown;
     }
+    
+    this.weaponInput.push({ type: 'button', button, isDown });
+  }
+  
+  /**
+   * Handle the scroll wheel (cycles through the weapons)
+   * @param {number} deltaY - Scroll delta
+   */
+  handleWheel(deltaY) {
+    this.weaponInput.push({ type: 'scroll', delta: deltaY });
+  }
+  
+  /**
+   * Let go of every key and button
+   */
+  releaseInput() {
+    for (const key in this.input) {
+      this.input[key] = false;
+    }
+    
+    // Let go of both triggers (a charged shot still fires, as on a normal release)
+    this.weaponInput.push(
+      { type: 'button', button: 0, isDown: false },
+      { type: 'button', button: 2, isDown: false }
+    );
+    
+    this.isMoving = false;
+    this.isSprinting = false;
   }
   
   /**
@@ -243,7 +356,7 @@ export class Player {
     
     // Calculate move speed
     const currentSpeed = this.isSprinting ? 
-      this.options.moveSpeed * 1.5 : 
+      this.options.moveSpeed * this.options.sprintMultiplier : 
       this.options.moveSpeed;
     
     // Reset movement direction
@@ -328,22 +441,42 @@ export class Player {
   
   /**
    * Take damage
+   * Emits 'damaged' with the amount and source, after any death it causes.
    * @param {number} amount - Amount of damage to take
+   * @param {Object} source - What dealt it (an enemy, or null for hazards)
    */
-  takeDamage(amount) {
+  takeDamage(amount, source = null) {
     if (!this.isAlive) return;
     
-    this.health = Math.max(0, this.health - amount);
-    
-    if (this.health <= 0) {
-      this.die();
+    if (!this.options.invulnerable) {
+      this.health = Math.max(0, this.health - amount);
+      
+      if (this.health <= 0) {
+        this.die();
+      }
     }
+    
+    this.events.emit('damaged', amount, source);
+  }
+  
+  /**
+   * Spend energy (secondary fire)
+   * @param {number} amount - Energy to spend
+   * @returns {boolean} Whether there was enough energy
+   */
+  useEnergy(amount) {
+    if (this.energy < amount) return false;
+    
+    this.energy -= amount;
+    return true;
   }
   
   /**
    * Handle player death
    */
   die() {
+    if (!this.isAlive) return;
+    
     this.isAlive = false;
     this.health = 0;
     
@@ -351,6 +484,50 @@ export class Player {
     this.body.collisionResponse = false;
     
     // TODO: Add death animation and effects
+    
+    this.events.emit('died');
+  }
+  
+  /**
+   * Get the player state for a saved run
+   * Projectiles in flight are not saved.
+   * @returns {Object} Health, energy, body position and velocity, view angles and weapons
+   */
+  getSaveState() {
+    const { position, velocity } = this.body;
+    
+    return {
+      health: this.health,
+      energy: this.energy,
+      position: [position.x, position.y, position.z],
+      velocity: [velocity.x, velocity.y, velocity.z],
+      cameraYaw: this.cameraYaw,
+      cameraPitch: this.cameraPitch,
+      weapons: this.weapons.getSaveState()
+    };
+  }
+  
+  /**
+   * Restore the player state from a saved run
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    this.health = Math.min(state.health, this.maxHealth);
+    this.energy = Math.min(state.energy, this.maxEnergy);
+    this.body.position.set(...state.position);
+    this.body.velocity.set(...state.velocity);
+    this.mesh.position.copy(this.body.position);
+    this.cameraYaw = state.cameraYaw;
+    this.cameraPitch = state.cameraPitch;
+    
+    // Saves from before the weapon inventory start with fresh weapons
+    if (state.weapons) {
+      this.weapons.restoreSaveState(state.weapons);
+    }
+    
+    if (this.health <= 0) {
+      this.die();
+    }
   }
   
   /**
@@ -365,6 +542,14 @@ export class Player {
     // Update camera
     this.updateCamera(camera);
     
+    // Fire along the camera's new view
+    this.updateWeapons(deltaTime);
+    
+    // Regenerate energy
+    if (this.isAlive) {
+      this.energy = Math.min(this.energy + this.options.energyRegenRate * deltaTime, this.maxEnergy);
+    }
+    
     // Check for ground contact to reset jump
     const contacts = this.physics.world.contacts;
     for (let i = 0; i < contacts.length; i++) {
@@ -382,6 +567,39 @@ export class Player {
     this.checkEnvironment();
   }
   
+  /**
+   * Pass this tick's weapon input to the inventory and the weapon in hand,
+   * then update the weapons and the projectiles in flight
+   * @param {number} deltaTime - Time since last update
+   */
+  updateWeapons(deltaTime) {
+    const presses = this.weaponInput;
+    this.weaponInput = [];
+    
+    if (this.isAlive) {
+      presses.forEach(press => {
+        switch (press.type) {
+          case 'slot':
+            this.weapons.selectSlot(press.slot);
+            break;
+          case 'scroll':
+            this.weapons.scroll(press.delta);
+            break;
+          case 'reload':
+            this.weapons.getActiveWeapon().handleReload();
+            break;
+          case 'button':
+            this.weapons.getActiveWeapon().handleMouseButton(press.button, press.isDown);
+            break;
+        }
+      });
+      
+      this.weapons.update(deltaTime);
+    }
+    
+    this.projectilePool.update(deltaTime);
+  }
+  
   /**
    * Check for environmental hazards and boundaries
    */
@@ -392,13 +610,13 @@ export class Player {
     // Check hazard zones
     const hazard = arena.isInHazardZone(this.mesh.position);
     if (hazard) {
-      this.takeDamage(hazard.damage * 0.1); // Scale damage for gameplay balance
+      this.takeDamage(hazard.damage * this.options.hazardDamageScale); // Scale damage for gameplay balance
       arena.createHazardDamageEffect(this.mesh.position.clone());
     }
     
     // Check boundary
     if (arena.isOutsideBoundary(this.mesh.position)) {
-      this.takeDamage(5);
+      this.takeDamage(this.options.boundaryDamage);
       arena.createBoundaryBreachEffect(this.mesh.position.clone());
     }
   }
@@ -407,6 +625,12 @@ export class Player {
    * Dispose of player resources
    */
   dispose() {
+    // Dispose of weapons and projectiles
+    if (this.weapons) {
+      this.weapons.dispose();
+      this.projectilePool.clear();
+    }
+    
     // Remove from scene
     if (this.mesh) {
       this.scene.remove(this.mesh);
@@ -0,0 +1,51 @@
+/**
+ * InputRecorder - Applies live input once per tick and records it
+ *
+ * Input sources (InputManager, KeyboardInput, MouseInput) queue browser
+ * events as they arrive instead of acting on them straight away. Each tick
+ * the recorder flushes every source, which applies the queued events, and
+ * keeps them so the run can be saved as a replay.
+ */
+export class InputRecorder {
+  /**
+   * Create a new input recorder
+   * @param {Object} sources - Input sources by name (names are stored in the replay)
+   */
+  constructor(sources = {}) {
+    this.sources = Object.entries(sources).filter(([, source]) => source);
+
+    // Encoded frames: [tickDelta, sourceName, ...events]
+    this.frames = [];
+    this.lastTick = 0;
+  }
+
+  /**
+   * Apply and record the input for a tick
+   * @param {number} tick - Tick about to be simulated
+   */
+  capture(tick) {
+    for (const [name, source] of this.sources) {
+      const events = source.flush();
+      if (events.length === 0) continue;
+
+      this.frames.push([tick - this.lastTick, name, ...events]);
+      this.lastTick = tick;
+    }
+  }
+
+  /**
+   * Get the recorded frames
+   * @returns {Array} Encoded frames (see replayFile.js)
+   */
+  getFrames() {
+    return this.frames;
+  }
+
+  /**
+   * Discard everything recorded so far
+   */
+  clear() {
+    this.frames = [];
+    this.lastTick = 0;
+  }
+}
@@ -0,0 +1,207 @@
+import { GAME_CONFIG } from '../config/game.js';
+
+// Playback speeds cycled through with [ and ]
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * ReplayControls - Timeline bar for watching replays
+ *
+ * Shows play/pause, a scrubbable timeline, playback speed and the camera
+ * mode, with keyboard shortcuts:
+ *   Space          - Play / pause
+ *   Left / Right   - Jump back / forward (GAME_CONFIG.replay.skipTime)
+ *   [ / ]          - Slower / faster
+ *   V              - Toggle the free-fly spectator camera
+ */
+export class ReplayControls {
+  /**
+   * Create the replay controls
+   * @param {HTMLElement} container - Element to add the bar to
+   * @param {Game} game - Game playing the replay
+   */
+  constructor(container, game) {
+    this.container = container;
+    this.game = game;
+
+    this.elements = {};
+    this.isScrubbing = false; // Timeline handle is being dragged
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+
+    this.init();
+  }
+
+  /**
+   * Build the bar
+   */
+  init() {
+    const bar = document.createElement('div');
+    bar.style.position = 'absolute';
+    bar.style.left = '20px';
+    bar.style.right = '20px';
+    bar.style.bottom = '60px';
+    bar.style.display = 'flex';
+    bar.style.alignItems = 'center';
+    bar.style.gap = '10px';
+    bar.style.padding = '8px 12px';
+    bar.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    bar.style.borderRadius = '8px';
+    bar.style.color = '#ffffff';
+    bar.style.fontFamily = 'Arial, sans-serif';
+    bar.style.fontSize = '12px';
+    this.container.appendChild(bar);
+    this.elements.bar = bar;
+
+    this.elements.playButton = this.createButton(() => this.game.togglePause());
+    this.elements.playButton.style.width = '60px';
+
+    // Timeline
+    const timeline = document.createElement('input');
+    timeline.type = 'range';
+    timeline.min = '0';
+    timeline.max = String(this.game.replay.tickCount);
+    timeline.style.flex = '1';
+    timeline.addEventListener('input', () => {
+      this.isScrubbing = true;
+      this.updateTimeLabel(Number(timeline.value));
+    });
+    timeline.addEventListener('change', () => {
+      this.isScrubbing = false;
+      this.game.seek(Number(timeline.value));
+    });
+    bar.appendChild(timeline);
+    this.elements.timeline = timeline;
+
+    this.elements.timeLabel = document.createElement('span');
+    this.elements.timeLabel.style.minWidth = '90px';
+    bar.appendChild(this.elements.timeLabel);
+
+    this.elements.speedButton = this.createButton(() => this.changeSpeed(1, true));
+    this.elements.cameraButton = this.createButton(() => this.game.toggleSpectator());
+
+    document.addEventListener('keydown', this.handleKeyDown);
+
+    this.update();
+  }
+
+  /**
+   * Add a button to the bar
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} The button
+   */
+  createButton(onClick) {
+    const button = document.createElement('button');
+    button.style.padding = '4px 8px';
+    button.style.border = 'none';
+    button.style.borderRadius = '4px';
+    button.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+    button.style.color = '#ffffff';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', (event) => {
+      onClick();
+      event.currentTarget.blur(); // Keep Space for the shortcut, not the button
+    });
+    this.elements.bar.appendChild(button);
+    return button;
+  }
+
+  /**
+   * Handle replay shortcuts
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeyDown(event) {
+    const skipTicks = Math.round(GAME_CONFIG.replay.skipTime / GAME_CONFIG.physics.fixedTimeStep);
+
+    switch (event.code) {
+      case 'Space':
+        this.game.togglePause();
+        break;
+      case 'ArrowLeft':
+        this.game.seek(this.getTick() - skipTicks);
+        break;
+      case 'ArrowRight':
+        this.game.seek(this.getTick() + skipTicks);
+        break;
+      case 'BracketLeft':
+        this.changeSpeed(-1);
+        break;
+      case 'BracketRight':
+        this.changeSpeed(1);
+        break;
+      case 'KeyV':
+        this.game.toggleSpectator();
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  /**
+   * Step through the playback speeds
+   * @param {number} direction - 1 for faster, -1 for slower
+   * @param {boolean} wrap - Go round to the other end instead of stopping there
+   */
+  changeSpeed(direction, wrap = false) {
+    const count = PLAYBACK_SPEEDS.length;
+    const next = PLAYBACK_SPEEDS.indexOf(this.game.playbackSpeed) + direction;
+
+    const index = wrap ? (next + count) % count : Math.min(Math.max(next, 0), count - 1);
+    this.game.setPlaybackSpeed(PLAYBACK_SPEEDS[index]);
+  }
+
+  /**
+   * Get the tick the replay is at (or heading to while scrubbing)
+   * @returns {number} Tick
+   */
+  getTick() {
+    return this.game.seekTarget ?? this.game.tickCount;
+  }
+
+  /**
+   * Show a tick as elapsed time
+   * @param {number} tick - Tick
+   */
+  updateTimeLabel(tick) {
+    const { fixedTimeStep } = GAME_CONFIG.physics;
+    const format = ticks => {
+      const seconds = Math.floor(ticks * fixedTimeStep);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+
+    this.elements.timeLabel.textContent = `${format(tick)} / ${format(this.game.replay.tickCount)}`;
+  }
+
+  /**
+   * Refresh the bar (call every frame)
+   */
+  update() {
+    const { game } = this;
+
+    if (!this.isScrubbing) {
+      this.elements.timeline.value = String(this.getTick());
+      this.updateTimeLabel(this.getTick());
+    }
+
+    if (game.seekTarget !== null) {
+      this.elements.playButton.textContent = 'Seeking';
+    } else {
+      this.elements.playButton.textContent = game.paused ? 'Play' : 'Pause';
+    }
+
+    this.elements.speedButton.textContent = `${game.playbackSpeed}x`;
+    this.elements.cameraButton.textContent = game.spectator && game.spectator.enabled ? 'Free camera' : 'Player camera';
+  }
+
+  /**
+   * Remove the bar
+   */
+  dispose() {
+    document.removeEventListener('keydown', this.handleKeyDown);
+
+    if (this.elements.bar) {
+      this.elements.bar.remove();
+    }
+  }
+}
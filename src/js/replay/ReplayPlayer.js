@@ -0,0 +1,59 @@
+/**
+ * ReplayPlayer - Feeds recorded input back into the game tick by tick
+ *
+ * Takes the place of the InputRecorder when watching a replay. Live input is
+ * switched off on every source so only the recorded events reach the game.
+ */
+export class ReplayPlayer {
+  /**
+   * Create a new replay player
+   * @param {Object} replay - Replay (see replayFile.js)
+   * @param {Object} sources - Input sources by name
+   */
+  constructor(replay, sources = {}) {
+    this.replay = replay;
+    this.sources = sources;
+
+    // Decode frames to absolute ticks
+    this.frames = [];
+    let tick = 0;
+    for (const [tickDelta, name, ...events] of replay.frames) {
+      tick += tickDelta;
+      this.frames.push({ tick, name, events });
+    }
+
+    this.cursor = 0; // Next frame to apply
+
+    Object.values(this.sources).forEach(source => {
+      if (source) source.setLive(false);
+    });
+  }
+
+  /**
+   * Apply the recorded input for a tick
+   * Ticks must be played in order from 0, so seeking back needs a new world.
+   * @param {number} tick - Tick about to be simulated
+   */
+  applyTick(tick) {
+    while (this.cursor < this.frames.length && this.frames[this.cursor].tick <= tick) {
+      const { name, events } = this.frames[this.cursor++];
+      const source = this.sources[name];
+
+      if (!source) {
+        console.warn(`Replay has input for unknown source "${name}"`);
+        continue;
+      }
+
+      events.forEach(event => source.apply(event));
+    }
+  }
+
+  /**
+   * Check whether every recorded tick has been played
+   * @param {number} tick - Ticks simulated so far
+   * @returns {boolean} True at the end of the replay
+   */
+  isFinished(tick) {
+    return tick >= this.replay.tickCount;
+  }
+}
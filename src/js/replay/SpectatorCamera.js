@@ -0,0 +1,151 @@
+import * as THREE from 'three';
+import { GAME_CONFIG } from '../config/game.js';
+
+/**
+ * SpectatorCamera - Free-fly camera for watching replays
+ *
+ * Has its own camera, so flying around never touches the player's camera or
+ * the simulation. WASD to move, Q/E to go down/up, shift to go faster and
+ * the mouse (with pointer lock) to look around.
+ */
+export class SpectatorCamera {
+  /**
+   * Create a new spectator camera
+   * @param {HTMLElement} element - Element that holds pointer lock
+   * @param {Object} options - Camera options (defaults from GAME_CONFIG.spectator)
+   */
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = Object.assign({ ...GAME_CONFIG.spectator }, options);
+
+    this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+    this.camera.rotation.order = 'YXZ';
+
+    this.enabled = false;
+    this.keys = {};
+
+    // Scratch vectors
+    this.forward = new THREE.Vector3();
+    this.right = new THREE.Vector3();
+    this.movement = new THREE.Vector3();
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+
+    document.addEventListener('keydown', this.handleKeyDown);
+    document.addEventListener('keyup', this.handleKeyUp);
+    document.addEventListener('mousemove', this.handleMouseMove);
+  }
+
+  /**
+   * Start flying from a camera's current view
+   * @param {THREE.Camera} fromCamera - Camera to take over from
+   */
+  enable(fromCamera) {
+    if (fromCamera) {
+      this.camera.position.copy(fromCamera.getWorldPosition(new THREE.Vector3()));
+      this.camera.quaternion.copy(fromCamera.getWorldQuaternion(new THREE.Quaternion()));
+      this.camera.rotation.setFromQuaternion(this.camera.quaternion, 'YXZ');
+      this.camera.rotation.z = 0;
+    }
+
+    this.enabled = true;
+  }
+
+  /**
+   * Stop flying
+   */
+  disable() {
+    this.enabled = false;
+    this.keys = {};
+  }
+
+  /**
+   * Switch between flying and following the player
+   * @param {THREE.Camera} fromCamera - Camera to take over from when enabling
+   */
+  toggle(fromCamera) {
+    if (this.enabled) {
+      this.disable();
+    } else {
+      this.enable(fromCamera);
+    }
+  }
+
+  /**
+   * Handle key down event
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeyDown(event) {
+    if (this.enabled) this.keys[event.code] = true;
+  }
+
+  /**
+   * Handle key up event
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKeyUp(event) {
+    this.keys[event.code] = false;
+  }
+
+  /**
+   * Handle mouse move event
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleMouseMove(event) {
+    if (!this.enabled || document.pointerLockElement !== this.element) return;
+
+    const sensitivity = this.options.lookSensitivity;
+    this.camera.rotation.y -= event.movementX * sensitivity;
+    this.camera.rotation.x -= event.movementY * sensitivity;
+
+    // Don't flip over the top
+    this.camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camera.rotation.x));
+  }
+
+  /**
+   * Move the camera
+   * Runs on real frame time, so it keeps working while the replay is paused.
+   * @param {number} deltaTime - Time since last frame
+   */
+  update(deltaTime) {
+    if (!this.enabled) return;
+
+    this.camera.getWorldDirection(this.forward);
+    this.right.crossVectors(this.forward, this.camera.up).normalize();
+
+    this.movement.set(0, 0, 0);
+    if (this.keys.KeyW) this.movement.add(this.forward);
+    if (this.keys.KeyS) this.movement.sub(this.forward);
+    if (this.keys.KeyD) this.movement.add(this.right);
+    if (this.keys.KeyA) this.movement.sub(this.right);
+    if (this.keys.KeyE) this.movement.y += 1;
+    if (this.keys.KeyQ) this.movement.y -= 1;
+
+    if (this.movement.lengthSq() === 0) return;
+
+    const fast = this.keys.ShiftLeft || this.keys.ShiftRight;
+    const speed = this.options.moveSpeed * (fast ? this.options.fastMultiplier : 1);
+
+    this.camera.position.addScaledVector(this.movement.normalize(), speed * deltaTime);
+  }
+
+  /**
+   * Match the camera to the window size
+   * @param {number} aspect - Width / height
+   */
+  setAspect(aspect) {
+    this.camera.aspect = aspect;
+    this.camera.updateProjectionMatrix();
+  }
+
+  /**
+   * Dispose of the camera
+   */
+  dispose() {
+    document.removeEventListener('keydown', this.handleKeyDown);
+    document.removeEventListener('keyup', this.handleKeyUp);
+    document.removeEventListener('mousemove', this.handleMouseMove);
+  }
+}
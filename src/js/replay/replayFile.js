@@ -0,0 +1,199 @@
+/**
+ * Replay files
+ *
+ * A replay is the run seed plus every input event, stamped with the
+ * simulation tick it was applied on. Feeding the same events into a game
+ * started from the same seed and config plays the run out the same way.
+ *
+ * File layout (JSON):
+ *   format, version     - File type and layout version
+ *   configVersion       - GAME_CONFIG_VERSION the run was recorded with
+ *   configHash          - Hash of the gameplay tuning data
+ *   seed                - Run seed
+ *   mode                - Game mode (campaign when missing, as in replays from
+ *                         before endless mode)
+ *   script              - Wave script of a mission run (null or missing otherwise)
+ *   difficulty          - Difficulty preset (veteran when missing)
+ *   director            - Adaptive difficulty state the run started from
+ *                         (null or missing when played without it)
+ *   fixedTimeStep       - Simulation tick length (seconds)
+ *   tickCount           - Length of the run in ticks
+ *   frames              - [tickDelta, sourceName, ...events] entries, where
+ *                         tickDelta counts from the previous entry's tick
+ */
+import { GAME_CONFIG, GAME_CONFIG_VERSION } from '../config/game.js';
+import { ENEMY_TYPES, WAVE_CONFIGS, DIFFICULTY_SCALING, DIFFICULTY_PRESETS, ENDLESS_CONFIG } from '../config/enemies.js';
+import { WEAPON_TYPES } from '../config/weapons.js';
+import { loadWaveScript } from '../enemies/waveScript.js';
+import { Random } from '../utils/random.js';
+
+export const REPLAY_FORMAT = 'cosmic-defender-replay';
+
+// Layout version, bumped whenever the file layout or event encoding changes
+export const REPLAY_VERSION = 1;
+
+/**
+ * Error thrown when a replay file can't be read
+ */
+export class ReplayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReplayError';
+  }
+}
+
+/**
+ * Hash the gameplay tuning data
+ * Replays only stay in sync with the values they were recorded against.
+ * @returns {number} 32-bit hash
+ */
+export function getConfigHash() {
+  return Random.hashString(JSON.stringify({
+    game: GAME_CONFIG,
+    enemies: ENEMY_TYPES,
+    waves: WAVE_CONFIGS,
+    scaling: DIFFICULTY_SCALING,
+    difficulties: DIFFICULTY_PRESETS,
+    endless: ENDLESS_CONFIG,
+    weapons: WEAPON_TYPES
+  }));
+}
+
+/**
+ * Create a replay for a recorded run
+ * @param {Object} run - Recorded run
+ * @param {number} run.seed - Run seed
+ * @param {string} run.mode - Game mode
+ * @param {Object} run.script - Wave script (null outside mission mode)
+ * @param {string} run.difficulty - Difficulty preset
+ * @param {Object} run.director - Adaptive difficulty start state (null without)
+ * @param {number} run.tickCount - Ticks simulated
+ * @param {Array} run.frames - Encoded input frames (see InputRecorder)
+ * @returns {Object} Replay
+ */
+export function createReplay({ seed, mode, script, difficulty, director, tickCount, frames }) {
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    configVersion: GAME_CONFIG_VERSION,
+    configHash: getConfigHash(),
+    seed,
+    mode,
+    script: script ?? null,
+    difficulty,
+    director,
+    fixedTimeStep: GAME_CONFIG.physics.fixedTimeStep,
+    tickCount,
+    frames
+  };
+}
+
+/**
+ * Convert a replay to file contents
+ * @param {Object} replay - Replay
+ * @returns {string} JSON text
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Check a frame is laid out as [tickDelta, sourceName, ...events], with each
+ * event an array starting with its type
+ * @param {*} frame - Frame from a replay
+ * @returns {boolean} True if ReplayPlayer can play it
+ */
+function isValidFrame(frame) {
+  return Array.isArray(frame) &&
+    Number.isInteger(frame[0]) && frame[0] >= 0 &&
+    typeof frame[1] === 'string' &&
+    frame.slice(2).every(event => Array.isArray(event) && typeof event[0] === 'string');
+}
+
+/**
+ * Check a replay is laid out the way this version plays them
+ * Doesn't check the settings it was recorded with (see parseReplay).
+ * @param {Object} replay - Replay, parsed from JSON
+ * @throws {ReplayError} If the replay can't be played
+ */
+export function validateReplay(replay) {
+  if (!replay || replay.format !== REPLAY_FORMAT) {
+    throw new ReplayError('File is not a replay');
+  }
+
+  if (replay.version !== REPLAY_VERSION) {
+    throw new ReplayError(`Unsupported replay version ${replay.version} (expected ${REPLAY_VERSION})`);
+  }
+
+  if (!Number.isInteger(replay.tickCount) || replay.tickCount < 0 || !Array.isArray(replay.frames)) {
+    throw new ReplayError('Replay is missing its tick count or input frames');
+  }
+
+  const badFrame = replay.frames.findIndex(frame => !isValidFrame(frame));
+  if (badFrame !== -1) {
+    throw new ReplayError(`Replay input frame ${badFrame} is malformed`);
+  }
+
+  if (!Number.isFinite(replay.fixedTimeStep) || replay.fixedTimeStep <= 0) {
+    throw new ReplayError('Replay is missing its tick length');
+  }
+
+  if (replay.director != null && (typeof replay.director !== 'object' || Array.isArray(replay.director))) {
+    throw new ReplayError('Replay difficulty director state must be an object');
+  }
+}
+
+/**
+ * Read a replay from file contents
+ * Replays recorded with different settings still load, with a warning,
+ * since they may drift from the original run.
+ * @param {string} text - JSON text
+ * @returns {Object} Replay
+ * @throws {ReplayError} If the file isn't a replay this version can play
+ */
+export function parseReplay(text) {
+  let replay;
+
+  try {
+    replay = JSON.parse(text);
+  } catch (error) {
+    throw new ReplayError(`Replay is not valid JSON: ${error.message}`);
+  }
+
+  validateReplay(replay);
+
+  if (replay.script) {
+    try {
+      replay = { ...replay, script: loadWaveScript(replay.script, 'in replay') };
+    } catch (error) {
+      throw new ReplayError(error.message);
+    }
+  }
+
+  if (replay.fixedTimeStep !== GAME_CONFIG.physics.fixedTimeStep) {
+    console.warn(`Replay was recorded at a ${replay.fixedTimeStep}s tick (now ${GAME_CONFIG.physics.fixedTimeStep}s); playback may drift`);
+  }
+
+  if (replay.configVersion !== GAME_CONFIG_VERSION || replay.configHash !== getConfigHash()) {
+    console.warn('Replay was recorded with different game settings; playback may drift');
+  }
+
+  return replay;
+}
+
+/**
+ * Save a replay as a file download
+ * @param {Object} replay - Replay
+ * @param {string} filename - Download name
+ */
+export function downloadReplay(replay, filename = `replay-${replay.seed}.json`) {
+  const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
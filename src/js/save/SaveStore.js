@@ -0,0 +1,103 @@
+import { parseSave } from './saveFile.js';
+
+const DATABASE_NAME = 'cosmic-defender';
+const STORE_NAME = 'saves';
+const SLOT_KEY = 'run'; // One save slot: the run in progress
+const FALLBACK_KEY = 'cosmicDefenderSave'; // localStorage key when IndexedDB isn't available
+
+/**
+ * SaveStore - Keeps the run in progress between visits
+ *
+ * Saves go to IndexedDB, or to localStorage in browsers where IndexedDB is
+ * missing or blocked (e.g. some private modes). Saves are stored as JSON
+ * text and go through parseSave on the way out, so old saves are migrated.
+ */
+export class SaveStore {
+  constructor() {
+    this.database = null; // Promise of the open database (null until first use)
+  }
+
+  /**
+   * Open the database
+   * @returns {Promise<IDBDatabase|null>} The database, or null to use localStorage
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+
+        const request = indexedDB.open(DATABASE_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('IndexedDB unavailable, saving to localStorage:', request.error);
+          resolve(null);
+        };
+      });
+    }
+
+    return this.database;
+  }
+
+  /**
+   * Run a request against the save store
+   * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+   * @param {Function} makeRequest - Creates the request from the object store
+   * @returns {Promise<*>} Request result
+   */
+  async request(mode, makeRequest) {
+    const database = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Load the saved run
+   * @returns {Promise<Object|null>} Save, or null if there isn't one
+   * @throws {SaveError} If the stored save can't be loaded
+   */
+  async load() {
+    const database = await this.open();
+    const text = database
+      ? await this.request('readonly', store => store.get(SLOT_KEY))
+      : localStorage.getItem(FALLBACK_KEY);
+
+    return text ? parseSave(text) : null;
+  }
+
+  /**
+   * Store a save, replacing the previous one
+   * @param {Object} save - Save (see saveFile.js)
+   */
+  async save(save) {
+    const text = JSON.stringify(save);
+    const database = await this.open();
+
+    if (database) {
+      await this.request('readwrite', store => store.put(text, SLOT_KEY));
+    } else {
+      localStorage.setItem(FALLBACK_KEY, text);
+    }
+  }
+
+  /**
+   * Delete the saved run
+   */
+  async clear() {
+    const database = await this.open();
+
+    if (database) {
+      await this.request('readwrite', store => store.delete(SLOT_KEY));
+    } else {
+      localStorage.removeItem(FALLBACK_KEY);
+    }
+  }
+}
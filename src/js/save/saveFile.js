@@ -0,0 +1,202 @@
+/**
+ * Mid-run saves
+ *
+ * A save is the run seed plus the state of everything that changes during
+ * play. Loading one rebuilds the world from the seed (so the arena layout
+ * comes out the same), then puts each part back the way it was saved.
+ *
+ * Layout (JSON):
+ *   format, version     - File type and layout version
+ *   configVersion       - GAME_CONFIG_VERSION the run was saved with
+ *   configHash          - Hash of the gameplay tuning data
+ *   savedAt             - Time of saving (ms since epoch)
+ *   seed                - Run seed
+ *   mode                - Game mode
+ *   script              - Wave script of a mission run (null or missing otherwise)
+ *   difficulty          - Difficulty preset
+ *   director            - Adaptive difficulty state the run started from
+ *                         (null or missing when played without it)
+ *   tickCount           - Ticks simulated before saving
+ *   random              - Run RNG position
+ *   state               - Saved parts by name (each part's getSaveState())
+ */
+import { GAME_CONFIG, GAME_CONFIG_VERSION } from '../config/game.js';
+import { getConfigHash } from '../replay/replayFile.js';
+import { loadWaveScript } from '../enemies/waveScript.js';
+
+export const SAVE_FORMAT = 'cosmic-defender-save';
+
+// Layout version, bumped whenever a part's saved state changes shape
+export const SAVE_VERSION = 6;
+
+// Upgrades from each old layout version to the next: { [fromVersion]: save => save }
+// Saves are kept across game updates, so every version bump needs an entry here.
+export const SAVE_MIGRATIONS = {
+  // 2: waves, combat and score moved into one GameManager part ('game').
+  // Browser saves had no waves yet, so they start from wave 1 when loaded.
+  1: (save) => {
+    const { run, formations, combat, ...parts } = save.state;
+    if (!formations) return save;
+
+    return {
+      ...save,
+      state: {
+        ...parts,
+        game: { run: { ...run, kills: {} }, formations, combat, weapon: null }
+      }
+    };
+  },
+
+  // 3: endless mode. Earlier runs were all campaign runs, and their enemies unscaled.
+  2: (save) => ({ ...save, mode: 'campaign' }),
+
+  // 4: difficulty presets. The old 'normal' difficulty is now Veteran.
+  3: (save) => ({ ...save, difficulty: 'veteran' }),
+
+  // 5: the game clock moved from the waves to a Scheduler shared by the whole game.
+  4: (save) => {
+    const { game } = save.state;
+    if (!game) return save;
+
+    const { time, ...formations } = game.formations;
+    return {
+      ...save,
+      state: {
+        ...save.state,
+        game: { ...game, scheduler: { time, timeScale: 1, paused: false }, formations }
+      }
+    };
+  },
+
+  // 6: the player's gun became a weapon inventory, saved with the player, with energy for
+  // secondary fire. Older runs carry on with fresh weapons and a full energy bar.
+  5: (save) => {
+    const { scene, game } = save.state;
+    if (!game) return save;
+
+    const { weapon, ...rest } = game;
+    const player = scene && scene.player
+      ? { ...scene.player, energy: GAME_CONFIG.player.maxEnergy, weapons: null }
+      : null;
+
+    return {
+      ...save,
+      state: {
+        ...save.state,
+        scene: player ? { ...scene, player } : scene,
+        game: rest
+      }
+    };
+  }
+};
+
+/**
+ * Error thrown when a save can't be loaded
+ */
+export class SaveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SaveError';
+  }
+}
+
+/**
+ * Create a save for a run in progress
+ * @param {Object} run - Run to save
+ * @param {number|string} run.seed - Run seed
+ * @param {string} run.mode - Game mode
+ * @param {Object} run.script - Wave script (null outside mission mode)
+ * @param {string} run.difficulty - Difficulty preset
+ * @param {Object} run.director - Adaptive difficulty start state (null without)
+ * @param {number} run.tickCount - Ticks simulated
+ * @param {number} run.random - Run RNG state
+ * @param {Object} run.state - Saved parts by name
+ * @returns {Object} Save
+ */
+export function createSave({ seed, mode, script, difficulty, director, tickCount, random, state }) {
+  return {
+    format: SAVE_FORMAT,
+    version: SAVE_VERSION,
+    configVersion: GAME_CONFIG_VERSION,
+    configHash: getConfigHash(),
+    savedAt: Date.now(),
+    seed,
+    mode,
+    script: script ?? null,
+    difficulty,
+    director,
+    tickCount,
+    random,
+    state
+  };
+}
+
+/**
+ * Bring a save from an older version up to the current layout
+ * @param {Object} save - Save as stored
+ * @returns {Object} Save in the current layout
+ * @throws {SaveError} If the save is from a newer version or can't be upgraded
+ */
+export function migrateSave(save) {
+  if (save.version > SAVE_VERSION) {
+    throw new SaveError(`Save is from a newer version (${save.version}, expected ${SAVE_VERSION})`);
+  }
+
+  let migrated = save;
+  while (migrated.version < SAVE_VERSION) {
+    const migrate = SAVE_MIGRATIONS[migrated.version];
+    if (!migrate) {
+      throw new SaveError(`No upgrade from save version ${migrated.version}`);
+    }
+
+    migrated = { ...migrate(migrated), version: migrated.version + 1 };
+  }
+
+  return migrated;
+}
+
+/**
+ * Read a save from stored text
+ * Saves made with different game settings still load, with a warning;
+ * they restore fine but the run may not play out as it would have.
+ * @param {string} text - JSON text
+ * @returns {Object} Save in the current layout
+ * @throws {SaveError} If the text isn't a save this version can load
+ */
+export function parseSave(text) {
+  let save;
+
+  try {
+    save = JSON.parse(text);
+  } catch (error) {
+    throw new SaveError(`Save is not valid JSON: ${error.message}`);
+  }
+
+  if (!save || save.format !== SAVE_FORMAT) {
+    throw new SaveError('Data is not a save');
+  }
+
+  if (!Number.isInteger(save.version)) {
+    throw new SaveError('Save has no version');
+  }
+
+  save = migrateSave(save);
+
+  if (save.seed === undefined || !Number.isInteger(save.tickCount) || !save.state) {
+    throw new SaveError('Save is missing its seed, tick count or state');
+  }
+
+  if (save.script) {
+    try {
+      save = { ...save, script: loadWaveScript(save.script, 'in save') };
+    } catch (error) {
+      throw new SaveError(error.message);
+    }
+  }
+
+  if (save.configVersion !== GAME_CONFIG_VERSION || save.configHash !== getConfigHash()) {
+    console.warn('Save was made with different game settings');
+  }
+
+  return save;
+}
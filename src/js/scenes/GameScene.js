@@ -5,16 +5,43 @@ import { Arena } from './arena.js';
 import { Player } from '../player/Player.js';
 import { InputManager } from '../player/InputManager.js';
 import { HUD } from '../player/HUD.js';
+import { Random } from '../utils/random.js';
+import { GAME_CONFIG } from '../config/game.js';
 
 export class GameScene {
-  constructor(camera, loadingManager, physics, renderer) {
+  /**
+   * Create the game scene
+   * @param {THREE.Camera} camera - Player camera
+   * @param {Object} loadingManager - Asset loading manager
+   * @param {Object} physics - Physics system
+   * @param {THREE.WebGLRenderer} renderer - Renderer (null when headless)
+   * @param {Object} audioManager - Audio manager
+   * @param {Random} random - Run RNG
+   * @param {Object} options - Scene options
+   * @param {boolean} options.headless - Skip rendering-only setup (sky, water, HUD, browser input, audio)
+   * @param {boolean} options.invulnerable - Player takes hits without losing health
+   */
+  constructor(camera, loadingManager, physics, renderer, audioManager = null, random = null, options = {}) {
+    this.options = Object.assign({
+      headless: false,
+      invulnerable: false
+    }, options);
+    
     this.camera = camera;
     this.loadingManager = loadingManager;
     this.physics = physics;
     this.renderer = renderer;
+    this.audioManager = audioManager;
+    this.random = random || new Random();
     
     // Create scene
     this.scene = new THREE.Scene();
+    
+    // Store the run's RNG in scene so gameplay systems can fork their own streams
+    this.scene.userData.random = this.random;
+    
+    // Let scene objects skip purely visual work in headless runs
+    this.scene.userData.headless = this.options.headless;
     this.scene.background = new THREE.Color(0x87ceeb); // Sky blue
     this.scene.fog = new THREE.FogExp2(0x87ceeb, 0.01);
     
@@ -35,8 +62,10 @@ export class GameScene {
     // Add lights
     this.setupLights();
     
-    // Add environment
-    this.setupEnvironment();
+    // Add environment (sky and water need textures and a GPU)
+    if (!this.options.headless) {
+      this.setupEnvironment();
+    }
     
     // Add objects
     this.setupObjects();
@@ -44,7 +73,7 @@ export class GameScene {
     // Create arena if physics is provided and properly initialized
     if (this.physics && this.physics.world) {
       try {
-        this.arena = new Arena(this.scene, this.loadingManager, this.physics);
+        this.arena = new Arena(this.scene, this.loadingManager, this.physics, GAME_CONFIG, this.random.fork('arena'));
         
         // Store arena reference in scene for other objects to access
         this.scene.userData.arena = this.arena;
@@ -63,6 +92,43 @@ export class GameScene {
     
     // Create input manager
     this.createInputManager();
+    
+    // Headless runs are driven by code (or a replay), not by a player at a screen
+    if (this.options.headless) return;
+    
+    // Set up audio
+    this.setupAudio();
+  }
+  
+  /**
+   * Set up music and positional audio
+   */
+  setupAudio() {
+    if (!this.audioManager) return;
+    
+    // Store audio manager in scene so enemies and projectiles can play positional sounds
+    this.scene.userData.audioManager = this.audioManager;
+    
+    // Start background music
+    this.audioManager.playMusic();
+    
+    const spatial = this.audioManager.spatial;
+    if (!spatial) return;
+    
+    // Listen from the camera and muffle sounds behind barriers
+    spatial.setListener(this.camera);
+    
+    if (this.arena) {
+      spatial.setCoverSystem(this.arena.coverSystem);
+      
+      // Hazard zones crackle so players can find them by ear
+      const environmentSystem = this.arena.environmentSystem;
+      if (environmentSystem) {
+        this.hazardEmitters = environmentSystem.hazardZones.map(hazard =>
+          this.audioManager.attachLoop(hazard, 'hazard_hum')
+        );
+      }
+    }
   }
   
   /**
@@ -78,29 +144,44 @@ export class GameScene {
       }
       
       // Create player
-      this.player = new Player(this.scene, this.physics);
+      this.player = new Player(this.scene, this.physics, this.camera, {
+        audioManager: this.audioManager,
+        invulnerable: this.options.invulnerable
+      });
       
       // Set initial position
       this.player.mesh.position.set(0, 2, 0);
       this.player.body.position.copy(this.player.mesh.position);
       
+      // Smooth the player between simulation ticks (the mesh turns itself)
+      if (this.physics.interpolator) {
+        this.physics.interpolator.add(this.player.mesh, this.player.body, { rotation: false });
+      }
+      
+      // Headless runs have no page to draw the HUD on
+      if (this.options.headless) return;
+      
       // Create HUD
       this.hud = new HUD(this.renderer.domElement.parentElement);
       
-      // Override player's takeDamage method to update HUD
-      const originalTakeDamage = this.player.takeDamage.bind(this.player);
-      this.player.takeDamage = (amount) => {
-        originalTakeDamage(amount);
-        
-        // Update HUD
+      // Show hits on the HUD
+      this.player.events.on('damaged', () => {
         if (this.hud) {
           this.hud.updateHealth(this.player.health, this.player.maxHealth);
           this.hud.showDamageIndicator();
         }
-      };
+        
+        // Play damage sound
+        if (this.audioManager) {
+          this.audioManager.playSound('damage');
+        }
+      });
       
       // Initial HUD update
       this.hud.updateHealth(this.player.health, this.player.maxHealth);
+      
+      // Weapon wheel and ammo counter
+      this.hud.connectWeaponInventory(this.player.weapons);
     } catch (error) {
       console.error('Failed to create player:', error);
     }
@@ -110,8 +191,8 @@ export class GameScene {
    * Create input manager
    */
   createInputManager() {
-    // Create input manager
-    this.inputManager = new InputManager(this.renderer.domElement);
+    // Create input manager (headless, it only passes on replayed input)
+    this.inputManager = new InputManager(this.options.headless ? null : this.renderer.domElement);
     
     // Set up input callbacks
     this.inputManager.setKeyDownCallback((key) => {
@@ -143,6 +224,18 @@ export class GameScene {
         this.player.handleMouseButton(button, false);
       }
     });
+    
+    this.inputManager.setWheelCallback((deltaY) => {
+      if (this.player) {
+        this.player.handleWheel(deltaY);
+      }
+    });
+    
+    this.inputManager.setReleaseCallback(() => {
+      if (this.player) {
+        this.player.releaseInput();
+      }
+    });
   }
   
   setupLights() {
@@ -294,6 +387,11 @@ export class GameScene {
       }
     }
     
+    // Update audio
+    if (this.audioManager) {
+      this.audioManager.update(deltaTime);
+    }
+    
     // Update water if it exists
     if (this.water) {
       this.water.material.uniforms['time'].value += deltaTime;
@@ -304,6 +402,47 @@ export class GameScene {
     this.targetSphere.rotation.y += deltaTime;
   }
   
+  /**
+   * Get the scene state for a saved run
+   * @returns {Object} Arena and player state
+   */
+  getSaveState() {
+    return {
+      arena: this.arena ? this.arena.getSaveState() : null,
+      player: this.player ? this.player.getSaveState() : null
+    };
+  }
+  
+  /**
+   * Restore the scene state from a saved run
+   * The scene must have been built from the same seed as the saved run.
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    if (this.arena && state.arena) {
+      this.arena.restoreSaveState(state.arena);
+    }
+    
+    if (this.player && state.player) {
+      this.player.restoreSaveState(state.player);
+    }
+  }
+  
+  /**
+   * Place meshes between simulation ticks before rendering
+   * @param {number} alpha - Progress through the next tick (0-1)
+   */
+  interpolate(alpha) {
+    if (this.physics && this.physics.interpolator) {
+      this.physics.interpolator.interpolate(alpha);
+    }
+    
+    // Keep the camera on the interpolated player
+    if (this.player) {
+      this.player.updateCamera(this.camera);
+    }
+  }
+  
   /**
    * Dispose of scene resources
    */
@@ -315,9 +454,18 @@ export class GameScene {
     
     // Dispose of player
     if (this.player) {
+      if (this.physics && this.physics.interpolator) {
+        this.physics.interpolator.remove(this.player.mesh);
+      }
       this.player.dispose();
     }
     
+    // Stop positional audio
+    if (this.audioManager && this.hazardEmitters) {
+      this.hazardEmitters.forEach(emitter => this.audioManager.detachLoop(emitter));
+      this.hazardEmitters = null;
+    }
+    
     // Dispose of input manager
     if (this.inputManager) {
       this.inputManager.dispose();
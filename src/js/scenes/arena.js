@@ -1,22 +1,26 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
-import { MathUtils } from 'three';
 import { CoverSystem } from '../components/environment/CoverSystem.js';
 import { EnvironmentSystem } from '../components/environment/EnvironmentSystem.js';
+import { GAME_CONFIG } from '../config/game.js';
+import { Random } from '../utils/random.js';
 
 /**
  * Arena - Creates and manages the game arena
  */
 export class Arena {
-  constructor(scene, loadingManager, physics) {
+  constructor(scene, loadingManager, physics, config = GAME_CONFIG, random = new Random()) {
     this.scene = scene;
     this.loadingManager = loadingManager;
     this.physics = physics;
+    this.config = config;
+    this.random = random; // Seeded RNG for layout
     
     // Arena properties
-    this.size = 100; // Size of the arena (width and length)
-    this.platformHeight = 2; // Height of the central platform
-    this.platformSize = 60; // Size of the central platform
+    this.size = config.arena.size; // Size of the arena (width and length)
+    this.platformHeight = config.arena.platformHeight; // Height of the central platform
+    this.platformSize = config.arena.platformSize; // Size of the central platform
+    this.boundaryHeight = config.arena.boundaryHeight; // Height above the platform before leaving the arena
     
     // Arena elements
     this.platform = null;
@@ -748,9 +752,9 @@ export class Arena {
     const halfSize = this.platformSize / 2 - margin;
     
     return new THREE.Vector3(
-      MathUtils.randFloat(-halfSize, halfSize),
+      this.random.float(-halfSize, halfSize),
       0,
-      MathUtils.randFloat(-halfSize, halfSize)
+      this.random.float(-halfSize, halfSize)
     );
   }
   
@@ -760,12 +764,13 @@ export class Arena {
   createCoverSystem() {
     // Create cover system
     this.coverSystem = new CoverSystem(this.scene, this.physics, {
-      barrierCount: 8,
-      shieldStationCount: 2,
-      ammoStationCount: 2,
+      barrierCount: this.config.arena.barrierCount,
+      shieldStationCount: this.config.arena.shieldStationCount,
+      ammoStationCount: this.config.arena.ammoStationCount,
       platformSize: this.platformSize,
       platformHeight: this.platformHeight,
-      coverMargin: 5,
+      coverMargin: this.config.arena.coverMargin,
+      random: this.random.fork('cover'),
     });
   }
   
@@ -777,12 +782,13 @@ export class Arena {
     this.environmentSystem = new EnvironmentSystem(this.scene, this.physics, {
       platformSize: this.platformSize,
       platformHeight: this.platformHeight,
-      boundaryHeight: 15,
-      hazardCount: 4,
-      hazardDamage: 10,
-      ambientParticleCount: 100,
-      fogDensity: 0.005,
-      fogColor: 0x112233,
+      boundaryHeight: this.boundaryHeight,
+      hazardCount: this.config.hazards.count,
+      hazardDamage: this.config.hazards.damage,
+      ambientParticleCount: this.config.arena.ambientParticleCount,
+      fogDensity: this.config.arena.fogDensity,
+      fogColor: this.config.arena.fogColor,
+      random: this.random.fork('environment'),
     });
   }
   
@@ -813,7 +819,7 @@ export class Arena {
     return (
       Math.abs(position.x) > boundarySize ||
       Math.abs(position.z) > boundarySize ||
-      position.y > this.platformHeight + 15
+      position.y > this.platformHeight + this.boundaryHeight
     );
   }
   
@@ -837,6 +843,33 @@ export class Arena {
     }
   }
   
+  /**
+   * Get the state to save for the arena
+   * The layout itself comes from the run seed, so only damage and hazard states are stored.
+   * @returns {Object} Arena state
+   */
+  getSaveState() {
+    return {
+      covers: this.coverSystem ? this.coverSystem.getSaveState() : [],
+      hazards: this.environmentSystem ? this.environmentSystem.getHazardStates() : []
+    };
+  }
+  
+  /**
+   * Restore a saved arena state
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    if (this.coverSystem) {
+      this.coverSystem.restoreSaveState(state.covers);
+    }
+    
+    // Saves from before wave scripts had every hazard on
+    if (this.environmentSystem && state.hazards) {
+      this.environmentSystem.restoreHazardStates(state.hazards);
+    }
+  }
+  
   /**
    * Dispose of arena resources
    */
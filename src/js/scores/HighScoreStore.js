@@ -0,0 +1,190 @@
+import { GAME_CONFIG } from '../config/game.js';
+import { PERSONAL_BEST_STATS } from './PersonalBestTracker.js';
+
+const STORAGE_KEY = 'cosmicDefenderScores';
+const DEFAULT_NAME = 'Player';
+
+/**
+ * Get the key of the high score table for an arena, difficulty and game mode
+ * @param {string} arena - Arena variant
+ * @param {string} difficulty - Difficulty
+ * @param {string} mode - Game mode
+ * @returns {string} Table key
+ */
+export function getBoardKey(arena, difficulty, mode = 'campaign') {
+  // Campaign tables keep the keys they had before endless mode
+  return mode === 'campaign' ? `${arena}/${difficulty}` : `${arena}/${difficulty}/${mode}`;
+}
+
+/**
+ * HighScoreStore - Local high score tables, run history and personal bests
+ *
+ * Every finished run goes into the history (newest first, capped at
+ * GAME_CONFIG.scores.historySize). Runs that make the top
+ * GAME_CONFIG.scores.tableSize scores for their arena, difficulty and mode
+ * also go on that table, and each table keeps a best for every PERSONAL_BEST_STATS
+ * stat. Everything is kept in localStorage.
+ *
+ * A run entry is { id, name, timestamp, mode, arena, difficulty, seed,
+ * outcome, score, wavesCompleted, duration, kills, stats }, laid out like
+ * GameManager results so it can be shown with createResultsTable. Entries
+ * from before endless mode have no mode and are campaign runs.
+ */
+export class HighScoreStore {
+  constructor() {
+    this.data = this.load();
+  }
+
+  /**
+   * Read the stored tables
+   * @returns {Object} { boards, history, bests, lastName }
+   */
+  load() {
+    const empty = { boards: {}, history: [], bests: {}, lastName: DEFAULT_NAME };
+
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return data && typeof data === 'object' ? { ...empty, ...data } : empty;
+    } catch (error) {
+      console.warn('Failed to load high scores:', error);
+      return empty;
+    }
+  }
+
+  /**
+   * Write the tables back
+   */
+  persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+    } catch (error) {
+      console.warn('Failed to save high scores:', error);
+    }
+  }
+
+  /**
+   * Record a finished run
+   * The entry is stored under the last name entered; setName() renames it.
+   * @param {Object} results - Results from GameManager.getResults()
+   * @returns {Object} { entry, rank (1-based place on its table, 0 if it didn't make it), newBests (stats beaten) }
+   */
+  recordRun(results) {
+    const timestamp = Date.now();
+    const entry = {
+      id: `${timestamp.toString(36)}-${this.data.history.length}`,
+      name: this.data.lastName,
+      timestamp,
+      mode: results.mode,
+      arena: results.arena,
+      difficulty: results.difficulty,
+      seed: results.seed,
+      outcome: results.outcome,
+      score: results.score,
+      wavesCompleted: results.wavesCompleted,
+      duration: results.duration,
+      kills: { ...results.kills },
+      stats: JSON.parse(JSON.stringify(results.stats))
+    };
+
+    const key = getBoardKey(entry.arena, entry.difficulty, entry.mode);
+
+    // History, newest first
+    this.data.history = [entry, ...this.data.history].slice(0, GAME_CONFIG.scores.historySize);
+
+    // High score table (ties go to the earlier run)
+    const board = this.data.boards[key] || [];
+    const place = board.findIndex(other => entry.score > other.score);
+    let rank = (place === -1 ? board.length : place) + 1;
+    if (rank <= GAME_CONFIG.scores.tableSize) {
+      board.splice(rank - 1, 0, entry);
+      this.data.boards[key] = board.slice(0, GAME_CONFIG.scores.tableSize);
+    } else {
+      rank = 0;
+    }
+
+    // Personal bests
+    const bests = this.data.bests[key] || {};
+    const newBests = [];
+    for (const stat of PERSONAL_BEST_STATS) {
+      const value = stat.get(entry);
+      if (value > (bests[stat.key] || 0)) {
+        bests[stat.key] = value;
+        newBests.push(stat);
+      }
+    }
+    this.data.bests[key] = bests;
+
+    this.persist();
+    return { entry, rank, newBests };
+  }
+
+  /**
+   * Rename a recorded run, and remember the name for the next one
+   * @param {string} id - Entry id
+   * @param {string} name - Name entered
+   */
+  setName(id, name) {
+    const trimmed = name.trim().slice(0, GAME_CONFIG.scores.nameLength) || DEFAULT_NAME;
+
+    // The table and the history hold separate copies once loaded back from storage
+    const entries = [this.data.history, ...Object.values(this.data.boards)].flat();
+    for (const entry of entries) {
+      if (entry.id === id) {
+        entry.name = trimmed;
+      }
+    }
+
+    this.data.lastName = trimmed;
+    this.persist();
+  }
+
+  /**
+   * Get the name the last run was entered under
+   * @returns {string} Name
+   */
+  getLastName() {
+    return this.data.lastName;
+  }
+
+  /**
+   * Get a high score table
+   * @param {string} arena - Arena variant
+   * @param {string} difficulty - Difficulty
+   * @param {string} mode - Game mode
+   * @returns {Array} Entries, best first
+   */
+  getBoard(arena, difficulty, mode = 'campaign') {
+    return this.data.boards[getBoardKey(arena, difficulty, mode)] || [];
+  }
+
+  /**
+   * Get every table that has runs on it
+   * @returns {Array} { arena, difficulty, mode, entries } per table, sorted by key
+   */
+  getBoards() {
+    return Object.keys(this.data.boards).sort().map((key) => {
+      const entries = this.data.boards[key];
+      const { arena, difficulty, mode = 'campaign' } = entries[0];
+      return { arena, difficulty, mode, entries };
+    });
+  }
+
+  /**
+   * Get the run history
+   * @returns {Array} Entries, newest first
+   */
+  getHistory() {
+    return this.data.history;
+  }
+
+  /**
+   * Get the personal bests for an arena, difficulty and game mode
+   * @param {string} arena - Arena variant
+   * @param {string} difficulty - Difficulty
+   * @param {string} mode - Game mode
+   * @returns {Object} Best value by stat key (stats never recorded are left out)
+   */
+  getPersonalBests(arena, difficulty, mode = 'campaign') {
+    return { ...this.data.bests[getBoardKey(arena, difficulty, mode)] };
+  }
+}
@@ -0,0 +1,67 @@
+import { GAME_CONFIG } from '../config/game.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+// Stats with a personal best, each read from GameManager results (higher is better)
+export const PERSONAL_BEST_STATS = [
+  { key: 'score', label: 'Score', get: results => results.score },
+  { key: 'wavesCompleted', label: 'Waves cleared', get: results => results.wavesCompleted },
+  { key: 'kills', label: 'Kills', get: results => results.stats.enemiesDefeated },
+  { key: 'maxCombo', label: 'Max combo', get: results => results.stats.maxCombo },
+  { key: 'duration', label: 'Longest run', get: results => results.duration }
+];
+
+/**
+ * PersonalBestTracker - Spots personal bests being beaten during a run
+ *
+ * Compares the run's results against the bests it was given every
+ * GAME_CONFIG.scores.bestCheckInterval seconds. Only stats that already have
+ * a best are announced, so a first run doesn't flash a best on every kill.
+ *
+ * Emits 'newBest' (stat, value) once per stat per run.
+ */
+export class PersonalBestTracker {
+  /**
+   * Create a tracker
+   * @param {GameManager} gameManager - Run to watch
+   * @param {Object} bests - Best value by stat key (see HighScoreStore.getPersonalBests)
+   */
+  constructor(gameManager, bests) {
+    this.gameManager = gameManager;
+    this.bests = bests;
+
+    this.beaten = new Set(); // Keys of stats already announced
+    this.timer = 0;
+
+    this.events = new EventEmitter();
+  }
+
+  /**
+   * Check the run against the bests now and then
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    this.timer += deltaTime;
+    if (this.timer < GAME_CONFIG.scores.bestCheckInterval) return;
+    this.timer = 0;
+
+    const results = this.gameManager.getResults();
+
+    for (const stat of PERSONAL_BEST_STATS) {
+      const best = this.bests[stat.key];
+      if (!best || this.beaten.has(stat.key)) continue;
+
+      const value = stat.get(results);
+      if (value > best) {
+        this.beaten.add(stat.key);
+        this.events.emit('newBest', stat, value);
+      }
+    }
+  }
+
+  /**
+   * Stop announcing
+   */
+  dispose() {
+    this.events.removeAllListeners();
+  }
+}
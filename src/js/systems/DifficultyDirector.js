@@ -0,0 +1,225 @@
+import { GAME_CONFIG } from '../config/game.js';
+
+// Settings the director adjusts, as multipliers on their normal values
+export const DIRECTOR_SETTINGS = ['spawnDelay', 'attackRate', 'detectionRange', 'stationRespawn'];
+
+/**
+ * DifficultyDirector - Eases off or pushes harder as the player does well or badly
+ *
+ * After each wave the director compares the damage the player took, their
+ * accuracy and how long the wave took against GAME_CONFIG.director targets,
+ * and moves its level toward hard when the player beat them or toward easy
+ * when they didn't. Damage counts most: a wave that cost more than the target
+ * never pushes harder, however quickly and cleanly it was cleared. A death
+ * drops the level further. The level sets
+ * multipliers for formation and wave spawn delays, enemy attack rate and
+ * detection range (applied as enemies spawn), and how soon destroyed ammo
+ * and shield stations come back, each held between its easy and hard bound.
+ *
+ * Every adjustment is logged to the console and kept in `log` for later
+ * analysis; the log comes back with the run results. The level carries over
+ * from run to run (see getState), and reads only simulation state, so runs
+ * with the director replay exactly.
+ */
+export class DifficultyDirector {
+  /**
+   * Create a new director
+   * @param {GameManager} gameManager - Run to watch (its combat stats, player and time)
+   * @param {Object} state - Where to start, from an earlier run's getState() (optional)
+   * @param {Object} options - Overrides for GAME_CONFIG.director
+   */
+  constructor(gameManager, state = {}, options = {}) {
+    this.options = Object.assign({ ...GAME_CONFIG.director }, options);
+
+    this.gameManager = gameManager;
+    this.scene = gameManager.scene;
+
+    this.level = state.level ?? 0; // -1 (easiest) to 1 (hardest)
+    this.deaths = state.deaths ?? 0; // Deaths seen, this run and earlier ones
+    this.log = []; // Adjustments made this run
+
+    // Stats and time when the current wave started, to measure the wave against
+    this.waveStart = null;
+
+    this.onWaveStarted = this.onWaveStarted.bind(this);
+    this.onWaveCompleted = this.onWaveCompleted.bind(this);
+
+    gameManager.events.on('waveStarted', this.onWaveStarted);
+    gameManager.events.on('waveCompleted', this.onWaveCompleted);
+
+    this.apply();
+  }
+
+  /**
+   * Get the multiplier for a setting at the current level
+   * @param {string} setting - Setting (see DIRECTOR_SETTINGS)
+   * @returns {number} Multiplier (1 at level 0)
+   */
+  getSetting(setting) {
+    const suffix = `${setting.charAt(0).toUpperCase()}${setting.slice(1)}`;
+    const bound = this.level < 0 ? this.options[`easy${suffix}`] : this.options[`hard${suffix}`];
+    return 1 + (bound - 1) * Math.abs(this.level);
+  }
+
+  /**
+   * Get every setting at the current level
+   * @returns {Object} Multiplier by setting
+   */
+  getSettings() {
+    const settings = {};
+    DIRECTOR_SETTINGS.forEach(setting => {
+      settings[setting] = this.getSetting(setting);
+    });
+    return settings;
+  }
+
+  /**
+   * Put the station respawn time into effect (the other settings are read as
+   * enemies and waves spawn)
+   */
+  apply() {
+    const arena = this.scene.userData.arena;
+    if (arena && arena.coverSystem) {
+      arena.coverSystem.setStationRespawnScale(this.getSetting('stationRespawn'));
+    }
+  }
+
+  /**
+   * Measure a wave against the targets
+   * @returns {Object} { damageTaken (share of max health), accuracy (%, null without shots), clearTime (s) }
+   */
+  measureWave() {
+    const stats = this.gameManager.combatManager.getStats();
+    const start = this.waveStart || { time: 0, damageTaken: 0, shots: 0, hits: 0 };
+    const shots = stats.accuracy.shots - start.shots;
+
+    return {
+      damageTaken: (stats.totalDamageTaken - start.damageTaken) / this.gameManager.player.maxHealth,
+      accuracy: shots > 0 ? ((stats.accuracy.hits - start.hits) / shots) * 100 : null,
+      clearTime: this.gameManager.time - start.time
+    };
+  }
+
+  /**
+   * Rate a wave from -1 (struggled) to 1 (cruised)
+   * @param {Object} metrics - Wave measurements (see measureWave)
+   * @returns {number} Average of the ratings for each measurement, or the damage rating if the wave cost more
+   *   than the target and that's lower
+   */
+  ratePerformance(metrics) {
+    const { targetDamageTaken, targetAccuracy, targetClearTime } = this.options;
+    const clamp = value => Math.min(Math.max(value, -1), 1);
+
+    const damageRating = clamp((targetDamageTaken - metrics.damageTaken) / targetDamageTaken);
+    const ratings = [
+      damageRating,
+      clamp((targetClearTime - metrics.clearTime) / targetClearTime)
+    ];
+    if (metrics.accuracy !== null) {
+      ratings.push(clamp((metrics.accuracy - targetAccuracy) / targetAccuracy));
+    }
+
+    const average = ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+    return damageRating < 0 ? Math.min(average, damageRating) : average;
+  }
+
+  /**
+   * Move the level and log why
+   * @param {string} reason - 'wave' or 'death'
+   * @param {number} change - Level change (clamped to the -1 to 1 range)
+   * @param {Object} details - Measurements behind the change
+   */
+  adjust(reason, change, details) {
+    const from = this.level;
+    this.level = Math.min(Math.max(this.level + change, -1), 1);
+    this.apply();
+
+    const entry = {
+      time: this.gameManager.time,
+      wave: this.gameManager.currentWave,
+      reason,
+      ...details,
+      from,
+      level: this.level,
+      settings: this.getSettings()
+    };
+    this.log.push(entry);
+
+    const settings = Object.entries(entry.settings).map(([setting, value]) => `${setting} x${value.toFixed(2)}`).join(', ');
+    console.log(`Director: ${reason} on wave ${entry.wave}, level ${from.toFixed(2)} -> ${this.level.toFixed(2)} (${settings})`);
+  }
+
+  onWaveStarted() {
+    const stats = this.gameManager.combatManager.getStats();
+    this.waveStart = {
+      time: this.gameManager.time,
+      damageTaken: stats.totalDamageTaken,
+      shots: stats.accuracy.shots,
+      hits: stats.accuracy.hits
+    };
+  }
+
+  onWaveCompleted() {
+    const metrics = this.measureWave();
+    const performance = this.ratePerformance(metrics);
+    this.adjust('wave', performance * this.options.step, { metrics, performance });
+  }
+
+  /**
+   * Called by the GameManager as the run ends, before the results are taken
+   * @param {string} outcome - How the run ended
+   */
+  onRunOver(outcome) {
+    if (outcome !== 'defeated') return;
+
+    this.deaths++;
+    this.adjust('death', -this.options.deathStep, { metrics: this.measureWave(), deaths: this.deaths });
+  }
+
+  /**
+   * Get the state to carry into the next run
+   * @returns {Object} { level, deaths }
+   */
+  getState() {
+    return { level: this.level, deaths: this.deaths };
+  }
+
+  /**
+   * Get what the director did this run, for the run results
+   * @returns {Object} { level, deaths, log }
+   */
+  getReport() {
+    return { ...this.getState(), log: this.log.map(entry => ({ ...entry })) };
+  }
+
+  /**
+   * Get the director state for a saved run
+   * @returns {Object} Level, deaths, log and the current wave's starting point
+   */
+  getSaveState() {
+    return {
+      ...this.getReport(),
+      waveStart: this.waveStart ? { ...this.waveStart } : null
+    };
+  }
+
+  /**
+   * Restore the director state from a saved run
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    this.level = state.level;
+    this.deaths = state.deaths;
+    this.log = state.log.map(entry => ({ ...entry }));
+    this.waveStart = state.waveStart ? { ...state.waveStart } : null;
+    this.apply();
+  }
+
+  /**
+   * Stop watching the run
+   */
+  dispose() {
+    this.gameManager.events.off('waveStarted', this.onWaveStarted);
+    this.gameManager.events.off('waveCompleted', this.onWaveCompleted);
+  }
+}
@@ -0,0 +1,346 @@
+import { EnemyPool } from '../enemies/base/EnemyPool.js';
+import { FormationManager } from '../enemies/FormationManager.js';
+import { WaveGenerator } from '../enemies/WaveGenerator.js';
+import { DifficultyDirector } from './DifficultyDirector.js';
+import { Scheduler } from './Scheduler.js';
+import { CombatManager } from './combat/CombatManager.js';
+import { WAVE_CONFIGS, DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY } from '../config/enemies.js';
+import { DEFAULT_ARENA } from '../config/game.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { Random } from '../utils/random.js';
+
+// Game modes: the scripted WAVE_CONFIGS, generated waves until the player dies,
+// or a mission's wave script (see waveScript.js)
+export const GAME_MODES = ['campaign', 'endless', 'mission'];
+
+/**
+ * GameManager - Runs the waves of a game from the first to the last
+ *
+ * Owns the enemies, waves and combat for a run and keeps the score. The run
+ * ends in defeat when the player dies and in victory once the last wave is
+ * cleared (endless runs have no last wave). Receives the FormationManager's wave and score callbacks, and is
+ * shared by the browser game and HeadlessGame.
+ *
+ * Emits 'waveStarted' (waveNumber), 'waveCompleted' (waveNumber),
+ * 'announcement' ({ text, speaker }, lines from a mission's wave script or a
+ * boss starting a new phase) and 'runOver' (results, see getResults).
+ */
+export class GameManager {
+  /**
+   * Create a new game manager
+   * @param {GameScene} gameScene - Scene with the arena and player
+   * @param {THREE.Camera} camera - Player camera
+   * @param {Object} physics - Physics system
+   * @param {Object} audioManager - Audio manager (null when headless)
+   * @param {Random} random - Run RNG (waves and combat fork their own streams)
+   * @param {Object} options - Game options
+   * @param {boolean} options.headless - No on-screen combat feedback
+   * @param {string} options.mode - Game mode (see GAME_MODES)
+   * @param {Object} options.script - Wave script to play in mission mode (see loadWaveScript)
+   * @param {number} options.waves - Waves to clear for victory (null for every wave of the mode)
+   * @param {string} options.arena - Arena variant, for the high score tables
+   * @param {string} options.difficulty - Difficulty preset (see DIFFICULTY_PRESETS)
+   * @param {Object} options.director - Adaptive difficulty start state (see DifficultyDirector.getState; {} for a
+   *   fresh start, null to play without the director)
+   */
+  constructor(gameScene, camera, physics, audioManager = null, random = new Random(), options = {}) {
+    this.options = Object.assign({
+      headless: false,
+      mode: 'campaign',
+      script: null,
+      waves: null,
+      arena: DEFAULT_ARENA,
+      difficulty: DEFAULT_DIFFICULTY,
+      director: null
+    }, options);
+
+    if (!DIFFICULTY_PRESETS[this.options.difficulty]) {
+      console.warn(`Unknown difficulty: ${this.options.difficulty}, using ${DEFAULT_DIFFICULTY}`);
+      this.options.difficulty = DEFAULT_DIFFICULTY;
+    }
+
+    if (this.options.mode === 'mission' && !this.options.script) {
+      console.warn('Mission mode needs a wave script, playing the campaign');
+      this.options.mode = 'campaign';
+    }
+
+    this.gameScene = gameScene;
+    this.scene = gameScene.scene;
+    this.player = gameScene.player;
+    this.camera = camera;
+    this.physics = physics;
+    this.audioManager = audioManager;
+    this.random = random;
+
+    this.events = new EventEmitter();
+
+    // Run state
+    this.mode = this.options.mode;
+    this.script = this.mode === 'mission' ? this.options.script : null;
+    this.waveLimit = this.options.waves ?? this.getWaveCount();
+    this.arena = this.options.arena;
+    this.difficulty = this.options.difficulty;
+    this.time = 0;
+    this.score = 0;
+    this.currentWave = 0;
+    this.wavesCompleted = 0;
+    this.kills = {}; // Enemies defeated by type
+    this.outcome = null; // 'completed', 'defeated' or 'timeout' once over
+    this.isOver = false;
+
+    this.init();
+  }
+
+  /**
+   * Build the enemy, wave and combat systems
+   */
+  init() {
+    // Game clock for everything that happens later (shared so arena objects and enemies can use it)
+    this.scheduler = new Scheduler();
+    this.scene.userData.scheduler = this.scheduler;
+
+    // Enemies
+    this.enemyPool = new EnemyPool(this.scene, this.physics, this.random.fork('enemies'));
+
+    // Combat
+    this.combatManager = new CombatManager(
+      this.scene, this.camera, this.physics, this.audioManager, this.random.fork('combat'),
+      { headless: this.options.headless }
+    );
+    this.combatManager.init();
+    this.combatManager.setPlayer(this.player);
+
+    // Report damage taken by the player to combat stats
+    this.player.events.on('damaged', (amount, source) => {
+      this.combatManager.processPlayerDamage(amount, source ? source.options.type : 'unknown');
+    });
+
+    this.player.events.on('died', () => this.end('defeated'));
+
+    // Adaptive difficulty, which tunes the waves and arena as the run goes
+    this.director = this.options.director ? new DifficultyDirector(this, this.options.director) : null;
+
+    // Waves (this object receives the game manager callbacks)
+    const waveGenerator = this.mode === 'endless' ? new WaveGenerator(this.random.fork('waves')) : null;
+    this.formationManager = new FormationManager(
+      this.scene, this.player, this, this.enemyPool, this.random.fork('formations'),
+      { waveGenerator, script: this.script, difficulty: this.difficulty, director: this.director }
+    );
+    this.formationManager.init();
+
+    // Let the music follow the fight
+    const music = this.audioManager && this.audioManager.music;
+    if (music) {
+      music.connect({
+        formationManager: this.formationManager,
+        enemyPool: this.enemyPool,
+        comboSystem: this.combatManager.comboSystem
+      });
+      this.events.on('waveStarted', waveNumber => music.onWaveStarted(waveNumber));
+      this.events.on('waveCompleted', waveNumber => music.onWaveCompleted(waveNumber));
+    }
+  }
+
+  /**
+   * Get how many waves the mode has
+   * @returns {number} Wave count (Infinity in endless mode)
+   */
+  getWaveCount() {
+    switch (this.mode) {
+      case 'endless':
+        return Infinity;
+      case 'mission':
+        return this.script.waves.length;
+      default:
+        return WAVE_CONFIGS.length;
+    }
+  }
+
+  /**
+   * Start the first wave, unless a saved run has already got further
+   */
+  begin() {
+    if (this.formationManager.currentWave === 0) {
+      this.formationManager.startWave(1);
+    }
+  }
+
+  /**
+   * Advance the waves and combat
+   * Call after the scene has updated (the player fires from there).
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    this.enemyPool.update(deltaTime);
+    this.scheduler.update(deltaTime);
+    this.formationManager.update(deltaTime);
+
+    this.combatManager.update(deltaTime);
+
+    this.time += deltaTime;
+  }
+
+  /**
+   * End the run
+   * @param {string} outcome - Why the run ended ('completed', 'defeated' or 'timeout')
+   */
+  end(outcome) {
+    if (this.isOver) return;
+
+    this.isOver = true;
+    this.outcome = outcome;
+
+    if (this.director) {
+      this.director.onRunOver(outcome);
+    }
+
+    console.log(`Run over: ${outcome} (score ${this.score}, ${this.wavesCompleted} waves cleared)`);
+    this.events.emit('runOver', this.getResults());
+  }
+
+  /**
+   * Find the boss being fought, for the boss health bar
+   * @returns {Boss|null} The first living boss, or null if there isn't one
+   */
+  getBoss() {
+    return this.enemyPool.getActiveEnemies().find(enemy => enemy.isBoss && enemy.isAlive) || null;
+  }
+
+  /**
+   * Get the results of the run so far
+   * @returns {Object} Outcome, run settings (mission is the script id, or null), progress, kills by
+   *   enemy type, combat stats and what the director did (null without one, see DifficultyDirector.getReport)
+   */
+  getResults() {
+    return {
+      outcome: this.outcome,
+      mode: this.mode,
+      mission: this.script ? this.script.id : null,
+      arena: this.arena,
+      difficulty: this.difficulty,
+      seed: this.random.seed,
+      wavesCompleted: this.wavesCompleted,
+      currentWave: this.currentWave,
+      score: this.score,
+      duration: this.time,
+      playerHealth: this.player.health,
+      kills: { ...this.kills },
+      stats: this.combatManager.getStats(),
+      director: this.director ? this.director.getReport() : null
+    };
+  }
+
+  /**
+   * Get the run state for a saved run
+   * @returns {Object} Score and progress, game clock, waves, enemy AI, combat and director state
+   */
+  getSaveState() {
+    return {
+      run: {
+        arena: this.arena,
+        time: this.time,
+        score: this.score,
+        currentWave: this.currentWave,
+        wavesCompleted: this.wavesCompleted,
+        kills: { ...this.kills }
+      },
+      scheduler: this.scheduler.getSaveState(),
+      formations: this.formationManager.getSaveState(),
+      enemies: this.enemyPool.getSaveState(),
+      combat: this.combatManager.getSaveState(),
+      director: this.director ? this.director.getSaveState() : null
+    };
+  }
+
+  /**
+   * Restore the run state from a saved run
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    const { run, scheduler, formations, enemies, combat, director } = state;
+
+    // Saves from before the high score tables were played on the default arena
+    this.arena = run.arena ?? this.arena;
+    this.time = run.time;
+    this.score = run.score;
+    this.currentWave = run.currentWave;
+    this.wavesCompleted = run.wavesCompleted;
+    this.kills = { ...run.kills };
+
+    // Before the waves, which schedule their pending spawns on it
+    this.scheduler.restoreSaveState(scheduler);
+    this.formationManager.restoreSaveState(formations);
+    this.combatManager.restoreSaveState(combat);
+
+    // After the waves, as respawning the saved enemies may roll for them
+    if (enemies) {
+      this.enemyPool.restoreSaveState(enemies);
+    }
+    if (this.director && director) {
+      this.director.restoreSaveState(director);
+    }
+  }
+
+  // Game manager callbacks (see FormationManager)
+
+  onWaveStarted(waveNumber) {
+    this.currentWave = waveNumber;
+    this.events.emit('waveStarted', waveNumber);
+  }
+
+  onWaveCompleted(waveNumber) {
+    this.wavesCompleted = waveNumber;
+    this.events.emit('waveCompleted', waveNumber);
+
+    if (this.wavesCompleted >= this.waveLimit) {
+      this.end('completed');
+    }
+  }
+
+  onAllWavesCompleted() {
+    this.end('completed');
+  }
+
+  onEnemyDefeated(enemy) {
+    const type = enemy.options.type;
+    this.kills[type] = (this.kills[type] || 0) + 1;
+
+    this.combatManager.processEnemyDefeated(enemy, 'player');
+  }
+
+  addScore(points) {
+    this.score += points;
+  }
+
+  onBossPhaseChanged(boss, phase) {
+    if (phase.announce) {
+      this.onAnnouncement(phase.announce, boss.options.name);
+    }
+  }
+
+  onAnnouncement(text, speaker) {
+    console.log(speaker ? `${speaker}: ${text}` : text);
+    this.events.emit('announcement', { text, speaker });
+  }
+
+  /**
+   * Dispose of the enemies and combat systems
+   */
+  dispose() {
+    if (this.audioManager && this.audioManager.music) {
+      this.audioManager.music.connect();
+    }
+
+    if (this.director) {
+      this.director.dispose();
+    }
+    this.formationManager.reset();
+    this.enemyPool.dispose();
+    this.combatManager.dispose();
+    this.events.removeAllListeners();
+
+    if (this.scene.userData.scheduler === this.scheduler) {
+      delete this.scene.userData.scheduler;
+    }
+  }
+}
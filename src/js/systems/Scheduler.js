@@ -0,0 +1,189 @@
+/**
+ * Scheduler - Runs callbacks after a delay, or every so often, in game time
+ *
+ * The game's clock for anything that happens later: wave spawns, station
+ * respawns, commander summons. It only moves when update() is called from the
+ * simulation tick, so a stopped game (or a paused scheduler) holds every pending
+ * task, and runs from the same seed fire them on the same ticks.
+ *
+ * The GameManager owns it and shares it as scene.userData.scheduler.
+ *
+ * Callbacks can't be saved. Owners that keep pending work across a save note
+ * what it was (getRemaining helps) and schedule it again when restored.
+ */
+export class Scheduler {
+  /**
+   * Create a new scheduler, with its clock at zero
+   */
+  constructor() {
+    this.time = 0; // Game time in seconds
+    this.timeScale = 1; // Game seconds per second passed to update()
+    this.paused = false;
+
+    this.tasks = new Map(); // Pending tasks by id: { time, interval, callback }
+    this.nextId = 1;
+  }
+
+  /**
+   * Run a callback once, after a delay
+   * @param {number} delay - Delay in seconds of game time
+   * @param {Function} callback - Called with the task id
+   * @returns {number} Task id, for cancel()
+   */
+  delay(delay, callback) {
+    return this.at(this.time + delay, callback);
+  }
+
+  /**
+   * Run a callback once, when the clock reaches a time
+   * @param {number} time - Game time in seconds (a time already past runs on the next update)
+   * @param {Function} callback - Called with the task id
+   * @returns {number} Task id, for cancel()
+   */
+  at(time, callback) {
+    const id = this.nextId++;
+    this.tasks.set(id, { time, interval: null, callback });
+    return id;
+  }
+
+  /**
+   * Run a callback over and over, until it's cancelled
+   * @param {number} interval - Seconds of game time between runs (the first is one interval away)
+   * @param {Function} callback - Called with the task id
+   * @returns {number} Task id, for cancel()
+   */
+  interval(interval, callback) {
+    if (!(interval > 0)) {
+      throw new Error(`Scheduler intervals must be longer than zero, not ${interval}`);
+    }
+
+    const id = this.nextId++;
+    this.tasks.set(id, { time: this.time + interval, interval, callback });
+    return id;
+  }
+
+  /**
+   * Stop a task from running (again)
+   * @param {number} id - Task id (ids of tasks that already ran are ignored)
+   * @returns {boolean} Whether the task was still pending
+   */
+  cancel(id) {
+    return this.tasks.delete(id);
+  }
+
+  /**
+   * Check whether a task has yet to run (intervals stay pending until cancelled)
+   * @param {number} id - Task id
+   * @returns {boolean} Whether the task is pending
+   */
+  isPending(id) {
+    return this.tasks.has(id);
+  }
+
+  /**
+   * Get the game time a task runs next
+   * @param {number} id - Task id
+   * @returns {number|null} Game time in seconds (null once it's no longer pending)
+   */
+  getDueTime(id) {
+    const task = this.tasks.get(id);
+    return task ? task.time : null;
+  }
+
+  /**
+   * Get how long until a task runs next
+   * @param {number} id - Task id
+   * @returns {number} Seconds of game time (0 once it's no longer pending)
+   */
+  getRemaining(id) {
+    const task = this.tasks.get(id);
+    return task ? Math.max(task.time - this.time, 0) : 0;
+  }
+
+  /**
+   * Speed up or slow down the clock
+   * @param {number} scale - Game seconds per second of update time (1 is normal speed)
+   */
+  setTimeScale(scale) {
+    if (!(scale >= 0)) {
+      console.warn(`Invalid scheduler time scale: ${scale}`);
+      return;
+    }
+    this.timeScale = scale;
+  }
+
+  /**
+   * Stop the clock; pending tasks wait until resume()
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Start the clock again after pause()
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Advance the clock and run the tasks that fall due, in the order they do
+   * Tasks scheduled while this runs wait for the next update, even with no delay.
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    if (this.paused) return;
+
+    this.time += deltaTime * this.timeScale;
+
+    const due = [];
+    this.tasks.forEach((task, id) => {
+      if (task.time <= this.time) due.push({ id, task });
+    });
+    if (due.length === 0) return;
+
+    // Ties go to the task scheduled first
+    due.sort((a, b) => a.task.time - b.task.time || a.id - b.id);
+
+    due.forEach(({ id, task }) => {
+      // An earlier callback may have cancelled it
+      if (this.tasks.get(id) !== task) return;
+
+      if (task.interval === null) {
+        this.tasks.delete(id);
+      } else {
+        task.time += task.interval;
+      }
+
+      task.callback(id);
+    });
+  }
+
+  /**
+   * Get the clock for a saved run (tasks are saved by their owners)
+   * @returns {Object} Time, time scale and whether the clock is paused
+   */
+  getSaveState() {
+    return {
+      time: this.time,
+      timeScale: this.timeScale,
+      paused: this.paused
+    };
+  }
+
+  /**
+   * Restore the clock from a saved run
+   * Tasks already pending keep the time they had left.
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    const shift = state.time - this.time;
+    this.tasks.forEach(task => {
+      task.time += shift;
+    });
+
+    this.time = state.time;
+    this.timeScale = state.timeScale ?? 1;
+    this.paused = state.paused ?? false;
+  }
+}
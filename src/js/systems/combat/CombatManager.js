@@ -2,22 +2,38 @@ import { DamageSystem } from './DamageSystem.js';
 import { FeedbackSystem } from './FeedbackSystem.js';
 import { ComboSystem } from './ComboSystem.js';
 import { EventEmitter } from '../../utils/EventEmitter.js';
+import { Random } from '../../utils/random.js';
 
 /**
  * CombatManager - Coordinates combat systems and handles interactions between them
  */
 export class CombatManager {
-  constructor(scene, camera, physics, audioManager) {
+  /**
+   * Create a new combat manager
+   * @param {THREE.Scene} scene - The game scene
+   * @param {THREE.Camera} camera - The player camera
+   * @param {Object} physics - Physics system
+   * @param {Object} audioManager - Audio manager
+   * @param {Random} random - RNG for critical hits
+   * @param {Object} options - Combat manager options
+   * @param {boolean} options.headless - Skip on-screen feedback (hit markers, damage numbers, combo UI)
+   */
+  constructor(scene, camera, physics, audioManager, random = new Random(), options = {}) {
+    this.options = Object.assign({
+      headless: false
+    }, options);
+    
     this.scene = scene;
     this.camera = camera;
     this.physics = physics;
     this.audioManager = audioManager;
+    this.random = random;
     this.events = new EventEmitter();
     
     // Create subsystems
-    this.damageSystem = new DamageSystem(scene, physics);
-    this.feedbackSystem = new FeedbackSystem(scene, camera, audioManager);
-    this.comboSystem = new ComboSystem();
+    this.damageSystem = new DamageSystem(scene, physics, random.fork('damage'));
+    this.feedbackSystem = this.options.headless ? null : new FeedbackSystem(scene, camera, audioManager);
+    this.comboSystem = new ComboSystem({ showUI: !this.options.headless });
     
     // Player reference
     this.player = null;
@@ -60,7 +76,15 @@ export class CombatManager {
     
     // Initialize subsystems
     this.damageSystem.init();
-    this.feedbackSystem.init();
+    
+    if (this.feedbackSystem) {
+      this.feedbackSystem.init();
+    }
+    
+    // Share the damage system and this manager so projectiles can deal damage
+    // (area damage too) and count toward the run's stats
+    this.scene.userData.damageSystem = this.damageSystem;
+    this.scene.userData.combatManager = this;
     
     if (this.settings.comboSystem) {
       this.comboSystem.init();
@@ -122,6 +146,7 @@ export class CombatManager {
     // Update accuracy stats if player is the source
     if (projectile.source === 'player') {
       this.stats.accuracy.hits++;
+      this.updateAccuracyStats();
     }
   }
   
@@ -146,10 +171,12 @@ export class CombatManager {
    * @param {string} damageType - Type of damage
    * @param {string} source - Source of the damage
    * @param {Array} excludeTargets - Targets to exclude from damage
+   * @param {Object} options - Falloff options (see DamageSystem.processAreaEffect)
+   * @returns {Array} Targets that were damaged
    */
-  processAreaEffect(center, radius, damage, damageType, source, excludeTargets = []) {
-    this.damageSystem.processAreaEffect(
-      center, radius, damage, damageType, source, excludeTargets
+  processAreaEffect(center, radius, damage, damageType, source, excludeTargets = [], options = {}) {
+    return this.damageSystem.processAreaEffect(
+      center, radius, damage, damageType, source, excludeTargets, options
     );
   }
   
@@ -164,12 +191,14 @@ export class CombatManager {
     this.stats.totalDamageTaken += damage;
     
     // Process in feedback system
-    this.feedbackSystem.processPlayerDamage({
-      damage,
-      source,
-      isCritical: data.isCritical || false,
-      ...data
-    });
+    if (this.feedbackSystem) {
+      this.feedbackSystem.processPlayerDamage({
+        damage,
+        source,
+        isCritical: data.isCritical || false,
+        ...data
+      });
+    }
     
     // Break combo if combo system is enabled
     if (this.settings.comboSystem) {
@@ -220,7 +249,9 @@ export class CombatManager {
     }
     
     // Process in feedback system
-    this.feedbackSystem.processHit(hitData);
+    if (this.feedbackSystem) {
+      this.feedbackSystem.processHit(hitData);
+    }
     
     // Update combo if player hit an enemy
     if (this.settings.comboSystem && projectile.source === 'player' && target.faction !== 'player') {
@@ -310,7 +341,29 @@ export class CombatManager {
    * @returns {Object} Combat statistics
    */
   getStats() {
-    return { ...this.stats };
+    return { ...this.stats, accuracy: { ...this.stats.accuracy } };
+  }
+  
+  /**
+   * Get the combat state for a saved run
+   * @returns {Object} Stats, combo and critical hit RNG position
+   */
+  getSaveState() {
+    return {
+      stats: JSON.parse(JSON.stringify(this.stats)),
+      combo: this.comboSystem.getSaveState(),
+      random: this.damageSystem.random.getState()
+    };
+  }
+  
+  /**
+   * Restore the combat state from a saved run
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    this.stats = JSON.parse(JSON.stringify(state.stats));
+    this.comboSystem.restoreSaveState(state.combo);
+    this.damageSystem.random.setState(state.random);
   }
   
   /**
@@ -347,7 +400,10 @@ export class CombatManager {
   update(deltaTime) {
     // Update subsystems
     this.damageSystem.update(deltaTime);
-    this.feedbackSystem.update(deltaTime);
+    
+    if (this.feedbackSystem) {
+      this.feedbackSystem.update(deltaTime);
+    }
     
     if (this.settings.comboSystem) {
       this.comboSystem.update(deltaTime);
@@ -406,8 +462,17 @@ export class CombatManager {
    */
   dispose() {
     // Dispose of subsystems
+    if (this.scene.userData.damageSystem === this.damageSystem) {
+      delete this.scene.userData.damageSystem;
+    }
+    if (this.scene.userData.combatManager === this) {
+      delete this.scene.userData.combatManager;
+    }
     this.damageSystem.dispose();
-    this.feedbackSystem.dispose();
+    
+    if (this.feedbackSystem) {
+      this.feedbackSystem.dispose();
+    }
     
     if (this.settings.comboSystem) {
       this.comboSystem.dispose();
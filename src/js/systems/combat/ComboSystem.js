@@ -1,10 +1,20 @@
 import { EventEmitter } from '../../utils/EventEmitter.js';
+import { GAME_CONFIG } from '../../config/game.js';
 
 /**
  * ComboSystem - Handles combo tracking, multipliers, and related feedback
  */
 export class ComboSystem {
-  constructor() {
+  /**
+   * Create a new combo system
+   * @param {Object} options - Combo system options
+   * @param {boolean} options.showUI - Create the on-screen combo counter (off for headless runs)
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({
+      showUI: true
+    }, options);
+    
     this.events = new EventEmitter();
     
     // Combo state
@@ -12,19 +22,10 @@ export class ComboSystem {
     this.maxCombo = 0;
     this.comboMultiplier = 1.0;
     this.comboTimer = 0;
-    this.comboDuration = 3.0; // seconds before combo resets
-    
-    // Multiplier thresholds
-    this.multiplierThresholds = [
-      { count: 0, multiplier: 1.0 },
-      { count: 5, multiplier: 1.25 },
-      { count: 10, multiplier: 1.5 },
-      { count: 20, multiplier: 1.75 },
-      { count: 30, multiplier: 2.0 },
-      { count: 50, multiplier: 2.5 },
-      { count: 75, multiplier: 3.0 },
-      { count: 100, multiplier: 4.0 }
-    ];
+    this.comboDuration = GAME_CONFIG.combo.duration; // seconds before combo resets
+    
+    // Multiplier thresholds (copied so settings changes don't touch the shared config)
+    this.multiplierThresholds = GAME_CONFIG.combo.thresholds.map(threshold => ({ ...threshold }));
     
     // Combo UI elements
     this.comboContainer = null;
@@ -50,7 +51,7 @@ export class ComboSystem {
       minimumDamageForCombo: 1, // Minimum damage to increment combo
       criticalHitComboBonus: 2, // Extra combo points for critical hits
       comboBreakPenalty: 0.5, // Multiplier for score loss on combo break
-      maxComboMultiplier: 5.0 // Cap on combo multiplier
+      maxComboMultiplier: GAME_CONFIG.combo.maxMultiplier // Cap on combo multiplier
     };
   }
   
@@ -61,7 +62,9 @@ export class ComboSystem {
     if (this.initialized) return;
     
     // Create UI elements
-    this.createComboUI();
+    if (this.options.showUI) {
+      this.createComboUI();
+    }
     
     this.initialized = true;
     this.active = true;
@@ -225,7 +228,7 @@ export class ComboSystem {
    * Update combo UI elements
    */
   updateComboUI() {
-    if (!this.initialized) return;
+    if (!this.comboContainer) return;
     
     // Update combo count
     this.comboCountElement.textContent = this.comboCount.toString();
@@ -264,7 +267,7 @@ export class ComboSystem {
    * @param {boolean} isCritical - Whether this was a critical hit
    */
   showComboAnimation(increment, isCritical) {
-    if (!this.initialized) return;
+    if (!this.comboContainer) return;
     
     // Create animation element
     const animation = document.createElement('div');
@@ -354,7 +357,7 @@ export class ComboSystem {
    * @param {string} reason - Reason for breaking the combo
    */
   showComboBreakAnimation(comboValue, reason) {
-    if (!this.initialized) return;
+    if (!this.comboContainer) return;
     
     // Create animation container
     const container = document.createElement('div');
@@ -514,6 +517,30 @@ export class ComboSystem {
     this.updateComboUI();
   }
   
+  /**
+   * Get the combo state for a saved run
+   * @returns {Object} Combo count, best combo and time left on the combo
+   */
+  getSaveState() {
+    return {
+      comboCount: this.comboCount,
+      maxCombo: this.maxCombo,
+      comboTimer: this.comboTimer
+    };
+  }
+  
+  /**
+   * Restore the combo state from a saved run
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    this.comboCount = state.comboCount;
+    this.maxCombo = state.maxCombo;
+    this.comboTimer = state.comboTimer;
+    this.updateComboMultiplier();
+    this.updateComboUI();
+  }
+  
   /**
    * Set combo system settings
    * @param {Object} newSettings - New settings to apply
@@ -530,7 +557,7 @@ export class ComboSystem {
     this.active = active;
     
     // Update UI visibility
-    if (this.initialized) {
+    if (this.comboContainer) {
       this.comboContainer.style.display = active ? 'block' : 'none';
     }
   }
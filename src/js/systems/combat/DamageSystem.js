@@ -1,13 +1,22 @@
 import * as THREE from 'three';
 import { EventEmitter } from '../../utils/EventEmitter.js';
+import { MathUtils } from '../../utils/math.js';
+import { Random } from '../../utils/random.js';
 
 /**
  * DamageSystem - Handles hit detection, damage calculation, and combat effects
  */
 export class DamageSystem {
-  constructor(scene, physics) {
+  /**
+   * Create a new damage system
+   * @param {THREE.Scene} scene - The scene
+   * @param {Object} physics - The physics world
+   * @param {Random} random - Seeded RNG for critical hits (unseeded if omitted)
+   */
+  constructor(scene, physics, random = new Random()) {
     this.scene = scene;
     this.physics = physics;
+    this.random = random;
     this.events = new EventEmitter();
     
     // Raycaster for hit detection
@@ -140,8 +149,8 @@ export class DamageSystem {
     // Get source (who fired the projectile)
     const source = projectile.source || 'unknown';
     
-    // Calculate final damage
-    const damage = this.calculateDamage(baseDamage, damageType, source, target);
+    // Calculate final damage (including distance falloff)
+    const damage = this.calculateDamage(baseDamage, damageType, source, target, projectile);
     
     // Apply damage to target
     if (target.takeDamage) {
@@ -164,7 +173,8 @@ export class DamageSystem {
       isCritical: damage.isCritical,
       type: damageType,
       hitPoint: hitPoint,
-      hitNormal: hitNormal
+      hitNormal: hitNormal,
+      distance: projectile.distanceTraveled
     });
     
     // Debug visualization
@@ -179,9 +189,10 @@ export class DamageSystem {
    * @param {string} damageType - Type of damage
    * @param {string} source - Source of the damage
    * @param {Object} target - Target receiving damage
+   * @param {Object} projectile - Projectile dealing the damage, for distance falloff (optional)
    * @returns {Object} Calculated damage and critical hit info
    */
-  calculateDamage(baseDamage, damageType, source, target) {
+  calculateDamage(baseDamage, damageType, source, target, projectile = null) {
     // Start with base damage
     let damage = baseDamage;
     
@@ -200,13 +211,15 @@ export class DamageSystem {
     }
     
     // Check for critical hit
-    const isCritical = Math.random() < this.criticalHitChance;
+    const isCritical = this.random.chance(this.criticalHitChance);
     if (isCritical) {
       damage *= this.criticalHitMultiplier;
     }
     
     // Apply distance falloff if projectile has it
-    // TODO: Implement distance-based damage falloff
+    if (projectile) {
+      damage *= DamageSystem.calculateDistanceFalloff(projectile.distanceTraveled, projectile);
+    }
     
     // Round to nearest integer
     damage = Math.round(damage);
@@ -217,6 +230,26 @@ export class DamageSystem {
     };
   }
   
+  /**
+   * Calculate the damage multiplier for a projectile that has travelled a distance
+   * Full damage up to falloffStart, then a linear drop to falloffMinMultiplier
+   * at falloffEnd and beyond.
+   * @param {number} distance - Distance travelled
+   * @param {Object} curve - Falloff curve (falloffStart, falloffEnd, falloffMinMultiplier)
+   * @returns {number} Damage multiplier
+   */
+  static calculateDistanceFalloff(distance, curve) {
+    if (!curve || distance === undefined) return 1;
+    
+    const { falloffStart = Infinity, falloffEnd = Infinity, falloffMinMultiplier = 1 } = curve;
+    
+    if (distance <= falloffStart) return 1;
+    if (distance >= falloffEnd) return falloffMinMultiplier;
+    
+    const t = (distance - falloffStart) / (falloffEnd - falloffStart);
+    return MathUtils.lerp(1, falloffMinMultiplier, t);
+  }
+  
   /**
    * Process an area of effect (AOE) attack
    * @param {THREE.Vector3} center - Center of the AOE
@@ -225,24 +258,29 @@ export class DamageSystem {
    * @param {string} damageType - Type of damage
    * @param {string} source - Source of the damage
    * @param {Array} excludeTargets - Targets to exclude from damage
+   * @param {Object} options - Falloff options
+   * @param {number} options.minFalloff - Damage multiplier at the edge of the radius
+   * @param {number} options.falloffExponent - Curve of the falloff (1 = linear, >1 = sharper)
+   * @returns {Array} Targets that were damaged
    */
-  processAreaEffect(center, radius, damage, damageType, source, excludeTargets = []) {
+  processAreaEffect(center, radius, damage, damageType, source, excludeTargets = [], options = {}) {
+    const { minFalloff, falloffExponent } = Object.assign({
+      minFalloff: 0.1,
+      falloffExponent: 1
+    }, options);
+    
     // Find all objects in radius
-    const targets = this.findTargetsInRadius(center, radius);
+    const targets = this.findTargetsInRadius(center, radius)
+      .filter(target => !excludeTargets.includes(target));
     
     // Apply damage to each target
     targets.forEach(target => {
-      // Skip excluded targets
-      if (excludeTargets.includes(target)) return;
-      
       // Calculate distance from center
       const distance = center.distanceTo(target.position);
       
-      // Calculate falloff based on distance (linear falloff)
-      const falloff = 1 - (distance / radius);
-      
       // Calculate damage with falloff
-      const scaledDamage = damage * Math.max(0.1, falloff);
+      const falloff = this.calculateAreaFalloff(distance, radius, minFalloff, falloffExponent);
+      const scaledDamage = damage * falloff;
       
       // Calculate final damage
       const finalDamage = this.calculateDamage(scaledDamage, damageType, source, target);
@@ -270,12 +308,32 @@ export class DamageSystem {
       damage: damage,
       type: damageType,
       source: source,
-      targets: targets.filter(t => !excludeTargets.includes(t))
+      targets: targets
     });
+    
+    return targets;
+  }
+  
+  /**
+   * Calculate the damage multiplier at a distance from the center of an AOE
+   * @param {number} distance - Distance from the center
+   * @param {number} radius - Radius of the AOE
+   * @param {number} minFalloff - Multiplier at the edge of the radius
+   * @param {number} falloffExponent - Curve of the falloff (1 = linear)
+   * @returns {number} Damage multiplier (minFalloff-1)
+   */
+  calculateAreaFalloff(distance, radius, minFalloff = 0.1, falloffExponent = 1) {
+    if (radius <= 0) return 1;
+    
+    const t = Math.min(distance / radius, 1);
+    const falloff = 1 - Math.pow(t, 1 / falloffExponent);
+    
+    return Math.max(minFalloff, falloff);
   }
   
   /**
    * Find targets within a radius
+   * Includes damageable scene objects, live enemies and destructible cover.
    * @param {THREE.Vector3} center - Center point
    * @param {number} radius - Search radius
    * @returns {Array} Array of targets in radius
@@ -287,23 +345,45 @@ export class DamageSystem {
     const targets = [];
     const radiusSquared = radius * radius;
     
+    const isInRadius = position => {
+      // Calculate squared distance (faster than using distanceTo)
+      const dx = position.x - center.x;
+      const dy = position.y - center.y;
+      const dz = position.z - center.z;
+      return dx * dx + dy * dy + dz * dz <= radiusSquared;
+    };
+    
     // Check all objects in the scene
     this.scene.traverse(object => {
-      // Skip non-damageable objects
-      if (!object.userData || !object.userData.canTakeDamage) return;
+      if (!object.userData) return;
       
-      // Calculate squared distance (faster than using distanceTo)
-      const dx = object.position.x - center.x;
-      const dy = object.position.y - center.y;
-      const dz = object.position.z - center.z;
-      const distanceSquared = dx * dx + dy * dy + dz * dz;
+      // Enemies are damaged through their instance, not their mesh
+      const enemy = object.userData.enemyInstance;
+      if (enemy) {
+        if (enemy.isActive && enemy.isAlive && !targets.includes(enemy) && isInRadius(enemy.position)) {
+          targets.push(enemy);
+        }
+        return;
+      }
+      
+      // Skip non-damageable objects
+      if (!object.userData.canTakeDamage) return;
       
-      // Check if within radius
-      if (distanceSquared <= radiusSquared) {
+      if (isInRadius(object.position)) {
         targets.push(object);
       }
     });
     
+    // Destructible cover in the arena
+    const coverSystem = this.scene.userData.arena && this.scene.userData.arena.coverSystem;
+    if (coverSystem) {
+      coverSystem.getAllCovers().forEach(cover => {
+        if (cover.destructible && !cover.isDestroyed && isInRadius(cover.position)) {
+          targets.push(cover);
+        }
+      });
+    }
+    
     return targets;
   }
   
@@ -0,0 +1,26 @@
+const STORAGE_KEY = 'cosmicDefenderAdaptive';
+
+/**
+ * Load whether adaptive difficulty was switched on
+ * @returns {boolean} True if new runs should use the DifficultyDirector
+ */
+export function loadAdaptive() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) === 'on';
+  } catch (error) {
+    console.warn('Failed to load adaptive difficulty setting:', error);
+    return false;
+  }
+}
+
+/**
+ * Remember whether adaptive difficulty is switched on
+ * @param {boolean} enabled - Use the DifficultyDirector for new runs
+ */
+export function saveAdaptive(enabled) {
+  try {
+    localStorage.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+  } catch (error) {
+    console.warn('Failed to save adaptive difficulty setting:', error);
+  }
+}
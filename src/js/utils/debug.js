@@ -20,6 +20,13 @@ export class Debug {
     this.stats = null;
     this.gui = null;
     this.physicsDebugger = null;
+    this.formationManager = null;
+    this.difficultyParams = null;
+    this.enemyPool = null;
+    this.behaviorParams = null;
+    this.behaviorOverlay = null;
+    this.behaviorLabels = new Map();
+    this.handleKeyDown = null;
     
     // Initialize if enabled
     if (this.enabled) {
@@ -123,7 +130,7 @@ export class Debug {
     
     // Add physics controls
     const physicsParams = {
-      gravity: -9.82,
+      gravity: this.physics.world.gravity.y,
       debugDraw: this.physicsDebugEnabled,
     };
     
@@ -176,6 +183,124 @@ export class Debug {
     });
   }
   
+  addDifficultyMonitor(formationManager) {
+    if (!this.gui) return;
+    
+    this.formationManager = formationManager;
+    
+    // Create difficulty folder, read-only: the preset is picked before a run
+    const difficultyFolder = this.gui.addFolder({
+      title: 'Difficulty',
+      expanded: true,
+    });
+    
+    this.difficultyParams = {
+      preset: formationManager.difficulty.label,
+      wave: 0,
+      health: 1,
+      damage: 1,
+      speed: 1,
+      points: 1,
+      elites: formationManager.difficulty.eliteProbability,
+      commanders: formationManager.difficulty.commanderProbability,
+    };
+    this.updateDifficultyMonitor();
+    
+    const format = (value) => `x${value.toFixed(2)}`;
+    
+    difficultyFolder.addBinding(this.difficultyParams, 'preset', { readonly: true });
+    difficultyFolder.addBinding(this.difficultyParams, 'wave', { readonly: true, format: (value) => value.toFixed(0) });
+    ['health', 'damage', 'speed', 'points', 'elites', 'commanders'].forEach(key => {
+      difficultyFolder.addBinding(this.difficultyParams, key, { readonly: true, format });
+    });
+  }
+  
+  updateDifficultyMonitor() {
+    // Stat multipliers of the wave in progress (or the first, before it starts)
+    const wave = Math.max(this.formationManager.currentWave, 1);
+    const scaling = this.formationManager.getWaveScaling(wave);
+    
+    this.difficultyParams.wave = wave;
+    this.difficultyParams.health = scaling.health;
+    this.difficultyParams.damage = scaling.damage;
+    this.difficultyParams.speed = scaling.speed;
+    this.difficultyParams.points = scaling.points;
+  }
+  
+  addBehaviorOverlay(enemyPool) {
+    if (!this.gui) return;
+    
+    this.enemyPool = enemyPool;
+    
+    // Labels over each enemy with its state and the action its behavior tree ran
+    this.behaviorOverlay = document.createElement('div');
+    this.behaviorOverlay.style.position = 'absolute';
+    this.behaviorOverlay.style.top = '0';
+    this.behaviorOverlay.style.left = '0';
+    this.behaviorOverlay.style.width = '100%';
+    this.behaviorOverlay.style.height = '100%';
+    this.behaviorOverlay.style.pointerEvents = 'none';
+    this.behaviorOverlay.style.overflow = 'hidden';
+    this.behaviorOverlay.style.display = 'none';
+    document.body.appendChild(this.behaviorOverlay);
+    
+    const behaviorFolder = this.gui.addFolder({
+      title: 'Enemy AI',
+      expanded: false,
+    });
+    
+    this.behaviorParams = {
+      activeNodes: false,
+    };
+    
+    behaviorFolder.addBinding(this.behaviorParams, 'activeNodes', {
+      label: 'Active nodes'
+    }).on('change', (event) => {
+      this.behaviorOverlay.style.display = event.value ? 'block' : 'none';
+    });
+  }
+  
+  updateBehaviorOverlay() {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const position = new THREE.Vector3();
+    const shown = new Set();
+    
+    this.enemyPool.getActiveEnemies().forEach(enemy => {
+      if (!enemy.behavior) return;
+      
+      // Just above the enemy, skipping those behind the camera
+      position.copy(enemy.position);
+      position.y += 1.5 * enemy.options.scale;
+      position.project(this.camera);
+      if (position.z > 1) return;
+      
+      let label = this.behaviorLabels.get(enemy);
+      if (!label) {
+        label = document.createElement('div');
+        label.style.position = 'absolute';
+        label.style.transform = 'translate(-50%, -100%)';
+        label.style.padding = '1px 4px';
+        label.style.background = 'rgba(0, 0, 0, 0.6)';
+        label.style.color = '#8f8';
+        label.style.font = '11px monospace';
+        label.style.whiteSpace = 'nowrap';
+        this.behaviorOverlay.appendChild(label);
+        this.behaviorLabels.set(enemy, label);
+      }
+      
+      label.textContent = `${enemy.options.type}: ${enemy.behavior.getActivePath().join(' > ')}`;
+      label.style.left = `${(position.x + 1) / 2 * rect.width}px`;
+      label.style.top = `${(1 - position.y) / 2 * rect.height}px`;
+      label.style.display = 'block';
+      shown.add(enemy);
+    });
+    
+    // Hide labels of enemies that are gone or out of view
+    this.behaviorLabels.forEach((label, enemy) => {
+      if (!shown.has(enemy)) label.style.display = 'none';
+    });
+  }
+  
   initPhysicsDebugger() {
     // Create physics debugger
     this.physicsDebugger = new THREE.Group();
@@ -190,7 +315,7 @@ export class Debug {
   
   initKeyboardShortcuts() {
     // Add keyboard shortcuts
-    window.addEventListener('keydown', (event) => {
+    this.handleKeyDown = (event) => {
       // Only in debug mode
       if (!this.enabled) return;
       
@@ -216,7 +341,8 @@ export class Debug {
           }
           break;
       }
-    });
+    };
+    window.addEventListener('keydown', this.handleKeyDown);
   }
   
   togglePhysicsDebugger(enabled) {
@@ -265,6 +391,16 @@ export class Debug {
     if (this.physicsDebugEnabled) {
       this.updatePhysicsDebugger();
     }
+    
+    // Update difficulty readout
+    if (this.difficultyParams) {
+      this.updateDifficultyMonitor();
+    }
+    
+    // Update enemy AI labels
+    if (this.behaviorParams && this.behaviorParams.activeNodes) {
+      this.updateBehaviorOverlay();
+    }
   }
   
   updatePhysicsDebugger() {
@@ -338,4 +474,26 @@ export class Debug {
       this.stats.end();
     }
   }
+  
+  dispose() {
+    if (!this.enabled) return;
+    
+    window.removeEventListener('keydown', this.handleKeyDown);
+    
+    // Remove panels
+    this.stats.dom.remove();
+    this.gui.dispose();
+    if (this.behaviorOverlay) {
+      this.behaviorOverlay.remove();
+      this.behaviorLabels.clear();
+    }
+    
+    // Remove physics debug meshes
+    this.scene.remove(this.physicsDebugger);
+    this.bodyMeshes.forEach(mesh => {
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    this.bodyMeshes.clear();
+  }
 }
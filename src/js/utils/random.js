@@ -0,0 +1,143 @@
+/**
+ * Random - Seedable pseudo-random number generator (mulberry32)
+ *
+ * Gameplay systems (combat, spawning, arena generation) take a Random
+ * instead of calling Math.random(), so a whole run can be reproduced from
+ * its seed. Each system should get its own stream via fork() so extra rolls
+ * in one system don't shift the results of another.
+ *
+ * Purely visual randomness (particles, sparkle) can stay on Math.random().
+ */
+export class Random {
+  /**
+   * Create a new generator
+   * @param {number|string} seed - Seed (strings are hashed); random if omitted
+   */
+  constructor(seed = Random.generateSeed()) {
+    this.seed = Random.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the next number in [0, 1)
+   * @returns {number} Random number
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) | 0;
+
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a random float in [min, max)
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number} Random float
+   */
+  float(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Get a random integer in [min, max]
+   * @param {number} min - Minimum value (inclusive)
+   * @param {number} max - Maximum value (inclusive)
+   * @returns {number} Random integer
+   */
+  int(min, max) {
+    return Math.floor(this.float(min, max + 1));
+  }
+
+  /**
+   * Roll against a probability
+   * @param {number} probability - Chance of success (0-1)
+   * @returns {boolean} Whether the roll succeeded
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random element from an array
+   * @param {Array} array - Array to pick from
+   * @returns {*} Random element, or undefined if the array is empty
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Create an independent generator derived from this seed
+   * The same seed and label always give the same stream.
+   * @param {string} label - Name of the stream (e.g. 'combat')
+   * @returns {Random} New generator
+   */
+  fork(label) {
+    return new Random(`${this.seed}:${label}`);
+  }
+
+  /**
+   * Restart the sequence from the seed
+   */
+  reset() {
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the current position in the sequence
+   * @returns {number} Generator state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Resume the sequence from a saved position
+   * @param {number} state - State from getState()
+   */
+  setState(state) {
+    this.state = state | 0;
+  }
+
+  /**
+   * Convert a number or string into a 32-bit seed
+   * @param {number|string} seed - Seed value
+   * @returns {number} 32-bit integer seed
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'string') {
+      const trimmed = seed.trim();
+      return /^-?\d+$/.test(trimmed) ? Number(trimmed) | 0 : Random.hashString(trimmed);
+    }
+
+    return Math.floor(Number(seed) || 0) | 0;
+  }
+
+  /**
+   * Hash a string to a 32-bit integer (FNV-1a)
+   * @param {string} string - String to hash
+   * @returns {number} Hash
+   */
+  static hashString(string) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < string.length; i++) {
+      hash ^= string.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash | 0;
+  }
+
+  /**
+   * Generate a fresh seed for a new run
+   * @returns {number} 32-bit integer seed
+   */
+  static generateSeed() {
+    return (Math.random() * 4294967296) | 0;
+  }
+}
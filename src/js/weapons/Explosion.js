@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+
+/**
+ * Explosion - Short-lived fireball and shockwave ring
+ * Instances are reused through ExplosionPool.
+ */
+export class Explosion {
+  constructor(scene) {
+    this.scene = scene;
+    
+    // Animation settings
+    this.duration = 0.6; // seconds
+    this.radius = 1;
+    
+    // State
+    this.active = false;
+    this.elapsed = 0;
+    
+    this.createMeshes();
+  }
+  
+  createMeshes() {
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    
+    // Fireball
+    this.fireballMaterial = new THREE.MeshBasicMaterial({
+      color: 0xff8833,
+      transparent: true,
+      opacity: 0,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    this.fireball = new THREE.Mesh(new THREE.SphereGeometry(1, 16, 12), this.fireballMaterial);
+    this.group.add(this.fireball);
+    
+    // Hot core
+    this.coreMaterial = new THREE.MeshBasicMaterial({
+      color: 0xffffcc,
+      transparent: true,
+      opacity: 0,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    this.core = new THREE.Mesh(new THREE.SphereGeometry(0.5, 12, 8), this.coreMaterial);
+    this.group.add(this.core);
+    
+    // Shockwave ring (flat on the ground plane)
+    this.ringMaterial = new THREE.MeshBasicMaterial({
+      color: 0xffaa66,
+      transparent: true,
+      opacity: 0,
+      side: THREE.DoubleSide,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    this.ring = new THREE.Mesh(new THREE.RingGeometry(0.85, 1, 32), this.ringMaterial);
+    this.ring.rotation.x = -Math.PI / 2;
+    this.group.add(this.ring);
+    
+    this.scene.add(this.group);
+  }
+  
+  /**
+   * Start the explosion
+   * @param {THREE.Vector3} position - Center of the explosion
+   * @param {number} radius - Blast radius
+   * @param {number} color - Tint color
+   */
+  play(position, radius, color = 0xff8833) {
+    this.group.position.copy(position);
+    this.radius = Math.max(radius, 0.5);
+    this.fireballMaterial.color.set(color).lerp(new THREE.Color(0xff8833), 0.5);
+    
+    this.elapsed = 0;
+    this.active = true;
+    this.group.visible = true;
+    
+    this.updateVisuals(0);
+  }
+  
+  /**
+   * Update the explosion animation
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    if (!this.active) return;
+    
+    this.elapsed += deltaTime;
+    const progress = this.elapsed / this.duration;
+    
+    if (progress >= 1) {
+      this.deactivate();
+      return;
+    }
+    
+    this.updateVisuals(progress);
+  }
+  
+  /**
+   * Apply the animation at a point in time
+   * @param {number} progress - Animation progress (0-1)
+   */
+  updateVisuals(progress) {
+    // Fireball grows quickly, then fades
+    const grow = 1 - Math.pow(1 - progress, 3);
+    this.fireball.scale.setScalar(this.radius * (0.2 + grow * 0.8));
+    this.fireballMaterial.opacity = 0.8 * (1 - progress);
+    
+    // Core flashes and dies out in the first third
+    const coreProgress = Math.min(progress * 3, 1);
+    this.core.scale.setScalar(this.radius * (0.3 + coreProgress * 0.4));
+    this.coreMaterial.opacity = 1 - coreProgress;
+    
+    // Shockwave races out past the blast radius
+    this.ring.scale.setScalar(this.radius * (0.2 + progress * 1.3));
+    this.ringMaterial.opacity = 0.6 * (1 - progress);
+  }
+  
+  deactivate() {
+    this.active = false;
+    this.group.visible = false;
+  }
+  
+  reset() {
+    this.deactivate();
+    this.elapsed = 0;
+  }
+  
+  dispose() {
+    this.scene.remove(this.group);
+    this.group.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
@@ -0,0 +1,53 @@
+import { Explosion } from './Explosion.js';
+import { PoolManager } from '../utils/pool.js';
+
+export class ExplosionPool {
+  constructor(scene) {
+    this.scene = scene;
+    
+    // Create pool manager
+    this.pool = new PoolManager(
+      // Create function
+      () => new Explosion(this.scene),
+      // Reset function
+      (explosion) => explosion.reset(),
+      // Initial size
+      5
+    );
+    
+    // Active explosions
+    this.activeExplosions = [];
+  }
+  
+  spawn(position, radius, color) {
+    const explosion = this.pool.get();
+    explosion.play(position, radius, color);
+    this.activeExplosions.push(explosion);
+    
+    return explosion;
+  }
+  
+  update(deltaTime) {
+    for (let i = this.activeExplosions.length - 1; i >= 0; i--) {
+      const explosion = this.activeExplosions[i];
+      
+      explosion.update(deltaTime);
+      
+      // Return finished explosions to the pool
+      if (!explosion.active) {
+        this.activeExplosions.splice(i, 1);
+        this.pool.release(explosion);
+      }
+    }
+  }
+  
+  getActiveCount() {
+    return this.activeExplosions.length;
+  }
+  
+  clear() {
+    while (this.activeExplosions.length > 0) {
+      this.pool.release(this.activeExplosions.pop());
+    }
+  }
+}
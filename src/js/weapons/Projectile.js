@@ -1,26 +1,69 @@
 import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { PROJECTILE_TYPES } from '../config/weapons.js';
+import { DamageSystem } from '../systems/combat/DamageSystem.js';
+
+// Settings used for anything a fire() config leaves out, so pooled
+// projectiles never inherit stats from a previous shot
+const PROJECTILE_DEFAULTS = {
+  type: PROJECTILE_TYPES.STANDARD,
+  damage: 10,
+  speed: 30,
+  radius: 0.05,
+  color: 0x00aaff,
+  lifetime: 3.0, // seconds
+  gravity: 0, // Downward acceleration (m/s^2)
+  piercing: false,
+  explosive: false,
+  explosionRadius: 0,
+  explosionDamage: null, // Damage at the center of the blast (null = same as damage)
+  explosionForce: 20, // Impulse at the center of the blast (N*s)
+  explosionMinFalloff: 0.1, // Damage/impulse multiplier at the edge of the blast
+  source: 'player', // Who fired the projectile (DamageSystem damage modifiers)
+  faction: 'player', // Side the projectile is on (CombatManager friendly fire)
+  falloffStart: Infinity, // Distance travelled before damage starts to drop (m)
+  falloffEnd: Infinity, // Distance at which damage reaches falloffMinMultiplier (m)
+  falloffMinMultiplier: 1, // Damage multiplier at and beyond falloffEnd
+  maxPierce: Infinity, // Enemies a charged projectile can pass through
+  pierceDamageFalloff: 1 // Damage multiplier after each enemy passed through
+};
 
 export class Projectile {
-  constructor(scene, physics) {
+  constructor(scene, physics, explosionPool = null) {
     this.scene = scene;
     this.physics = physics;
+    this.explosionPool = explosionPool;
     
     // Default projectile properties
+    this.type = PROJECTILE_TYPES.STANDARD;
     this.damage = 10;
     this.speed = 30;
     this.radius = 0.05;
     this.color = 0x00aaff;
     this.lifetime = 3.0; // seconds
+    this.gravity = 0;
     this.piercing = false;
     this.explosive = false;
     this.explosionRadius = 0;
+    this.explosionDamage = null;
+    this.explosionForce = 20;
+    this.explosionMinFalloff = 0.1;
+    this.source = 'player';
+    this.faction = 'player';
+    this.falloffStart = Infinity;
+    this.falloffEnd = Infinity;
+    this.falloffMinMultiplier = 1;
+    this.maxPierce = Infinity;
+    this.pierceDamageFalloff = 1;
     
     // State
     this.active = false;
-    this.startTime = 0;
+    this.age = 0; // Seconds since fired
+    this.distanceTraveled = 0;
     this.position = new THREE.Vector3();
     this.direction = new THREE.Vector3();
     this.hits = new Set(); // Track hit objects for piercing projectiles
+    this.hasHitTarget = false; // Whether a hit has counted toward the run's accuracy
     
     // Create projectile mesh
     this.createProjectileMesh();
@@ -105,14 +148,28 @@ export class Projectile {
     this.direction.copy(direction).normalize();
     
     // Apply configuration
-    this.damage = config.damage || this.damage;
-    this.speed = config.speed || this.speed;
-    this.radius = config.radius || this.radius;
-    this.color = config.color || this.color;
-    this.lifetime = config.lifetime || this.lifetime;
-    this.piercing = config.piercing || this.piercing;
-    this.explosive = config.explosive || this.explosive;
-    this.explosionRadius = config.explosionRadius || this.explosionRadius;
+    const settings = Object.assign({}, PROJECTILE_DEFAULTS, config);
+    this.type = settings.type;
+    this.damage = settings.damage;
+    this.speed = settings.speed;
+    this.radius = settings.radius;
+    this.color = settings.color;
+    this.lifetime = settings.lifetime;
+    this.gravity = settings.gravity;
+    this.piercing = settings.piercing;
+    this.explosive = settings.explosive;
+    this.explosionRadius = settings.explosionRadius;
+    this.explosionDamage = settings.explosionDamage;
+    this.explosionForce = settings.explosionForce;
+    this.explosionMinFalloff = settings.explosionMinFalloff;
+    this.source = settings.source;
+    this.faction = settings.faction;
+    this.falloffStart = settings.falloffStart;
+    this.falloffEnd = settings.falloffEnd;
+    this.falloffMinMultiplier = settings.falloffMinMultiplier;
+    this.maxPierce = settings.maxPierce;
+    this.pierceDamageFalloff = settings.pierceDamageFalloff;
+    this.pierceCount = 0;
     
     // Update material color
     this.material.color.set(this.color);
@@ -122,8 +179,10 @@ export class Projectile {
     
     // Reset state
     this.active = true;
-    this.startTime = performance.now() / 1000;
+    this.age = 0;
+    this.distanceTraveled = 0;
     this.hits.clear();
+    this.hasHitTarget = false;
     this.trailHistory = [];
     
     // Show mesh
@@ -133,8 +192,16 @@ export class Projectile {
     // Position mesh
     this.mesh.position.copy(this.position);
     
-    // Add glow effect
-    this.addGlowEffect();
+    // Add glow effect (drawn on a canvas, so not in headless runs)
+    if (!this.scene.userData.headless) {
+      this.addGlowEffect();
+    }
+    
+    // Count the shot toward the run's accuracy (CombatManager shares itself through the scene)
+    const combatManager = this.scene.userData.combatManager;
+    if (combatManager) {
+      combatManager.processShot(this, this.source);
+    }
   }
   
   addGlowEffect() {
@@ -182,8 +249,8 @@ export class Projectile {
     if (!this.active) return;
     
     // Check lifetime
-    const now = performance.now() / 1000;
-    if (now - this.startTime > this.lifetime) {
+    this.age += deltaTime;
+    if (this.age > this.lifetime) {
       this.deactivate();
       return;
     }
@@ -197,15 +264,24 @@ export class Projectile {
     // Update trail
     this.updateTrail();
     
+    // Apply gravity (arcing projectiles such as grenades)
+    if (this.gravity > 0) {
+      this.direction.multiplyScalar(this.speed);
+      this.direction.y -= this.gravity * deltaTime;
+      this.speed = this.direction.length();
+      this.direction.normalize();
+    }
+    
     // Move projectile
     const moveDistance = this.speed * deltaTime;
     this.position.addScaledVector(this.direction, moveDistance);
+    this.distanceTraveled += moveDistance;
     
     // Update mesh position
     this.mesh.position.copy(this.position);
     
     // Check for collisions
-    this.checkCollisions();
+    this.checkCollisions(moveDistance);
   }
   
   updateTrail() {
@@ -235,10 +311,14 @@ export class Projectile {
     this.trail.geometry.attributes.position.needsUpdate = true;
   }
   
-  checkCollisions() {
+  /**
+   * Check what the projectile hit since the last update
+   * @param {number} moveDistance - Distance moved this update
+   */
+  checkCollisions(moveDistance) {
     // Raycast from previous position to current position
     const rayDirection = this.direction.clone();
-    const rayLength = this.speed / 60; // Assuming 60 FPS
+    const rayLength = moveDistance;
     
     // Create ray
     const rayStart = this.position.clone().sub(rayDirection.clone().multiplyScalar(rayLength));
@@ -253,6 +333,15 @@ export class Projectile {
         if (this.piercing && this.hits.has(body.id)) {
           return false;
         }
+        
+        // Pass through the shooter and the bodies of the dead
+        const userData = body.userData;
+        if (userData && userData.isPlayer && this.source === 'player') {
+          return false;
+        }
+        if (userData && userData.enemyInstance && !userData.enemyInstance.isAlive) {
+          return false;
+        }
         return true;
       }
     );
@@ -264,13 +353,16 @@ export class Projectile {
   }
   
   onHit(hit) {
+    if (this.type === PROJECTILE_TYPES.CHARGED) {
+      this.onChargedHit(hit);
+      return;
+    }
+    
     // Add to hit list
     this.hits.add(hit.body.id);
     
     // Apply damage to hit object
-    if (hit.body.userData && hit.body.userData.takeDamage) {
-      hit.body.userData.takeDamage(this.damage);
-    }
+    this.dealDamage(hit.body.userData, hit);
     
     // Create hit effect
     this.createHitEffect(hit.point, hit.normal);
@@ -286,30 +378,148 @@ export class Projectile {
     }
   }
   
+  onChargedHit(hit) {
+    // Add to hit list so the shot doesn't hit the same body twice
+    this.hits.add(hit.body.id);
+    
+    const userData = hit.body.userData;
+    
+    this.dealDamage(userData, hit, this.position.clone());
+    
+    // Create hit effect
+    this.createHitEffect(hit.point, hit.normal);
+    
+    // Anything that isn't an enemy (walls, cover, ground) stops the shot
+    if (!userData || !userData.isEnemy) {
+      if (this.explosive) {
+        this.explode(hit.point);
+      }
+      this.deactivate();
+      return;
+    }
+    
+    // Pass through the enemy, losing some damage
+    this.pierceCount++;
+    this.damage *= this.pierceDamageFalloff;
+    
+    if (this.pierceCount >= this.maxPierce) {
+      this.deactivate();
+    }
+  }
+  
+  /**
+   * Damage a hit target, through the combat systems when they are registered
+   * The first target hit goes through the combat manager, so it counts
+   * toward the run's accuracy; piercing hits after it only deal damage.
+   * @param {Object} target - Hit body's userData
+   * @param {Object} hit - Raycast hit (point, normal)
+   * @param {THREE.Vector3} knockbackSource - Position to knock the target away from (optional)
+   */
+  dealDamage(target, hit, knockbackSource) {
+    if (!target || !target.takeDamage) return;
+    
+    const combatManager = this.scene.userData.combatManager;
+    if (combatManager && !this.hasHitTarget) {
+      this.hasHitTarget = true;
+      combatManager.processHit(this, target, hit.point, hit.normal);
+      return;
+    }
+    
+    const damageSystem = this.scene.userData.damageSystem;
+    if (damageSystem) {
+      damageSystem.processHit(this, target, hit.point, hit.normal);
+      return;
+    }
+    
+    const falloff = DamageSystem.calculateDistanceFalloff(this.distanceTraveled, this);
+    target.takeDamage(this.damage * falloff, knockbackSource);
+  }
+  
   createHitEffect(position, normal) {
     // This would create a visual hit effect
-    // For now, just log the hit
-    console.log('Projectile hit at', position);
+    // For now, just play the impact sound
+    this.playSound('impact_hit', position);
   }
   
   explode(position) {
+    const center = new THREE.Vector3(position.x, position.y, position.z);
+    
     // Create explosion effect
-    this.createExplosionEffect(position);
+    this.createExplosionEffect(center);
     
     // Apply damage to nearby objects
-    this.applyExplosionDamage(position);
+    this.applyExplosionDamage(center);
+    
+    // Push nearby physics bodies away
+    this.applyExplosionImpulse(center);
   }
   
   createExplosionEffect(position) {
-    // This would create a visual explosion effect
-    // For now, just log the explosion
-    console.log('Explosion at', position);
+    if (this.explosionPool) {
+      this.explosionPool.spawn(position, this.explosionRadius, this.color);
+    }
+    
+    this.playSound('explosion', position);
+  }
+  
+  playSound(name, position) {
+    // Positional sound, heard through the scene's audio manager
+    const audioManager = this.scene.userData.audioManager;
+    if (audioManager) {
+      audioManager.playSoundAt(name, position);
+    }
   }
   
   applyExplosionDamage(position) {
-    // Find all bodies within explosion radius
-    // This would be implemented with physics system
-    console.log('Applying explosion damage with radius', this.explosionRadius);
+    // Area damage goes through the shared damage system (registered by CombatManager)
+    const damageSystem = this.scene.userData.damageSystem;
+    if (!damageSystem) {
+      console.warn('No damage system registered, explosion damage skipped');
+      return;
+    }
+    
+    const damage = this.explosionDamage ?? this.damage;
+    
+    damageSystem.processAreaEffect(
+      position,
+      this.explosionRadius,
+      damage,
+      damageSystem.damageTypes.explosive,
+      this.source,
+      [],
+      { minFalloff: this.explosionMinFalloff }
+    );
+  }
+  
+  applyExplosionImpulse(position) {
+    if (!this.physics || !this.physics.world || this.explosionForce <= 0) return;
+    
+    const radius = this.explosionRadius;
+    const center = new CANNON.Vec3(position.x, position.y, position.z);
+    const offset = new CANNON.Vec3();
+    
+    this.physics.world.bodies.forEach(body => {
+      // Only dynamic bodies can be pushed
+      if (body.type !== CANNON.Body.DYNAMIC) return;
+      
+      body.position.vsub(center, offset);
+      const distance = offset.length();
+      if (distance > radius) return;
+      
+      // Bodies at the very center are thrown straight up
+      if (distance < 0.001) {
+        offset.set(0, 1, 0);
+      } else {
+        offset.scale(1 / distance, offset);
+      }
+      
+      // Same linear falloff as the damage
+      const falloff = Math.max(this.explosionMinFalloff, 1 - distance / radius);
+      offset.scale(this.explosionForce * falloff, offset);
+      
+      body.wakeUp();
+      body.applyImpulse(offset);
+    });
   }
   
   deactivate() {
@@ -322,7 +532,9 @@ export class Projectile {
     this.deactivate();
     this.position.set(0, 0, 0);
     this.direction.set(0, 0, 0);
+    this.distanceTraveled = 0;
     this.hits.clear();
+    this.hasHitTarget = false;
     this.trailHistory = [];
     
     // Remove glow sprite if it exists
@@ -1,4 +1,5 @@
 import { Projectile } from './Projectile.js';
+import { ExplosionPool } from './ExplosionPool.js';
 import { PoolManager } from '../utils/pool.js';
 
 export class ProjectilePool {
@@ -6,10 +7,13 @@ export class ProjectilePool {
     this.scene = scene;
     this.physics = physics;
     
+    // Explosion effects shared by all explosive projectiles
+    this.explosionPool = new ExplosionPool(scene);
+    
     // Create pool manager
     this.pool = new PoolManager(
       // Create function
-      () => new Projectile(this.scene, this.physics),
+      () => new Projectile(this.scene, this.physics, this.explosionPool),
       // Reset function
       (projectile) => projectile.reset()
     );
@@ -69,6 +73,9 @@ export class ProjectilePool {
         this.releaseProjectile(projectile);
       }
     }
+    
+    // Update explosion effects
+    this.explosionPool.update(deltaTime);
   }
   
   getActiveCount() {
@@ -86,5 +93,7 @@ export class ProjectilePool {
       projectile.deactivate();
       this.releaseProjectile(projectile);
     }
+    
+    this.explosionPool.clear();
   }
 } 
@@ -0,0 +1,356 @@
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { MathUtils } from '../utils/math.js';
+import { WEAPON_SWITCH } from '../config/weapons.js';
+
+/**
+ * WeaponInventory - Holds the player's weapons and handles switching
+ *
+ * Number keys select a weapon by slot and the scroll wheel cycles through
+ * them. Switching holsters the current weapon, then draws the next one.
+ * Each weapon keeps its own ammo, reserve and upgrades while put away.
+ *
+ * Events:
+ *   weaponAdded (weapon, index)
+ *   weaponSwitched (weapon, index, previousWeapon)
+ *   ammoChanged (ammoStatus)
+ */
+export class WeaponInventory {
+  /**
+   * Create a new weapon inventory
+   * @param {Object} options - Inventory options
+   * @param {KeyboardInput} options.keyboard - Keyboard input for number keys
+   * @param {MouseInput} options.mouse - Mouse input for the scroll wheel
+   */
+  constructor(options = {}) {
+    this.events = new EventEmitter();
+    this.options = Object.assign({
+      keyboard: null,
+      mouse: null,
+      holsterTime: WEAPON_SWITCH.holsterTime, // seconds
+      drawTime: WEAPON_SWITCH.drawTime, // seconds
+      wheelThreshold: 50, // Scroll delta per weapon step
+    }, options);
+
+    this.weapons = [];
+    this.activeIndex = -1;
+
+    // Switch state
+    this.state = 'ready'; // ready, holstering, drawing
+    this.pendingIndex = -1;
+    this.switchTimer = 0;
+
+    // Input state
+    this.slotKeysDown = new Set();
+    this.wheelAccumulator = 0;
+
+    // Last reported ammo, to only emit ammoChanged on changes
+    this.lastAmmoKey = '';
+  }
+
+  /**
+   * Add a weapon in the next free position
+   * The first weapon added is drawn immediately.
+   * @param {BaseWeapon} weapon - Weapon to add
+   * @returns {number} Index of the weapon
+   */
+  addWeapon(weapon) {
+    const index = this.weapons.length;
+    this.weapons.push(weapon);
+
+    // Map the weapon's number key
+    const slot = weapon.definition.slot ?? index + 1;
+    if (this.options.keyboard) {
+      this.options.keyboard.addKeyMapping(`weapon${slot}`, [`Digit${slot}`, `Numpad${slot}`]);
+    }
+
+    if (this.activeIndex === -1) {
+      this.activeIndex = index;
+      weapon.draw();
+      weapon.ready();
+    } else {
+      weapon.holster();
+      weapon.holsterAmount = 1;
+      weapon.model.visible = false;
+    }
+
+    this.events.emit('weaponAdded', weapon, index);
+    return index;
+  }
+
+  /**
+   * Get the weapon currently in hand
+   * @returns {BaseWeapon|null} Active weapon
+   */
+  getActiveWeapon() {
+    return this.weapons[this.activeIndex] || null;
+  }
+
+  /**
+   * Find a weapon by its slot number
+   * @param {number} slot - Slot number (number key)
+   * @returns {number} Weapon index, or -1 if no weapon uses the slot
+   */
+  getIndexForSlot(slot) {
+    return this.weapons.findIndex((weapon, index) => (weapon.definition.slot ?? index + 1) === slot);
+  }
+
+  /**
+   * Switch to a weapon
+   * @param {number} index - Weapon index
+   * @returns {boolean} Whether a switch was started
+   */
+  switchTo(index) {
+    if (index < 0 || index >= this.weapons.length) return false;
+
+    // Re-selecting the weapon being drawn (or already held) does nothing
+    if (index === this.getTargetIndex()) return false;
+
+    const current = this.getActiveWeapon();
+
+    if (this.state === 'holstering' && index === this.activeIndex) {
+      // Changed our mind: bring the current weapon back up from where it is
+      this.state = 'drawing';
+      this.pendingIndex = -1;
+      this.switchTimer = this.options.drawTime * (1 - current.holsterAmount);
+      return true;
+    }
+
+    if (this.state === 'drawing') {
+      // Put the half-drawn weapon straight back, from where it is now
+      this.switchTimer = this.options.holsterTime * current.holsterAmount;
+    } else if (this.state === 'ready') {
+      this.switchTimer = 0;
+      current.holster();
+    }
+
+    this.state = 'holstering';
+    this.pendingIndex = index;
+    return true;
+  }
+
+  /**
+   * Get the weapon that will be in hand once any switch finishes
+   * @returns {number} Weapon index
+   */
+  getTargetIndex() {
+    return this.state === 'holstering' ? this.pendingIndex : this.activeIndex;
+  }
+
+  /**
+   * Switch to the weapon on a number key
+   * @param {number} slot - Slot number
+   * @returns {boolean} Whether a switch was started
+   */
+  selectSlot(slot) {
+    return this.switchTo(this.getIndexForSlot(slot));
+  }
+
+  /**
+   * Switch to the next weapon
+   */
+  nextWeapon() {
+    this.cycle(1);
+  }
+
+  /**
+   * Switch to the previous weapon
+   */
+  previousWeapon() {
+    this.cycle(-1);
+  }
+
+  /**
+   * Step through the weapons, wrapping around
+   * @param {number} step - Positions to move (+/-)
+   */
+  cycle(step) {
+    if (this.weapons.length < 2) return;
+
+    const from = this.getTargetIndex();
+    const count = this.weapons.length;
+    this.switchTo(((from + step) % count + count) % count);
+  }
+
+  /**
+   * Cycle through the weapons with the scroll wheel, one step per wheelThreshold of scrolling
+   * @param {number} delta - Scroll delta (positive scrolls down, to the next weapon)
+   */
+  scroll(delta) {
+    this.wheelAccumulator += delta;
+
+    while (Math.abs(this.wheelAccumulator) >= this.options.wheelThreshold) {
+      const step = Math.sign(this.wheelAccumulator);
+      this.wheelAccumulator -= step * this.options.wheelThreshold;
+      this.cycle(step);
+    }
+  }
+
+  /**
+   * Poll number keys and the scroll wheel
+   */
+  handleInput() {
+    const { keyboard, mouse } = this.options;
+
+    if (keyboard) {
+      this.weapons.forEach((weapon, index) => {
+        const action = `weapon${weapon.definition.slot ?? index + 1}`;
+        const pressed = keyboard.isPressed(action);
+
+        // Switch on key down only, not while held
+        if (pressed && !this.slotKeysDown.has(action)) {
+          this.switchTo(index);
+        }
+
+        if (pressed) {
+          this.slotKeysDown.add(action);
+        } else {
+          this.slotKeysDown.delete(action);
+        }
+      });
+    }
+
+    if (mouse) {
+      this.scroll(mouse.consumeWheelDelta());
+    }
+  }
+
+  /**
+   * Advance the holster/draw animation
+   * @param {number} deltaTime - Time since last update
+   */
+  updateSwitch(deltaTime) {
+    if (this.state === 'ready') return;
+
+    const current = this.getActiveWeapon();
+    this.switchTimer += deltaTime;
+
+    if (this.state === 'holstering') {
+      current.holsterAmount = MathUtils.clamp(this.switchTimer / this.options.holsterTime, 0, 1);
+      if (this.switchTimer < this.options.holsterTime) return;
+
+      // Swap models
+      current.holsterAmount = 1;
+      current.model.visible = false;
+
+      const previous = current;
+      this.activeIndex = this.pendingIndex;
+      this.pendingIndex = -1;
+      this.state = 'drawing';
+      this.switchTimer = 0;
+
+      const next = this.getActiveWeapon();
+      next.holsterAmount = 1;
+      next.draw();
+
+      this.events.emit('weaponSwitched', next, this.activeIndex, previous);
+      return;
+    }
+
+    // Drawing
+    current.holsterAmount = 1 - MathUtils.clamp(this.switchTimer / this.options.drawTime, 0, 1);
+    if (this.switchTimer >= this.options.drawTime) {
+      this.state = 'ready';
+      current.ready();
+    }
+  }
+
+  /**
+   * Update input, switching and the active weapon
+   * @param {number} deltaTime - Time since last update
+   */
+  update(deltaTime) {
+    this.handleInput();
+    this.updateSwitch(deltaTime);
+
+    const weapon = this.getActiveWeapon();
+    if (!weapon) return;
+
+    weapon.update(deltaTime);
+
+    // Report ammo changes (firing, reloading, pickups)
+    const ammo = weapon.getAmmoStatus();
+    const ammoKey = `${this.activeIndex}:${ammo.current}:${ammo.max}:${ammo.reserve}:${ammo.isReloading}`;
+    if (ammoKey !== this.lastAmmoKey) {
+      this.lastAmmoKey = ammoKey;
+      this.events.emit('ammoChanged', ammo);
+    }
+  }
+
+  /**
+   * Check whether a switch animation is playing
+   * @returns {boolean} Whether the player is switching weapons
+   */
+  isSwitching() {
+    return this.state !== 'ready';
+  }
+
+  /**
+   * Get a summary of every weapon for the HUD
+   * @returns {Object} Wheel state ({ activeIndex, pendingIndex, weapons })
+   */
+  getWheelState() {
+    return {
+      activeIndex: this.activeIndex,
+      pendingIndex: this.pendingIndex,
+      weapons: this.weapons.map((weapon, index) => ({
+        name: weapon.name,
+        slot: weapon.definition.slot ?? index + 1,
+        color: weapon.definition.model.accentColor,
+        ammo: weapon.getAmmoStatus()
+      }))
+    };
+  }
+
+  /**
+   * Get the inventory state for a saved run
+   * @returns {Object} Weapon in hand and each weapon's state
+   */
+  getSaveState() {
+    return {
+      activeIndex: this.getTargetIndex(),
+      weapons: this.weapons.map(weapon => weapon.getSaveState())
+    };
+  }
+
+  /**
+   * Restore the inventory state from a saved run
+   * The saved weapon is put straight in hand, without the switch animation.
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    state.weapons.forEach((weaponState, index) => {
+      if (this.weapons[index]) {
+        this.weapons[index].restoreSaveState(weaponState);
+      }
+    });
+
+    const index = state.activeIndex;
+    if (index < 0 || index >= this.weapons.length) return;
+
+    const current = this.getActiveWeapon();
+    if (current && index !== this.activeIndex) {
+      current.holster();
+      current.holsterAmount = 1;
+      current.model.visible = false;
+    }
+
+    this.activeIndex = index;
+    this.pendingIndex = -1;
+    this.state = 'ready';
+    this.switchTimer = 0;
+
+    const weapon = this.getActiveWeapon();
+    weapon.draw();
+    weapon.ready();
+  }
+
+  /**
+   * Dispose of all weapons
+   */
+  dispose() {
+    this.weapons.forEach(weapon => weapon.dispose());
+    this.weapons = [];
+    this.activeIndex = -1;
+    this.events.removeAllListeners();
+  }
+}
@@ -0,0 +1,788 @@
+import * as THREE from 'three';
+import { MathUtils } from '../utils/math.js';
+import { Random } from '../utils/random.js';
+import { FIRE_MODES, SPREAD_PATTERNS, UPGRADE_PATHS, MAX_UPGRADE_LEVEL, WEAPON_SWITCH } from '../config/weapons.js';
+
+// Stats that must stay whole numbers after upgrades
+const INTEGER_STATS = ['magazineSize', 'pelletCount'];
+
+// Golden angle, used to spread cone pellets evenly
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * Base weapon class that all player weapons extend
+ *
+ * Stats come from a weapon definition (see WEAPON_TYPES) with the unlocked
+ * upgrade modifiers applied. Shots are fired through a shared ProjectilePool.
+ * Weapons with a secondary definition also charge an energy-powered shot on
+ * the right mouse button. The owner passes on its trigger and reload input
+ * (see handleMouseButton), and every timer runs on update()'s game time,
+ * with spread rolled on the weapon's own seeded RNG, so shots replay exactly.
+ * Subclasses must implement createModel().
+ */
+export class BaseWeapon {
+  /**
+   * Create a new weapon
+   * @param {THREE.Scene} scene - The scene projectiles are added to
+   * @param {THREE.Camera} camera - Camera the weapon model is attached to
+   * @param {Object} physics - The physics world
+   * @param {Object} owner - Player holding the weapon
+   * @param {Object} definition - Weapon definition (see WEAPON_TYPES)
+   * @param {Object} options - Weapon options
+   * @param {ProjectilePool} options.projectilePool - Pool used to fire projectiles
+   * @param {AudioManager} options.audioManager - Audio manager for weapon sounds
+   * @param {Random} options.random - Seeded RNG for spread (unseeded if omitted)
+   */
+  constructor(scene, camera, physics, owner, definition, options = {}) {
+    if (new.target === BaseWeapon) {
+      throw new Error('BaseWeapon is abstract, extend it instead');
+    }
+
+    this.scene = scene;
+    this.camera = camera;
+    this.physics = physics;
+    this.owner = owner;
+    this.definition = definition;
+    this.projectilePool = options.projectilePool || null;
+    this.audioManager = options.audioManager || null;
+    this.random = options.random || new Random();
+
+    // Upgrade levels per path (0-3)
+    this.upgrades = {};
+    UPGRADE_PATHS.forEach(path => {
+      this.upgrades[path] = 0;
+    });
+
+    // Effective stats (definition + upgrades)
+    this.applyUpgrades();
+
+    // Weapon state
+    this.name = definition.name;
+    this.fireMode = definition.fireMode;
+    this.currentAmmo = this.stats.magazineSize;
+    this.reserveAmmo = definition.reserveAmmo;
+    this.maxReserveAmmo = definition.maxReserveAmmo;
+    this.isFiring = false;
+    this.isReloading = false;
+    this.isCharging = false;
+    this.chargeTime = 0;
+    this.fireCooldown = 0; // Seconds until the next shot
+    this.isChargingSecondary = false;
+    this.secondaryChargeTime = 0;
+    this.secondaryCooldown = 0; // Seconds until the next secondary shot
+    this.reloadTimer = 0; // Seconds of reload left
+    this.muzzleFlashTimer = 0;
+    this.recoilTimer = 0;
+    this.enabled = true;
+    this.holsterAmount = 0; // 0 = drawn, 1 = fully holstered
+
+    // Audio
+    this.sounds = Object.assign({}, definition.sounds);
+
+    // Weapon model
+    this.model = this.createModel();
+    this.createMuzzleFlash();
+    this.model.position.set(0.2, -0.15, -0.3);
+    this.camera.add(this.model);
+  }
+
+  /**
+   * Build the weapon model
+   * The barrel should end at z = -(0.2 + model.barrelLength), where the
+   * muzzle flash is placed.
+   * @returns {THREE.Group} Weapon model
+   */
+  createModel() {
+    throw new Error(`${this.constructor.name} must implement createModel()`);
+  }
+
+  /**
+   * Create the muzzle flash at the end of the barrel
+   */
+  createMuzzleFlash() {
+    const flashGeometry = new THREE.CircleGeometry(0.05, 16);
+    const flashMaterial = new THREE.MeshBasicMaterial({
+      color: this.definition.model.accentColor,
+      transparent: true,
+      opacity: 0,
+      side: THREE.DoubleSide,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    this.muzzleFlash = new THREE.Mesh(flashGeometry, flashMaterial);
+    this.muzzleFlash.position.set(0, 0, -(0.2 + this.definition.model.barrelLength));
+    this.model.add(this.muzzleFlash);
+  }
+
+  /**
+   * Press or release a mouse button
+   * @param {number} button - Mouse button (0 = left fires, 2 = right charges the secondary shot)
+   * @param {boolean} isDown - Whether the button is being pressed or released
+   */
+  handleMouseButton(button, isDown) {
+    if (!this.enabled) return;
+
+    if (button === 0) { // Left mouse button
+      if (isDown) {
+        this.startFiring();
+      } else {
+        this.stopFiring();
+      }
+    } else if (button === 2) { // Right mouse button
+      if (isDown) {
+        this.startSecondaryFire();
+      } else {
+        this.stopSecondaryFire();
+      }
+    }
+  }
+
+  /**
+   * Press the reload key
+   */
+  handleReload() {
+    if (this.enabled) {
+      this.reload();
+    }
+  }
+
+  /**
+   * Pull the trigger
+   */
+  startFiring() {
+    this.isFiring = true;
+
+    switch (this.fireMode) {
+      case FIRE_MODES.SEMI:
+        this.fire();
+        break;
+
+      case FIRE_MODES.CHARGE:
+        this.startCharging();
+        break;
+    }
+  }
+
+  /**
+   * Release the trigger
+   */
+  stopFiring() {
+    this.isFiring = false;
+
+    if (this.fireMode === FIRE_MODES.CHARGE && this.isCharging) {
+      this.releaseCharge();
+    }
+  }
+
+  /**
+   * Check whether the weapon is ready to fire
+   * @returns {boolean} Whether the weapon can fire now
+   */
+  canFire() {
+    return !this.isReloading && this.fireCooldown <= 0;
+  }
+
+  /**
+   * Begin charging a shot (charge fire mode)
+   */
+  startCharging() {
+    if (!this.canFire()) return;
+
+    if (this.currentAmmo <= 0) {
+      this.playEmptySound();
+      this.reload();
+      return;
+    }
+
+    this.isCharging = true;
+    this.chargeTime = 0;
+  }
+
+  /**
+   * Release a charged shot
+   * Shots released before the minimum charge time are cancelled.
+   */
+  releaseCharge() {
+    const charge = this.stats.charge;
+    const chargeRatio = this.getChargeRatio();
+    const released = this.chargeTime >= charge.minTime;
+
+    this.isCharging = false;
+    this.chargeTime = 0;
+
+    if (released) {
+      this.fire(chargeRatio);
+    }
+  }
+
+  /**
+   * Get how charged the current shot is
+   * @returns {number} Charge ratio (0-1)
+   */
+  getChargeRatio() {
+    const charge = this.stats.charge;
+    if (!charge || !this.isCharging) return 0;
+
+    return MathUtils.clamp(this.chargeTime / charge.maxTime, 0, 1);
+  }
+
+  /**
+   * Fire a shot
+   * @param {number} chargeRatio - Charge ratio for charge weapons (0-1)
+   * @returns {boolean} Whether the weapon fired
+   */
+  fire(chargeRatio = 0) {
+    if (!this.canFire()) return false;
+
+    // Check ammo
+    if (this.currentAmmo <= 0) {
+      this.playEmptySound();
+      this.reload();
+      return false;
+    }
+
+    // Wait out the fire rate before the next shot
+    this.fireCooldown = 1 / this.stats.fireRate;
+
+    // Decrease ammo (one per shot, however many pellets)
+    this.currentAmmo--;
+
+    // Get muzzle position in world space
+    const muzzlePosition = new THREE.Vector3();
+    this.muzzleFlash.getWorldPosition(muzzlePosition);
+
+    // Fire every pellet
+    const projectileConfig = this.getProjectileConfig(chargeRatio);
+    const directions = this.getShotDirections();
+
+    if (this.projectilePool) {
+      directions.forEach(direction => {
+        this.projectilePool.fireProjectile(muzzlePosition, direction, projectileConfig);
+      });
+    }
+
+    // Visual effects
+    this.showMuzzleFlash();
+
+    // Play sound
+    this.playFireSound();
+
+    // Apply recoil
+    this.applyRecoil();
+
+    // Auto reload if empty
+    if (this.currentAmmo <= 0) {
+      this.reload();
+    }
+
+    return true;
+  }
+
+  /**
+   * Begin charging the secondary shot
+   * Costs energy up front, then drains energy while the charge builds.
+   */
+  startSecondaryFire() {
+    const secondary = this.stats.secondary;
+    if (!secondary || this.isChargingSecondary) return;
+
+    if (this.secondaryCooldown > 0) return;
+
+    if (!this.owner.useEnergy(secondary.energyCost)) {
+      this.playEmptySound();
+      return;
+    }
+
+    this.isChargingSecondary = true;
+    this.secondaryChargeTime = 0;
+  }
+
+  /**
+   * Release the secondary shot
+   * Shots released before the minimum charge time are cancelled.
+   */
+  stopSecondaryFire() {
+    if (!this.isChargingSecondary) return;
+
+    const chargeRatio = this.getSecondaryChargeRatio();
+    const released = this.secondaryChargeTime >= this.stats.secondary.minTime;
+
+    this.cancelSecondaryCharge();
+
+    if (released) {
+      this.fireSecondary(chargeRatio);
+    }
+  }
+
+  /**
+   * Drop the secondary charge without firing
+   */
+  cancelSecondaryCharge() {
+    this.isChargingSecondary = false;
+    this.secondaryChargeTime = 0;
+  }
+
+  /**
+   * Build up the secondary charge while energy lasts
+   * @param {number} deltaTime - Time since last update
+   */
+  updateSecondaryCharge(deltaTime) {
+    const secondary = this.stats.secondary;
+    if (this.secondaryChargeTime >= secondary.maxTime) return;
+
+    // The charge stalls when the owner runs out of energy
+    if (this.owner.useEnergy(secondary.energyPerSecond * deltaTime)) {
+      this.secondaryChargeTime = Math.min(this.secondaryChargeTime + deltaTime, secondary.maxTime);
+    }
+  }
+
+  /**
+   * Get how charged the secondary shot is
+   * @returns {number} Charge ratio (0-1)
+   */
+  getSecondaryChargeRatio() {
+    if (!this.isChargingSecondary) return 0;
+
+    return MathUtils.clamp(this.secondaryChargeTime / this.stats.secondary.maxTime, 0, 1);
+  }
+
+  /**
+   * Fire the charged secondary shot
+   * @param {number} chargeRatio - Charge ratio (0-1)
+   * @returns {boolean} Whether the weapon fired
+   */
+  fireSecondary(chargeRatio) {
+    const secondary = this.stats.secondary;
+
+    this.secondaryCooldown = secondary.cooldown;
+
+    // Damage scales from the primary shot's damage with charge time
+    const projectileConfig = Object.assign({}, this.stats.projectile, secondary.projectile, {
+      damage: this.stats.projectile.damage *
+        MathUtils.lerp(secondary.minDamageMultiplier, secondary.maxDamageMultiplier, chargeRatio)
+    });
+
+    const muzzlePosition = new THREE.Vector3();
+    this.muzzleFlash.getWorldPosition(muzzlePosition);
+
+    if (this.projectilePool) {
+      this.projectilePool.fireProjectile(muzzlePosition, this.getAimDirection(), projectileConfig);
+    }
+
+    this.showMuzzleFlash();
+    this.applyRecoil();
+
+    if (this.audioManager) {
+      this.audioManager.playSound(this.sounds.secondaryFire || this.sounds.fire, {
+        pitch: 1 + chargeRatio * 0.2
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the projectile settings for a shot
+   * @param {number} chargeRatio - Charge ratio for charge weapons (0-1)
+   * @returns {Object} Config for ProjectilePool.fireProjectile
+   */
+  getProjectileConfig(chargeRatio = 0) {
+    const config = Object.assign({}, this.stats.projectile);
+    const charge = this.stats.charge;
+
+    if (charge && chargeRatio > 0) {
+      config.damage *= MathUtils.lerp(1, charge.maxDamageMultiplier, chargeRatio);
+      config.speed *= MathUtils.lerp(1, charge.maxSpeedMultiplier ?? 1, chargeRatio);
+    }
+
+    return config;
+  }
+
+  /**
+   * Get the direction the weapon is aimed in
+   * @returns {THREE.Vector3} Aim direction (world space)
+   */
+  getAimDirection() {
+    return this.camera.getWorldDirection(new THREE.Vector3());
+  }
+
+  /**
+   * Get one direction per pellet with the spread pattern applied
+   * @returns {THREE.Vector3[]} Shot directions (world space)
+   */
+  getShotDirections() {
+    const aim = this.getAimDirection();
+    const { spread, pelletCount } = this.stats;
+
+    // Spread offsets are applied in the camera's right/up plane
+    const quaternion = this.camera.getWorldQuaternion(new THREE.Quaternion());
+    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion);
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+
+    const directions = [];
+    const patternRotation = this.random.float(0, Math.PI * 2);
+
+    for (let i = 0; i < pelletCount; i++) {
+      const offset = this.getSpreadOffset(i, pelletCount, spread, patternRotation);
+
+      directions.push(aim.clone()
+        .addScaledVector(right, Math.tan(offset.x))
+        .addScaledVector(up, Math.tan(offset.y))
+        .normalize());
+    }
+
+    return directions;
+  }
+
+  /**
+   * Get the angular offset of a pellet
+   * @param {number} index - Pellet index
+   * @param {number} count - Pellets in the shot
+   * @param {number} spread - Spread angle (radians)
+   * @param {number} patternRotation - Random rotation of the cone pattern
+   * @returns {THREE.Vector2} Horizontal and vertical offset (radians)
+   */
+  getSpreadOffset(index, count, spread, patternRotation) {
+    if (spread <= 0) return new THREE.Vector2();
+
+    switch (this.definition.spreadPattern) {
+      case SPREAD_PATTERNS.RANDOM:
+        return new THREE.Vector2(
+          this.random.float(-0.5, 0.5) * spread,
+          this.random.float(-0.5, 0.5) * spread
+        );
+
+      case SPREAD_PATTERNS.CONE: {
+        // Sunflower layout: first pellet near the centre, the rest filling the cone
+        const radius = spread * Math.sqrt((index + 0.5) / count);
+        const angle = patternRotation + index * GOLDEN_ANGLE;
+        return new THREE.Vector2(Math.cos(angle) * radius, Math.sin(angle) * radius);
+      }
+
+      default:
+        return new THREE.Vector2();
+    }
+  }
+
+  reload() {
+    if (this.isReloading || this.currentAmmo === this.stats.magazineSize) return;
+    if (this.reserveAmmo <= 0) return;
+
+    this.isReloading = true;
+    this.isCharging = false;
+    this.chargeTime = 0;
+    this.reloadTimer = this.stats.reloadTime;
+
+    // Play reload sound
+    this.playReloadSound();
+
+    // Reload animation
+    this.model.rotation.x = 0.3; // Tilt weapon down
+  }
+
+  finishReload() {
+    // Top up the magazine from the reserve
+    const rounds = Math.min(this.stats.magazineSize - this.currentAmmo, this.reserveAmmo);
+    this.currentAmmo += rounds;
+    this.reserveAmmo -= rounds;
+    this.isReloading = false;
+
+    // Reset weapon position
+    this.model.rotation.x = 0;
+  }
+
+  /**
+   * Cancel an in-progress reload, keeping the rounds in the reserve
+   */
+  cancelReload() {
+    if (!this.isReloading) return;
+
+    this.isReloading = false;
+    this.model.rotation.x = 0;
+  }
+
+  /**
+   * Add rounds to the reserve
+   * @param {number} amount - Rounds to add
+   * @returns {number} Rounds actually added
+   */
+  addAmmo(amount) {
+    const added = Math.max(0, Math.min(amount, this.maxReserveAmmo - this.reserveAmmo));
+    this.reserveAmmo += added;
+    return added;
+  }
+
+  /**
+   * Put the weapon away
+   * Releases the trigger without firing and pauses any reload, so the
+   * weapon comes back in the same state it was left in.
+   */
+  holster() {
+    this.enabled = false;
+    this.isFiring = false;
+    this.isCharging = false;
+    this.chargeTime = 0;
+    this.cancelSecondaryCharge();
+    this.cancelReload();
+  }
+
+  /**
+   * Take the weapon out
+   * The weapon only accepts input once the draw animation has finished.
+   */
+  draw() {
+    this.model.visible = true;
+  }
+
+  /**
+   * Finish drawing the weapon and accept input again
+   */
+  ready() {
+    this.enabled = true;
+    this.holsterAmount = 0;
+
+    // Resume a reload interrupted by switching away
+    if (this.currentAmmo <= 0) {
+      this.reload();
+    }
+  }
+
+  showMuzzleFlash() {
+    // Show muzzle flash (hidden again by update())
+    this.muzzleFlash.material.opacity = 1;
+    this.muzzleFlashTimer = 0.05;
+  }
+
+  applyRecoil() {
+    // Apply recoil to weapon model (reset by update())
+    this.model.position.z += this.stats.recoil;
+    this.model.rotation.x -= this.stats.recoil;
+    this.recoilTimer = 0.1;
+  }
+
+  /**
+   * Fade out the muzzle flash and recoil
+   * @param {number} deltaTime - Time since last update
+   */
+  updateEffects(deltaTime) {
+    if (this.muzzleFlashTimer > 0) {
+      this.muzzleFlashTimer -= deltaTime;
+      if (this.muzzleFlashTimer <= 0) {
+        this.muzzleFlash.material.opacity = 0;
+      }
+    }
+
+    if (this.recoilTimer > 0) {
+      this.recoilTimer -= deltaTime;
+      if (this.recoilTimer <= 0) {
+        this.model.position.z = -0.3;
+        this.model.rotation.x = 0;
+      }
+    }
+  }
+
+  playFireSound() {
+    if (!this.audioManager) return;
+
+    // Slight pitch variation so rapid fire doesn't sound mechanical
+    this.audioManager.playSound(this.sounds.fire, {
+      pitch: 0.95 + Math.random() * 0.1
+    });
+  }
+
+  playReloadSound() {
+    if (this.audioManager) {
+      this.audioManager.playSound(this.sounds.reload);
+    }
+  }
+
+  playEmptySound() {
+    if (this.audioManager) {
+      this.audioManager.playSound(this.sounds.empty);
+    }
+  }
+
+  /**
+   * Set the level of an upgrade path
+   * @param {string} path - Upgrade path (precision, rapidFire, impact)
+   * @param {number} level - Upgrade level (0-3)
+   * @returns {boolean} Whether the upgrade was applied
+   */
+  upgradeWeapon(path, level) {
+    if (!UPGRADE_PATHS.includes(path)) return false;
+    if (level < 0 || level > MAX_UPGRADE_LEVEL) return false;
+
+    this.upgrades[path] = level;
+    this.applyUpgrades();
+
+    return true;
+  }
+
+  /**
+   * Rebuild the effective stats from the definition and unlocked upgrades
+   */
+  applyUpgrades() {
+    const definition = this.definition;
+    const stats = {
+      fireRate: definition.fireRate,
+      magazineSize: definition.magazineSize,
+      reloadTime: definition.reloadTime,
+      spread: definition.spread,
+      pelletCount: definition.pelletCount,
+      recoil: definition.recoil,
+      projectile: Object.assign({}, definition.projectile),
+      charge: definition.charge ? Object.assign({}, definition.charge) : null,
+      secondary: definition.secondary ? Object.assign({}, definition.secondary, {
+        projectile: Object.assign({}, definition.secondary.projectile)
+      }) : null
+    };
+
+    // Total up the modifiers of every unlocked level, per stat
+    const totals = new Map();
+
+    Object.entries(this.upgrades).forEach(([path, level]) => {
+      const levels = definition.upgrades?.[path] || [];
+
+      levels.slice(0, level).forEach(modifiers => {
+        modifiers.forEach(modifier => {
+          const total = totals.get(modifier.stat) || { add: 0, percent: 0 };
+
+          total.add += modifier.add || 0;
+          total.percent += modifier.percent || 0;
+          if (modifier.min !== undefined) total.min = modifier.min;
+          if (modifier.max !== undefined) total.max = modifier.max;
+          if (modifier.set !== undefined) total.set = modifier.set;
+
+          totals.set(modifier.stat, total);
+        });
+      });
+    });
+
+    totals.forEach((total, stat) => {
+      const keys = stat.split('.');
+      const key = keys.pop();
+      const target = keys.reduce((object, part) => object?.[part], stats);
+
+      if (!target || !(key in target)) {
+        console.warn(`${definition.name}: unknown upgrade stat ${stat}`);
+        return;
+      }
+
+      if (total.set !== undefined) {
+        target[key] = total.set;
+        return;
+      }
+
+      let value = (target[key] + total.add) * (1 + total.percent);
+      value = MathUtils.clamp(value, total.min ?? -Infinity, total.max ?? Infinity);
+
+      target[key] = INTEGER_STATS.includes(stat) ? Math.round(value) : value;
+    });
+
+    this.stats = stats;
+  }
+
+  /**
+   * Get the weapon state for a saved run
+   * @returns {Object} Upgrade levels, ammo, cooldowns and spread RNG position
+   */
+  getSaveState() {
+    return {
+      upgrades: { ...this.upgrades },
+      currentAmmo: this.currentAmmo,
+      reserveAmmo: this.reserveAmmo,
+      fireCooldown: this.fireCooldown,
+      secondaryCooldown: this.secondaryCooldown,
+      random: this.random.getState()
+    };
+  }
+
+  /**
+   * Restore the weapon state from a saved run
+   * A reload or charge in progress when the run was saved starts over.
+   * @param {Object} state - State from getSaveState()
+   */
+  restoreSaveState(state) {
+    Object.entries(state.upgrades).forEach(([path, level]) => {
+      if (!this.upgradeWeapon(path, level)) {
+        console.warn(`${this.name}: ignoring saved upgrade ${path} ${level}`);
+      }
+    });
+
+    this.cancelReload();
+    this.currentAmmo = Math.min(state.currentAmmo, this.stats.magazineSize);
+    this.reserveAmmo = Math.min(state.reserveAmmo, this.maxReserveAmmo);
+    this.fireCooldown = state.fireCooldown;
+    this.secondaryCooldown = state.secondaryCooldown;
+    this.random.setState(state.random);
+  }
+
+  update(deltaTime) {
+    // Count down on the game clock
+    this.fireCooldown = Math.max(0, this.fireCooldown - deltaTime);
+    this.secondaryCooldown = Math.max(0, this.secondaryCooldown - deltaTime);
+    this.updateEffects(deltaTime);
+
+    // Handle automatic fire
+    if (this.isFiring && this.fireMode === FIRE_MODES.AUTO && !this.isReloading) {
+      this.fire();
+    }
+
+    // Build up charge
+    if (this.isCharging) {
+      this.chargeTime += deltaTime;
+    }
+
+    if (this.isChargingSecondary) {
+      this.updateSecondaryCharge(deltaTime);
+    }
+
+    // Handle reloading
+    if (this.isReloading) {
+      this.reloadTimer -= deltaTime;
+      if (this.reloadTimer <= 0) {
+        this.finishReload();
+      }
+    }
+
+    // Weapon bob effect when moving
+    if (this.owner.moveDirection.lengthSq() > 0) {
+      const bobAmount = 0.02;
+      const bobSpeed = 5;
+      const bobX = Math.sin(performance.now() / 1000 * bobSpeed) * bobAmount;
+      const bobY = Math.abs(Math.sin(performance.now() / 1000 * bobSpeed * 2)) * bobAmount;
+
+      this.model.position.y = -0.15 + bobY;
+      this.model.position.x = 0.2 + bobX;
+    } else {
+      // Reset position when not moving
+      this.model.position.y = -0.15;
+      this.model.position.x = 0.2;
+    }
+
+    // Holster/draw animation
+    this.model.position.y -= this.holsterAmount * WEAPON_SWITCH.holsterDrop;
+  }
+
+  getAmmoStatus() {
+    return {
+      current: this.currentAmmo,
+      max: this.stats.magazineSize,
+      percentage: this.currentAmmo / this.stats.magazineSize,
+      reserve: this.reserveAmmo,
+      maxReserve: this.maxReserveAmmo,
+      isReloading: this.isReloading
+    };
+  }
+
+  /**
+   * Remove the weapon model
+   */
+  dispose() {
+    this.camera.remove(this.model);
+    this.model.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+import { BaseWeapon } from '../base.js';
+import { WEAPON_TYPES } from '../../config/weapons.js';
+
+/**
+ * Charge Beam
+ * Hold the trigger to charge, release to fire a piercing lance
+ */
+export class ChargeBeam extends BaseWeapon {
+  /**
+   * Create a new charge beam
+   * @param {THREE.Scene} scene - The scene projectiles are added to
+   * @param {THREE.Camera} camera - Camera the weapon model is attached to
+   * @param {Object} physics - The physics world
+   * @param {Object} owner - Player holding the weapon
+   * @param {Object} options - Weapon options (see BaseWeapon)
+   */
+  constructor(scene, camera, physics, owner, options = {}) {
+    super(scene, camera, physics, owner, WEAPON_TYPES.chargeBeam, options);
+  }
+
+  createModel() {
+    const { color, accentColor, barrelLength } = this.definition.model;
+    const group = new THREE.Group();
+
+    // Slim body
+    const bodyGeometry = new THREE.BoxGeometry(0.08, 0.1, 0.4);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+      color,
+      roughness: 0.4,
+      metalness: 0.8
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.position.z = -0.2;
+    group.add(body);
+
+    // Long emitter barrel
+    const barrelGeometry = new THREE.CylinderGeometry(0.02, 0.035, barrelLength, 8);
+    const barrelMaterial = new THREE.MeshStandardMaterial({
+      color: 0x777777,
+      roughness: 0.3,
+      metalness: 0.9
+    });
+    const barrel = new THREE.Mesh(barrelGeometry, barrelMaterial);
+    barrel.rotation.x = Math.PI / 2;
+    barrel.position.z = -0.2 - barrelLength / 2;
+    group.add(barrel);
+
+    // Focusing coils along the barrel
+    const coilGeometry = new THREE.TorusGeometry(0.04, 0.008, 6, 16);
+    const coilMaterial = new THREE.MeshStandardMaterial({
+      color: accentColor,
+      emissive: accentColor,
+      emissiveIntensity: 0.4
+    });
+
+    for (let i = 1; i <= 3; i++) {
+      const coil = new THREE.Mesh(coilGeometry, coilMaterial);
+      coil.position.z = -0.2 - (barrelLength * i) / 4;
+      group.add(coil);
+    }
+
+    // Charge core, grows and brightens while charging
+    const coreGeometry = new THREE.SphereGeometry(0.035, 16, 16);
+    this.coreMaterial = new THREE.MeshStandardMaterial({
+      color: accentColor,
+      roughness: 0.2,
+      metalness: 0.5,
+      emissive: accentColor,
+      emissiveIntensity: 0.3
+    });
+    this.core = new THREE.Mesh(coreGeometry, this.coreMaterial);
+    this.core.position.set(0, 0.065, -0.15);
+    group.add(this.core);
+
+    return group;
+  }
+
+  update(deltaTime) {
+    super.update(deltaTime);
+
+    // Charge visual
+    const chargeRatio = this.getChargeRatio();
+    this.core.scale.setScalar(1 + chargeRatio);
+    this.coreMaterial.emissiveIntensity = 0.3 + chargeRatio * 2.7;
+  }
+}
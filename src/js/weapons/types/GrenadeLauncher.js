@@ -0,0 +1,88 @@
+import * as THREE from 'three';
+import { BaseWeapon } from '../base.js';
+import { WEAPON_TYPES } from '../../config/weapons.js';
+
+/**
+ * Grenade Launcher
+ * Lobs explosive rounds that arc under gravity
+ */
+export class GrenadeLauncher extends BaseWeapon {
+  /**
+   * Create a new grenade launcher
+   * @param {THREE.Scene} scene - The scene projectiles are added to
+   * @param {THREE.Camera} camera - Camera the weapon model is attached to
+   * @param {Object} physics - The physics world
+   * @param {Object} owner - Player holding the weapon
+   * @param {Object} options - Weapon options (see BaseWeapon)
+   */
+  constructor(scene, camera, physics, owner, options = {}) {
+    super(scene, camera, physics, owner, WEAPON_TYPES.grenadeLauncher, options);
+  }
+
+  createModel() {
+    const { color, accentColor, barrelLength } = this.definition.model;
+    const group = new THREE.Group();
+
+    // Body
+    const bodyGeometry = new THREE.BoxGeometry(0.12, 0.1, 0.4);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+      color,
+      roughness: 0.6,
+      metalness: 0.5
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.position.z = -0.2;
+    group.add(body);
+
+    // Wide launch tube
+    const barrelGeometry = new THREE.CylinderGeometry(0.055, 0.055, barrelLength, 12);
+    const barrelMaterial = new THREE.MeshStandardMaterial({
+      color: 0x444444,
+      roughness: 0.5,
+      metalness: 0.7
+    });
+    const barrel = new THREE.Mesh(barrelGeometry, barrelMaterial);
+    barrel.rotation.x = Math.PI / 2;
+    barrel.position.z = -0.2 - barrelLength / 2;
+    group.add(barrel);
+
+    // Revolving drum
+    const drumGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.12, 12);
+    const drumMaterial = new THREE.MeshStandardMaterial({
+      color: accentColor,
+      roughness: 0.4,
+      metalness: 0.4,
+      emissive: accentColor,
+      emissiveIntensity: 0.15
+    });
+    this.drum = new THREE.Mesh(drumGeometry, drumMaterial);
+    this.drum.rotation.x = Math.PI / 2;
+    this.drum.position.set(0, -0.02, -0.12);
+    group.add(this.drum);
+
+    return group;
+  }
+
+  /**
+   * Aim slightly above the crosshair so grenades arc onto the target
+   * @returns {THREE.Vector3} Aim direction (world space)
+   */
+  getAimDirection() {
+    const direction = super.getAimDirection();
+    const quaternion = this.camera.getWorldQuaternion(new THREE.Quaternion());
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+
+    return direction.addScaledVector(up, Math.tan(this.definition.launchAngle)).normalize();
+  }
+
+  fire(chargeRatio = 0) {
+    const fired = super.fire(chargeRatio);
+
+    // Advance the drum one chamber
+    if (fired) {
+      this.drum.rotation.y += (Math.PI * 2) / this.stats.magazineSize;
+    }
+
+    return fired;
+  }
+}
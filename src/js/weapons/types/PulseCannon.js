@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+import { BaseWeapon } from '../base.js';
+import { WEAPON_TYPES } from '../../config/weapons.js';
+
+/**
+ * Pulse Cannon
+ * Automatic energy rifle, the player's default weapon. Right mouse charges
+ * a piercing shot from suit energy.
+ */
+export class PulseCannon extends BaseWeapon {
+  /**
+   * Create a new pulse cannon
+   * @param {THREE.Scene} scene - The scene projectiles are added to
+   * @param {THREE.Camera} camera - Camera the weapon model is attached to
+   * @param {Object} physics - The physics world
+   * @param {Object} owner - Player holding the weapon
+   * @param {Object} options - Weapon options (see BaseWeapon)
+   */
+  constructor(scene, camera, physics, owner, options = {}) {
+    super(scene, camera, physics, owner, WEAPON_TYPES.pulseCannon, options);
+  }
+
+  createModel() {
+    const { color, accentColor, barrelLength } = this.definition.model;
+    const group = new THREE.Group();
+
+    // Main body
+    const bodyGeometry = new THREE.BoxGeometry(0.1, 0.1, 0.4);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+      color,
+      roughness: 0.5,
+      metalness: 0.7
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.position.z = -0.2;
+    group.add(body);
+
+    // Barrel
+    const barrelGeometry = new THREE.CylinderGeometry(0.03, 0.03, barrelLength, 8);
+    const barrelMaterial = new THREE.MeshStandardMaterial({
+      color: 0x666666,
+      roughness: 0.3,
+      metalness: 0.8
+    });
+    const barrel = new THREE.Mesh(barrelGeometry, barrelMaterial);
+    barrel.rotation.x = Math.PI / 2;
+    barrel.position.z = -0.2 - barrelLength / 2;
+    group.add(barrel);
+
+    // Energy core
+    const coreGeometry = new THREE.SphereGeometry(0.04, 16, 16);
+    this.coreMaterial = new THREE.MeshStandardMaterial({
+      color: accentColor,
+      roughness: 0.2,
+      metalness: 0.5,
+      emissive: 0x0044ff,
+      emissiveIntensity: 0.5
+    });
+    this.core = new THREE.Mesh(coreGeometry, this.coreMaterial);
+    this.core.position.y = 0.06;
+    this.core.position.z = -0.15;
+    group.add(this.core);
+
+    // Charge glow at the muzzle, hidden until a secondary shot is charging
+    const chargeGeometry = new THREE.SphereGeometry(0.05, 16, 16);
+    this.chargeGlowMaterial = new THREE.MeshBasicMaterial({
+      color: this.definition.secondary.projectile.color,
+      transparent: true,
+      opacity: 0,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    this.chargeGlow = new THREE.Mesh(chargeGeometry, this.chargeGlowMaterial);
+    this.chargeGlow.position.z = -0.2 - barrelLength;
+    this.chargeGlow.visible = false;
+    group.add(this.chargeGlow);
+
+    return group;
+  }
+
+  update(deltaTime) {
+    super.update(deltaTime);
+
+    // Charge-up visual: core brightens, muzzle glow swells and flickers
+    const chargeRatio = this.getSecondaryChargeRatio();
+    const flicker = chargeRatio >= 1 ? 0.85 + Math.random() * 0.3 : 1;
+
+    this.coreMaterial.emissiveIntensity = 0.5 + chargeRatio * 2.5;
+    this.core.scale.setScalar(1 + chargeRatio * 0.5);
+
+    this.chargeGlow.visible = this.isChargingSecondary;
+    this.chargeGlow.scale.setScalar((0.3 + chargeRatio * 1.2) * flicker);
+    this.chargeGlowMaterial.opacity = (0.3 + chargeRatio * 0.6) * flicker;
+  }
+}
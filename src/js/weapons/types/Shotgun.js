@@ -0,0 +1,67 @@
+import * as THREE from 'three';
+import { BaseWeapon } from '../base.js';
+import { WEAPON_TYPES } from '../../config/weapons.js';
+
+/**
+ * Scatter Shotgun
+ * Fires a cone of pellets, devastating at close range
+ */
+export class Shotgun extends BaseWeapon {
+  /**
+   * Create a new shotgun
+   * @param {THREE.Scene} scene - The scene projectiles are added to
+   * @param {THREE.Camera} camera - Camera the weapon model is attached to
+   * @param {Object} physics - The physics world
+   * @param {Object} owner - Player holding the weapon
+   * @param {Object} options - Weapon options (see BaseWeapon)
+   */
+  constructor(scene, camera, physics, owner, options = {}) {
+    super(scene, camera, physics, owner, WEAPON_TYPES.shotgun, options);
+  }
+
+  createModel() {
+    const { color, accentColor, barrelLength } = this.definition.model;
+    const group = new THREE.Group();
+
+    // Stocky body
+    const bodyGeometry = new THREE.BoxGeometry(0.14, 0.12, 0.4);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+      color,
+      roughness: 0.7,
+      metalness: 0.4
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.position.z = -0.2;
+    group.add(body);
+
+    // Twin barrels
+    const barrelGeometry = new THREE.CylinderGeometry(0.03, 0.03, barrelLength, 8);
+    const barrelMaterial = new THREE.MeshStandardMaterial({
+      color: 0x555555,
+      roughness: 0.4,
+      metalness: 0.8
+    });
+
+    [-0.035, 0.035].forEach(x => {
+      const barrel = new THREE.Mesh(barrelGeometry, barrelMaterial);
+      barrel.rotation.x = Math.PI / 2;
+      barrel.position.set(x, 0, -0.2 - barrelLength / 2);
+      group.add(barrel);
+    });
+
+    // Pump grip
+    const pumpGeometry = new THREE.BoxGeometry(0.1, 0.05, 0.12);
+    const pumpMaterial = new THREE.MeshStandardMaterial({
+      color: accentColor,
+      roughness: 0.5,
+      metalness: 0.3,
+      emissive: accentColor,
+      emissiveIntensity: 0.2
+    });
+    const pump = new THREE.Mesh(pumpGeometry, pumpMaterial);
+    pump.position.set(0, -0.06, -0.35);
+    group.add(pump);
+
+    return group;
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * Behavior trees and their state machines
+ *
+ * Builds small trees from the node builders enemy behaviors use and checks
+ * what each node answers, which children run, and the order states are
+ * entered and left in.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BehaviorTree, SUCCESS, FAILURE, RUNNING,
+  sequence, selector, parallel, condition, action, goTo, cooldown, chance, state, stateMachine
+} from '../src/js/enemies/ai/BehaviorTree.js';
+import { Random } from '../src/js/utils/random.js';
+
+/**
+ * Build an action that notes its name and answers a fixed status
+ * @param {Array<string>} calls - Names of the nodes that ran, in order
+ * @param {string} name - Node name
+ * @param {string} status - Status to answer
+ * @returns {Action} The node
+ */
+function leaf(calls, name, status) {
+  return action(name, () => {
+    calls.push(name);
+    return status;
+  });
+}
+
+/**
+ * Build a state whose enter and exit note that they ran
+ * @param {Array<string>} calls - Names of the nodes that ran, in order
+ * @param {string} name - State name
+ * @param {Node} body - State body (optional)
+ * @returns {State} The node
+ */
+function tracedState(calls, name, body = null) {
+  return state(name, {
+    enter: leaf(calls, `enter ${name}`, SUCCESS),
+    body,
+    exit: leaf(calls, `exit ${name}`, SUCCESS)
+  });
+}
+
+test('sequence, selector and parallel answer for their children', () => {
+  const cases = [
+    [sequence, [SUCCESS, SUCCESS], SUCCESS, ['a', 'b']],
+    [sequence, [SUCCESS, RUNNING, SUCCESS], RUNNING, ['a', 'b']],
+    [sequence, [FAILURE, SUCCESS], FAILURE, ['a']],
+    [selector, [FAILURE, SUCCESS, SUCCESS], SUCCESS, ['a', 'b']],
+    [selector, [FAILURE, RUNNING], RUNNING, ['a', 'b']],
+    [selector, [FAILURE, FAILURE], FAILURE, ['a', 'b']],
+    [parallel, [SUCCESS, RUNNING, FAILURE], RUNNING, ['a', 'b', 'c']],
+    [parallel, [FAILURE, SUCCESS], SUCCESS, ['a', 'b']],
+    [parallel, [FAILURE, FAILURE], FAILURE, ['a', 'b']]
+  ];
+
+  cases.forEach(([build, statuses, expected, ran]) => {
+    const calls = [];
+    const root = build('root', statuses.map((status, i) => leaf(calls, 'abc'[i], status)));
+    const tree = new BehaviorTree(root, {});
+
+    assert.equal(tree.tick(0.1), expected, `${build.name} of ${statuses.join(', ')}`);
+    assert.deepEqual(calls, ran, `${build.name} of ${statuses.join(', ')}`);
+  });
+});
+
+test('cooldown holds its child back until the time has passed since it last succeeded', () => {
+  let time = 0;
+  const calls = [];
+  let answer = SUCCESS;
+  const root = cooldown('attack cooldown', 'lastAttack', agent => agent.attackDelay,
+    action('attack', () => {
+      calls.push(time);
+      return answer;
+    }));
+  const tree = new BehaviorTree(root, { attackDelay: 2 }, {
+    blackboard: { lastAttack: -Infinity },
+    clock: () => time
+  });
+
+  for (; time <= 5; time += 0.5) {
+    tree.tick(0.5);
+  }
+  assert.deepEqual(calls, [0, 2, 4]);
+  assert.equal(tree.blackboard.get('lastAttack'), 4);
+
+  // A child that fails doesn't start the cooldown again
+  answer = FAILURE;
+  calls.length = 0;
+  for (time = 6; time <= 7; time += 0.5) {
+    assert.equal(tree.tick(0.5), FAILURE);
+  }
+  assert.deepEqual(calls, [6, 6.5, 7]);
+});
+
+test('chance rolls the tree\'s seeded RNG, so the same seed makes the same choices', () => {
+  const roll = (seed) => {
+    const tree = new BehaviorTree(chance(0.5, action('taunt', () => SUCCESS)), {}, { random: new Random(seed) });
+    return Array.from({ length: 32 }, () => tree.tick(0.1));
+  };
+
+  const expected = new Random(42);
+  const results = roll(42);
+  assert.deepEqual(results, results.map(() => (expected.chance(0.5) ? SUCCESS : FAILURE)));
+  assert.deepEqual(roll(42), results);
+  assert.ok(results.includes(SUCCESS) && results.includes(FAILURE));
+
+  const never = new BehaviorTree(chance(0), {}, { random: new Random(1) });
+  const always = new BehaviorTree(chance(1), {}, { random: new Random(1) });
+  assert.equal(never.tick(0.1), FAILURE);
+  assert.equal(always.tick(0.1), SUCCESS);
+});
+
+test('nested state machines enter and leave their states innermost last and first', () => {
+  const calls = [];
+  const blackboard = { next: null };
+  const switcher = action('switch', (agent, deltaTime, board) => {
+    const next = board.get('next');
+    board.set('next', null);
+    return next ? goTo(next).tick(tree.context) : RUNNING;
+  });
+
+  const root = stateMachine('agent', [
+    tracedState(calls, 'patrol', switcher),
+    tracedState(calls, 'combat', parallel('fight', [
+      stateMachine('tactics', [
+        tracedState(calls, 'approach', switcher),
+        tracedState(calls, 'strafe', switcher)
+      ])
+    ]))
+  ]);
+  const tree = new BehaviorTree(root, {}, { blackboard });
+  const switchTo = (next) => {
+    calls.length = 0;
+    tree.blackboard.set('next', next);
+    tree.tick(0.1);
+    return [...calls];
+  };
+
+  assert.deepEqual(switchTo('combat'), ['exit patrol', 'enter combat', 'enter approach']);
+  assert.deepEqual(switchTo('strafe'), ['exit approach', 'enter strafe']);
+  assert.deepEqual(switchTo('patrol'), ['exit strafe', 'exit combat', 'enter patrol']);
+
+  // Entering a state again starts its machines over
+  assert.deepEqual(switchTo('combat'), ['exit patrol', 'enter combat', 'enter approach']);
+  assert.equal(tree.getMachine('tactics').currentState, 'approach');
+});
+
+test('an enter that switches state straight away leaves the state before its machines start', () => {
+  const calls = [];
+  const root = stateMachine('agent', [
+    tracedState(calls, 'idle'),
+    state('stunned', {
+      enter: sequence('stagger', [leaf(calls, 'enter stunned', SUCCESS), goTo('recover')]),
+      body: stateMachine('stun', [tracedState(calls, 'dazed')]),
+      exit: leaf(calls, 'exit stunned', SUCCESS)
+    }),
+    tracedState(calls, 'recover')
+  ]);
+  const tree = new BehaviorTree(root, {});
+
+  tree.changeState('stunned');
+
+  assert.deepEqual(calls, ['exit idle', 'enter stunned', 'exit stunned', 'enter recover']);
+  assert.equal(tree.machine.currentState, 'recover');
+});
+
+test('goTo switches the innermost machine that has the state', () => {
+  const root = stateMachine('agent', [
+    state('alert', {
+      body: stateMachine('search', [
+        state('look', { body: goTo('idle') }),
+        state('idle')
+      ])
+    }),
+    state('idle')
+  ]);
+  const tree = new BehaviorTree(root, {});
+
+  assert.equal(tree.tick(0.1), SUCCESS);
+  assert.equal(tree.getMachine('search').currentState, 'idle');
+  assert.equal(tree.machine.currentState, 'alert');
+
+  // A state no machine has fails and changes nothing
+  const lost = new BehaviorTree(stateMachine('agent', [state('only', { body: goTo('missing') })]), {});
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(lost.tick(0.1), FAILURE);
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(lost.machine.currentState, 'only');
+});
+
+test('getActivePath names the current states and the action that last ran', () => {
+  let seesTarget = true;
+  const root = stateMachine('agent', [
+    state('combat', {
+      body: stateMachine('tactics', [
+        state('strafe', {
+          body: selector('strafe or wait', [
+            sequence('strafe', [condition('sees target', () => seesTarget), action('circle', () => RUNNING)]),
+            condition('waiting', () => false)
+          ])
+        })
+      ])
+    })
+  ]);
+  const tree = new BehaviorTree(root, {});
+
+  tree.tick(0.1);
+  assert.deepEqual(tree.getActivePath(), ['combat', 'strafe', 'circle']);
+
+  // Without an action running, the path goes down through the current states
+  seesTarget = false;
+  tree.tick(0.1);
+  assert.equal(tree.activeNode, null);
+  assert.deepEqual(tree.getActivePath(), ['combat', 'strafe']);
+});
@@ -0,0 +1,50 @@
+/**
+ * Adaptive difficulty
+ *
+ * Plays headless runs with the DifficultyDirector watching and checks its
+ * level drops for a player the enemies are wearing down.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessGame } from '../src/js/headless/HeadlessGame.js';
+import { GAME_CONFIG } from '../src/js/config/game.js';
+
+/**
+ * Play a headless run with the director
+ * @param {Object} options - HeadlessGame options
+ * @returns {Object} What the director did (see DifficultyDirector.getReport)
+ */
+function playDirected(options) {
+  // The game and director log freely as they play
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const game = new HeadlessGame({ director: {}, ...options });
+    const results = game.run();
+    game.dispose();
+    return results.director;
+  } finally {
+    console.log = log;
+  }
+}
+
+test('eases off after a wave that costs the player heavy damage', () => {
+  // Invulnerable, so the player lives through the wave to be rated on it
+  const report = playDirected({ seed: 7, waves: 1, invulnerable: true });
+
+  const [entry] = report.log;
+  assert.equal(entry.reason, 'wave');
+  assert.ok(entry.metrics.damageTaken > GAME_CONFIG.director.targetDamageTaken,
+    `took ${entry.metrics.damageTaken} of max health`);
+  assert.ok(entry.level < entry.from, `level ${entry.from} -> ${entry.level}`);
+  assert.ok(entry.settings.attackRate < 1);
+});
+
+test('keeps easing off for a player who keeps dying', () => {
+  const first = playDirected({ seed: 7 });
+  const second = playDirected({ seed: 7, director: { level: first.level, deaths: first.deaths } });
+
+  assert.equal(second.deaths, 2);
+  assert.ok(first.level < 0, `level ${first.level}`);
+  assert.ok(second.level < first.level, `level ${first.level} -> ${second.level}`);
+});
@@ -0,0 +1,32 @@
+/**
+ * HTTP leaderboard adapter
+ *
+ * Points the adapter at a server that sends its headers and then stalls
+ * partway through the body, and checks the request is still given up on.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { HttpLeaderboardAdapter } from '../src/js/leaderboard/HttpLeaderboardAdapter.js';
+import { LeaderboardError } from '../src/js/leaderboard/protocol.js';
+
+test('gives up on a reply whose body stalls', async () => {
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.write('{"entries": [');
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+
+  try {
+    const adapter = new HttpLeaderboardAdapter(`http://localhost:${server.address().port}`);
+
+    await assert.rejects(adapter.request('/boards/campaign/standard/veteran/top', {}, 0.2), (error) => {
+      assert.ok(error instanceof LeaderboardError);
+      assert.equal(error.message, "Leaderboard server didn't answer within 0.2s");
+      return true;
+    });
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,156 @@
+/**
+ * Mock leaderboard server, with verification
+ *
+ * Starts the server on a free port and submits a run recorded from a
+ * headless game: the server reruns its replay, takes the run as it was
+ * played and turns it away once its score has been tampered with, or
+ * when the replay is too long or too slow to rerun.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLeaderboardServer } from '../scripts/leaderboard-server.mjs';
+import { HeadlessGame } from '../src/js/headless/HeadlessGame.js';
+import { createReplay } from '../src/js/replay/replayFile.js';
+import { createSubmission, hashReplay } from '../src/js/leaderboard/protocol.js';
+import { GAME_CONFIG } from '../src/js/config/game.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createLeaderboardServer();
+  await new Promise(resolve => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Play a short run from recorded input: stand still, trigger held, sweeping
+ * the aim around until the enemies wear the player down
+ * @returns {Object} Submission for the run, replay included
+ */
+function playRun() {
+  const frames = [[0, 'input', ['md', 0]]];
+  for (let tick = 1; tick < 1200; tick++) {
+    frames.push([tick, 'input', ['mm', 2, 0]]);
+  }
+
+  const replay = createReplay({
+    seed: 42,
+    mode: 'campaign',
+    script: null,
+    difficulty: 'veteran',
+    director: null,
+    tickCount: 3600,
+    frames
+  });
+
+  // The game logs freely as it plays
+  const log = console.log;
+  console.log = () => {};
+  let results;
+  try {
+    const game = new HeadlessGame({ replay });
+    results = game.run();
+    game.dispose();
+  } finally {
+    console.log = log;
+  }
+
+  return createSubmission(results, { playerId: 'tester', name: 'Tester' }, replay);
+}
+
+/**
+ * Start a server of its own for a test, and close it afterwards
+ * @param {Object} options - Server options (see createLeaderboardServer)
+ * @param {Function} run - Test body, given the server's base URL
+ * @returns {Promise} Settles once the server has closed
+ */
+async function withServer(options, run) {
+  const own = createLeaderboardServer(options);
+  await new Promise(resolve => own.listen(0, resolve));
+  try {
+    await run(`http://localhost:${own.address().port}`);
+  } finally {
+    await new Promise(resolve => own.close(resolve));
+  }
+}
+
+/**
+ * Submit a run
+ * @param {Object} submission - Submission
+ * @param {string} url - Server base URL (the shared server's by default)
+ * @returns {Promise<Object>} { status, body }
+ */
+async function submit(submission, url = baseUrl) {
+  const response = await fetch(`${url}/runs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(submission)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('accepts a run that its replay plays out the same way', async () => {
+  const submission = playRun();
+  assert.equal(submission.outcome, 'defeated');
+  assert.ok(submission.score > 0, `score ${submission.score}`);
+
+  const { status, body } = await submit(submission);
+
+  assert.equal(status, 201, body.error);
+  assert.equal(body.rank, 1);
+  assert.equal(body.entry.score, submission.score);
+  assert.equal(body.entry.verified, true);
+
+  const top = await fetch(`${baseUrl}/boards/campaign/standard/veteran/top`).then(response => response.json());
+  assert.deepEqual(top.entries.map(entry => entry.playerId), ['tester']);
+});
+
+test('turns away a run whose score was tampered with', async () => {
+  const submission = playRun();
+  const { score } = submission;
+
+  const { status, body } = await submit({ ...submission, playerId: 'cheat', score: score + 1000 });
+
+  assert.equal(status, 422);
+  assert.equal(body.error, `Claimed score ${score + 1000}, but the replay gives ${score}`);
+
+  const top = await fetch(`${baseUrl}/boards/campaign/standard/veteran/top`).then(response => response.json());
+  assert.ok(top.entries.every(entry => entry.playerId !== 'cheat'));
+});
+
+test('turns away a replay longer than a ranked run can last', async () => {
+  const submission = playRun();
+  const { maxReplayLength } = GAME_CONFIG.leaderboard;
+  const replay = { ...submission.replay, tickCount: Math.ceil(maxReplayLength / submission.replay.fixedTimeStep) + 1 };
+
+  const { status, body } = await submit({ ...submission, replay, replayHash: hashReplay(replay) });
+
+  assert.equal(status, 422);
+  assert.equal(body.error, `Replay is longer than the ${maxReplayLength / 60} minutes a ranked run can last`);
+});
+
+test('stops a rerun that runs past its deadline', async () => {
+  const submission = playRun();
+
+  await withServer({ verifyTimeout: 0.01 }, async (url) => {
+    const { status, body } = await submit(submission, url);
+
+    assert.equal(status, 422);
+    assert.equal(body.error, 'Replay took longer than 0.01s to verify');
+  });
+});
+
+test('asks for a retry while every rerun is busy', async () => {
+  const submission = playRun();
+
+  await withServer({ maxVerifications: 1 }, async (url) => {
+    const replies = await Promise.all([submit(submission, url), submit(submission, url)]);
+
+    assert.deepEqual(replies.map(({ status }) => status).sort(), [201, 503]);
+    assert.equal(replies.find(({ status }) => status === 503).body.error,
+      'Server is busy verifying other runs, try again shortly');
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * Adaptive music, driven headlessly
+ *
+ * Runs the AudioManager and its AdaptiveMusic against a stand-in for an
+ * OfflineAudioContext: node graphs are built but nothing is rendered, and
+ * time only moves when the test moves it. Gains are checked against the
+ * targets the mixer scheduled.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioManager } from '../src/js/audio/manager.js';
+import { MUSIC_STEMS } from '../src/js/audio/music.js';
+
+/**
+ * Audio parameter that keeps its value and the automation scheduled on it
+ */
+class StandInParam {
+  constructor(value = 0) {
+    this.value = value;
+    this.events = [];
+  }
+
+  setValueAtTime(value, time) {
+    this.events.push({ type: 'set', value, time });
+    this.value = value;
+  }
+
+  setTargetAtTime(value, time, timeConstant) {
+    this.events.push({ type: 'target', value, time, timeConstant });
+  }
+
+  linearRampToValueAtTime(value, time) {
+    this.events.push({ type: 'ramp', value, time });
+  }
+
+  exponentialRampToValueAtTime(value, time) {
+    this.events.push({ type: 'ramp', value, time });
+  }
+
+  cancelScheduledValues(time) {
+    this.events = this.events.filter(event => event.time < time);
+  }
+
+  /**
+   * Get the value the param is heading for
+   * @returns {number} Value of the last scheduled event
+   */
+  get target() {
+    return this.events.length > 0 ? this.events[this.events.length - 1].value : this.value;
+  }
+}
+
+/**
+ * Audio node that records what it's connected to
+ */
+class StandInNode {
+  constructor(context, params = {}) {
+    this.context = context;
+    this.outputs = [];
+    Object.entries(params).forEach(([name, value]) => {
+      this[name] = new StandInParam(value);
+    });
+  }
+
+  connect(destination) {
+    this.outputs.push(destination);
+    return destination;
+  }
+
+  disconnect() {
+    this.outputs = [];
+  }
+}
+
+/**
+ * Scheduled source (oscillator) that records when it starts and stops
+ */
+class StandInSource extends StandInNode {
+  constructor(context) {
+    super(context, { frequency: 440, detune: 0 });
+    this.type = 'sine';
+    this.startTime = null;
+    this.stopTime = null;
+    this.onended = null;
+  }
+
+  start(time = this.context.currentTime) {
+    this.startTime = time;
+  }
+
+  stop(time = this.context.currentTime) {
+    this.stopTime = time;
+  }
+}
+
+/**
+ * Stand-in for an OfflineAudioContext: the node factories the game uses,
+ * and a clock moved by advance()
+ */
+class StandInAudioContext {
+  constructor(sampleRate = 44100) {
+    this.sampleRate = sampleRate;
+    this.currentTime = 0;
+    this.state = 'running';
+    this.destination = new StandInNode(this);
+    this.sources = [];
+  }
+
+  createGain() {
+    return new StandInNode(this, { gain: 1 });
+  }
+
+  createBiquadFilter() {
+    const filter = new StandInNode(this, { frequency: 350, Q: 1, gain: 0 });
+    filter.type = 'lowpass';
+    return filter;
+  }
+
+  createOscillator() {
+    const source = new StandInSource(this);
+    this.sources.push(source);
+    return source;
+  }
+
+  advance(seconds) {
+    this.currentTime += seconds;
+  }
+}
+
+/**
+ * Build an audio manager on a stand-in context, with music connected to
+ * stand-in game systems
+ * @returns {Object} { context, audioManager, music, game }
+ */
+function createMusic() {
+  const context = new StandInAudioContext();
+  const audioManager = new AudioManager({ context });
+  assert.equal(audioManager.init(), true);
+
+  const plainWave = { formations: [{ enemyTypeDistribution: { drone: 1 } }] };
+  const bossWave = { formations: [{ enemyTypeDistribution: { drone: 0.8, commander: 0.2 } }] };
+
+  // Only what the music reads from the formation manager, enemy pool and combo system
+  const game = {
+    formationManager: {
+      currentWave: 0,
+      getWaveConfig: waveNumber => (waveNumber === 2 ? bossWave : plainWave)
+    },
+    enemyPool: {
+      activeCount: 0,
+      getActiveCount() {
+        return this.activeCount;
+      }
+    },
+    comboSystem: { comboCount: 0 }
+  };
+
+  const music = audioManager.music;
+  music.connect(game);
+
+  return { context, audioManager, music, game };
+}
+
+/**
+ * Run the audio manager for a while at 60 updates a second
+ * @param {Object} setup - From createMusic
+ * @param {number} seconds - Time to run
+ */
+function run({ context, audioManager }, seconds) {
+  const deltaTime = 1 / 60;
+  for (let time = 0; time < seconds; time += deltaTime) {
+    context.advance(deltaTime);
+    audioManager.update(deltaTime);
+  }
+}
+
+/**
+ * Get the gain a stem is heading for
+ * @param {AdaptiveMusic} music - Music
+ * @param {string} name - Stem name
+ * @returns {number} Scheduled output gain
+ */
+function stemGain(music, name) {
+  return music.stems[name].output.gain.target;
+}
+
+test('starts every stem on the music bus, playing the ambient mix', () => {
+  const setup = createMusic();
+  const { context, audioManager, music } = setup;
+
+  audioManager.playMusic(1);
+
+  assert.deepEqual(Object.keys(music.stems).sort(), Object.keys(MUSIC_STEMS).sort());
+  Object.values(music.stems).forEach(voice => {
+    assert.deepEqual(voice.output.outputs, [audioManager.getBus('music')]);
+  });
+  assert.ok(context.sources.every(source => source.startTime === 0));
+
+  assert.deepEqual(music.getState().mix, { ambient: 1, combat: 0, boss: 0, victory: 0 });
+  assert.equal(stemGain(music, 'ambient'), MUSIC_STEMS.ambient.volume);
+  assert.equal(stemGain(music, 'combat'), 0);
+});
+
+test('brings the combat stem in as a wave starts and enemies arrive', () => {
+  const setup = createMusic();
+  const { audioManager, music, game } = setup;
+  audioManager.playMusic(1);
+
+  game.formationManager.currentWave = 1;
+  game.enemyPool.activeCount = 12;
+  music.onWaveStarted(1);
+  run(setup, 10);
+
+  const state = music.getState();
+  assert.equal(state.waveActive, true);
+  assert.equal(state.bossActive, false);
+  assert.ok(state.intensity > 0.7, `intensity ${state.intensity}`);
+  assert.ok(state.mix.combat > state.mix.ambient);
+  assert.equal(state.mix.boss, 0);
+  assert.ok(stemGain(music, 'combat') > 0.1);
+});
+
+test('raises intensity with the combo count', () => {
+  const setup = createMusic();
+  const { audioManager, music, game } = setup;
+  audioManager.playMusic(1);
+
+  game.formationManager.currentWave = 1;
+  game.enemyPool.activeCount = 4;
+  music.onWaveStarted(1);
+  run(setup, 10);
+  const withoutCombo = music.getState().intensity;
+
+  game.comboSystem.comboCount = 20;
+  run(setup, 10);
+  const withCombo = music.getState().intensity;
+
+  assert.ok(withCombo > withoutCombo + 0.1, `${withoutCombo} -> ${withCombo}`);
+  assert.ok(music.getState().mix.combat >= withCombo - music.options.mixThreshold);
+});
+
+test('plays the boss stem through waves with commanders', () => {
+  const setup = createMusic();
+  const { audioManager, music, game } = setup;
+  audioManager.playMusic(1);
+
+  game.formationManager.currentWave = 2;
+  game.enemyPool.activeCount = 12;
+  music.onWaveStarted(2);
+  run(setup, 10);
+
+  const state = music.getState();
+  assert.equal(state.bossActive, true);
+  assert.ok(state.mix.boss > 0.7);
+  assert.ok(stemGain(music, 'boss') > 0.1);
+});
+
+test('plays the victory mix when a wave is completed, then settles back to ambient', () => {
+  const setup = createMusic();
+  const { audioManager, music, game } = setup;
+  audioManager.playMusic(1);
+
+  game.formationManager.currentWave = 1;
+  game.enemyPool.activeCount = 12;
+  music.onWaveStarted(1);
+  run(setup, 10);
+
+  game.enemyPool.activeCount = 0;
+  music.onWaveCompleted(1);
+  run(setup, 1);
+
+  assert.equal(music.getState().victory, true);
+  assert.deepEqual(music.getState().mix, { ambient: 0.3, combat: 0, boss: 0, victory: 1 });
+  assert.equal(stemGain(music, 'victory'), MUSIC_STEMS.victory.volume);
+
+  run(setup, music.options.victoryDuration + 20);
+
+  const state = music.getState();
+  assert.equal(state.victory, false);
+  assert.ok(state.intensity < 0.05, `intensity ${state.intensity}`);
+  assert.equal(state.mix.victory, 0);
+  assert.ok(state.mix.ambient > 0.95);
+});
+
+test('fades out and stops every source', () => {
+  const setup = createMusic();
+  const { context, audioManager, music } = setup;
+  audioManager.playMusic(1);
+  run(setup, 1);
+
+  audioManager.stopMusic(2);
+
+  assert.equal(music.isPlaying, false);
+  assert.ok(context.sources.length > 0);
+  context.sources.forEach(source => {
+    assert.ok(Math.abs(source.stopTime - (context.currentTime + 2)) < 1e-9);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Game-time scheduler
+ *
+ * Drives a Scheduler by hand, as the simulation tick does, and checks when
+ * and in what order its tasks run.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler } from '../src/js/systems/Scheduler.js';
+
+/**
+ * Build a callback that notes its name each time it runs
+ * @param {Array<string>} calls - Names of the callbacks that ran, in order
+ * @param {string} name - Name to note
+ * @returns {Function} Callback
+ */
+function record(calls, name) {
+  return () => calls.push(name);
+}
+
+test('runs tasks in the order they fall due, ties in the order they were scheduled', () => {
+  const scheduler = new Scheduler();
+  const calls = [];
+
+  scheduler.delay(2, record(calls, 'late'));
+  scheduler.at(1, record(calls, 'first'));
+  scheduler.delay(1, record(calls, 'second'));
+  scheduler.at(0.5, record(calls, 'earliest'));
+
+  scheduler.update(0.4);
+  assert.deepEqual(calls, []);
+
+  scheduler.update(0.6);
+  assert.deepEqual(calls, ['earliest', 'first', 'second']);
+
+  scheduler.update(1);
+  assert.deepEqual(calls, ['earliest', 'first', 'second', 'late']);
+  assert.equal(scheduler.tasks.size, 0);
+});
+
+test('runs a time already past on the next update, and new tasks only on the one after', () => {
+  const scheduler = new Scheduler();
+  const calls = [];
+
+  scheduler.update(5);
+  scheduler.at(1, () => {
+    calls.push('past');
+    scheduler.delay(0, record(calls, 'scheduled while running'));
+  });
+
+  scheduler.update(0);
+  assert.deepEqual(calls, ['past']);
+
+  scheduler.update(0);
+  assert.deepEqual(calls, ['past', 'scheduled while running']);
+});
+
+test('skips a task cancelled by an earlier callback in the same update', () => {
+  const scheduler = new Scheduler();
+  const calls = [];
+
+  let victim = null;
+  scheduler.delay(1, () => {
+    calls.push('canceller');
+    assert.equal(scheduler.cancel(victim), true);
+  });
+  victim = scheduler.delay(1, record(calls, 'victim'));
+  scheduler.delay(1, record(calls, 'bystander'));
+
+  scheduler.update(1);
+
+  assert.deepEqual(calls, ['canceller', 'bystander']);
+  assert.equal(scheduler.isPending(victim), false);
+  assert.equal(scheduler.cancel(victim), false);
+});
+
+test('repeats an interval every period until it cancels itself', () => {
+  const scheduler = new Scheduler();
+  const times = [];
+
+  const id = scheduler.interval(0.5, (taskId) => {
+    times.push(scheduler.time);
+    if (times.length === 3) scheduler.cancel(taskId);
+  });
+
+  scheduler.update(0.25);
+  assert.deepEqual(times, []);
+  assert.equal(scheduler.getDueTime(id), 0.5);
+
+  for (let i = 0; i < 8; i++) {
+    scheduler.update(0.25);
+  }
+
+  assert.deepEqual(times, [0.5, 1, 1.5]);
+  assert.equal(scheduler.isPending(id), false);
+  assert.equal(scheduler.getDueTime(id), null);
+  assert.throws(() => scheduler.interval(0, () => {}), /longer than zero/);
+});
+
+test('scales update time into game time', () => {
+  const scheduler = new Scheduler();
+  const calls = [];
+
+  const id = scheduler.delay(1, record(calls, 'task'));
+  scheduler.setTimeScale(0.5);
+
+  scheduler.update(1);
+  assert.equal(scheduler.time, 0.5);
+  assert.equal(scheduler.getRemaining(id), 0.5);
+  assert.deepEqual(calls, []);
+
+  scheduler.setTimeScale(2);
+  scheduler.update(0.25);
+  assert.deepEqual(calls, ['task']);
+
+  // Bad scales are ignored
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    scheduler.setTimeScale(-1);
+    scheduler.setTimeScale(NaN);
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(scheduler.timeScale, 2);
+});
+
+test('holds the clock and every pending task while paused', () => {
+  const scheduler = new Scheduler();
+  const calls = [];
+
+  const id = scheduler.delay(1, record(calls, 'task'));
+  scheduler.update(0.5);
+  scheduler.pause();
+
+  scheduler.update(10);
+  assert.equal(scheduler.time, 0.5);
+  assert.equal(scheduler.getRemaining(id), 0.5);
+  assert.deepEqual(calls, []);
+
+  scheduler.resume();
+  scheduler.update(0.5);
+  assert.deepEqual(calls, ['task']);
+});
+
+test('keeps the time pending tasks had left when a save is restored', () => {
+  const saved = new Scheduler();
+  saved.update(3);
+  saved.setTimeScale(1.5);
+  saved.pause();
+  const state = saved.getSaveState();
+
+  // Owners schedule their work again before the clock is restored
+  const scheduler = new Scheduler();
+  const calls = [];
+  const id = scheduler.delay(2, record(calls, 'task'));
+
+  scheduler.restoreSaveState(state);
+
+  assert.equal(scheduler.time, 3);
+  assert.equal(scheduler.timeScale, 1.5);
+  assert.equal(scheduler.paused, true);
+  assert.equal(scheduler.getDueTime(id), 5);
+  assert.equal(scheduler.getRemaining(id), 2);
+
+  scheduler.resume();
+  scheduler.update(1);
+  assert.deepEqual(calls, []);
+  scheduler.update(0.4);
+  assert.deepEqual(calls, ['task']);
+});
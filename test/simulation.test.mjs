@@ -0,0 +1,40 @@
+/**
+ * Headless wave simulation
+ *
+ * Plays waves with the scripted bot, as `npm run simulate` does, and checks
+ * the runs come out the way the game plays them.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessGame } from '../src/js/headless/HeadlessGame.js';
+
+/**
+ * Play a headless run to its end
+ * @param {Object} options - HeadlessGame options
+ * @returns {Object} Run results (see HeadlessGame.getResults)
+ */
+function simulate(options) {
+  // The game logs freely as it plays
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const game = new HeadlessGame(options);
+    const results = game.run();
+    game.dispose();
+    return results;
+  } finally {
+    console.log = log;
+  }
+}
+
+test('enemy attacks hurt the player', () => {
+  const results = simulate({ seed: 42, waves: 2 });
+
+  assert.ok(results.stats.totalDamageTaken > 0, `damage taken ${results.stats.totalDamageTaken}`);
+});
+
+test('an endless run goes on until the player is defeated', () => {
+  const results = simulate({ seed: 7, mode: 'endless' });
+
+  assert.equal(results.outcome, 'defeated');
+});
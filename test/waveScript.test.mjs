@@ -0,0 +1,159 @@
+/**
+ * Wave script loading
+ *
+ * Reads the bundled missions and scripts with mistakes in them, and checks
+ * every mistake is reported with its path and, for script text, the line
+ * and column it's on with a caret underneath.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  parseWaveScript, loadWaveScript, WaveScriptError, TRIGGER_TYPES, ACTION_TYPES
+} from '../src/js/enemies/waveScript.js';
+import { FORMATION_TYPES } from '../src/js/config/enemies.js';
+
+/**
+ * Build the smallest valid script: one wave spawning one formation
+ * @returns {Object} Script
+ */
+function minimalScript() {
+  return {
+    format: 'cosmic-defender-waves',
+    version: 1,
+    id: 'test',
+    name: 'Test',
+    spawnPoints: { north: { x: 0, y: 0, z: -20 } },
+    waves: [{
+      events: [{
+        trigger: { type: 'time', at: 0 },
+        actions: [{ type: 'spawn', formation: 'basic', at: 'north' }]
+      }]
+    }]
+  };
+}
+
+/**
+ * Parse script text that should be turned away
+ * @param {string} text - Script text
+ * @returns {WaveScriptError} The error it was turned away with
+ */
+function rejection(text) {
+  try {
+    parseWaveScript(text, 'test.json');
+  } catch (error) {
+    assert.ok(error instanceof WaveScriptError, `threw ${error}`);
+    return error;
+  }
+  assert.fail('the script was accepted');
+}
+
+/**
+ * Find where a piece of text starts
+ * @param {string} text - Script text
+ * @param {string} snippet - Text to find (its first occurrence)
+ * @returns {Object} { line, column }, both counted from 1
+ */
+function positionOf(text, snippet) {
+  const before = text.slice(0, text.indexOf(snippet));
+  return { line: before.split('\n').length, column: before.length - before.lastIndexOf('\n') };
+}
+
+test('reads the bundled missions', () => {
+  ['outpost', 'hive'].forEach((name) => {
+    const text = readFileSync(new URL(`../src/js/missions/${name}.json`, import.meta.url), 'utf8');
+    const script = parseWaveScript(text, `${name}.json`);
+
+    assert.equal(script.id, name);
+    assert.ok(script.waves.length > 0);
+  });
+});
+
+test('points at the spot where the text stops being JSON', () => {
+  const text = '{\n  "format": "cosmic-defender-waves",\n  "version": 1\n  "id": "test"\n}';
+
+  const error = rejection(text);
+
+  assert.equal(error.source, 'test.json');
+  assert.deepEqual(error.errors, [{
+    path: null,
+    message: "expected '}' but found '\"'",
+    line: 4,
+    column: 3,
+    context: '    4 |   "id": "test"\n      |   ^'
+  }]);
+  assert.equal(error.message, [
+    'Invalid wave script test.json:',
+    "  - test.json:4:3: expected '}' but found '\"'",
+    '    4 |   "id": "test"',
+    '      |   ^'
+  ].join('\n'));
+});
+
+test('reports every unknown trigger and action type', () => {
+  const script = minimalScript();
+  script.waves[0].events[0].trigger.type = 'sometime';
+  script.waves[0].events[0].actions.push({ type: 'explode' });
+  const text = JSON.stringify(script, null, 2);
+
+  const { errors } = rejection(text);
+
+  assert.deepEqual(errors.map(({ path, message }) => ({ path, message })), [
+    { path: 'waves[0].events[0].trigger.type', message: `must be one of ${TRIGGER_TYPES.join(', ')}` },
+    { path: 'waves[0].events[0].actions[1].type', message: `must be one of ${ACTION_TYPES.join(', ')}` }
+  ]);
+  assert.deepEqual({ line: errors[0].line, column: errors[0].column }, positionOf(text, '"sometime"'));
+  assert.deepEqual({ line: errors[1].line, column: errors[1].column }, positionOf(text, '"explode"'));
+});
+
+test('reports an unknown formation and spawn point, under the line they are on', () => {
+  const script = minimalScript();
+  Object.assign(script.waves[0].events[0].actions[0], { formation: 'blob', at: 'south' });
+  const text = JSON.stringify(script, null, 2);
+
+  const error = rejection(text);
+
+  const formation = positionOf(text, '"blob"');
+  const spawnPoint = positionOf(text, '"south"');
+  assert.deepEqual(error.errors.map(({ path, message, line, column }) => ({ path, message, line, column })), [
+    {
+      path: 'waves[0].events[0].actions[0].formation',
+      message: `must be one of ${Object.keys(FORMATION_TYPES).join(', ')}`,
+      ...formation
+    },
+    {
+      path: 'waves[0].events[0].actions[0].at',
+      message: 'must name a spawn point (north) or be a position',
+      ...spawnPoint
+    }
+  ]);
+
+  // The line as written, and a caret under the value's first character
+  const source = text.split('\n')[spawnPoint.line - 1];
+  const gutter = String(spawnPoint.line);
+  assert.equal(error.errors[1].context,
+    `    ${gutter} | ${source}\n    ${' '.repeat(gutter.length)} | ${' '.repeat(spawnPoint.column - 1)}^`);
+  assert.ok(error.message.includes(
+    `  - test.json:${spawnPoint.line}:${spawnPoint.column}: waves[0].events[0].actions[0].at: ` +
+    `must name a spawn point (north) or be a position\n${error.errors[1].context}`
+  ));
+});
+
+test('reports problems by path alone for a script that is already read', () => {
+  const script = minimalScript();
+  script.waves[0].events[0].actions[0].at = 'south';
+
+  assert.throws(() => loadWaveScript(script, 'saved mission'), (error) => {
+    assert.ok(error instanceof WaveScriptError);
+    assert.deepEqual(error.errors, [{
+      path: 'waves[0].events[0].actions[0].at',
+      message: 'must name a spawn point (north) or be a position',
+      line: null,
+      column: null,
+      context: null
+    }]);
+    assert.equal(error.message, 'Invalid wave script saved mission:\n' +
+      '  - waves[0].events[0].actions[0].at: must name a spawn point (north) or be a position');
+    return true;
+  });
+});